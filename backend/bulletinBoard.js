@@ -5,15 +5,59 @@
  * announcements that can be either general (visible to everyone) or
  * group-specific (visible only to group members). Announcements can also
  * have different priority levels.
+ *
+ * Announcements are kept in the search index (searchIndex.js) as they are
+ * created, edited and deleted.
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { loadCollection, saveCollection } = require('./storage');
+const { DOCUMENT_TYPES, indexDocument, removeDocument } = require('./searchIndex');
 
-// Store announcements
-const generalAnnouncements = new Map();
-const groupAnnouncements = new Map();
+// Store announcements (restored from storage on startup)
+const storedAnnouncements = loadCollection('announcements', { general: {}, groups: {} });
+const generalAnnouncements = new Map(Object.entries(storedAnnouncements.general || {}));
+const groupAnnouncements = new Map(
+  Object.entries(storedAnnouncements.groups || {})
+    .map(([groupId, announcements]) => [groupId, new Map(Object.entries(announcements))])
+);
+
+/**
+ * Add an announcement to the search index, or refresh it after an edit
+ * @param {Object} announcement - Announcement
+ */
+function indexAnnouncement(announcement) {
+  indexDocument({
+    type: DOCUMENT_TYPES.ANNOUNCEMENT,
+    id: announcement.id,
+    groupId: announcement.isGeneral ? null : announcement.groupId,
+    senderId: announcement.authorId,
+    title: announcement.title,
+    content: announcement.content,
+    timestamp: announcement.createdAt,
+    priority: announcement.priority
+  });
+}
+
+// Make the stored announcements searchable
+generalAnnouncements.forEach(indexAnnouncement);
+groupAnnouncements.forEach(announcements => announcements.forEach(indexAnnouncement));
+
+/**
+ * Write all announcements back to storage
+ */
+function saveAnnouncements() {
+  const groups = {};
+  for (const [groupId, announcements] of groupAnnouncements) {
+    groups[groupId] = Object.fromEntries(announcements);
+  }
+  saveCollection('announcements', {
+    general: Object.fromEntries(generalAnnouncements),
+    groups
+  });
+}
 
 /**
  * Generate a unique announcement ID
@@ -45,6 +89,8 @@ function createGeneralAnnouncement(title, content, authorId, priority = 'medium'
   };
   
   generalAnnouncements.set(announcementId, announcement);
+  saveAnnouncements();
+  indexAnnouncement(announcement);
   console.log(`General announcement created: ${title} (${announcementId}) by ${authorId}`);
   return announcement;
 }
@@ -78,6 +124,8 @@ function createGroupAnnouncement(title, content, authorId, groupId, priority = '
   }
   
   groupAnnouncements.get(groupId).set(announcementId, announcement);
+  saveAnnouncements();
+  indexAnnouncement(announcement);
   console.log(`Group announcement created: ${title} (${announcementId}) for group ${groupId} by ${authorId}`);
   return announcement;
 }
@@ -174,6 +222,8 @@ function updateAnnouncement(announcementId, updates, groupId = null) {
   } else {
     groupAnnouncements.get(announcement.groupId).set(announcementId, updatedAnnouncement);
   }
+  saveAnnouncements();
+  indexAnnouncement(updatedAnnouncement);
   
   return updatedAnnouncement;
 }
@@ -190,11 +240,12 @@ function deleteAnnouncement(announcementId, groupId = null) {
     return false;
   }
   
-  if (announcement.isGeneral) {
-    return generalAnnouncements.delete(announcementId);
-  } else {
-    return groupAnnouncements.get(announcement.groupId).delete(announcementId);
-  }
+  const deleted = announcement.isGeneral
+    ? generalAnnouncements.delete(announcementId)
+    : groupAnnouncements.get(announcement.groupId).delete(announcementId);
+  saveAnnouncements();
+  removeDocument(DOCUMENT_TYPES.ANNOUNCEMENT, announcement.isGeneral ? null : announcement.groupId, announcementId);
+  return deleted;
 }
 
 /**
@@ -7,11 +7,31 @@
 
 const { getPeerById, getPeers } = require('./peers');
 const { isGroupMember, broadcastToGroupMembers } = require('./groupManager');
+const { sendEncrypted } = require('./keyExchange');
+const { loadCollection, saveCollection } = require('./storage');
+const { MESSAGE_TYPES } = require('../frontend/src/shared/protocol');
 
 // Store active calls
 const activeCalls = new Map();
 // Store group calls
 const groupCalls = new Map();
+// Finished calls, oldest first (restored from storage on startup)
+const callHistory = loadCollection('callHistory', []);
+// Maximum number of finished calls kept in the history
+const MAX_CALL_HISTORY = 500;
+
+/**
+ * Record a finished call in the persisted call history
+ * @param {Object} call - Individual or group call object
+ */
+function recordCallHistory(call) {
+  const { connections, iceExchangeComplete, ...record } = call;
+  callHistory.push(record);
+  if (callHistory.length > MAX_CALL_HISTORY) {
+    callHistory.splice(0, callHistory.length - MAX_CALL_HISTORY);
+  }
+  saveCollection('callHistory', callHistory);
+}
 
 /**
  * Initialize a call between peers
@@ -73,6 +93,7 @@ function rejectCall(callId, reason = 'declined') {
   call.endTime = Date.now();
   call.rejectionReason = reason;
   activeCalls.set(callId, call);
+  recordCallHistory(call);
   console.log(`Call rejected: ${callId}, reason: ${reason}`);
   
   // Clean up after a delay
@@ -98,6 +119,7 @@ function endCall(callId) {
   call.status = 'ended';
   call.endTime = Date.now();
   activeCalls.set(callId, call);
+  recordCallHistory(call);
   console.log(`Call ended: ${callId}`);
   
   // Clean up after a delay
@@ -133,14 +155,14 @@ function handleIceCandidate(callId, senderId, candidate) {
   
   // Forward the ICE candidate to the recipient
   const message = JSON.stringify({
-    type: 'ice-candidate',
+    type: MESSAGE_TYPES.ICE_CANDIDATE,
     callId,
     senderId,
     candidate
   });
   
   try {
-    recipient.socket.send(message);
+    sendEncrypted(recipient.socket, message);
     return true;
   } catch (error) {
     console.error(`Error sending ICE candidate: ${error.message}`);
@@ -174,7 +196,7 @@ function handleSdpExchange(callId, senderId, sdpType, sdp) {
   
   // Forward the SDP to the recipient
   const message = JSON.stringify({
-    type: 'sdp',
+    type: MESSAGE_TYPES.SDP,
     callId,
     senderId,
     sdpType,
@@ -182,7 +204,7 @@ function handleSdpExchange(callId, senderId, sdpType, sdp) {
   });
   
   try {
-    recipient.socket.send(message);
+    sendEncrypted(recipient.socket, message);
     return true;
   } catch (error) {
     console.error(`Error sending SDP: ${error.message}`);
@@ -299,6 +321,7 @@ function endGroupCall(groupCallId) {
   groupCall.status = 'ended';
   groupCall.endTime = Date.now();
   groupCalls.set(groupCallId, groupCall);
+  recordCallHistory(groupCall);
   
   // Notify all participants that the call has ended
   notifyGroupCallEnded(groupCallId);
@@ -342,14 +365,14 @@ function handleGroupIceCandidate(groupCallId, senderId, recipientId, candidate)
   
   // Forward the ICE candidate to the recipient
   const message = JSON.stringify({
-    type: 'group-ice-candidate',
+    type: MESSAGE_TYPES.GROUP_ICE_CANDIDATE,
     groupCallId,
     senderId,
     candidate
   });
   
   try {
-    recipient.socket.send(message);
+    sendEncrypted(recipient.socket, message);
     return true;
   } catch (error) {
     console.error(`Error sending group ICE candidate: ${error.message}`);
@@ -387,7 +410,7 @@ function handleGroupSdpExchange(groupCallId, senderId, recipientId, sdpType, sdp
   
   // Forward the SDP to the recipient
   const message = JSON.stringify({
-    type: 'group-sdp',
+    type: MESSAGE_TYPES.GROUP_SDP,
     groupCallId,
     senderId,
     sdpType,
@@ -395,7 +418,7 @@ function handleGroupSdpExchange(groupCallId, senderId, recipientId, sdpType, sdp
   });
   
   try {
-    recipient.socket.send(message);
+    sendEncrypted(recipient.socket, message);
     return true;
   } catch (error) {
     console.error(`Error sending group SDP: ${error.message}`);
@@ -413,7 +436,7 @@ function notifyGroupCallParticipantJoined(groupCallId, joinerId) {
   if (!groupCall) return;
   
   const message = JSON.stringify({
-    type: 'group-call-participant-joined',
+    type: MESSAGE_TYPES.GROUP_CALL_PARTICIPANT_JOINED,
     groupCallId,
     participantId: joinerId
   });
@@ -423,7 +446,7 @@ function notifyGroupCallParticipantJoined(groupCallId, joinerId) {
     if (participantId !== joinerId) {
       const participant = getPeerById(participantId);
       if (participant && participant.socket.readyState === 1) {
-        participant.socket.send(message);
+        sendEncrypted(participant.socket, message);
       }
     }
   });
@@ -439,7 +462,7 @@ function notifyGroupCallParticipantLeft(groupCallId, leaverId) {
   if (!groupCall) return;
   
   const message = JSON.stringify({
-    type: 'group-call-participant-left',
+    type: MESSAGE_TYPES.GROUP_CALL_PARTICIPANT_LEFT,
     groupCallId,
     participantId: leaverId
   });
@@ -448,7 +471,7 @@ function notifyGroupCallParticipantLeft(groupCallId, leaverId) {
   groupCall.participants.forEach(participantId => {
     const participant = getPeerById(participantId);
     if (participant && participant.socket.readyState === 1) {
-      participant.socket.send(message);
+      sendEncrypted(participant.socket, message);
     }
   });
 }
@@ -462,7 +485,7 @@ function notifyGroupCallEnded(groupCallId) {
   if (!groupCall) return;
   
   const message = JSON.stringify({
-    type: 'group-call-ended',
+    type: MESSAGE_TYPES.GROUP_CALL_ENDED,
     groupCallId
   });
   
@@ -470,7 +493,7 @@ function notifyGroupCallEnded(groupCallId) {
   groupCall.participants.forEach(participantId => {
     const participant = getPeerById(participantId);
     if (participant && participant.socket.readyState === 1) {
-      participant.socket.send(message);
+      sendEncrypted(participant.socket, message);
     }
   });
 }
@@ -517,6 +540,24 @@ function getGroupActiveCalls(groupId) {
   return calls;
 }
 
+/**
+ * Get finished calls a user took part in
+ * @param {string} userId - ID of the user
+ * @param {number} limit - Maximum number of calls to return
+ * @returns {Array} - Array of finished calls, newest first
+ */
+function getCallHistory(userId, limit = 50) {
+  return callHistory
+    .filter(call =>
+      call.callerId === userId ||
+      call.calleeId === userId ||
+      call.initiatorId === userId ||
+      (call.participants && call.participants.includes(userId))
+    )
+    .slice(-limit)
+    .reverse();
+}
+
 module.exports = {
   // Individual call functions
   initiateCall,
@@ -536,5 +577,6 @@ module.exports = {
   
   // Utility functions
   getUserActiveCalls,
-  getGroupActiveCalls
+  getGroupActiveCalls,
+  getCallHistory
 };
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * config.js - Node configuration for IP Messenger Clone
+ *
+ * This module decides where a node listens and where it keeps its files, so
+ * several nodes can run side by side on one machine. Each option is read
+ * from, in increasing priority:
+ *
+ *   1. built-in defaults (the layout used before the options existed)
+ *   2. a JSON config file: the file named by --config or OFFGRID_CONFIG,
+ *      otherwise config.json next to this module when it exists
+ *   3. environment variables
+ *   4. command line flags, as `--flag value` or `--flag=value`
+ *
+ * Options (config file key / environment variable / flag):
+ * - port           OFFGRID_PORT            --port            HTTP and WebSocket port (8080)
+ * - udpPort        OFFGRID_UDP_PORT        --udp-port        UDP discovery port (2425)
+ * - discoveryPorts OFFGRID_DISCOVERY_PORTS --discovery-ports Other UDP ports beacons are also sent to,
+ *                                                            comma separated (none)
+ * - bindAddress    OFFGRID_BIND            --bind            Address the HTTP/WebSocket server listens
+ *                                                            on (0.0.0.0)
+ * - interfaces     OFFGRID_INTERFACES      --interfaces      Network interfaces discovery uses, by name
+ *                                                            or address, comma separated (all)
+ * - dataDir        OFFGRID_DATA_DIR        --data-dir        Identity, users, settings and the data/
+ *                                                            store (the backend directory)
+ * - downloadDir    OFFGRID_DOWNLOAD_DIR    --download-dir    Received files (downloads/ in the working
+ *                                                            directory)
+ *
+ * Relative paths in the config file are resolved against the file's own
+ * directory; those from the environment or the command line against the
+ * working directory. Unknown flags are ignored, so the Electron main
+ * process can pass its own arguments through; an invalid value stops the
+ * node with an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Config file used when none is named
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+
+// Where each option comes from and how its value is read
+const CONFIG_OPTIONS = {
+  port: { env: 'OFFGRID_PORT', flag: '--port', type: 'port' },
+  udpPort: { env: 'OFFGRID_UDP_PORT', flag: '--udp-port', type: 'port' },
+  discoveryPorts: { env: 'OFFGRID_DISCOVERY_PORTS', flag: '--discovery-ports', type: 'ports' },
+  bindAddress: { env: 'OFFGRID_BIND', flag: '--bind', type: 'string' },
+  interfaces: { env: 'OFFGRID_INTERFACES', flag: '--interfaces', type: 'list' },
+  dataDir: { env: 'OFFGRID_DATA_DIR', flag: '--data-dir', type: 'path' },
+  downloadDir: { env: 'OFFGRID_DOWNLOAD_DIR', flag: '--download-dir', type: 'path' }
+};
+
+// Naming the config file itself
+const CONFIG_FILE_ENV = 'OFFGRID_CONFIG';
+const CONFIG_FILE_FLAG = '--config';
+
+// Resolved configuration of this process, loaded on first use
+let config = null;
+
+/**
+ * Built-in defaults
+ * @returns {Object} - Configuration
+ */
+function getDefaults() {
+  return {
+    port: 8080,
+    udpPort: 2425,
+    discoveryPorts: [],
+    bindAddress: '0.0.0.0',
+    interfaces: [],
+    dataDir: __dirname,
+    downloadDir: path.join(process.cwd(), 'downloads')
+  };
+}
+
+/**
+ * Read one option value into its type
+ * @param {string} name - Option name
+ * @param {*} value - Raw value from a file, variable or flag
+ * @param {string} source - Where the value came from, for the error message
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {*} - Parsed value
+ */
+function parseOption(name, value, source, baseDir) {
+  const { type } = CONFIG_OPTIONS[name];
+  const invalid = () => new Error(`Invalid ${name} in ${source}: ${JSON.stringify(value)}`);
+
+  switch (type) {
+    case 'port': {
+      const port = Number(value);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) throw invalid();
+      return port;
+    }
+    case 'ports': {
+      const list = Array.isArray(value) ? value : String(value).split(',').filter(item => item.trim());
+      const ports = list.map(Number);
+      if (!ports.every(port => Number.isInteger(port) && port >= 1 && port <= 65535)) throw invalid();
+      return [...new Set(ports)];
+    }
+    case 'list': {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      if (!list.every(item => typeof item === 'string')) throw invalid();
+      return list.map(item => item.trim()).filter(Boolean);
+    }
+    case 'path':
+      if (typeof value !== 'string' || !value) throw invalid();
+      return path.resolve(baseDir, value);
+    default:
+      if (typeof value !== 'string' || !value) throw invalid();
+      return value;
+  }
+}
+
+/**
+ * Collect `--flag value` and `--flag=value` pairs from command line arguments
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} - Flag -> value, the last one winning
+ */
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const equals = arg.indexOf('=');
+    if (equals !== -1) {
+      flags[arg.slice(0, equals)] = arg.slice(equals + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg] = argv[++i];
+    }
+  }
+  return flags;
+}
+
+/**
+ * Read the config file, if any
+ * @param {string|undefined} file - File named by a flag or variable
+ * @returns {Object} - Options from the file
+ */
+function readConfigFile(file) {
+  const configFile = file ? path.resolve(file) : DEFAULT_CONFIG_FILE;
+  if (!file && !fs.existsSync(configFile)) {
+    return {};
+  }
+
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configFile}: ${error.message}`);
+  }
+
+  const options = {};
+  for (const [name, value] of Object.entries(contents || {})) {
+    if (!CONFIG_OPTIONS[name]) {
+      console.error(`Ignoring unknown option in ${configFile}: ${name}`);
+      continue;
+    }
+    options[name] = parseOption(name, value, configFile, path.dirname(configFile));
+  }
+  return options;
+}
+
+/**
+ * Resolve the configuration from defaults, the config file, the environment
+ * and command line flags
+ * @param {Object} [sources] - Where to read from (for the Electron main process)
+ * @param {Array<string>} [sources.argv] - Command line arguments (process.argv.slice(2))
+ * @param {Object} [sources.env] - Environment variables (process.env)
+ * @returns {Object} - { port, udpPort, discoveryPorts, bindAddress, interfaces, dataDir, downloadDir }
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const flags = parseFlags(argv);
+  const resolved = {
+    ...getDefaults(),
+    ...readConfigFile(flags[CONFIG_FILE_FLAG] || env[CONFIG_FILE_ENV])
+  };
+
+  for (const [name, option] of Object.entries(CONFIG_OPTIONS)) {
+    if (env[option.env]) {
+      resolved[name] = parseOption(name, env[option.env], option.env, process.cwd());
+    }
+    if (flags[option.flag] !== undefined) {
+      resolved[name] = parseOption(name, flags[option.flag], option.flag, process.cwd());
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Get this process's configuration, creating its data directory
+ * @returns {Object} - Configuration from loadConfig()
+ */
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+    fs.mkdirSync(config.dataDir, { recursive: true });
+  }
+  return config;
+}
+
+/**
+ * URL a client on this machine reaches a node's HTTP and WebSocket server at
+ * @param {Object} nodeConfig - Configuration from loadConfig()
+ * @returns {string} - e.g. http://localhost:8080
+ */
+function getLocalUrl(nodeConfig) {
+  const { bindAddress, port } = nodeConfig;
+  const wildcard = bindAddress === '0.0.0.0' || bindAddress === '::';
+  const host = wildcard ? 'localhost' : (bindAddress.includes(':') ? `[${bindAddress}]` : bindAddress);
+  return `http://${host}:${port}`;
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  getLocalUrl
+};
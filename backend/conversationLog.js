@@ -0,0 +1,287 @@
+/**
+ * conversationLog.js - Direct message history for IP Messenger Clone
+ *
+ * This module keeps an append-only log of every direct chat between this
+ * node and each peer it talks to, so a user's history can be restored on
+ * another machine or after a reinstall. Each conversation is its own log in
+ * storage.js, named after the partner's peer ID, and entries are never
+ * changed or removed once written.
+ *
+ * Edits and deletes do not change earlier entries either: they are logged as
+ * entries of their own with an `action` of 'edit' or 'delete', naming the
+ * message by its sender and clientMessageId, and are applied by whoever reads
+ * the log.
+ *
+ * Entries carry a sequence number that only grows within a conversation.
+ * Clients page through a conversation with getMessagesSince(), passing the
+ * last sequence number they have seen as the cursor.
+ *
+ * Log names are hashed, so the partners that have a log are also listed in
+ * the `conversations` collection. On startup every listed log is read and
+ * added to the search index.
+ *
+ * A partner can be renamed, e.g. from the address an older node was known by
+ * to its node ID. Logs are not rewritten for that: the rename is recorded in
+ * the `conversationRenames` collection, entries are read with the new ID, and
+ * the partner keeps its old log (or, if it already has one under the new ID,
+ * the old entries are appended to it).
+ */
+
+const crypto = require('crypto');
+const { appendToLog, loadLog, loadCollection, saveCollection } = require('./storage');
+const { DOCUMENT_TYPES, indexDocument, removeDocument } = require('./searchIndex');
+
+// Page sizes for history requests
+const DEFAULT_SYNC_LIMIT = 200;
+const MAX_SYNC_LIMIT = 1000;
+
+// Entries per conversation, oldest first (each log is read on first use)
+// partnerId -> [ { seq, messageId, clientMessageId, from, to, content, timestamp, replyTo }
+//               | { seq, action, clientMessageId, from, to, content, timestamp } ]
+const conversations = new Map();
+
+// Peer IDs of every partner with a conversation log
+const partners = new Set(loadCollection('conversations', []));
+
+// Renamed peer IDs, and the log of each partner whose log is named after an older ID
+// { renamed: { oldId -> newId }, logs: { partnerId -> log name } }
+const renames = loadCollection('conversationRenames', { renamed: {}, logs: {} });
+
+/**
+ * Get the current ID of a peer that may have been renamed
+ * @param {string} peerId - Peer ID as logged
+ * @returns {string} - Peer ID to use
+ */
+function currentId(peerId) {
+  return renames.renamed[peerId] || peerId;
+}
+
+/**
+ * Get the storage name of a conversation's log. Peer IDs contain characters
+ * that are not safe in file names, so the name is derived from a hash.
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @returns {string} - Log name
+ */
+function logName(partnerId) {
+  return renames.logs[partnerId] || `conversation-${crypto.createHash('sha256').update(partnerId).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Get a conversation's entries, reading its log on first use
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @returns {Array} - Entries, oldest first
+ */
+function getEntries(partnerId) {
+  if (!conversations.has(partnerId)) {
+    conversations.set(partnerId, loadLog(logName(partnerId)).map(entry => ({
+      ...entry,
+      from: currentId(entry.from),
+      to: currentId(entry.to)
+    })));
+  }
+  return conversations.get(partnerId);
+}
+
+/**
+ * Find the logged message an edit or delete refers to
+ * @param {Array} entries - Conversation entries
+ * @param {Object} revision - { clientMessageId, from }
+ * @returns {Object|undefined} - Logged message
+ */
+function findOriginal(entries, { clientMessageId, from }) {
+  return entries.find(entry => !entry.action && entry.clientMessageId === clientMessageId && entry.from === from);
+}
+
+/**
+ * Check whether a message has been deleted
+ * @param {Array} entries - Conversation entries
+ * @param {Object} revision - { clientMessageId, from }
+ * @returns {boolean} - True if a delete for the message is logged
+ */
+function isDeleted(entries, { clientMessageId, from }) {
+  return entries.some(entry => entry.action === 'delete' && entry.clientMessageId === clientMessageId && entry.from === from);
+}
+
+/**
+ * Bring the search index up to date with a conversation entry
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @param {Object} entry - Logged entry
+ */
+function indexEntry(partnerId, entry) {
+  if (entry.action) {
+    const original = findOriginal(getEntries(partnerId), entry);
+    if (!original) return;
+    if (entry.action === 'delete') {
+      removeDocument(DOCUMENT_TYPES.DIRECT, partnerId, String(original.seq));
+    } else {
+      indexEntry(partnerId, { ...original, content: entry.content });
+    }
+    return;
+  }
+
+  indexDocument({
+    type: DOCUMENT_TYPES.DIRECT,
+    id: String(entry.seq),
+    peerId: partnerId,
+    senderId: entry.from,
+    content: entry.content,
+    timestamp: entry.timestamp,
+    messageId: entry.messageId,
+    clientMessageId: entry.clientMessageId,
+    outgoing: entry.from !== partnerId
+  });
+}
+
+/**
+ * Record a direct chat message in a conversation
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @param {Object} message - { messageId, clientMessageId, from, to, content, timestamp }
+ * @returns {Object|null} - The logged entry, or null if it was already logged or could not be written
+ */
+function logMessage(partnerId, message) {
+  const entries = getEntries(partnerId);
+
+  // The same message can reach this node twice (relayed and direct); log it once
+  if (message.clientMessageId && findOriginal(entries, message)) {
+    return null;
+  }
+
+  return appendEntry(partnerId, {
+    messageId: message.messageId || null,
+    clientMessageId: message.clientMessageId || null,
+    from: message.from,
+    to: message.to,
+    content: message.content,
+    timestamp: message.timestamp || Date.now(),
+    replyTo: message.replyTo || null
+  });
+}
+
+/**
+ * Record an edit or delete of a direct chat message
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @param {Object} revision - { action: 'edit'|'delete', clientMessageId, from, to, content, timestamp }
+ * @returns {Object|null} - The logged entry, or null if the message was already deleted or the entry could not be written
+ */
+function logRevision(partnerId, revision) {
+  const entries = getEntries(partnerId);
+
+  // A deleted message stays deleted
+  if (isDeleted(entries, revision)) {
+    return null;
+  }
+
+  return appendEntry(partnerId, {
+    action: revision.action,
+    clientMessageId: revision.clientMessageId,
+    from: revision.from,
+    to: revision.to,
+    content: revision.action === 'edit' ? revision.content : null,
+    timestamp: revision.timestamp || Date.now()
+  });
+}
+
+/**
+ * Append an entry to a conversation with the next sequence number
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @param {Object} fields - Entry without its sequence number
+ * @returns {Object|null} - The logged entry, or null if it could not be written
+ */
+function appendEntry(partnerId, fields) {
+  const entries = getEntries(partnerId);
+  const entry = { seq: entries.length ? entries[entries.length - 1].seq + 1 : 1, ...fields };
+
+  if (!appendToLog(logName(partnerId), entry)) {
+    return null;
+  }
+  entries.push(entry);
+  indexEntry(partnerId, entry);
+
+  if (!partners.has(partnerId)) {
+    partners.add(partnerId);
+    saveCollection('conversations', [...partners]);
+  }
+  return entry;
+}
+
+/**
+ * Get the messages of a conversation logged after a cursor
+ * @param {string} partnerId - Peer ID of the other side of the conversation
+ * @param {Object} options - { since, limit }; `since` is the last sequence number already seen
+ * @returns {Object} - { messages, cursor, hasMore }; pass cursor back as `since` for the next page
+ */
+function getMessagesSince(partnerId, { since = 0, limit = DEFAULT_SYNC_LIMIT } = {}) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SYNC_LIMIT, 1), MAX_SYNC_LIMIT);
+  const newer = getEntries(partnerId).filter(entry => entry.seq > since);
+  const messages = newer.slice(0, size);
+
+  return {
+    messages,
+    cursor: messages.length ? messages[messages.length - 1].seq : since,
+    hasMore: newer.length > size
+  };
+}
+
+/**
+ * Add every logged conversation to the search index
+ */
+function indexConversations() {
+  for (const partnerId of partners) {
+    for (const entry of getEntries(partnerId)) {
+      indexEntry(partnerId, entry);
+    }
+  }
+}
+
+/**
+ * Rename a peer in every conversation, e.g. when a peer that used to be
+ * known by its address is now known by its node ID. A peer is only renamed
+ * once, and only if it appears in a conversation.
+ * @param {string} oldId - ID the peer was logged under
+ * @param {string} newId - ID it is known by from now on
+ */
+function renameConversationPartner(oldId, newId) {
+  if (oldId === newId || renames.renamed[oldId]) {
+    return;
+  }
+  const logged = [...partners].some(partnerId => (
+    partnerId === oldId || getEntries(partnerId).some(entry => entry.from === oldId || entry.to === oldId)
+  ));
+  if (!logged) {
+    return;
+  }
+  renames.renamed[oldId] = newId;
+  // Entries read so far still carry the old ID
+  conversations.clear();
+
+  if (partners.has(oldId)) {
+    const moved = getEntries(oldId);
+    moved.forEach(entry => removeDocument(DOCUMENT_TYPES.DIRECT, oldId, String(entry.seq)));
+
+    if (partners.has(newId)) {
+      moved.forEach(({ seq, ...fields }) => appendEntry(newId, fields));
+    } else {
+      // The partner takes the old log over as it is
+      renames.logs[newId] = logName(oldId);
+      partners.add(newId);
+    }
+    partners.delete(oldId);
+    delete renames.logs[oldId];
+    conversations.clear();
+    saveCollection('conversations', [...partners]);
+  }
+
+  saveCollection('conversationRenames', renames);
+  indexConversations();
+  console.log(`Renamed conversation partner ${oldId} to ${newId}`);
+}
+
+// Make every logged conversation searchable
+indexConversations();
+
+module.exports = {
+  logMessage,
+  logRevision,
+  getMessagesSince,
+  renameConversationPartner
+};
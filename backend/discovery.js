@@ -0,0 +1,316 @@
+/**
+ * discovery.js - LAN peer discovery for IP Messenger Clone
+ *
+ * This module finds other nodes on the local network. It is the only
+ * discovery implementation: the backend runs it, records what it finds in the
+ * discovered peer list of peers.js, and the server pushes peer_discovered,
+ * peer_updated and peer_lost events from that list to the renderer over the
+ * WebSocket.
+ *
+ * The node's settings choose which methods run (DISCOVERY_METHODS):
+ * - broadcast: JSON beacons sent to the broadcast address of each local network
+ * - scan:      the same beacons sent straight to common gateway addresses and
+ *              every 10th host of the local /24, for networks that drop broadcasts
+ * - mdns:      a DNS-SD service announced and browsed for on multicast DNS (mdns.js)
+ *
+ * Beacon (one JSON datagram):
+ *   { type: 'discovery' | 'discovery_response', nodeId, hostname, displayName,
+ *     port, version, capabilities }
+ * - nodeId:       fingerprint of the node's identity key; stays the same when
+ *                 its address changes
+ * - port:         the node's WebSocket port
+ * - capabilities: protocol features the node understands
+ *
+ * `discovery` beacons are sent periodically and on demand; a node that gets
+ * one answers the sender directly with a `discovery_response`. Both kinds
+ * add the sender to the discovered peer list under its nodeId, so a node
+ * that moves to another address is updated rather than listed again.
+ * Beacons from older nodes carry no nodeId or displayName and are accepted
+ * as well; those nodes are listed under their `IP:PORT`.
+ *
+ * Each node receives beacons on its own UDP port. Beacons go to that port
+ * and to any other ports listed in `targetPorts`, so nodes configured with
+ * different UDP ports (e.g. several on one machine) still find each other;
+ * responses go straight back to the port the beacon came from.
+ */
+
+const dgram = require('dgram');
+const { addPeerToDiscoveryList } = require('./peers');
+const { startMdns, stopMdns, queryMdns } = require('./mdns');
+
+// Discovery methods a node can run
+const DISCOVERY_METHODS = {
+  BROADCAST: 'broadcast',
+  SCAN: 'scan',
+  MDNS: 'mdns'
+};
+
+// Methods run when the settings do not choose any
+const DEFAULT_DISCOVERY_METHODS = [DISCOVERY_METHODS.BROADCAST, DISCOVERY_METHODS.MDNS];
+
+// Beacon types
+const BEACON_TYPES = {
+  DISCOVERY: 'discovery',
+  RESPONSE: 'discovery_response'
+};
+
+// Addresses beacons are also sent to directly, for networks that drop broadcasts
+const GATEWAY_ADDRESSES = ['192.168.0.1', '192.168.1.1', '192.168.43.1', '10.0.0.1', '10.0.0.138'];
+const SCAN_STEP = 10; // Beacon every 10th host of the local /24
+
+// Discovery state, set by startDiscovery()
+// options: { port, targetPorts, interval, methods, localAddresses, getLocalInfo }
+let options = null;
+let udpSocket = null;
+let beaconTimer = null;
+
+/**
+ * Calculate the broadcast address of a subnet
+ * @param {string} ipAddress - Address of the interface
+ * @param {string} netmask - Netmask of the interface
+ * @returns {string} - Subnet broadcast address
+ */
+function getSubnetBroadcast(ipAddress, netmask) {
+  const ip = ipAddress.split('.').map(Number);
+  const mask = netmask.split('.').map(Number);
+  return ip.map((octet, i) => octet | (~mask[i] & 255)).join('.');
+}
+
+/**
+ * Build a beacon describing this node
+ * @param {string} type - One of BEACON_TYPES
+ * @returns {Buffer} - Encoded beacon
+ */
+function buildBeacon(type) {
+  const { nodeId, hostname, displayName, wsPort, version, capabilities } = options.getLocalInfo();
+  return Buffer.from(JSON.stringify({
+    type,
+    nodeId,
+    hostname,
+    displayName,
+    port: wsPort,
+    version,
+    capabilities
+  }));
+}
+
+/**
+ * Send a beacon to one address, ignoring send errors
+ * @param {Buffer} beacon - Encoded beacon
+ * @param {string} address - Target address
+ * @param {number} port - Target UDP port
+ */
+function sendBeacon(beacon, address, port) {
+  udpSocket.send(beacon, 0, beacon.length, port, address, (error) => {
+    if (error) {
+      console.error(`Error sending discovery beacon to ${address}:`, error.message);
+    }
+  });
+}
+
+/**
+ * Send a beacon to one address on every port beacons go to
+ * @param {Buffer} beacon - Encoded beacon
+ * @param {string} address - Target address
+ */
+function sendBeaconToPorts(beacon, address) {
+  for (const port of options.targetPorts) {
+    sendBeacon(beacon, address, port);
+  }
+}
+
+/**
+ * Send a discovery beacon to the broadcast address of every local network
+ * (broadcast method) and to the common gateway addresses and a sample of
+ * the local /24 (scan method)
+ */
+function sendDiscoveryBeacon() {
+  if (!udpSocket) return;
+
+  const beacon = buildBeacon(BEACON_TYPES.DISCOVERY);
+  const localAddresses = options.localAddresses.map(iface => iface.address);
+
+  if (options.methods.includes(DISCOVERY_METHODS.BROADCAST)) {
+    for (const iface of options.localAddresses) {
+      const subnetBroadcast = getSubnetBroadcast(iface.address, iface.netmask);
+      console.log(`Broadcasting to subnet ${subnetBroadcast} on interface ${iface.name}`);
+      sendBeaconToPorts(beacon, subnetBroadcast);
+    }
+    sendBeaconToPorts(beacon, '255.255.255.255');
+  }
+
+  if (options.methods.includes(DISCOVERY_METHODS.SCAN)) {
+    for (const gateway of GATEWAY_ADDRESSES) {
+      sendBeaconToPorts(beacon, gateway);
+    }
+
+    // Hosts that block broadcasts can still answer a beacon sent to them directly
+    const ipBase = localAddresses[0].split('.').slice(0, 3).join('.');
+    for (let i = SCAN_STEP; i < 255; i += SCAN_STEP) {
+      const targetIp = `${ipBase}.${i}`;
+      if (!localAddresses.includes(targetIp)) {
+        sendBeaconToPorts(beacon, targetIp);
+      }
+    }
+  }
+}
+
+/**
+ * Look for peers now with every enabled method
+ */
+function discoverPeers() {
+  sendDiscoveryBeacon();
+  if (options && options.methods.includes(DISCOVERY_METHODS.MDNS)) {
+    queryMdns();
+  }
+}
+
+/**
+ * Pick the discovery methods to run from a setting, dropping unknown names
+ * @param {Array<string>|undefined} methods - Configured methods
+ * @returns {Array<string>} - Methods to run
+ */
+function resolveDiscoveryMethods(methods) {
+  if (!Array.isArray(methods)) {
+    return DEFAULT_DISCOVERY_METHODS;
+  }
+  const known = Object.values(DISCOVERY_METHODS);
+  methods.filter(method => !known.includes(method)).forEach(method => {
+    console.error(`Ignoring unknown discovery method: ${method}`);
+  });
+  return methods.filter(method => known.includes(method));
+}
+
+/**
+ * Handle a beacon from another node: answer it if it asks, and add or
+ * refresh the sender in the discovered peer list
+ * @param {Buffer} msg - Datagram
+ * @param {Object} rinfo - Sender address
+ */
+function handleBeacon(msg, rinfo) {
+  let beacon;
+  try {
+    beacon = JSON.parse(msg.toString());
+  } catch (error) {
+    return;
+  }
+  if (!beacon || !Object.values(BEACON_TYPES).includes(beacon.type)) {
+    return;
+  }
+
+  // Ignore our own beacons coming back from the broadcast
+  const { nodeId, hostname } = options.getLocalInfo();
+  const isSelf = beacon.nodeId
+    ? beacon.nodeId === nodeId
+    : options.localAddresses.some(iface => iface.address === rinfo.address) || beacon.hostname === hostname;
+  if (isSelf) {
+    return;
+  }
+
+  console.log(`${beacon.type === BEACON_TYPES.DISCOVERY ? 'Discovery message' : 'Discovery response'} from ${beacon.hostname || rinfo.address} (${rinfo.address}:${beacon.port})`);
+
+  if (beacon.type === BEACON_TYPES.DISCOVERY) {
+    sendBeacon(buildBeacon(BEACON_TYPES.RESPONSE), rinfo.address, rinfo.port);
+  }
+
+  const port = Number(beacon.port) || options.getLocalInfo().wsPort;
+  const beaconNodeId = typeof beacon.nodeId === 'string' ? beacon.nodeId : null;
+  addPeerToDiscoveryList({
+    id: beaconNodeId || `${rinfo.address}:${port}`,
+    ip: rinfo.address,
+    port,
+    nodeId: beaconNodeId,
+    hostname: typeof beacon.hostname === 'string' ? beacon.hostname : 'Unknown',
+    displayName: typeof beacon.displayName === 'string' ? beacon.displayName : null,
+    version: typeof beacon.version === 'string' ? beacon.version : '1.0.0',
+    capabilities: Array.isArray(beacon.capabilities) ? beacon.capabilities : []
+  });
+}
+
+/**
+ * Start the enabled discovery methods
+ * @param {Object} discoveryOptions - Discovery settings
+ * @param {number} discoveryOptions.port - UDP port beacons are received on and sent to
+ * @param {Array<number>} [discoveryOptions.targetPorts] - Other UDP ports beacons are also sent to
+ * @param {number} discoveryOptions.interval - Milliseconds between beacons and mDNS queries
+ * @param {Array<string>} discoveryOptions.methods - DISCOVERY_METHODS to run (defaults when not an array)
+ * @param {Array} discoveryOptions.localAddresses - Local IPv4 interfaces: [{ address, netmask, name }]
+ * @param {Function} discoveryOptions.getLocalInfo - Returns { nodeId, hostname, displayName, wsPort, version, capabilities }
+ */
+function startDiscovery(discoveryOptions) {
+  options = {
+    ...discoveryOptions,
+    targetPorts: [...new Set([discoveryOptions.port, ...(discoveryOptions.targetPorts || [])])],
+    methods: resolveDiscoveryMethods(discoveryOptions.methods)
+  };
+  console.log(`Peer discovery methods: ${options.methods.join(', ') || 'none'}`);
+
+  if (options.methods.includes(DISCOVERY_METHODS.MDNS)) {
+    startMdns({
+      localAddresses: options.localAddresses,
+      getLocalInfo: options.getLocalInfo,
+      onPeer: addPeerToDiscoveryList
+    });
+  }
+
+  // The beacon socket also answers beacons, so it only runs with a method that uses it
+  if (options.methods.includes(DISCOVERY_METHODS.BROADCAST) || options.methods.includes(DISCOVERY_METHODS.SCAN)) {
+    startBeacons();
+  }
+  beaconTimer = setInterval(discoverPeers, options.interval);
+}
+
+/**
+ * Bind the beacon socket and send the first beacon
+ */
+function startBeacons() {
+  udpSocket = dgram.createSocket('udp4');
+
+  udpSocket.on('error', (err) => {
+    console.error(`UDP socket error: ${err.message}`);
+    udpSocket.close();
+    udpSocket = null;
+  });
+
+  udpSocket.on('message', (msg, rinfo) => {
+    try {
+      handleBeacon(msg, rinfo);
+    } catch (error) {
+      console.error('Error processing UDP message:', error);
+    }
+  });
+
+  udpSocket.bind(options.port, '0.0.0.0', () => {
+    console.log(`UDP discovery service running on port ${options.port}, beacons to ${options.targetPorts.join(', ')}`);
+    udpSocket.setBroadcast(true);
+    sendDiscoveryBeacon();
+  });
+}
+
+/**
+ * Stop every discovery method
+ */
+function stopDiscovery() {
+  stopMdns();
+  if (beaconTimer) {
+    clearInterval(beaconTimer);
+    beaconTimer = null;
+  }
+  if (udpSocket) {
+    const socket = udpSocket;
+    udpSocket = null;
+    try {
+      socket.close();
+    } catch (error) {
+      // Already closed
+    }
+  }
+}
+
+module.exports = {
+  BEACON_TYPES,
+  DISCOVERY_METHODS,
+  startDiscovery,
+  stopDiscovery,
+  discoverPeers
+};
@@ -1,42 +1,176 @@
 /**
  * encryption.js - Encryption module for IP Messenger Clone
- * 
- * This module provides AES encryption and decryption functions for securing
- * messages and file transfers between peers on the local network.
+ *
+ * This module provides authenticated AES-256-GCM encryption and decryption
+ * functions for securing messages and file transfers between peers on the
+ * local network. Keys are negotiated per connection by keyExchange.js and
+ * passed in by the caller.
+ *
+ * Wire envelope (base64 encoded for text frames, raw for buffers):
+ *   [version:1][keyId:8][nonce:12][ciphertext:n][authTag:16]
+ * The version byte and key id are authenticated as associated data, so a
+ * frame that has been tampered with anywhere fails verification.
+ *
+ * Binary frames carry file data without base64. They use the same envelope,
+ * sent raw, around a small length-prefixed JSON header and the bytes that
+ * would otherwise have been base64 encoded in the message's `data` field:
+ *   plaintext = [headerLength:4][header JSON][payload]
+ *
+ * Older nodes never run the key exchange: they encrypt with AES-256-CBC under
+ * the static key every node used to share, as `iv:ciphertext`. Those frames
+ * are only accepted, and only answered in the same format, when enabled with
+ * setLegacyCbcAllowed() while older nodes are migrated, and only on a
+ * connection that has no session key.
  */
 
 const crypto = require('crypto');
 
 // Encryption settings
-// Note: In a production environment, these should be stored securely and not hardcoded
-const ENCRYPTION_KEY = 'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6'; // 32 bytes for AES-256
-const ENCRYPTION_IV_LENGTH = 16; // 16 bytes for AES
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
+const ENCRYPTION_KEY_LENGTH = 32; // 32 bytes for AES-256
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 2;
+const KEY_ID_LENGTH = 8;
+const NONCE_LENGTH = 12; // 12 bytes is the recommended GCM nonce size
+const AUTH_TAG_LENGTH = 16;
+const HEADER_LENGTH = 1 + KEY_ID_LENGTH;
+
+const FRAME_HEADER_LENGTH_BYTES = 4;
+
+// Legacy settings (AES-256-CBC, format iv:encrypted, static key shared by all older nodes)
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const LEGACY_IV_LENGTH = 16;
+const LEGACY_ENCRYPTION_KEY = Buffer.from('a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6');
+
+// Whether legacy CBC frames are accepted on receive
+let legacyCbcAllowed = false;
+
+/**
+ * Validate a session key before handing it to the cipher
+ * @param {Buffer} key - Session key
+ * @returns {Buffer} - The same key
+ */
+function requireKey(key) {
+  if (!Buffer.isBuffer(key) || key.length !== ENCRYPTION_KEY_LENGTH) {
+    throw new Error('A 32-byte session key is required');
+  }
+  return key;
+}
+
+/**
+ * Get the key id carried in the envelope header for a session key
+ * @param {Buffer} key - Session key
+ * @returns {Buffer} - First 8 bytes of the SHA-256 hash of the key
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_LENGTH);
+}
+
+/**
+ * Enable or disable acceptance of legacy AES-256-CBC frames
+ * @param {boolean} allowed - True to accept legacy frames
+ */
+function setLegacyCbcAllowed(allowed) {
+  legacyCbcAllowed = !!allowed;
+}
+
+/**
+ * Seal plaintext bytes into a versioned envelope
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} key - Session key
+ * @returns {Buffer} - Envelope bytes
+ */
+function seal(plaintext, key) {
+  const header = Buffer.concat([Buffer.from([ENVELOPE_VERSION]), getKeyId(requireKey(key))]);
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, nonce, { authTagLength: AUTH_TAG_LENGTH });
+  cipher.setAAD(header);
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([header, nonce, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Open a versioned envelope, verifying its authentication tag
+ * @param {Buffer} envelope - Envelope bytes
+ * @param {Buffer} key - Session key
+ * @returns {Buffer} - Decrypted plaintext
+ */
+function open(envelope, key) {
+  if (envelope.length < HEADER_LENGTH + NONCE_LENGTH + AUTH_TAG_LENGTH) {
+    throw new Error('Envelope too short');
+  }
+
+  if (envelope[0] !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version ${envelope[0]}`);
+  }
+
+  const header = envelope.subarray(0, HEADER_LENGTH);
+  if (!header.subarray(1).equals(getKeyId(requireKey(key)))) {
+    throw new Error('Envelope key id does not match the session key');
+  }
+
+  const nonce = envelope.subarray(HEADER_LENGTH, HEADER_LENGTH + NONCE_LENGTH);
+  const ciphertext = envelope.subarray(HEADER_LENGTH + NONCE_LENGTH, envelope.length - AUTH_TAG_LENGTH);
+  const authTag = envelope.subarray(envelope.length - AUTH_TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, nonce, { authTagLength: AUTH_TAG_LENGTH });
+  decipher.setAAD(header);
+  decipher.setAuthTag(authTag);
+
+  // final() throws if the authentication tag does not verify
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Check whether a text frame is in the legacy `iv:ciphertext` format
+ * @param {string} encryptedMessage - Text frame
+ * @returns {boolean} - True for a legacy frame (base64 envelopes have no colon)
+ */
+function isLegacyMessage(encryptedMessage) {
+  return typeof encryptedMessage === 'string' && encryptedMessage.includes(':');
+}
+
+/**
+ * Decrypt legacy AES-256-CBC data with the static key older nodes share
+ * @param {Buffer} iv - Initialization vector
+ * @param {Buffer} encrypted - Ciphertext
+ * @returns {Buffer} - Decrypted plaintext
+ */
+function openLegacy(iv, encrypted) {
+  if (!legacyCbcAllowed) {
+    throw new Error('Legacy CBC frames are not accepted');
+  }
+
+  const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, LEGACY_ENCRYPTION_KEY, iv);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
 
 /**
- * Encrypt a string message using AES encryption
+ * Encrypt a string message for an older node, in the legacy `iv:ciphertext` format
  * @param {string} message - The plaintext message to encrypt
- * @returns {string} - Base64 encoded encrypted message
+ * @returns {string} - Hex IV and base64 ciphertext separated by a colon
  */
-function encryptMessage(message) {
+function encryptLegacyMessage(message) {
+  if (!legacyCbcAllowed) {
+    throw new Error('Legacy CBC frames are not accepted');
+  }
+
+  const iv = crypto.randomBytes(LEGACY_IV_LENGTH);
+  const cipher = crypto.createCipheriv(LEGACY_ALGORITHM, LEGACY_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(message, 'utf8'), cipher.final()]);
+  return `${iv.toString('hex')}:${encrypted.toString('base64')}`;
+}
+
+/**
+ * Encrypt a string message using AES-GCM encryption
+ * @param {string} message - The plaintext message to encrypt
+ * @param {Buffer} key - Session key of the connection the message is sent on
+ * @returns {string} - Base64 encoded envelope
+ */
+function encryptMessage(message, key) {
   try {
-    // Generate a random initialization vector
-    const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
-    
-    // Create cipher with key and iv
-    const cipher = crypto.createCipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY),
-      iv
-    );
-    
-    // Encrypt the message
-    let encrypted = cipher.update(message, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
-    
-    // Prepend the IV to the encrypted message (IV is needed for decryption)
-    // Format: iv:encrypted
-    return iv.toString('hex') + ':' + encrypted;
+    return seal(Buffer.from(message, 'utf8'), key).toString('base64');
   } catch (error) {
     console.error('Encryption error:', error);
     throw new Error('Failed to encrypt message');
@@ -44,36 +178,31 @@ function encryptMessage(message) {
 }
 
 /**
- * Decrypt an encrypted message
- * @param {string} encryptedMessage - The encrypted message (format: iv:encrypted)
+ * Decrypt and verify an encrypted message
+ * @param {string} encryptedMessage - Base64 envelope (or legacy iv:encrypted when allowed)
+ * @param {Buffer|null} key - Session key of the connection the message arrived on, null before the key exchange
  * @returns {string} - Decrypted plaintext message
  */
-function decryptMessage(encryptedMessage) {
+function decryptMessage(encryptedMessage, key) {
   try {
-    // Split the IV and encrypted parts
-    const parts = encryptedMessage.split(':');
-    
-    if (parts.length !== 2) {
-      throw new Error('Invalid encrypted message format');
+    // Legacy frames are hex iv and base64 ciphertext separated by a colon
+    if (isLegacyMessage(encryptedMessage)) {
+      // Only older nodes send them, and those never run the key exchange
+      if (key) {
+        throw new Error('Legacy frames are not accepted on a connection with a session key');
+      }
+      const parts = encryptedMessage.split(':');
+
+      if (parts.length !== 2) {
+        throw new Error('Invalid encrypted message format');
+      }
+
+      return openLegacy(Buffer.from(parts[0], 'hex'), Buffer.from(parts[1], 'base64')).toString('utf8');
     }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    // Create decipher with key and iv
-    const decipher = crypto.createDecipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY),
-      iv
-    );
-    
-    // Decrypt the message
-    let decrypted = decipher.update(encrypted, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+
+    return open(Buffer.from(encryptedMessage, 'base64'), key).toString('utf8');
   } catch (error) {
-    console.error('Decryption error:', error);
+    console.error('Decryption error:', error.message);
     throw new Error('Failed to decrypt message');
   }
 }
@@ -81,28 +210,12 @@ function decryptMessage(encryptedMessage) {
 /**
  * Encrypt a buffer (for file transfers)
  * @param {Buffer} buffer - The buffer to encrypt
- * @returns {Buffer} - Encrypted buffer with IV prepended
+ * @param {Buffer} key - Session key shared with the receiving peer
+ * @returns {Buffer} - Envelope bytes
  */
-function encryptBuffer(buffer) {
+function encryptBuffer(buffer, key) {
   try {
-    // Generate a random initialization vector
-    const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
-    
-    // Create cipher with key and iv
-    const cipher = crypto.createCipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY),
-      iv
-    );
-    
-    // Encrypt the buffer
-    const encryptedBuffer = Buffer.concat([
-      cipher.update(buffer),
-      cipher.final()
-    ]);
-    
-    // Prepend the IV to the encrypted buffer
-    return Buffer.concat([iv, encryptedBuffer]);
+    return seal(buffer, key);
   } catch (error) {
     console.error('Buffer encryption error:', error);
     throw new Error('Failed to encrypt buffer');
@@ -110,34 +223,74 @@ function encryptBuffer(buffer) {
 }
 
 /**
- * Decrypt an encrypted buffer
- * @param {Buffer} encryptedBuffer - The encrypted buffer with IV prepended
+ * Decrypt and verify an encrypted buffer
+ * @param {Buffer} encryptedBuffer - Envelope bytes (or legacy IV-prefixed CBC data when allowed)
+ * @param {Buffer|null} key - Session key shared with the sending peer, null for an older node without one
  * @returns {Buffer} - Decrypted buffer
  */
-function decryptBuffer(encryptedBuffer) {
+function decryptBuffer(encryptedBuffer, key) {
   try {
-    // Extract the IV from the beginning of the buffer
-    const iv = encryptedBuffer.slice(0, ENCRYPTION_IV_LENGTH);
-    const encrypted = encryptedBuffer.slice(ENCRYPTION_IV_LENGTH);
-    
-    // Create decipher with key and iv
-    const decipher = crypto.createDecipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY),
-      iv
-    );
-    
-    // Decrypt the buffer
-    return Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final()
-    ]);
+    if (!key) {
+      if (!legacyCbcAllowed) {
+        throw new Error('No session key for this connection');
+      }
+      return openLegacy(
+        encryptedBuffer.subarray(0, LEGACY_IV_LENGTH),
+        encryptedBuffer.subarray(LEGACY_IV_LENGTH)
+      );
+    }
+
+    return open(encryptedBuffer, key);
   } catch (error) {
-    console.error('Buffer decryption error:', error);
+    console.error('Buffer decryption error:', error.message);
     throw new Error('Failed to decrypt buffer');
   }
 }
 
+/**
+ * Encrypt a message into a binary frame, carrying its `data` as raw bytes
+ * @param {Object} message - Message object; `data` must be a Buffer
+ * @param {Buffer} key - Session key of the connection the frame is sent on
+ * @returns {Buffer} - Envelope bytes to send as a binary WebSocket frame
+ */
+function encryptFrame(message, key) {
+  try {
+    const { data, ...header } = message;
+    const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+    const headerLength = Buffer.alloc(FRAME_HEADER_LENGTH_BYTES);
+    headerLength.writeUInt32BE(headerBytes.length, 0);
+
+    return seal(Buffer.concat([headerLength, headerBytes, data]), key);
+  } catch (error) {
+    console.error('Frame encryption error:', error);
+    throw new Error('Failed to encrypt frame');
+  }
+}
+
+/**
+ * Decrypt and verify a binary frame
+ * @param {Buffer} frame - Envelope bytes received as a binary WebSocket frame
+ * @param {Buffer} key - Session key of the connection the frame arrived on
+ * @returns {Object} - Message object with `data` as a Buffer
+ */
+function decryptFrame(frame, key) {
+  try {
+    const plaintext = open(frame, key);
+    const headerLength = plaintext.readUInt32BE(0);
+    const payloadStart = FRAME_HEADER_LENGTH_BYTES + headerLength;
+
+    if (payloadStart > plaintext.length) {
+      throw new Error('Frame header length exceeds frame size');
+    }
+
+    const header = JSON.parse(plaintext.subarray(FRAME_HEADER_LENGTH_BYTES, payloadStart).toString('utf8'));
+    return { ...header, data: plaintext.subarray(payloadStart) };
+  } catch (error) {
+    console.error('Frame decryption error:', error.message);
+    throw new Error('Failed to decrypt frame');
+  }
+}
+
 /**
  * Generate a random encryption key
  * @param {number} length - Length of the key in bytes
@@ -161,6 +314,11 @@ module.exports = {
   decryptMessage,
   encryptBuffer,
   decryptBuffer,
+  encryptFrame,
+  decryptFrame,
+  isLegacyMessage,
+  encryptLegacyMessage,
+  setLegacyCbcAllowed,
   generateEncryptionKey,
   hashString
-};
\ No newline at end of file
+};
@@ -3,13 +3,29 @@
  * 
  * This module handles file transfers between peers, including chunking large files,
  * tracking transfer progress, and reassembling received files.
+ * 
+ * Every chunk carries the SHA-256 hash of its plaintext and the request carries
+ * the hash of the whole file, so corrupted chunks are requested again and the
+ * finished file is verified before it is moved into the downloads folder.
+ * Received chunks are written straight to their offset in a `.download` file
+ * that is preallocated to the full size, so nothing is reassembled in memory.
+ * Receivers keep a bitmap of received chunks in a `.partial` file; when either
+ * side reconnects the receiver sends `file_resume` listing only the chunks it
+ * is still missing.
+ * 
+ * Chunks are sent through a sliding window: each one is acknowledged with
+ * `file_chunk_ack`, the window adapts to how quickly acks come back, and the
+ * sender pauses while the socket still has too much data buffered.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { getPeerById, sendToPeer } = require('./peers');
+const { getPeerById, sendToPeer, peerSupportsBinaryFrames } = require('./peers');
 const { encryptBuffer, decryptBuffer } = require('./encryption');
+const { getSessionKey } = require('./keyExchange');
+const { loadCollection, saveCollection, writeFileAtomic } = require('./storage');
+const { getConfig } = require('./config');
 
 // Store ongoing file transfers
 const activeTransfers = new Map();
@@ -18,7 +34,34 @@ const activeTransfers = new Map();
 const DEFAULT_CHUNK_SIZE = 1024 * 1024;
 
 // Directory to store received files
-const DOWNLOAD_DIR = path.join(process.cwd(), 'downloads');
+const DOWNLOAD_DIR = getConfig().downloadDir;
+
+// Flow control: the sender keeps a window of unacknowledged chunks in flight.
+// The window grows by one chunk per window's worth of file_chunk_ack replies
+// and halves when a chunk goes unacknowledged for ACK_TIMEOUT.
+const INITIAL_WINDOW = 4;
+const MIN_WINDOW = 1;
+const MAX_WINDOW = 64;
+const ACK_TIMEOUT = 15000; // 15 seconds
+const ACK_CHECK_INTERVAL = 1000;
+
+// Backpressure: stop queueing chunks while this much is still buffered on the socket
+const MAX_BUFFERED_AMOUNT = 8 * 1024 * 1024; // 8MB
+const BACKPRESSURE_RETRY_MS = 20;
+
+// Suffixes for an incoming transfer's files until it has been verified:
+// received data is written to `transfer-<key>.download` and the receive state
+// (including the bitmap of received chunks) to `transfer-<key>.partial`, where
+// the key is derived from the sender and transfer ID (getTransferFileBase)
+const TRANSFER_FILE_PREFIX = 'transfer-';
+const DOWNLOAD_SUFFIX = '.download';
+const PARTIAL_SUFFIX = '.partial';
+
+// Largest chunk size a sender may ask us to receive in
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024; // 16MB
+
+// Whole-file and chunk hashes are hex SHA-256
+const SHA256_HEX = /^[0-9a-f]{64}$/;
 
 // Ensure download directory exists
 if (!fs.existsSync(DOWNLOAD_DIR)) {
@@ -34,91 +77,485 @@ function generateTransferId() {
 }
 
 /**
- * Initiate sending a file to a peer
- * @param {string} filePath - Path to the file to send
- * @param {string} targetPeerId - ID of the peer to send the file to
- * @returns {Promise} - Resolves with transfer ID if successful
+ * Get the path, without suffix, of an incoming transfer's temporary files.
+ * They are named after the sender and transfer ID rather than the file name,
+ * so transfers of files with the same name never share them.
+ * @param {string} senderPeerId - ID of the peer sending the file
+ * @param {string} transferId - Transfer ID
+ * @returns {string} - Path in the download directory
+ */
+function getTransferFileBase(senderPeerId, transferId) {
+  const key = crypto.createHash('sha256').update(`${senderPeerId}\0${transferId}`).digest('hex').slice(0, 32);
+  return path.join(DOWNLOAD_DIR, TRANSFER_FILE_PREFIX + key);
+}
+
+/**
+ * Check that a file transfer request describes a consistent transfer
+ * @param {Object} request - { fileName, fileSize, fileHash, chunkSize, totalChunks }
+ * @param {number} chunkSize - Chunk size the request asks for (or the default)
+ * @returns {string|null} - What is wrong with the request, or null if it is valid
+ */
+function validateTransferRequest(request, chunkSize) {
+  const { fileName, fileSize, fileHash, totalChunks } = request;
+  if (!Number.isSafeInteger(fileSize) || fileSize < 0) {
+    return 'fileSize must be a non-negative integer';
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    return `chunkSize must be an integer between 1 and ${MAX_CHUNK_SIZE}`;
+  }
+  if (totalChunks !== Math.ceil(fileSize / chunkSize)) {
+    return 'totalChunks does not match fileSize and chunkSize';
+  }
+  if (typeof fileHash !== 'string' || !SHA256_HEX.test(fileHash)) {
+    return 'fileHash must be a hex SHA-256 hash';
+  }
+  if (!getSafeFileName(fileName)) {
+    return 'fileName is not a usable file name';
+  }
+  return null;
+}
+
+/**
+ * Reduce a file name from a peer to a base name that stays in the download directory
+ * @param {string} fileName - File name from the request
+ * @returns {string|null} - Base name, or null if nothing usable is left
  */
-function sendFile(filePath, targetPeerId) {
+function getSafeFileName(fileName) {
+  const baseName = path.basename(String(fileName));
+  return baseName && baseName !== '.' && baseName !== '..' ? baseName : null;
+}
+
+/**
+ * Compute the SHA-256 hash of a buffer
+ * @param {Buffer} buffer - Data to hash
+ * @returns {string} - Hex encoded hash
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Compute the SHA-256 hash of a file by streaming it from disk
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Resolves with the hex encoded hash
+ */
+function hashFile(filePath) {
   return new Promise((resolve, reject) => {
-    // Check if the file exists
-    if (!fs.existsSync(filePath)) {
-      return reject(new Error(`File not found: ${filePath}`));
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Check whether a chunk is marked as received in a bitmap
+ * @param {Buffer} bitmap - One bit per chunk
+ * @param {number} index - Chunk index
+ * @returns {boolean} - True if the chunk has been received
+ */
+function hasChunk(bitmap, index) {
+  return (bitmap[index >> 3] & (1 << (index & 7))) !== 0;
+}
+
+/**
+ * Mark a chunk as received in a bitmap
+ * @param {Buffer} bitmap - One bit per chunk
+ * @param {number} index - Chunk index
+ */
+function markChunk(bitmap, index) {
+  bitmap[index >> 3] |= 1 << (index & 7);
+}
+
+/**
+ * Get the indices of chunks an incoming transfer has not received yet
+ * @param {Object} transfer - Incoming transfer
+ * @returns {Array<number>} - Missing chunk indices in ascending order
+ */
+function getMissingChunks(transfer) {
+  const missing = [];
+  for (let i = 0; i < transfer.totalChunks; i++) {
+    if (!hasChunk(transfer.bitmap, i)) {
+      missing.push(i);
     }
-    
-    // Check if the target peer exists
-    const targetPeer = getPeerById(targetPeerId);
-    if (!targetPeer) {
-      return reject(new Error(`Target peer not found: ${targetPeerId}`));
+  }
+  return missing;
+}
+
+/**
+ * Save an incoming transfer's receive state to its `.partial` file
+ * @param {Object} transfer - Incoming transfer
+ */
+function savePartialState(transfer) {
+  writeFileAtomic(transfer.partialPath, JSON.stringify({
+    transferId: transfer.transferId,
+    fileName: transfer.fileName,
+    fileSize: transfer.fileSize,
+    fileHash: transfer.fileHash,
+    chunkSize: transfer.chunkSize,
+    totalChunks: transfer.totalChunks,
+    senderPeerId: transfer.senderPeerId,
+    outputPath: transfer.outputPath,
+    dataPath: transfer.dataPath,
+    bitmap: transfer.bitmap.toString('base64'),
+    startTime: transfer.startTime,
+    updatedAt: Date.now()
+  }));
+}
+
+/**
+ * Save outgoing transfers so they can still be resumed after a backend restart
+ */
+function saveOutgoingTransfers() {
+  const outgoing = {};
+  for (const [transferId, transfer] of activeTransfers) {
+    if (transfer.filePath && transfer.status !== 'completed' && transfer.status !== 'cancelled') {
+      const { fd, pendingChunks, inFlight, ackTimer, sendTimer, ...record } = transfer;
+      outgoing[transferId] = record;
+    }
+  }
+  saveCollection('outgoingTransfers', outgoing);
+}
+
+/**
+ * Update a transfer's throughput estimate and ETA
+ * 
+ * The rate is an exponentially weighted moving average of bytes per second,
+ * sampled each time a chunk is acknowledged (sender) or received (receiver).
+ * 
+ * @param {Object} transfer - File transfer
+ * @param {number} bytes - Size of the chunk that just completed
+ * @param {number} since - Time the sample started (previous completion, or when the chunk was sent)
+ * @param {number} remainingBytes - Bytes still to transfer
+ */
+function updateThroughput(transfer, bytes, since, remainingBytes) {
+  const now = Date.now();
+  const sample = (bytes * 1000) / Math.max(now - since, 1);
+  
+  transfer.bytesPerSecond = transfer.bytesPerSecond
+    ? transfer.bytesPerSecond * 0.8 + sample * 0.2
+    : sample;
+  transfer.etaSeconds = Math.ceil(remainingBytes / transfer.bytesPerSecond);
+  transfer.lastChunkAt = now;
+}
+
+/**
+ * Start checking an outgoing transfer for chunks that were never acknowledged
+ * @param {string} transferId - ID of the outgoing transfer
+ */
+function startAckTimer(transferId) {
+  const transfer = activeTransfers.get(transferId);
+  if (!transfer || transfer.ackTimer) {
+    return;
+  }
+  
+  transfer.ackTimer = setInterval(() => {
+    const now = Date.now();
+    const timedOut = [];
+    for (const [chunkIndex, sent] of transfer.inFlight) {
+      if (now - sent.sentAt > ACK_TIMEOUT) {
+        timedOut.push(chunkIndex);
+      }
+    }
+    if (timedOut.length === 0) {
+      return;
     }
     
-    // Get file stats
-    const stats = fs.statSync(filePath);
-    const fileName = path.basename(filePath);
-    
-    // Generate a unique transfer ID
-    const transferId = generateTransferId();
-    
-    // Calculate number of chunks
-    const totalChunks = Math.ceil(stats.size / DEFAULT_CHUNK_SIZE);
-    
-    // Store transfer information
+    // Treat a timeout as congestion: resend the chunks with half the window
+    console.log(`${timedOut.length} chunks of ${transfer.fileName} were not acknowledged, resending`);
+    for (const chunkIndex of timedOut) {
+      transfer.inFlight.delete(chunkIndex);
+    }
+    transfer.pendingChunks = [...timedOut, ...transfer.pendingChunks];
+    transfer.window = Math.max(MIN_WINDOW, transfer.window / 2);
+    sendNextChunk(transferId);
+  }, ACK_CHECK_INTERVAL);
+}
+
+/**
+ * Stop an outgoing transfer's timers
+ * @param {Object} transfer - Outgoing transfer
+ */
+function stopTransferTimers(transfer) {
+  if (transfer.ackTimer) {
+    clearInterval(transfer.ackTimer);
+    transfer.ackTimer = null;
+  }
+  if (transfer.sendTimer) {
+    clearTimeout(transfer.sendTimer);
+    transfer.sendTimer = null;
+  }
+}
+
+/**
+ * Close a transfer's open file descriptor, if any
+ * @param {Object} transfer - File transfer
+ */
+function closeTransferFile(transfer) {
+  if (transfer.fd !== null && transfer.fd !== undefined) {
+    try {
+      fs.closeSync(transfer.fd);
+    } catch (error) {
+      console.error(`Error closing file for ${transfer.fileName}:`, error);
+    }
+    transfer.fd = null;
+  }
+}
+
+/**
+ * Open an incoming transfer's `.download` file for writing chunks at their
+ * offsets, creating it at the full file size if it does not exist yet
+ * @param {Object} transfer - Incoming transfer
+ */
+function openDownloadFile(transfer) {
+  if (fs.existsSync(transfer.dataPath)) {
+    transfer.fd = fs.openSync(transfer.dataPath, 'r+');
+    return;
+  }
+  
+  transfer.fd = fs.openSync(transfer.dataPath, 'w');
+  // Preallocate so running out of disk space shows up now, not halfway through
+  fs.ftruncateSync(transfer.fd, transfer.fileSize);
+}
+
+/**
+ * Find a path that does not exist yet, adding " (n)" before the extension
+ * if a file with the same name is already there
+ * @param {string} filePath - Desired path
+ * @returns {string} - Free path
+ */
+function getAvailablePath(filePath) {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  let candidate = filePath;
+  for (let n = 1; fs.existsSync(candidate); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+  return candidate;
+}
+
+/**
+ * Remove an incoming transfer's `.download` and `.partial` files
+ * @param {Object} transfer - Incoming transfer
+ */
+function removePartialFiles(transfer) {
+  for (const filePath of [transfer.dataPath, transfer.partialPath]) {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error(`Error removing ${filePath}:`, error);
+    }
+  }
+}
+
+/**
+ * Restore transfers that were interrupted by a backend restart
+ * 
+ * Incoming transfers are restored from the `.partial` files in the download
+ * directory, outgoing transfers from storage. Both are marked 'interrupted'
+ * until the peer reconnects and the missing chunks are requested again.
+ */
+function restoreInterruptedTransfers() {
+  try {
+    for (const entry of fs.readdirSync(DOWNLOAD_DIR)) {
+      if (!entry.endsWith(PARTIAL_SUFFIX)) continue;
+
+      const partialPath = path.join(DOWNLOAD_DIR, entry);
+      try {
+        const state = JSON.parse(fs.readFileSync(partialPath, 'utf8'));
+        const transfer = {
+          ...state,
+          partialPath,
+          bitmap: Buffer.from(state.bitmap, 'base64'),
+          fd: null,
+          status: 'interrupted'
+        };
+        transfer.receivedChunks = transfer.totalChunks - getMissingChunks(transfer).length;
+        activeTransfers.set(state.transferId, transfer);
+      } catch (error) {
+        console.error(`Error restoring partial transfer ${entry}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error scanning for partial transfers:', error);
+  }
+
+  const outgoing = loadCollection('outgoingTransfers', {});
+  for (const [transferId, transfer] of Object.entries(outgoing)) {
     activeTransfers.set(transferId, {
-      filePath,
-      fileName,
-      fileSize: stats.size,
-      targetPeerId,
-      totalChunks,
-      sentChunks: 0,
-      startTime: Date.now(),
-      status: 'initiating'
+      ...transfer,
+      fd: null,
+      pendingChunks: [],
+      inFlight: new Map(),
+      window: INITIAL_WINDOW,
+      status: 'interrupted'
     });
-    
-    // Send file transfer request to the target peer
-    const fileRequest = {
-      type: 'file_request',
-      transferId,
-      fileName,
-      fileSize: stats.size,
-      totalChunks,
-      timestamp: Date.now()
-    };
-    
-    const sent = sendToPeer(targetPeerId, JSON.stringify(fileRequest));
-    
-    if (sent) {
-      console.log(`File transfer request sent to ${targetPeerId} for ${fileName}`);
-      activeTransfers.get(transferId).status = 'awaiting_acceptance';
-      resolve(transferId);
-    } else {
-      activeTransfers.delete(transferId);
-      reject(new Error(`Failed to send file transfer request to ${targetPeerId}`));
-    }
+  }
+
+  if (activeTransfers.size) {
+    console.log(`Restored ${activeTransfers.size} interrupted file transfers`);
+  }
+}
+
+/**
+ * Initiate sending a file to a peer
+ * 
+ * The whole-file SHA-256 hash is computed before the request is sent so the
+ * receiver can verify the reassembled file.
+ * 
+ * @param {string} filePath - Path to the file to send
+ * @param {string} targetPeerId - ID of the peer to send the file to
+ * @returns {Promise} - Resolves with transfer ID if successful
+ */
+async function sendFile(filePath, targetPeerId) {
+  // Check if the file exists
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  
+  // Check if the target peer exists
+  const targetPeer = getPeerById(targetPeerId);
+  if (!targetPeer) {
+    throw new Error(`Target peer not found: ${targetPeerId}`);
+  }
+  
+  // Get file stats and hash
+  const stats = fs.statSync(filePath);
+  const fileName = path.basename(filePath);
+  const fileHash = await hashFile(filePath);
+  
+  // Generate a unique transfer ID
+  const transferId = generateTransferId();
+  
+  // Calculate number of chunks
+  const totalChunks = Math.ceil(stats.size / DEFAULT_CHUNK_SIZE);
+  
+  // Store transfer information
+  activeTransfers.set(transferId, {
+    transferId,
+    filePath,
+    fileName,
+    fileSize: stats.size,
+    fileHash,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    targetPeerId,
+    totalChunks,
+    sentChunks: 0,
+    pendingChunks: [],
+    inFlight: new Map(),     // chunkIndex -> { sentAt, size } awaiting file_chunk_ack
+    window: INITIAL_WINDOW,
+    fd: null,
+    startTime: Date.now(),
+    status: 'initiating'
   });
+  
+  // Send file transfer request to the target peer
+  const fileRequest = {
+    type: 'file_request',
+    transferId,
+    fileName,
+    fileSize: stats.size,
+    fileHash,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    totalChunks,
+    timestamp: Date.now()
+  };
+  
+  const sent = sendToPeer(targetPeerId, JSON.stringify(fileRequest));
+  
+  if (!sent) {
+    activeTransfers.delete(transferId);
+    throw new Error(`Failed to send file transfer request to ${targetPeerId}`);
+  }
+  
+  console.log(`File transfer request sent to ${targetPeerId} for ${fileName}`);
+  activeTransfers.get(transferId).status = 'awaiting_acceptance';
+  saveOutgoingTransfers();
+  return transferId;
 }
 
 /**
  * Handle a file transfer request from a peer
+ * 
+ * Received data goes to a `.download` file and the receive state to a
+ * `.partial` file, both named after the sender and transfer ID, so the
+ * transfer can be resumed if either side disconnects. If a `.partial` file
+ * already exists for the same transfer (the sender re-offered it), only the
+ * missing chunks are requested. The file only gets its own name, made unique
+ * in the download directory, once it has been verified.
+ * 
  * @param {Object} request - File transfer request object
  * @param {string} senderPeerId - ID of the peer sending the file
  */
 function handleFileTransferRequest(request, senderPeerId) {
-  const { transferId, fileName, fileSize, totalChunks } = request;
+  const { transferId, fileName, fileSize, fileHash, totalChunks } = request;
+  const chunkSize = request.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : request.chunkSize;
   
   console.log(`Received file transfer request from ${senderPeerId} for ${fileName} (${fileSize} bytes)`);
   
+  const reject = (reason) => {
+    console.error(`Rejected file transfer ${transferId} from ${senderPeerId}: ${reason}`);
+    sendToPeer(senderPeerId, JSON.stringify({ type: 'file_response', transferId, accepted: false, reason, timestamp: Date.now() }));
+  };
+  
+  const invalid = validateTransferRequest(request, chunkSize);
+  if (invalid) {
+    reject(invalid);
+    return;
+  }
+  
+  const existing = activeTransfers.get(transferId);
+  if (existing && existing.bitmap && existing.senderPeerId === senderPeerId) {
+    sendToPeer(senderPeerId, JSON.stringify({ type: 'file_response', transferId, accepted: true, timestamp: Date.now() }));
+    requestMissingChunks(transferId);
+    return;
+  }
+  if (existing) {
+    reject('Transfer ID already in use');
+    return;
+  }
+  
+  // Only keep the base name so a peer cannot write outside the download directory
+  const outputPath = path.join(DOWNLOAD_DIR, getSafeFileName(fileName));
+  const transferFileBase = getTransferFileBase(senderPeerId, transferId);
+  
   // Store information about the incoming transfer
-  activeTransfers.set(transferId, {
+  const transfer = {
+    transferId,
     fileName,
     fileSize,
+    fileHash,
+    chunkSize,
     senderPeerId,
     totalChunks,
     receivedChunks: 0,
-    chunks: new Map(),
+    bitmap: Buffer.alloc(Math.ceil(totalChunks / 8)),
     startTime: Date.now(),
     status: 'receiving',
-    outputPath: path.join(DOWNLOAD_DIR, fileName)
-  });
+    outputPath,
+    dataPath: transferFileBase + DOWNLOAD_SUFFIX,
+    partialPath: transferFileBase + PARTIAL_SUFFIX,
+    fd: null
+  };
+  
+  try {
+    // Left over from an earlier offer of this same transfer whose state was lost
+    if (fs.existsSync(transfer.dataPath)) {
+      fs.unlinkSync(transfer.dataPath);
+    }
+    openDownloadFile(transfer);
+    savePartialState(transfer);
+  } catch (error) {
+    console.error(`Error preparing download for ${fileName}:`, error);
+    closeTransferFile(transfer);
+    reject('Could not prepare the download');
+    return;
+  }
+  
+  activeTransfers.set(transferId, transfer);
   
   // Send acceptance response
   const response = {
@@ -137,6 +574,11 @@ function handleFileTransferRequest(request, senderPeerId) {
     fileSize,
     senderPeerId
   });
+  
+  // Zero-length files have no chunks to wait for
+  if (totalChunks === 0) {
+    saveCompletedFile(transferId);
+  }
 }
 
 /**
@@ -150,20 +592,28 @@ function handleFileTransferResponse(response, receiverPeerId) {
   // Get the transfer information
   const transfer = activeTransfers.get(transferId);
   
-  if (!transfer) {
+  if (!transfer || !transfer.filePath) {
     console.error(`Received response for unknown transfer: ${transferId}`);
     return;
   }
   
   if (accepted) {
+    // A re-accepted transfer waits for the receiver's file_resume instead
+    if (transfer.status !== 'awaiting_acceptance') {
+      return;
+    }
     console.log(`File transfer accepted by ${receiverPeerId} for ${transfer.fileName}`);
     transfer.status = 'sending';
+    transfer.pendingChunks = Array.from({ length: transfer.totalChunks }, (_, i) => i);
+    transfer.lastChunkAt = Date.now();
     
     // Start sending file chunks
+    startAckTimer(transferId);
     sendNextChunk(transferId);
   } else {
     console.log(`File transfer rejected by ${receiverPeerId} for ${transfer.fileName}`);
     transfer.status = 'rejected';
+    saveOutgoingTransfers();
     
     // Emit event for UI notification
     process.emit('file-transfer-rejected', {
@@ -180,17 +630,20 @@ function handleFileTransferResponse(response, receiverPeerId) {
 }
 
 /**
- * Send the next chunk of a file transfer
+ * Send as many chunks of a file transfer as the flow control window allows
  * 
  * This function handles the chunked file transfer process:
- * 1. Checks if all chunks have been sent, and if so, completes the transfer
- * 2. Calculates the position and size of the next chunk to send
- * 3. Reads the chunk from the file
- * 4. Encrypts and sends the chunk to the recipient
- * 5. Updates progress and schedules sending the next chunk
+ * 1. Checks if every chunk has been sent and acknowledged, and if so, tells the receiver
+ * 2. While fewer than `window` chunks are in flight, takes the next pending
+ *    chunk index (all chunks at first, only the missing ones after a file_resume)
+ * 3. Pauses while the peer socket's bufferedAmount is above MAX_BUFFERED_AMOUNT,
+ *    so a slow link is never overrun
+ * 4. Reads the chunk through the transfer's open descriptor, hashes,
+ *    encrypts and sends it, and records it as in flight
  * 
- * The chunking approach allows large files to be sent in manageable pieces,
- * preventing memory issues and allowing for progress tracking.
+ * It is called again whenever a file_chunk_ack frees a slot in the window.
+ * If a chunk cannot be sent the transfer is marked 'interrupted' and waits
+ * for the receiver to ask for the missing chunks with file_resume.
  * 
  * @param {string} transferId - ID of the file transfer to process
  */
@@ -203,97 +656,155 @@ function sendNextChunk(transferId) {
     return;
   }
   
-  // Check if all chunks have been sent - if so, complete the transfer
-  if (transfer.sentChunks >= transfer.totalChunks) {
+  // Check if all chunks have been sent and acknowledged - if so, tell the receiver.
+  // The transfer stays active until the receiver has verified the whole file.
+  if (transfer.pendingChunks.length === 0 && transfer.inFlight.size === 0) {
     console.log(`All chunks sent for ${transfer.fileName}`);
-    transfer.status = 'completed';
+    transfer.status = 'awaiting_verification';
+    stopTransferTimers(transfer);
+    closeTransferFile(transfer);
     
     // Create and send transfer complete message to the recipient
     const completeMessage = {
       type: 'file_transfer_complete',
       transferId,
+      fileHash: transfer.fileHash,
       timestamp: Date.now()
     };
     
     sendToPeer(transfer.targetPeerId, JSON.stringify(completeMessage));
+    return;
+  }
+  
+  const targetPeer = getPeerById(transfer.targetPeerId);
+  
+  while (transfer.pendingChunks.length > 0 && transfer.inFlight.size < Math.floor(transfer.window)) {
+    // Wait for the socket to drain before queueing more data on it
+    if (targetPeer && targetPeer.socket.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+      if (!transfer.sendTimer) {
+        transfer.sendTimer = setTimeout(() => {
+          transfer.sendTimer = null;
+          sendNextChunk(transferId);
+        }, BACKPRESSURE_RETRY_MS);
+      }
+      return;
+    }
     
-    // Emit event for UI notification so the user knows the transfer is complete
-    process.emit('file-transfer-completed', {
+    // Calculate the position and size of the next chunk to send
+    // Each chunk is positioned based on its index multiplied by the chunk size
+    const chunkIndex = transfer.pendingChunks[0];
+    const position = chunkIndex * transfer.chunkSize;
+    // The last chunk may be smaller than the chunk size
+    const chunkSize = Math.min(transfer.chunkSize, transfer.fileSize - position);
+    
+    // Read the chunk from the file using a buffer
+    // The file stays open for the whole transfer instead of once per chunk
+    const buffer = Buffer.alloc(chunkSize);
+    try {
+      if (transfer.fd === null || transfer.fd === undefined) {
+        transfer.fd = fs.openSync(transfer.filePath, 'r');
+      }
+      fs.readSync(transfer.fd, buffer, 0, chunkSize, position);
+    } catch (error) {
+      console.error(`Error reading ${transfer.fileName}:`, error);
+      transfer.status = 'error';
+      stopTransferTimers(transfer);
+      closeTransferFile(transfer);
+      process.emit('file-transfer-error', {
+        transferId,
+        fileName: transfer.fileName,
+        error: error.message,
+        targetPeerId: transfer.targetPeerId
+      });
+      return;
+    }
+    
+    // Create a message containing the chunk data and metadata
+    const chunkMessage = {
+      type: 'file_chunk',
       transferId,
-      fileName: transfer.fileName,
-      fileSize: transfer.fileSize,
-      targetPeerId: transfer.targetPeerId
-    });
+      chunkIndex,              // Position of this chunk in the sequence
+      totalChunks: transfer.totalChunks,
+      chunkSize,               // Size of this specific chunk
+      chunkHash: hashBuffer(buffer), // SHA-256 of the plaintext chunk
+      timestamp: Date.now()
+    };
     
-    // Clean up the transfer after a delay to allow for any final processing
-    setTimeout(() => {
-      activeTransfers.delete(transferId);
-    }, 5000);
+    // Peers that accept binary frames get the raw chunk, encrypted once by the
+    // frame itself. Older peers get it encrypted with the session key shared
+    // with the recipient and base64 encoded inside the JSON message.
+    let sent;
+    if (peerSupportsBinaryFrames(transfer.targetPeerId)) {
+      sent = sendToPeer(transfer.targetPeerId, { ...chunkMessage, data: buffer });
+    } else {
+      const encryptedChunk = encryptBuffer(buffer, getSessionKey(targetPeer && targetPeer.socket));
+      sent = sendToPeer(transfer.targetPeerId, JSON.stringify({ ...chunkMessage, data: encryptedChunk.toString('base64') }));
+    }
+    
+    // Send the chunk to the recipient peer
+    if (!sent) {
+      // The receiver asks for the missing chunks with file_resume when it reconnects
+      console.error(`Failed to send chunk ${chunkIndex} for ${transfer.fileName}, transfer interrupted`);
+      transfer.status = 'interrupted';
+      transfer.inFlight.clear();
+      stopTransferTimers(transfer);
+      closeTransferFile(transfer);
+      saveOutgoingTransfers();
+      
+      process.emit('file-transfer-interrupted', {
+        transferId,
+        fileName: transfer.fileName,
+        targetPeerId: transfer.targetPeerId
+      });
+      return;
+    }
     
+    transfer.pendingChunks.shift();
+    transfer.inFlight.set(chunkIndex, { sentAt: Date.now(), size: chunkSize });
+  }
+}
+
+/**
+ * Handle a file_chunk_ack from the receiver of one of our transfers
+ * 
+ * Frees the chunk's slot in the window, grows the window, updates the
+ * throughput estimate and sends more chunks.
+ * 
+ * @param {Object} ack - Acknowledgement with transferId and chunkIndex
+ * @param {string} receiverPeerId - ID of the peer receiving the file
+ */
+function handleFileChunkAck(ack, receiverPeerId) {
+  const { transferId, chunkIndex } = ack;
+  const transfer = activeTransfers.get(transferId);
+  
+  if (!transfer || !transfer.filePath || transfer.targetPeerId !== receiverPeerId) {
     return;
   }
   
-  // Calculate the position and size of the next chunk to send
-  // Each chunk is positioned based on its index multiplied by the chunk size
-  const chunkIndex = transfer.sentChunks;
-  const position = chunkIndex * DEFAULT_CHUNK_SIZE;
-  // The last chunk may be smaller than the default chunk size
-  const chunkSize = Math.min(DEFAULT_CHUNK_SIZE, transfer.fileSize - position);
+  const sent = transfer.inFlight.get(chunkIndex);
+  if (!sent) {
+    return;
+  }
+  transfer.inFlight.delete(chunkIndex);
   
-  // Read the chunk from the file using a buffer
-  // This is more efficient than reading the entire file into memory
-  const buffer = Buffer.alloc(chunkSize);
-  const fd = fs.openSync(transfer.filePath, 'r');
-  fs.readSync(fd, buffer, 0, chunkSize, position);
-  fs.closeSync(fd);
+  // Additive increase: about one more chunk in flight per window of acks
+  transfer.window = Math.min(MAX_WINDOW, transfer.window + 1 / transfer.window);
   
-  // Encrypt the chunk for secure transmission
-  const encryptedChunk = encryptBuffer(buffer);
+  transfer.sentChunks = transfer.totalChunks - transfer.pendingChunks.length - transfer.inFlight.size;
+  const remainingBytes = Math.max(transfer.fileSize - transfer.sentChunks * transfer.chunkSize, 0);
+  updateThroughput(transfer, sent.size, Math.max(transfer.lastChunkAt || 0, sent.sentAt), remainingBytes);
   
-  // Create a message containing the chunk data and metadata
-  const chunkMessage = {
-    type: 'file_chunk',
+  // Emit progress event so the UI can show a progress bar, throughput and ETA
+  process.emit('file-transfer-progress', {
     transferId,
-    chunkIndex,              // Position of this chunk in the sequence
-    totalChunks: transfer.totalChunks,
-    chunkSize,               // Size of this specific chunk
-    data: encryptedChunk.toString('base64'), // Base64 encoded for JSON compatibility
-    timestamp: Date.now()
-  };
-  
-  // Send the chunk to the recipient peer
-  const sent = sendToPeer(transfer.targetPeerId, JSON.stringify(chunkMessage));
+    fileName: transfer.fileName,
+    progress: Math.floor((transfer.sentChunks / transfer.totalChunks) * 100),
+    bytesPerSecond: Math.round(transfer.bytesPerSecond),
+    etaSeconds: transfer.etaSeconds,
+    targetPeerId: transfer.targetPeerId
+  });
   
-  if (sent) {
-    // Update the sent chunks counter
-    transfer.sentChunks++;
-    
-    // Calculate percentage progress for UI display
-    const progress = Math.floor((transfer.sentChunks / transfer.totalChunks) * 100);
-    
-    // Emit progress event so the UI can show a progress bar
-    process.emit('file-transfer-progress', {
-      transferId,
-      fileName: transfer.fileName,
-      progress,
-      targetPeerId: transfer.targetPeerId
-    });
-    
-    // Send the next chunk after a small delay (10ms)
-    // This prevents network flooding while maintaining good throughput
-    setTimeout(() => {
-      sendNextChunk(transferId);
-    }, 10);
-  } else {
-    // Handle send failure with error logging
-    console.error(`Failed to send chunk ${chunkIndex} for ${transfer.fileName}`);
-    
-    // Retry the same chunk after a longer delay (1 second)
-    // This gives time for network issues to potentially resolve
-    setTimeout(() => {
-      sendNextChunk(transferId);
-    }, 1000);
-  }
+  sendNextChunk(transferId);
 }
 
 /**
@@ -301,122 +812,363 @@ function sendNextChunk(transferId) {
  * 
  * This function processes incoming file chunks:
  * 1. Validates the transfer is active and in receiving state
- * 2. Decrypts the chunk data
- * 3. Stores the chunk in the correct position
- * 4. Updates progress tracking
+ * 2. Decrypts the chunk data and checks it against its SHA-256 hash
+ * 3. Writes the chunk at its offset in the `.download` file
+ * 4. Marks it in the bitmap and saves the `.partial` state
  * 5. Checks if all chunks have been received to complete the file
  * 
- * The chunks are stored in a Map with the chunk index as the key,
- * allowing them to be reassembled in the correct order regardless
- * of the order in which they are received.
+ * A chunk that fails its hash check is discarded and requested again.
  * 
  * @param {Object} chunk - File chunk object containing chunk data and metadata
  * @param {string} senderPeerId - ID of the peer sending the chunk
  */
 function handleFileChunk(chunk, senderPeerId) {
-  const { transferId, chunkIndex, data } = chunk;
+  const { transferId, chunkIndex, chunkHash, data } = chunk;
   
   // Get the transfer information from active transfers
   const transfer = activeTransfers.get(transferId);
   
   // Verify the transfer exists and is in receiving state
-  if (!transfer || transfer.status !== 'receiving') {
-    console.error(`Received chunk for unknown or inactive transfer: ${transferId}`);
+  if (!transfer || !transfer.bitmap || transfer.senderPeerId !== senderPeerId) {
+    console.error(`Received chunk for unknown transfer: ${transferId}`);
+    return;
+  }
+  if (transfer.status === 'interrupted') {
+    transfer.status = 'receiving';
+  }
+  if (transfer.status !== 'receiving') {
+    console.error(`Received chunk for inactive transfer: ${transferId}`);
+    return;
+  }
+  
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= transfer.totalChunks) {
+    console.error(`Received out of range chunk ${chunkIndex} for ${transfer.fileName}`);
+    return;
+  }
+  
+  // Duplicate chunks (e.g. resent after a resume) are only acknowledged
+  if (hasChunk(transfer.bitmap, chunkIndex)) {
+    sendChunkAck(transfer, chunkIndex);
+    return;
+  }
+  
+  // Chunks from binary frames arrive as a Buffer that the frame already
+  // decrypted. JSON chunks are decrypted (from base64) with the session key
+  // shared with the sender. Either way the hash is verified next.
+  let decryptedData;
+  try {
+    if (Buffer.isBuffer(data)) {
+      decryptedData = data;
+    } else {
+      const senderPeer = getPeerById(senderPeerId);
+      const encryptedData = Buffer.from(data, 'base64');
+      decryptedData = decryptBuffer(encryptedData, getSessionKey(senderPeer && senderPeer.socket));
+    }
+  } catch (error) {
+    decryptedData = null;
+  }
+  
+  const expectedSize = Math.min(transfer.chunkSize, transfer.fileSize - chunkIndex * transfer.chunkSize);
+  if (!decryptedData || decryptedData.length !== expectedSize || hashBuffer(decryptedData) !== chunkHash) {
+    console.error(`Chunk ${chunkIndex} of ${transfer.fileName} failed verification, requesting it again`);
+    sendToPeer(senderPeerId, JSON.stringify({
+      type: 'file_resume',
+      transferId,
+      missingChunks: [chunkIndex],
+      timestamp: Date.now()
+    }));
     return;
   }
   
-  // Decrypt the chunk data (convert from base64 string to buffer first)
-  const encryptedData = Buffer.from(data, 'base64');
-  const decryptedData = decryptBuffer(encryptedData);
+  // Write the chunk at its offset and record it in the bitmap
+  try {
+    if (transfer.fd === null || transfer.fd === undefined) {
+      openDownloadFile(transfer);
+    }
+    fs.writeSync(transfer.fd, decryptedData, 0, decryptedData.length, chunkIndex * transfer.chunkSize);
+    markChunk(transfer.bitmap, chunkIndex);
+    transfer.receivedChunks++;
+    savePartialState(transfer);
+  } catch (error) {
+    console.error(`Error writing chunk ${chunkIndex} of ${transfer.fileName}:`, error);
+    return;
+  }
   
-  // Store the chunk in the Map using its index as the key
-  // This ensures chunks can be reassembled in the correct order
-  transfer.chunks.set(chunkIndex, decryptedData);
-  transfer.receivedChunks++;
+  // Acknowledge the chunk so the sender can move its window on
+  sendChunkAck(transfer, chunkIndex);
   
-  // Calculate percentage progress for UI display
+  // Calculate percentage progress, throughput and ETA for UI display
   const progress = Math.floor((transfer.receivedChunks / transfer.totalChunks) * 100);
+  const remainingBytes = Math.max(transfer.fileSize - transfer.receivedChunks * transfer.chunkSize, 0);
+  updateThroughput(transfer, decryptedData.length, transfer.lastChunkAt || transfer.startTime, remainingBytes);
   
   // Emit progress event so the UI can update the progress bar
   process.emit('file-transfer-progress', {
     transferId,
     fileName: transfer.fileName,
     progress,
+    bytesPerSecond: Math.round(transfer.bytesPerSecond),
+    etaSeconds: transfer.etaSeconds,
     senderPeerId
   });
   
   // Check if all chunks have been received
   if (transfer.receivedChunks === transfer.totalChunks) {
     console.log(`All chunks received for ${transfer.fileName}`);
-    // All chunks received, save the complete file to disk
+    // All chunks received, verify and move the complete file into place
     saveCompletedFile(transferId);
   }
 }
 
 /**
- * Save a completed file transfer to disk
+ * Acknowledge a received chunk to the sender
+ * @param {Object} transfer - Incoming transfer
+ * @param {number} chunkIndex - Index of the chunk that is safely on disk
+ */
+function sendChunkAck(transfer, chunkIndex) {
+  sendToPeer(transfer.senderPeerId, JSON.stringify({
+    type: 'file_chunk_ack',
+    transferId: transfer.transferId,
+    chunkIndex,
+    receivedChunks: transfer.receivedChunks,
+    timestamp: Date.now()
+  }));
+}
+
+/**
+ * Handle the sender's notice that it has sent every chunk
+ * 
+ * If any chunks never arrived (e.g. dropped while the connection was
+ * flapping) they are requested again with file_resume.
+ * 
+ * @param {Object} message - Completion message containing transferId
+ * @param {string} senderPeerId - ID of the peer sending the file
+ */
+function handleFileTransferComplete(message, senderPeerId) {
+  const transfer = activeTransfers.get(message.transferId);
+  if (!transfer || !transfer.bitmap || transfer.senderPeerId !== senderPeerId) {
+    return;
+  }
+  
+  if (transfer.receivedChunks < transfer.totalChunks) {
+    requestMissingChunks(message.transferId);
+  }
+}
+
+/**
+ * Ask the sender of an incoming transfer for the chunks still missing
+ * @param {string} transferId - ID of the incoming transfer
+ * @returns {boolean} - True if a file_resume request was sent
+ */
+function requestMissingChunks(transferId) {
+  const transfer = activeTransfers.get(transferId);
+  if (!transfer || !transfer.bitmap) {
+    return false;
+  }
+  
+  const missingChunks = getMissingChunks(transfer);
+  if (missingChunks.length === 0) {
+    return false;
+  }
+  
+  const sent = sendToPeer(transfer.senderPeerId, JSON.stringify({
+    type: 'file_resume',
+    transferId,
+    missingChunks,
+    timestamp: Date.now()
+  }));
+  
+  if (sent) {
+    console.log(`Requested ${missingChunks.length} missing chunks of ${transfer.fileName} from ${transfer.senderPeerId}`);
+    transfer.status = 'receiving';
+  }
+  return sent;
+}
+
+/**
+ * Handle a file_resume request from the receiver of one of our transfers
+ * 
+ * Only the listed chunks are sent again. The file is checked to still have
+ * the size it had when the transfer started.
+ * 
+ * @param {Object} message - Resume request with transferId and missingChunks
+ * @param {string} receiverPeerId - ID of the peer receiving the file
+ */
+function handleFileResume(message, receiverPeerId) {
+  const { transferId, missingChunks } = message;
+  const transfer = activeTransfers.get(transferId);
+  
+  if (!transfer || !transfer.filePath || transfer.targetPeerId !== receiverPeerId) {
+    console.error(`Received resume request for unknown transfer: ${transferId}`);
+    return;
+  }
+  if (transfer.status === 'cancelled' || transfer.status === 'completed') {
+    return;
+  }
+  if (!Array.isArray(missingChunks)) {
+    return;
+  }
+  
+  try {
+    if (fs.statSync(transfer.filePath).size !== transfer.fileSize) {
+      throw new Error('File has changed since the transfer started');
+    }
+  } catch (error) {
+    console.error(`Cannot resume ${transfer.fileName}:`, error.message);
+    cancelTransfer(transferId);
+    return;
+  }
+  
+  // A requested chunk that is still in flight was lost or rejected, so send it again
+  const requested = missingChunks.filter(i => Number.isInteger(i) && i >= 0 && i < transfer.totalChunks);
+  for (const chunkIndex of requested) {
+    transfer.inFlight.delete(chunkIndex);
+  }
+  const pending = new Set([...(transfer.pendingChunks || []), ...requested]);
+  transfer.pendingChunks = Array.from(pending).sort((a, b) => a - b);
+  transfer.sentChunks = transfer.totalChunks - transfer.pendingChunks.length - transfer.inFlight.size;
+  
+  console.log(`Resuming ${transfer.fileName}: ${transfer.pendingChunks.length} chunks requested by ${receiverPeerId}`);
+  process.emit('file-transfer-resumed', {
+    transferId,
+    fileName: transfer.fileName,
+    missingChunks: transfer.pendingChunks.length,
+    targetPeerId: receiverPeerId
+  });
+  
+  // Restart the send loop unless it is already running
+  if (transfer.status !== 'sending') {
+    transfer.status = 'sending';
+    transfer.inFlight.clear();
+    transfer.window = INITIAL_WINDOW;
+    transfer.lastChunkAt = Date.now();
+    startAckTimer(transferId);
+  }
+  sendNextChunk(transferId);
+}
+
+/**
+ * Handle the receiver's confirmation that the whole file hash matched
+ * @param {Object} message - Verification message containing transferId
+ * @param {string} receiverPeerId - ID of the peer that received the file
+ */
+function handleFileTransferVerified(message, receiverPeerId) {
+  const transfer = activeTransfers.get(message.transferId);
+  if (!transfer || !transfer.filePath || transfer.targetPeerId !== receiverPeerId) {
+    return;
+  }
+  
+  transfer.status = 'completed';
+  stopTransferTimers(transfer);
+  closeTransferFile(transfer);
+  saveOutgoingTransfers();
+  
+  // Emit event for UI notification so the user knows the transfer is complete
+  process.emit('file-transfer-completed', {
+    transferId: message.transferId,
+    fileName: transfer.fileName,
+    fileSize: transfer.fileSize,
+    targetPeerId: receiverPeerId
+  });
+  
+  // Clean up the transfer after a delay to allow for any final processing
+  setTimeout(() => {
+    activeTransfers.delete(message.transferId);
+  }, 5000);
+}
+
+/**
+ * Resume every interrupted transfer with a peer that has just (re)connected
  * 
- * This function reassembles the received file chunks and saves the complete file:
- * 1. Creates a write stream to the output file location
- * 2. Writes all chunks in sequential order
- * 3. Handles successful completion with appropriate notifications
- * 4. Handles any errors during the file saving process
+ * For each incoming transfer from the peer, the missing chunks are requested
+ * with file_resume. The sender side needs no action: it waits to be asked.
  * 
- * The chunks are written in order based on their index, ensuring the file
- * is correctly reconstructed regardless of the order in which chunks were received.
+ * @param {string} peerId - ID of the peer that connected
+ */
+function resumeTransfersWithPeer(peerId) {
+  for (const [transferId, transfer] of activeTransfers) {
+    if (transfer.bitmap && transfer.senderPeerId === peerId &&
+        (transfer.status === 'receiving' || transfer.status === 'interrupted')) {
+      requestMissingChunks(transferId);
+    }
+  }
+}
+
+/**
+ * Verify and save a completed file transfer
+ * 
+ * This function finishes an incoming transfer once every chunk is on disk:
+ * 1. Closes the `.download` file
+ * 2. Hashes it and compares the result with the sender's whole-file hash
+ * 3. Renames it to the final output path and removes the `.partial` file
+ * 4. Confirms the result to the sender with file_transfer_verified
+ * 
+ * If the whole-file hash does not match, the downloaded data is discarded
+ * and the transfer fails.
  * 
  * @param {string} transferId - ID of the file transfer to save
  */
-function saveCompletedFile(transferId) {
+async function saveCompletedFile(transferId) {
   const transfer = activeTransfers.get(transferId);
   
   // Verify the transfer exists and is in receiving state
   if (!transfer || transfer.status !== 'receiving') {
     return;
   }
+  transfer.status = 'verifying';
   
   try {
-    // Create a write stream for the output file
-    // This is more efficient than writing the entire file at once
-    const writeStream = fs.createWriteStream(transfer.outputPath);
+    // Flush the data to disk so the renamed file is never torn by a crash
+    if (transfer.fd !== null && transfer.fd !== undefined) {
+      fs.fsyncSync(transfer.fd);
+    }
+    closeTransferFile(transfer);
     
-    // Write all chunks in sequential order to reconstruct the file
-    for (let i = 0; i < transfer.totalChunks; i++) {
-      const chunk = transfer.chunks.get(i);
-      if (chunk) {
-        writeStream.write(chunk);
-      } else {
-        // If any chunk is missing, the file cannot be properly reconstructed
-        throw new Error(`Missing chunk ${i} for file ${transfer.fileName}`);
-      }
+    const fileHash = await hashFile(transfer.dataPath);
+    if (fileHash !== transfer.fileHash) {
+      throw new Error(`File hash mismatch for ${transfer.fileName}`);
     }
     
-    // Signal that all data has been written
-    writeStream.end();
+    // Atomic rename into the downloads folder, never over an existing file
+    transfer.outputPath = getAvailablePath(transfer.outputPath);
+    fs.renameSync(transfer.dataPath, transfer.outputPath);
+    fs.unlinkSync(transfer.partialPath);
     
-    // Handle successful file writing completion
-    writeStream.on('finish', () => {
-      console.log(`File saved: ${transfer.outputPath}`);
-      transfer.status = 'completed';
-      
-      // Emit event for UI notification so the user knows the file is ready
-      process.emit('file-transfer-completed', {
-        transferId,
-        fileName: transfer.fileName,
-        filePath: transfer.outputPath,
-        senderPeerId: transfer.senderPeerId
-      });
-      
-      // Clean up the transfer data after a delay
-      // This allows time for any final processing or UI updates
-      setTimeout(() => {
-        activeTransfers.delete(transferId);
-      }, 5000);
+    console.log(`File saved: ${transfer.outputPath}`);
+    transfer.status = 'completed';
+    
+    sendToPeer(transfer.senderPeerId, JSON.stringify({
+      type: 'file_transfer_verified',
+      transferId,
+      fileHash,
+      timestamp: Date.now()
+    }));
+    
+    // Emit event for UI notification so the user knows the file is ready
+    process.emit('file-transfer-completed', {
+      transferId,
+      fileName: transfer.fileName,
+      filePath: transfer.outputPath,
+      senderPeerId: transfer.senderPeerId
     });
+    
+    // Clean up the transfer data after a delay
+    // This allows time for any final processing or UI updates
+    setTimeout(() => {
+      activeTransfers.delete(transferId);
+    }, 5000);
   } catch (error) {
-    // Handle any errors during the file saving process
+    // Handle any errors during verification or saving
     console.error(`Error saving file ${transfer.fileName}:`, error);
     transfer.status = 'error';
+    removePartialFiles(transfer);
+    
+    sendToPeer(transfer.senderPeerId, JSON.stringify({
+      type: 'file_transfer_cancel',
+      transferId,
+      reason: error.message,
+      timestamp: Date.now()
+    }));
     
     // Emit error event for UI notification
     process.emit('file-transfer-error', {
@@ -457,6 +1209,8 @@ function getActiveTransfers() {
         ? Math.floor((transfer.sentChunks / transfer.totalChunks) * 100) // For sending
         : Math.floor((transfer.receivedChunks / transfer.totalChunks) * 100), // For receiving
       peerId: transfer.targetPeerId || transfer.senderPeerId, // The other peer in the transfer
+      bytesPerSecond: Math.round(transfer.bytesPerSecond || 0), // Current throughput estimate
+      etaSeconds: transfer.etaSeconds || null, // Estimated time remaining
       startTime: transfer.startTime // When the transfer began
     });
   }
@@ -498,8 +1252,15 @@ function cancelTransfer(transferId) {
   const peerId = transfer.targetPeerId || transfer.senderPeerId;
   sendToPeer(peerId, JSON.stringify(cancelMessage));
   
-  // Update transfer status
+  // Update transfer status and drop its files and saved state
   transfer.status = 'cancelled';
+  stopTransferTimers(transfer);
+  closeTransferFile(transfer);
+  if (transfer.bitmap) {
+    removePartialFiles(transfer);
+  } else {
+    saveOutgoingTransfers();
+  }
   
   // Emit event for UI notification
   process.emit('file-transfer-cancelled', {
@@ -540,16 +1301,23 @@ function handleTransferCancel(message, peerId) {
   // Get the transfer object from active transfers
   const transfer = activeTransfers.get(transferId);
   
-  // Verify the transfer exists
-  if (!transfer) {
+  // Verify the transfer exists and belongs to this peer
+  if (!transfer || (transfer.targetPeerId || transfer.senderPeerId) !== peerId) {
     return;
   }
   
   // Log cancellation for debugging
   console.log(`File transfer cancelled by peer ${peerId} for ${transfer.fileName}`);
   
-  // Update transfer status to cancelled
+  // Update transfer status to cancelled and drop its files and saved state
   transfer.status = 'cancelled';
+  stopTransferTimers(transfer);
+  closeTransferFile(transfer);
+  if (transfer.bitmap) {
+    removePartialFiles(transfer);
+  } else {
+    saveOutgoingTransfers();
+  }
   
   // Emit event for UI notification so user is aware of cancellation
   process.emit('file-transfer-cancelled', {
@@ -571,18 +1339,28 @@ function handleTransferCancel(message, peerId) {
  * - Initiating file transfers to peers (sendFile)
  * - Handling incoming file transfer requests (handleFileTransferRequest)
  * - Processing responses to file transfer requests (handleFileTransferResponse)
- * - Managing chunked file data transfer (handleFileChunk)
+ * - Managing chunked file data transfer (handleFileChunk, handleFileTransferComplete)
+ * - Resuming interrupted transfers (handleFileResume, resumeTransfersWithPeer)
+ * - Confirming verified files to the sender (handleFileTransferVerified)
  * - Supporting transfer cancellation (handleTransferCancel, cancelTransfer)
  * - Providing transfer status information (getActiveTransfers)
  * 
- * The system handles encryption, chunking, progress tracking, and reassembly
- * to provide secure and reliable file transfers between peers.
+ * The system handles encryption, chunking, integrity checks, progress tracking,
+ * resumption and reassembly to provide secure and reliable file transfers between peers.
  */
+// Pick up transfers that were interrupted by a restart
+restoreInterruptedTransfers();
+
 module.exports = {
   sendFile,               // Initiate sending a file to a peer
   handleFileTransferRequest,    // Process incoming file transfer requests
   handleFileTransferResponse,   // Handle responses to our file transfer requests
   handleFileChunk,        // Process incoming file chunks during transfer
+  handleFileChunkAck,     // Move the send window on when a chunk is acknowledged
+  handleFileTransferComplete,   // Request chunks still missing when the sender finishes
+  handleFileResume,       // Resend the chunks a receiver asks for
+  handleFileTransferVerified,   // Finish an outgoing transfer the receiver verified
+  resumeTransfersWithPeer,      // Ask a reconnected peer for missing chunks
   handleTransferCancel,   // Handle cancellation requests from peers
   getActiveTransfers,     // Get status information for all active transfers
   cancelTransfer          // Cancel an ongoing file transfer
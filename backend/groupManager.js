@@ -4,29 +4,161 @@
  * This module handles group creation, management, and messaging functionality.
  * It provides APIs for creating groups, adding/removing members, and managing
  * group-specific messaging and file sharing.
+ *
+ * Every group has one owner, a list of admins and its members. The owner and
+ * admins can add and remove members; only the owner can promote or demote
+ * admins, hand ownership to another member or delete the group. Any member
+ * but the owner can leave. Callers pass the ID of the user making the change,
+ * which the server takes from the authenticated connection.
+ *
+ * Group messages are added to the search index (searchIndex.js) as they are
+ * stored and removed from it with their group. A message's sender can edit
+ * it, keeping the earlier versions in its `revisions`, or delete it for
+ * everyone; the owner and admins can delete any message.
+ *
+ * Each group's messages are an append-only log in storage.js, so storing a
+ * message only appends it. Edits are appended as entries of their own with
+ * an `action` of 'edit' and applied when the log is read. Deleting a message
+ * or renaming a member rewrites that group's log, so deleted content does
+ * not stay on disk.
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { loadCollection, saveCollection, appendToLog, loadLog, replaceLog, clearLog } = require('./storage');
+const { DOCUMENT_TYPES, indexDocument, removeDocument } = require('./searchIndex');
+const { getConfig } = require('./config');
 
-// Store active groups
-const groups = new Map();
+// Store active groups (restored from storage on startup)
+const groups = new Map(Object.entries(loadCollection('groups', {})));
 
-// Store group messages
+// Store group messages (each group's log is read on startup)
 const groupMessages = new Map();
 
 // Store group file transfers
-const groupFileTransfers = new Map();
+const groupFileTransfers = new Map(
+  Object.entries(loadCollection('groupFileTransfers', {}))
+    .map(([groupId, transfers]) => [groupId, new Map(Object.entries(transfers))])
+);
+
+// Member roles, from most to least privileged
+const GROUP_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+// History page sizes
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
 
 // Directory to store group files
-const GROUP_FILES_DIR = path.join(process.cwd(), 'downloads', 'groups');
+const GROUP_FILES_DIR = path.join(getConfig().downloadDir, 'groups');
 
 // Ensure group files directory exists
 if (!fs.existsSync(GROUP_FILES_DIR)) {
   fs.mkdirSync(GROUP_FILES_DIR, { recursive: true });
 }
 
+/**
+ * Add a group message to the search index
+ * @param {string} groupId - Group ID
+ * @param {Object} message - Stored group message
+ */
+function indexGroupMessage(groupId, message) {
+  indexDocument({
+    type: DOCUMENT_TYPES.GROUP,
+    id: message.id,
+    groupId,
+    senderId: message.senderId,
+    content: message.content,
+    timestamp: message.timestamp
+  });
+}
+
+/**
+ * Get the storage name of a group's message log
+ * @param {string} groupId - Group ID
+ * @returns {string} - Log name
+ */
+function messageLogName(groupId) {
+  return `groupMessages-${groupId}`;
+}
+
+/**
+ * Replace a message's content, keeping the earlier version in its revisions
+ * @param {Object} message - Stored group message
+ * @param {string} content - New content
+ * @param {number} editedAt - When the edit was made
+ */
+function applyEdit(message, content, editedAt) {
+  message.revisions = [
+    ...(message.revisions || []),
+    { content: message.content, timestamp: message.editedAt || message.timestamp }
+  ];
+  message.content = content;
+  message.editedAt = editedAt;
+}
+
+/**
+ * Read a group's messages from its log, applying logged edits
+ * @param {string} groupId - Group ID
+ * @returns {Array} - Messages, oldest first
+ */
+function loadGroupMessages(groupId) {
+  const messages = [];
+  for (const entry of loadLog(messageLogName(groupId))) {
+    if (entry.action === 'edit') {
+      const message = messages.find(m => m.id === entry.messageId);
+      if (message) {
+        applyEdit(message, entry.content, entry.editedAt);
+      }
+    } else {
+      messages.push(entry);
+    }
+  }
+  return messages;
+}
+
+// Restore the stored group messages and make them searchable
+for (const [groupId, group] of groups) {
+  const messages = loadGroupMessages(groupId);
+  groupMessages.set(groupId, messages);
+  if (messages.length) {
+    group.lastActivity = Math.max(group.lastActivity || 0, messages[messages.length - 1].timestamp);
+  }
+  messages
+    .filter(message => !message.deleted)
+    .forEach(message => indexGroupMessage(groupId, message));
+}
+
+/**
+ * Write groups back to storage
+ */
+function saveGroups() {
+  saveCollection('groups', Object.fromEntries(groups));
+}
+
+/**
+ * Rewrite a group's message log from the messages held in memory
+ * @param {string} groupId - Group ID
+ */
+function saveGroupMessages(groupId) {
+  replaceLog(messageLogName(groupId), groupMessages.get(groupId) || []);
+}
+
+/**
+ * Write group file transfers back to storage
+ */
+function saveGroupFileTransfers() {
+  const transfers = {};
+  for (const [groupId, groupTransfers] of groupFileTransfers) {
+    transfers[groupId] = Object.fromEntries(groupTransfers);
+  }
+  saveCollection('groupFileTransfers', transfers);
+}
+
 /**
  * Generate a unique group ID
  * @returns {string} - Unique ID for the group
@@ -38,7 +170,7 @@ function generateGroupId() {
 /**
  * Create a new group
  * @param {string} groupName - Name of the group
- * @param {string} creatorId - ID of the user creating the group
+ * @param {string} creatorId - ID of the user creating the group, who becomes its owner
  * @param {Array<string>} memberIds - Array of member IDs to add to the group
  * @returns {Object} - Group object with ID and details
  */
@@ -48,7 +180,9 @@ function createGroup(groupName, creatorId, memberIds = []) {
     id: groupId,
     name: groupName,
     creator: creatorId,
-    members: [creatorId, ...memberIds],
+    owner: creatorId,
+    admins: [],
+    members: [...new Set([creatorId, ...memberIds])],
     createdAt: Date.now(),
     lastActivity: Date.now()
   };
@@ -56,6 +190,8 @@ function createGroup(groupName, creatorId, memberIds = []) {
   groups.set(groupId, group);
   groupMessages.set(groupId, []);
   groupFileTransfers.set(groupId, new Map());
+  saveGroups();
+  saveGroupFileTransfers();
   
   console.log(`Group created: ${groupName} (${groupId}) by ${creatorId}`);
   return group;
@@ -85,68 +221,209 @@ function getUserGroups(userId) {
   return userGroups;
 }
 
+/**
+ * Get a user's role in a group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {string|null} - 'owner', 'admin', 'member', or null if not a member
+ */
+function getMemberRole(groupId, userId) {
+  const group = groups.get(groupId);
+  if (!group || !group.members.includes(userId)) {
+    return null;
+  }
+  if (group.owner === userId) {
+    return GROUP_ROLES.OWNER;
+  }
+  return group.admins.includes(userId) ? GROUP_ROLES.ADMIN : GROUP_ROLES.MEMBER;
+}
+
+/**
+ * Check if a user can add and remove members of a group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {boolean} - True if the user is the owner or an admin
+ */
+function canManageMembers(groupId, userId) {
+  const role = getMemberRole(groupId, userId);
+  return role === GROUP_ROLES.OWNER || role === GROUP_ROLES.ADMIN;
+}
+
+/**
+ * Record a change to a group's membership or roles
+ * @param {Object} group - Group that changed
+ */
+function touchGroup(group) {
+  group.lastActivity = Date.now();
+  saveGroups();
+}
+
 /**
  * Add member to group
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID to add
- * @param {string} addedBy - User ID of who is adding the member
- * @returns {boolean} - True if successful, false otherwise
+ * @param {string} addedBy - ID of the authenticated user adding the member
+ * @returns {Object} - Result with success status, message and the updated group
  */
 function addMemberToGroup(groupId, userId, addedBy) {
   const group = groups.get(groupId);
   if (!group) {
-    return false;
+    return { success: false, message: 'Group not found' };
   }
   
-  // Check if the user adding is a member of the group
-  if (!group.members.includes(addedBy)) {
-    return false;
+  if (!canManageMembers(groupId, addedBy)) {
+    return { success: false, message: 'Only the group owner or an admin can add members' };
   }
   
-  // Add user if not already a member
-  if (!group.members.includes(userId)) {
-    group.members.push(userId);
-    group.lastActivity = Date.now();
-    console.log(`User ${userId} added to group ${group.name} by ${addedBy}`);
-    return true;
+  if (group.members.includes(userId)) {
+    return { success: true, message: 'Already a member', group };
   }
   
-  return true; // Already a member
+  group.members.push(userId);
+  touchGroup(group);
+  console.log(`User ${userId} added to group ${group.name} by ${addedBy}`);
+  return { success: true, message: 'Member added', group };
 }
 
 /**
- * Remove member from group
+ * Remove member from group. Admins can only remove regular members; the
+ * owner can remove anyone but themselves.
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID to remove
- * @param {string} removedBy - User ID of who is removing the member
- * @returns {boolean} - True if successful, false otherwise
+ * @param {string} removedBy - ID of the authenticated user removing the member
+ * @returns {Object} - Result with success status, message and the updated group
  */
 function removeMemberFromGroup(groupId, userId, removedBy) {
   const group = groups.get(groupId);
   if (!group) {
-    return false;
+    return { success: false, message: 'Group not found' };
   }
   
-  // Check if the user removing is a member of the group
-  if (!group.members.includes(removedBy)) {
-    return false;
+  const removerRole = getMemberRole(groupId, removedBy);
+  const memberRole = getMemberRole(groupId, userId);
+  
+  if (!canManageMembers(groupId, removedBy)) {
+    return { success: false, message: 'Only the group owner or an admin can remove members' };
   }
   
-  // Cannot remove the creator
-  if (userId === group.creator) {
-    return false;
+  if (!memberRole) {
+    return { success: false, message: 'User is not a member of this group' };
+  }
+  
+  if (userId === removedBy) {
+    return { success: false, message: 'Use leave to remove yourself from a group' };
   }
   
-  // Remove user if they are a member
-  const memberIndex = group.members.indexOf(userId);
-  if (memberIndex > -1) {
-    group.members.splice(memberIndex, 1);
-    group.lastActivity = Date.now();
-    console.log(`User ${userId} removed from group ${group.name} by ${removedBy}`);
-    return true;
+  if (memberRole === GROUP_ROLES.OWNER) {
+    return { success: false, message: 'The group owner cannot be removed' };
   }
   
-  return false;
+  if (memberRole === GROUP_ROLES.ADMIN && removerRole !== GROUP_ROLES.OWNER) {
+    return { success: false, message: 'Only the group owner can remove an admin' };
+  }
+  
+  group.members = group.members.filter(id => id !== userId);
+  group.admins = group.admins.filter(id => id !== userId);
+  touchGroup(group);
+  console.log(`User ${userId} removed from group ${group.name} by ${removedBy}`);
+  return { success: true, message: 'Member removed', group };
+}
+
+/**
+ * Leave a group. The owner has to hand ownership to another member (or
+ * delete the group) first.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - ID of the authenticated user leaving
+ * @returns {Object} - Result with success status, message and the updated group
+ */
+function leaveGroup(groupId, userId) {
+  const group = groups.get(groupId);
+  const role = getMemberRole(groupId, userId);
+  if (!group || !role) {
+    return { success: false, message: 'Not a member of this group' };
+  }
+  
+  if (role === GROUP_ROLES.OWNER) {
+    return { success: false, message: 'Transfer ownership or delete the group before leaving' };
+  }
+  
+  group.members = group.members.filter(id => id !== userId);
+  group.admins = group.admins.filter(id => id !== userId);
+  touchGroup(group);
+  console.log(`User ${userId} left group ${group.name}`);
+  return { success: true, message: 'Left group', group };
+}
+
+/**
+ * Hand ownership of a group to another member. The previous owner stays on
+ * as an admin.
+ * @param {string} groupId - Group ID
+ * @param {string} newOwnerId - ID of the member to become owner
+ * @param {string} requestedBy - ID of the authenticated user making the change
+ * @returns {Object} - Result with success status, message and the updated group
+ */
+function transferOwnership(groupId, newOwnerId, requestedBy) {
+  const group = groups.get(groupId);
+  if (!group) {
+    return { success: false, message: 'Group not found' };
+  }
+  
+  if (getMemberRole(groupId, requestedBy) !== GROUP_ROLES.OWNER) {
+    return { success: false, message: 'Only the group owner can transfer ownership' };
+  }
+  
+  if (!group.members.includes(newOwnerId)) {
+    return { success: false, message: 'New owner must be a member of the group' };
+  }
+  
+  if (newOwnerId === requestedBy) {
+    return { success: true, message: 'Already the owner', group };
+  }
+  
+  group.owner = newOwnerId;
+  group.admins = [...group.admins.filter(id => id !== newOwnerId), requestedBy];
+  touchGroup(group);
+  console.log(`Ownership of group ${group.name} transferred from ${requestedBy} to ${newOwnerId}`);
+  return { success: true, message: 'Ownership transferred', group };
+}
+
+/**
+ * Promote a member to admin or demote an admin to member
+ * @param {string} groupId - Group ID
+ * @param {string} userId - ID of the member whose role changes
+ * @param {boolean} isAdmin - True to promote, false to demote
+ * @param {string} requestedBy - ID of the authenticated user making the change
+ * @returns {Object} - Result with success status, message and the updated group
+ */
+function setGroupAdmin(groupId, userId, isAdmin, requestedBy) {
+  const group = groups.get(groupId);
+  if (!group) {
+    return { success: false, message: 'Group not found' };
+  }
+  
+  if (getMemberRole(groupId, requestedBy) !== GROUP_ROLES.OWNER) {
+    return { success: false, message: 'Only the group owner can change admins' };
+  }
+  
+  const role = getMemberRole(groupId, userId);
+  if (!role) {
+    return { success: false, message: 'User is not a member of this group' };
+  }
+  
+  if (role === GROUP_ROLES.OWNER) {
+    return { success: false, message: 'The group owner cannot be made an admin' };
+  }
+  
+  if ((role === GROUP_ROLES.ADMIN) === isAdmin) {
+    return { success: true, message: 'Role unchanged', group };
+  }
+  
+  group.admins = isAdmin
+    ? [...group.admins, userId]
+    : group.admins.filter(id => id !== userId);
+  touchGroup(group);
+  console.log(`User ${userId} ${isAdmin ? 'promoted to admin' : 'demoted to member'} in group ${group.name} by ${requestedBy}`);
+  return { success: true, message: isAdmin ? 'Member promoted to admin' : 'Admin demoted to member', group };
 }
 
 /**
@@ -164,7 +441,7 @@ function isGroupMember(groupId, userId) {
  * Add message to group
  * @param {string} groupId - Group ID
  * @param {Object} message - Message object
- * @returns {boolean} - True if successful
+ * @returns {Object|false} - The stored message with its ID and timestamp, or false if it was refused
  */
 function addGroupMessage(groupId, message) {
   const group = groups.get(groupId);
@@ -178,33 +455,147 @@ function addGroupMessage(groupId, message) {
   }
   
   const messages = groupMessages.get(groupId) || [];
-  messages.push({
+  const stored = {
     ...message,
     id: message.id || crypto.randomBytes(8).toString('hex'),
     timestamp: message.timestamp || Date.now()
-  });
+  };
+  if (!appendToLog(messageLogName(groupId), stored)) {
+    return false;
+  }
+  messages.push(stored);
   
+  // lastActivity is not saved for every message; it is restored from the log
   groupMessages.set(groupId, messages);
   group.lastActivity = Date.now();
+  indexGroupMessage(groupId, stored);
   
-  return true;
+  return stored;
+}
+
+/**
+ * Find a stored group message by its ID or by the clientMessageId its sender
+ * gave it (client IDs are only unique per sender)
+ * @param {string} groupId - Group ID
+ * @param {Object} ref - { messageId, clientMessageId }
+ * @param {string} senderId - Sender to match a clientMessageId against
+ * @returns {Object|null} - Stored message or null if not found
+ */
+function findGroupMessage(groupId, { messageId, clientMessageId }, senderId) {
+  const messages = groupMessages.get(groupId) || [];
+  return messages.find(message => (
+    (messageId && message.id === messageId) ||
+    (clientMessageId && message.clientMessageId === clientMessageId && message.senderId === senderId)
+  )) || null;
+}
+
+/**
+ * Edit a group message, keeping its earlier versions
+ * @param {string} groupId - Group ID
+ * @param {Object} ref - { messageId, clientMessageId } naming the message
+ * @param {string} userId - ID of the authenticated user editing the message
+ * @param {string} content - New content
+ * @returns {Object} - Result with success status, message and the edited groupMessage
+ */
+function editGroupMessage(groupId, ref, userId, content) {
+  const message = findGroupMessage(groupId, ref, userId);
+  if (!message) {
+    return { success: false, message: 'Message not found' };
+  }
+  
+  if (message.senderId !== userId) {
+    return { success: false, message: 'Only the sender can edit a message' };
+  }
+  
+  if (message.deleted) {
+    return { success: false, message: 'Message has been deleted' };
+  }
+  
+  const editedAt = Date.now();
+  if (!appendToLog(messageLogName(groupId), { action: 'edit', messageId: message.id, content, editedAt })) {
+    return { success: false, message: 'Failed to save the edit' };
+  }
+  applyEdit(message, content, editedAt);
+  indexGroupMessage(groupId, message);
+  
+  return { success: true, message: 'Message edited', groupMessage: message };
+}
+
+/**
+ * Delete a group message for everyone. The message stays in the history as a
+ * placeholder, but its content and revisions are dropped.
+ * @param {string} groupId - Group ID
+ * @param {Object} ref - { messageId, clientMessageId } naming the message
+ * @param {string} userId - ID of the authenticated user deleting the message
+ * @returns {Object} - Result with success status, message and the deleted groupMessage
+ */
+function deleteGroupMessage(groupId, ref, userId) {
+  const message = findGroupMessage(groupId, ref, userId);
+  if (!message) {
+    return { success: false, message: 'Message not found' };
+  }
+  
+  if (message.senderId !== userId && !canManageMembers(groupId, userId)) {
+    return { success: false, message: 'Only the sender or a group admin can delete a message' };
+  }
+  
+  if (!message.deleted) {
+    message.deleted = true;
+    message.deletedAt = Date.now();
+    message.deletedBy = userId;
+    message.content = '';
+    message.revisions = [];
+    saveGroupMessages(groupId);
+    removeDocument(DOCUMENT_TYPES.GROUP, groupId, message.id);
+  }
+  
+  return { success: true, message: 'Message deleted', groupMessage: message };
+}
+
+/**
+ * Take one page of items, newest last, ending just before a cursor
+ * @param {Array} items - Items in the order they were added
+ * @param {string} idField - Field holding each item's ID
+ * @param {Object} options - { before, limit }; `before` is the ID of the oldest item already seen
+ * @returns {Object|null} - { items, hasMore, nextBefore }, or null if the cursor is unknown
+ */
+function pageBefore(items, idField, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let end = items.length;
+  if (before) {
+    end = items.findIndex(item => item[idField] === before);
+    if (end === -1) {
+      return null;
+    }
+  }
+
+  const start = Math.max(end - size, 0);
+  const page = items.slice(start, end);
+  return {
+    items: page,
+    hasMore: start > 0,
+    nextBefore: start > 0 ? page[0][idField] : null
+  };
 }
 
 /**
- * Get group messages
+ * Get a page of group messages
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID requesting messages
- * @param {number} limit - Maximum number of messages to return
- * @returns {Array} - Array of messages or empty array if not authorized
+ * @param {Object} options - { before, limit } cursor; `before` is a message ID
+ * @returns {Object} - Result with success status, message and { messages, hasMore, nextBefore }
  */
-function getGroupMessages(groupId, userId, limit = 100) {
-  const group = groups.get(groupId);
-  if (!group || !group.members.includes(userId)) {
-    return [];
+function getGroupMessages(groupId, userId, options = {}) {
+  if (!isGroupMember(groupId, userId)) {
+    return { success: false, message: 'Not a member of this group' };
   }
   
-  const messages = groupMessages.get(groupId) || [];
-  return messages.slice(-limit);
+  const page = pageBefore(groupMessages.get(groupId) || [], 'id', options);
+  if (!page) {
+    return { success: false, message: 'Unknown message cursor' };
+  }
+  return { success: true, messages: page.items, hasMore: page.hasMore, nextBefore: page.nextBefore };
 }
 
 /**
@@ -227,44 +618,59 @@ function addGroupFileTransfer(groupId, fileTransfer) {
   const transfers = groupFileTransfers.get(groupId) || new Map();
   transfers.set(fileTransfer.transferId, fileTransfer);
   groupFileTransfers.set(groupId, transfers);
+  saveGroupFileTransfers();
   
   return true;
 }
 
 /**
- * Get group file transfers
+ * Get a page of group file transfers
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID requesting transfers
- * @returns {Array} - Array of file transfers or empty array if not authorized
+ * @param {Object} options - { before, limit } cursor; `before` is a transfer ID
+ * @returns {Object} - Result with success status, message and { files, hasMore, nextBefore }
  */
-function getGroupFileTransfers(groupId, userId) {
-  const group = groups.get(groupId);
-  if (!group || !group.members.includes(userId)) {
-    return [];
+function getGroupFileTransfers(groupId, userId, options = {}) {
+  if (!isGroupMember(groupId, userId)) {
+    return { success: false, message: 'Not a member of this group' };
   }
   
-  const transfers = groupFileTransfers.get(groupId) || new Map();
-  return Array.from(transfers.values());
+  const transfers = Array.from((groupFileTransfers.get(groupId) || new Map()).values());
+  const page = pageBefore(transfers, 'transferId', options);
+  if (!page) {
+    return { success: false, message: 'Unknown file transfer cursor' };
+  }
+  return { success: true, files: page.items, hasMore: page.hasMore, nextBefore: page.nextBefore };
 }
 
 /**
  * Delete group
  * @param {string} groupId - Group ID
- * @param {string} userId - User ID requesting deletion
- * @returns {boolean} - True if successful
+ * @param {string} userId - ID of the authenticated user deleting the group
+ * @returns {Object} - Result with success status, message and the deleted group
  */
 function deleteGroup(groupId, userId) {
   const group = groups.get(groupId);
-  if (!group || group.creator !== userId) {
-    return false;
+  if (!group) {
+    return { success: false, message: 'Group not found' };
+  }
+  
+  if (getMemberRole(groupId, userId) !== GROUP_ROLES.OWNER) {
+    return { success: false, message: 'Only the group owner can delete the group' };
   }
   
+  (groupMessages.get(groupId) || []).forEach(message => {
+    removeDocument(DOCUMENT_TYPES.GROUP, groupId, message.id);
+  });
   groups.delete(groupId);
   groupMessages.delete(groupId);
   groupFileTransfers.delete(groupId);
+  saveGroups();
+  clearLog(messageLogName(groupId));
+  saveGroupFileTransfers();
   
   console.log(`Group ${group.name} deleted by ${userId}`);
-  return true;
+  return { success: true, message: 'Group deleted', group };
 }
 
 /**
@@ -281,6 +687,51 @@ function getGroupFilePath(groupId, fileName) {
   return path.join(groupDir, fileName);
 }
 
+/**
+ * Replace a member's ID in every group, e.g. when a peer that used to be
+ * known by its address is now known by its node ID. Its roles, the messages
+ * it sent and the files it shared move with it.
+ * @param {string} oldId - ID the member was stored under
+ * @param {string} newId - ID to store it under from now on
+ * @returns {number} - Number of groups that changed
+ */
+function renameGroupMember(oldId, newId) {
+  const rename = id => (id === oldId ? newId : id);
+  let changed = 0;
+
+  for (const [groupId, group] of groups) {
+    if (!group.members.includes(oldId) && group.creator !== oldId) {
+      continue;
+    }
+    group.creator = rename(group.creator);
+    group.owner = rename(group.owner);
+    group.admins = [...new Set(group.admins.map(rename))];
+    group.members = [...new Set(group.members.map(rename))];
+    const messages = groupMessages.get(groupId) || [];
+    const sent = messages.filter(message => message.senderId === oldId);
+    sent.forEach(message => {
+      message.senderId = newId;
+      if (!message.deleted) {
+        indexGroupMessage(groupId, message);
+      }
+    });
+    if (sent.length) {
+      saveGroupMessages(groupId);
+    }
+    for (const transfer of (groupFileTransfers.get(groupId) || new Map()).values()) {
+      transfer.senderId = rename(transfer.senderId);
+    }
+    changed++;
+  }
+
+  if (changed) {
+    saveGroups();
+    saveGroupFileTransfers();
+    console.log(`Renamed group member ${oldId} to ${newId} in ${changed} groups`);
+  }
+  return changed;
+}
+
 /**
  * Broadcast message to all group members
  * @param {string} groupId - Group ID
@@ -305,17 +756,25 @@ function broadcastToGroupMembers(groupId, message, sendToPeer) {
 }
 
 module.exports = {
+  GROUP_ROLES,
   createGroup,
   getGroup,
   getUserGroups,
+  getMemberRole,
   addMemberToGroup,
   removeMemberFromGroup,
+  leaveGroup,
+  transferOwnership,
+  setGroupAdmin,
   isGroupMember,
   addGroupMessage,
+  editGroupMessage,
+  deleteGroupMessage,
   getGroupMessages,
   addGroupFileTransfer,
   getGroupFileTransfers,
   deleteGroup,
   getGroupFilePath,
+  renameGroupMember,
   broadcastToGroupMembers
 };
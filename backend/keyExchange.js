@@ -0,0 +1,485 @@
+/**
+ * keyExchange.js - Identity and session key management for IP Messenger Clone
+ *
+ * This module gives each node a long-term identity keypair and runs an ECDH
+ * handshake on every WebSocket connection, so each connection encrypts its
+ * traffic with its own session key instead of a shared hardcoded secret.
+ *
+ * Handshake, sent as plaintext JSON in two steps by both sides. As soon as the
+ * socket opens each side sends its hello:
+ *   { type: 'key_exchange', identityKey, ephemeralKey, capabilities, node }
+ * - identityKey:  base64 SPKI of the node's long-term ECDSA P-256 public key
+ * - ephemeralKey: base64 raw P-256 ECDH public key generated for this connection
+ * - capabilities: optional list of protocol features the sender understands
+ *                 (same values as the discovery `capabilities` array)
+ * - node:         optional node certificate { nodeKey, signature }: the base64
+ *                 SPKI key of the node the sender belongs to and that key's
+ *                 signature over the sender's identityKey. Nodes certify their
+ *                 own identity key; a renderer sends the certificate its
+ *                 backend issued it, so other nodes know which node it speaks for.
+ *
+ * Once it has the other side's hello, each side proves it holds its identity
+ * key for this connection:
+ *   { type: 'key_exchange_confirm', signature }
+ * - signature:    base64 ECDSA/SHA-256 signature (IEEE P1363) of the handshake
+ *                 transcript (handshakeTranscript): a fixed label, then the
+ *                 signer's identity and ephemeral keys, then the other side's.
+ * Both ephemeral keys are fresh for every connection, so a signature captured
+ * from one handshake is of no use in another. The session key is only used
+ * after the other side's confirmation has been verified.
+ *
+ * A node's ID is the fingerprint of its identity key. It is what other nodes
+ * know it by, and it stays the same when the node's address changes. A valid
+ * certificate sets the remote side's node ID (getPeerNodeId); older peers send
+ * none and are still identified by their address. An invalid certificate
+ * fails the handshake.
+ *
+ * Nodes from before the key exchange never send a handshake. When
+ * `allowLegacyCbc` is set, a connection on which one sends a legacy frame is
+ * switched to the old static-key format (useLegacyEncryption) for good.
+ *
+ * The session key is HKDF-SHA256 over the ECDH secret, salted with both
+ * ephemeral keys (sorted so both sides agree), and is 32 bytes for AES-256.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encryptMessage, encryptFrame, encryptLegacyMessage } = require('./encryption');
+const { getConfig } = require('./config');
+
+// Path to the persisted identity keypair
+const IDENTITY_FILE = path.join(getConfig().dataDir, 'identity.json');
+
+// Handshake settings (must match the renderer in websocketService.js)
+const KEY_EXCHANGE_TYPE = 'key_exchange';
+const ECDH_CURVE = 'prime256v1';
+const KEY_EXCHANGE_CONFIRM_TYPE = 'key_exchange_confirm';
+const HANDSHAKE_TRANSCRIPT_CONTEXT = 'offgrid-handshake-v2';
+const SESSION_KEY_INFO = 'offgrid-session-v1';
+const SESSION_KEY_LENGTH = 32;
+const NODE_CERTIFICATE_CONTEXT = 'offgrid-node-certificate-v1';
+
+// Capability advertised by nodes that accept binary file data frames
+const BINARY_FRAMES_CAPABILITY = 'binary_frames';
+
+// Capabilities announced in our key_exchange frame
+const HANDSHAKE_CAPABILITIES = [BINARY_FRAMES_CAPABILITY];
+
+// Per-socket handshake state: socket -> { ecdh, ephemeralKey, peerHello, sessionKey, peerIdentityKey, peerNodeId, peerCapabilities, pending }
+// peerHello holds the other side's hello and the derived key until its confirmation arrives
+const sessions = new WeakMap();
+
+// Cached identity keypair
+let identity = null;
+
+/**
+ * Load the node identity keypair, creating and persisting it on first use
+ * @returns {Object} - { privateKey, publicKey, publicKeyDer, fingerprint }
+ */
+function getIdentity() {
+  if (identity) return identity;
+
+  let privateKeyPem = null;
+  try {
+    if (fs.existsSync(IDENTITY_FILE)) {
+      privateKeyPem = JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8')).privateKey;
+    }
+  } catch (error) {
+    console.error('Error loading identity keypair, generating a new one:', error);
+  }
+
+  if (!privateKeyPem) {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: ECDH_CURVE });
+    privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    fs.writeFileSync(IDENTITY_FILE, JSON.stringify({ privateKey: privateKeyPem, createdAt: new Date().toISOString() }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    console.log('Created node identity keypair');
+  }
+
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' });
+
+  identity = {
+    privateKey,
+    publicKey,
+    publicKeyDer,
+    fingerprint: getKeyFingerprint(publicKeyDer.toString('base64'))
+  };
+  return identity;
+}
+
+/**
+ * Compute a short fingerprint for an identity key
+ * @param {string} identityKey - Base64 SPKI public key
+ * @returns {string} - Hex encoded SHA-256 fingerprint
+ */
+function getKeyFingerprint(identityKey) {
+  return crypto.createHash('sha256').update(Buffer.from(identityKey, 'base64')).digest('hex');
+}
+
+/**
+ * Get this node's ID, the fingerprint of its identity key
+ * @returns {string} - Node ID
+ */
+function getNodeId() {
+  return getIdentity().fingerprint;
+}
+
+/**
+ * Get the bytes a node certificate signs: the certified identity key,
+ * prefixed so the signature cannot be mistaken for a handshake signature
+ * @param {string} identityKey - Base64 SPKI key being certified
+ * @returns {Buffer} - Signed payload
+ */
+function nodeCertificatePayload(identityKey) {
+  return Buffer.concat([Buffer.from(NODE_CERTIFICATE_CONTEXT), Buffer.from(identityKey, 'base64')]);
+}
+
+/**
+ * Certify that an identity key speaks for this node
+ * @param {string} identityKey - Base64 SPKI key to certify (our own, or a local renderer's)
+ * @returns {Object} - { nodeKey, signature }
+ */
+function issueNodeCertificate(identityKey) {
+  const { privateKey, publicKeyDer } = getIdentity();
+  const signature = crypto.sign('sha256', nodeCertificatePayload(identityKey), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return {
+    nodeKey: publicKeyDer.toString('base64'),
+    signature: signature.toString('base64')
+  };
+}
+
+/**
+ * Check a node certificate and work out which node it names
+ * @param {string} identityKey - Base64 SPKI key the certificate should certify
+ * @param {Object} certificate - { nodeKey, signature }
+ * @returns {string} - ID of the certifying node
+ * @throws {Error} - If the certificate is malformed or its signature does not match
+ */
+function verifyNodeCertificate(identityKey, certificate) {
+  if (!certificate || typeof certificate.nodeKey !== 'string' || typeof certificate.signature !== 'string') {
+    throw new Error('Malformed node certificate');
+  }
+  const nodeKey = crypto.createPublicKey({
+    key: Buffer.from(certificate.nodeKey, 'base64'),
+    format: 'der',
+    type: 'spki'
+  });
+  const valid = crypto.verify(
+    'sha256',
+    nodeCertificatePayload(identityKey),
+    { key: nodeKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(certificate.signature, 'base64')
+  );
+  if (!valid) {
+    throw new Error('Invalid node certificate');
+  }
+  return getKeyFingerprint(certificate.nodeKey);
+}
+
+/**
+ * Get the bytes a handshake confirmation signs. Each key is length-prefixed
+ * so no two transcripts run together into the same bytes.
+ * @param {string} signerIdentityKey - Base64 SPKI identity key of the signing side
+ * @param {string} signerEphemeralKey - Base64 ephemeral key of the signing side
+ * @param {string} peerIdentityKey - Base64 SPKI identity key of the other side
+ * @param {string} peerEphemeralKey - Base64 ephemeral key of the other side
+ * @returns {Buffer} - Signed payload
+ */
+function handshakeTranscript(signerIdentityKey, signerEphemeralKey, peerIdentityKey, peerEphemeralKey) {
+  const parts = [signerIdentityKey, signerEphemeralKey, peerIdentityKey, peerEphemeralKey].map(key => {
+    const bytes = Buffer.from(key, 'base64');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length, 0);
+    return Buffer.concat([length, bytes]);
+  });
+  return Buffer.concat([Buffer.from(HANDSHAKE_TRANSCRIPT_CONTEXT), ...parts]);
+}
+
+/**
+ * Start the handshake on a freshly opened socket by sending our key_exchange frame
+ * @param {WebSocket} socket - Newly opened WebSocket (incoming or outgoing)
+ */
+function initiateKeyExchange(socket) {
+  const { publicKeyDer } = getIdentity();
+
+  const ecdh = crypto.createECDH(ECDH_CURVE);
+  const ephemeralKey = ecdh.generateKeys();
+
+  sessions.set(socket, {
+    ecdh,
+    ephemeralKey: ephemeralKey.toString('base64'),
+    peerHello: null,
+    sessionKey: null,
+    peerIdentityKey: null,
+    peerNodeId: null,
+    peerCapabilities: [],
+    legacy: false,
+    pending: []
+  });
+
+  const identityKey = publicKeyDer.toString('base64');
+  socket.send(JSON.stringify({
+    type: KEY_EXCHANGE_TYPE,
+    identityKey,
+    ephemeralKey: ephemeralKey.toString('base64'),
+    capabilities: HANDSHAKE_CAPABILITIES,
+    node: issueNodeCertificate(identityKey)
+  }));
+}
+
+/**
+ * Take in the other side's hello: check its node certificate, derive the
+ * session key and send our confirmation. The key is held back until the
+ * other side's confirmation arrives.
+ * @param {WebSocket} socket - Socket the hello arrived on
+ * @param {Object} session - Handshake state of the socket
+ * @param {Object} hello - Parsed key_exchange frame
+ */
+function acceptHello(socket, session, hello) {
+  if (session.peerHello) {
+    throw new Error('Duplicate key exchange hello');
+  }
+  if (typeof hello.identityKey !== 'string' || typeof hello.ephemeralKey !== 'string') {
+    throw new Error('Malformed key exchange hello');
+  }
+  crypto.createPublicKey({ key: Buffer.from(hello.identityKey, 'base64'), format: 'der', type: 'spki' });
+
+  // Older peers send no certificate and are known by their address
+  const peerNodeId = hello.node ? verifyNodeCertificate(hello.identityKey, hello.node) : null;
+
+  const sharedSecret = session.ecdh.computeSecret(Buffer.from(hello.ephemeralKey, 'base64'));
+  const salt = Buffer.concat(
+    [session.ephemeralKey, hello.ephemeralKey].sort().map(key => Buffer.from(key, 'base64'))
+  );
+  session.ecdh = null;
+  session.peerHello = {
+    identityKey: hello.identityKey,
+    ephemeralKey: hello.ephemeralKey,
+    nodeId: peerNodeId,
+    // Older nodes send no capabilities and only get JSON frames
+    capabilities: Array.isArray(hello.capabilities) ? hello.capabilities : [],
+    sessionKey: Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, SESSION_KEY_INFO, SESSION_KEY_LENGTH))
+  };
+
+  const { privateKey, publicKeyDer } = getIdentity();
+  const transcript = handshakeTranscript(
+    publicKeyDer.toString('base64'), session.ephemeralKey, hello.identityKey, hello.ephemeralKey
+  );
+  const signature = crypto.sign('sha256', transcript, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  socket.send(JSON.stringify({ type: KEY_EXCHANGE_CONFIRM_TYPE, signature: signature.toString('base64') }));
+}
+
+/**
+ * Check the other side's confirmation and start using the session key
+ * @param {WebSocket} socket - Socket the confirmation arrived on
+ * @param {Object} session - Handshake state of the socket
+ * @param {Object} confirm - Parsed key_exchange_confirm frame
+ */
+function acceptConfirm(socket, session, confirm) {
+  const peer = session.peerHello;
+  if (!peer) {
+    throw new Error('Key exchange confirmation before hello');
+  }
+
+  const transcript = handshakeTranscript(
+    peer.identityKey, peer.ephemeralKey, getIdentity().publicKeyDer.toString('base64'), session.ephemeralKey
+  );
+  const peerIdentity = crypto.createPublicKey({ key: Buffer.from(peer.identityKey, 'base64'), format: 'der', type: 'spki' });
+  const validSignature = typeof confirm.signature === 'string' && crypto.verify(
+    'sha256',
+    transcript,
+    { key: peerIdentity, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(confirm.signature, 'base64')
+  );
+  if (!validSignature) {
+    throw new Error('Invalid key exchange signature');
+  }
+
+  session.sessionKey = peer.sessionKey;
+  session.peerIdentityKey = peer.identityKey;
+  session.peerNodeId = peer.nodeId;
+  session.peerCapabilities = peer.capabilities;
+  session.peerHello = null;
+
+  // Deliver anything that was sent before the session key existed
+  const pending = session.pending;
+  session.pending = [];
+  for (const message of pending) {
+    socket.send(encryptMessage(message, session.sessionKey));
+  }
+}
+
+/**
+ * Handle an inbound frame if it is part of the handshake
+ * @param {WebSocket} socket - Socket the frame arrived on
+ * @param {string} rawMessage - Raw frame contents
+ * @returns {boolean} - True if the frame was a handshake frame and has been consumed
+ */
+function handleKeyExchangeMessage(socket, rawMessage) {
+  const session = sessions.get(socket);
+  if (!session || session.sessionKey || session.legacy || !rawMessage.startsWith('{')) {
+    return false;
+  }
+
+  let frame;
+  try {
+    frame = JSON.parse(rawMessage);
+  } catch (error) {
+    return false;
+  }
+  if (!frame || (frame.type !== KEY_EXCHANGE_TYPE && frame.type !== KEY_EXCHANGE_CONFIRM_TYPE)) {
+    return false;
+  }
+
+  try {
+    if (frame.type === KEY_EXCHANGE_TYPE) {
+      acceptHello(socket, session, frame);
+    } else {
+      acceptConfirm(socket, session, frame);
+    }
+  } catch (error) {
+    console.error('Key exchange failed:', error.message);
+    session.peerHello = null;
+    socket.close(1008, 'Key exchange failed');
+  }
+
+  return true;
+}
+
+/**
+ * Switch a socket that has no session key to the legacy static-key format,
+ * after an older node that never runs the key exchange has sent a legacy
+ * frame on it. Anything waiting for the session key is sent in that format.
+ * @param {WebSocket} socket - WebSocket connection
+ */
+function useLegacyEncryption(socket) {
+  const session = sessions.get(socket);
+  if (!session || session.sessionKey || session.legacy) {
+    return;
+  }
+
+  session.legacy = true;
+  session.ecdh = null;
+  const pending = session.pending;
+  session.pending = [];
+  for (const message of pending) {
+    socket.send(encryptLegacyMessage(message));
+  }
+}
+
+/**
+ * Check whether a socket talks to an older node in the legacy format
+ * @param {WebSocket} socket - WebSocket connection
+ * @returns {boolean} - True after useLegacyEncryption()
+ */
+function usesLegacyEncryption(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return !!(session && session.legacy);
+}
+
+/**
+ * Get the session key negotiated for a socket
+ * @param {WebSocket} socket - WebSocket connection
+ * @returns {Buffer|null} - Session key or null if the handshake has not completed
+ */
+function getSessionKey(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return session ? session.sessionKey : null;
+}
+
+/**
+ * Get the identity key the remote side proved ownership of during the handshake
+ * @param {WebSocket} socket - WebSocket connection
+ * @returns {string|null} - Base64 SPKI identity key or null if not yet known
+ */
+function getPeerIdentityKey(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return session ? session.peerIdentityKey : null;
+}
+
+/**
+ * Get the ID of the node the remote side proved it speaks for in the handshake
+ * @param {WebSocket} socket - WebSocket connection
+ * @returns {string|null} - Node ID, or null if the handshake has not completed or the peer sent no certificate
+ */
+function getPeerNodeId(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return session ? session.peerNodeId : null;
+}
+
+/**
+ * Check whether the remote side of a socket accepts binary frames
+ * @param {WebSocket} socket - WebSocket connection
+ * @returns {boolean} - True if binary_frames was announced in the handshake
+ */
+function supportsBinaryFrames(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return !!(session && session.peerCapabilities.includes(BINARY_FRAMES_CAPABILITY));
+}
+
+/**
+ * Encrypt a message with the socket's session key and send it,
+ * queueing it until the handshake completes if necessary
+ * @param {WebSocket} socket - WebSocket connection
+ * @param {string} message - JSON string message to send
+ */
+function sendEncrypted(socket, message) {
+  const session = sessions.get(socket);
+  if (!session) {
+    throw new Error('No key exchange started for this connection');
+  }
+
+  if (session.legacy) {
+    socket.send(encryptLegacyMessage(message));
+    return;
+  }
+
+  if (!session.sessionKey) {
+    session.pending.push(message);
+    return;
+  }
+
+  socket.send(encryptMessage(message, session.sessionKey));
+}
+
+/**
+ * Send a message carrying a `data` Buffer, as a binary frame when the socket
+ * supports it and as JSON with base64 `data` otherwise
+ * @param {WebSocket} socket - WebSocket connection
+ * @param {Object} message - Message object with a Buffer `data` field
+ * @param {boolean} binary - Whether the remote side accepts binary frames
+ */
+function sendEncryptedFrame(socket, message, binary = supportsBinaryFrames(socket)) {
+  const session = sessions.get(socket);
+  if (!session) {
+    throw new Error('No key exchange started for this connection');
+  }
+
+  // Frames queued before the handshake go out as JSON with the rest of the queue
+  if (!binary || !session.sessionKey) {
+    sendEncrypted(socket, JSON.stringify({ ...message, data: message.data.toString('base64') }));
+    return;
+  }
+
+  socket.send(encryptFrame(message, session.sessionKey), { binary: true });
+}
+
+module.exports = {
+  BINARY_FRAMES_CAPABILITY,
+  getIdentity,
+  getKeyFingerprint,
+  getNodeId,
+  issueNodeCertificate,
+  initiateKeyExchange,
+  handleKeyExchangeMessage,
+  useLegacyEncryption,
+  usesLegacyEncryption,
+  getSessionKey,
+  getPeerIdentityKey,
+  getPeerNodeId,
+  supportsBinaryFrames,
+  sendEncrypted,
+  sendEncryptedFrame
+};
@@ -0,0 +1,165 @@
+/**
+ * loginGuard.js - Brute-force protection for IP Messenger Clone
+ *
+ * This module counts failed password logins and access code checks per
+ * client IP and per username. The first few failures are free; after that
+ * each further attempt has to wait twice as long as the previous one, and
+ * once a key reaches LOCKOUT_THRESHOLD failures it is locked out for
+ * LOCKOUT_MS. A key's failures are forgotten after ATTEMPT_WINDOW_MS
+ * without a new one.
+ *
+ * Lockouts are written to a security log kept through storage.js, capped at
+ * MAX_LOG_ENTRIES, which node admins can read with getSecurityLog().
+ */
+
+const crypto = require('crypto');
+const { loadCollection, saveCollection } = require('./storage');
+
+// Attempt limits
+const FREE_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000; // 1 minute
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+// Security log limit
+const MAX_LOG_ENTRIES = 1000;
+
+// Failure counters per key
+// key -> { failures, lastFailureAt, nextAttemptAt, lockedUntil }
+const attemptCounters = new Map();
+
+// Security log, oldest first (restored from storage on startup)
+const securityLog = loadCollection('securityLog', []);
+
+/**
+ * Build the counter keys for an attempt
+ * @param {string} scope - What is being guessed ('login' or 'access_code')
+ * @param {Object} source - { ip, username } of the attempt
+ * @returns {Object} - { ip, user } counter keys (user is null without a username)
+ */
+function attemptKeys(scope, { ip, username = null }) {
+  return {
+    ip: `${scope}:ip:${ip}`,
+    user: username ? `${scope}:user:${String(username).toLowerCase()}` : null
+  };
+}
+
+/**
+ * Append an event to the security log
+ * @param {Object} event - Event fields (type, scope, ip, username, ...)
+ */
+function logSecurityEvent(event) {
+  securityLog.push({
+    id: crypto.randomBytes(8).toString('hex'),
+    ...event,
+    timestamp: Date.now()
+  });
+  if (securityLog.length > MAX_LOG_ENTRIES) {
+    securityLog.splice(0, securityLog.length - MAX_LOG_ENTRIES);
+  }
+  saveCollection('securityLog', securityLog);
+}
+
+/**
+ * Check whether an attempt may be made now
+ * @param {Object} keys - Counter keys from attemptKeys()
+ * @returns {Object} - { allowed } or { allowed: false, lockedOut, retryAfterMs }
+ */
+function checkAttempt(keys) {
+  const now = Date.now();
+  let retryAfterMs = 0;
+  let lockedOut = false;
+
+  for (const key of Object.values(keys)) {
+    const counter = key && attemptCounters.get(key);
+    if (!counter) continue;
+
+    if (counter.lockedUntil > now) {
+      lockedOut = true;
+      retryAfterMs = Math.max(retryAfterMs, counter.lockedUntil - now);
+    } else if (counter.nextAttemptAt > now) {
+      retryAfterMs = Math.max(retryAfterMs, counter.nextAttemptAt - now);
+    }
+  }
+
+  return retryAfterMs > 0 ? { allowed: false, lockedOut, retryAfterMs } : { allowed: true };
+}
+
+/**
+ * Record a failed attempt against every key
+ * @param {Object} keys - Counter keys from attemptKeys()
+ * @param {Object} details - { scope, ip, username } written to the security log on lockout
+ */
+function recordFailure(keys, details) {
+  const now = Date.now();
+
+  for (const key of Object.values(keys)) {
+    if (!key) continue;
+
+    let counter = attemptCounters.get(key);
+    if (!counter || (counter.lockedUntil <= now && now - counter.lastFailureAt > ATTEMPT_WINDOW_MS)) {
+      counter = { failures: 0, lastFailureAt: 0, nextAttemptAt: 0, lockedUntil: 0 };
+    }
+
+    counter.failures++;
+    counter.lastFailureAt = now;
+
+    if (counter.failures >= LOCKOUT_THRESHOLD) {
+      counter.lockedUntil = now + LOCKOUT_MS;
+      counter.failures = 0;
+      counter.nextAttemptAt = 0;
+      console.error(`Locked out ${key} after ${LOCKOUT_THRESHOLD} failed attempts`);
+      logSecurityEvent({ type: 'lockout', key, ...details, lockedUntil: counter.lockedUntil });
+    } else if (counter.failures > FREE_ATTEMPTS) {
+      const backoff = BASE_BACKOFF_MS * 2 ** (counter.failures - FREE_ATTEMPTS - 1);
+      counter.nextAttemptAt = now + Math.min(backoff, MAX_BACKOFF_MS);
+    }
+
+    attemptCounters.set(key, counter);
+  }
+}
+
+/**
+ * Forget the failures recorded against a key (after a successful attempt)
+ * @param {string|null} key - Counter key
+ */
+function clearAttempts(key) {
+  if (key) {
+    attemptCounters.delete(key);
+  }
+}
+
+/**
+ * Drop counters that are neither locked nor within the attempt window
+ */
+function pruneAttemptCounters() {
+  const now = Date.now();
+  for (const [key, counter] of attemptCounters) {
+    if (counter.lockedUntil <= now && now - counter.lastFailureAt > ATTEMPT_WINDOW_MS) {
+      attemptCounters.delete(key);
+    }
+  }
+}
+
+/**
+ * Get security log entries, newest first
+ * @param {Object} options - { limit, since } to page through the log
+ * @returns {Array} - Log entries
+ */
+function getSecurityLog({ limit = 100, since = 0 } = {}) {
+  return securityLog
+    .filter(entry => entry.timestamp > since)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  attemptKeys,
+  checkAttempt,
+  recordFailure,
+  clearAttempts,
+  pruneAttemptCounters,
+  getSecurityLog
+};
@@ -0,0 +1,405 @@
+/**
+ * mdns.js - Multicast DNS service discovery for IP Messenger Clone
+ *
+ * This module announces the node as a DNS-SD service (`_offgrid._tcp.local`)
+ * on multicast DNS and browses for other nodes doing the same. It speaks just
+ * enough of the DNS wire format for that, on a plain dgram socket that joins
+ * the mDNS multicast group on every local interface.
+ *
+ * An announcement is one response carrying:
+ * - PTR _offgrid._tcp.local -> <instance>._offgrid._tcp.local
+ * - SRV <instance> -> <host>.local, WebSocket port
+ * - TXT <instance> -> nodeId=, hostname=, displayName=, version=, capabilities=
+ * - A   <host>.local -> each local IPv4 address
+ * Nodes send it when they start and whenever they hear a PTR query for the
+ * service type. Browsing is a PTR query; every answer that carries a SRV and
+ * TXT record for an instance is reported as a peer, at the address the
+ * answer came from.
+ */
+
+const dgram = require('dgram');
+
+// Multicast DNS endpoint
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+
+// Service type announced and browsed for
+const SERVICE_TYPE = '_offgrid._tcp.local';
+
+// DNS record types and classes
+const RECORD_TYPES = { A: 1, PTR: 12, TXT: 16, SRV: 33 };
+const CLASS_IN = 1;
+const CACHE_FLUSH = 0x8000; // Set on records only this node answers for
+const RESPONSE_FLAGS = 0x8400; // Response, authoritative answer
+
+// Seconds other nodes may keep our records
+const RECORD_TTL = 120;
+
+// DNS labels are at most 63 bytes
+const MAX_LABEL_LENGTH = 63;
+
+// Compression pointers followed while reading one name
+const MAX_POINTER_JUMPS = 32;
+
+// mDNS state, set by startMdns()
+// options: { localAddresses, getLocalInfo, onPeer }
+let options = null;
+let mdnsSocket = null;
+
+/**
+ * Turn text into a single DNS label
+ * @param {string} text - Text to use
+ * @returns {string} - Label without dots, at most MAX_LABEL_LENGTH bytes
+ */
+function toLabel(text) {
+  let label = String(text).replace(/\./g, '-');
+  while (Buffer.byteLength(label) > MAX_LABEL_LENGTH) {
+    label = label.slice(0, -1);
+  }
+  return label;
+}
+
+/**
+ * Get the names this node announces
+ * @param {Object} info - Result of getLocalInfo()
+ * @returns {Object} - { instance, host } fully qualified
+ */
+function getServiceNames(info) {
+  const hostLabel = toLabel(info.hostname.split('.')[0] || 'offgrid');
+  return {
+    instance: `${toLabel(`${hostLabel}-${info.nodeId.slice(0, 12)}`)}.${SERVICE_TYPE}`,
+    host: `${hostLabel}.local`
+  };
+}
+
+/**
+ * Encode a domain name (without compression)
+ * @param {string} name - Dotted name
+ * @returns {Buffer} - Wire format name
+ */
+function encodeName(name) {
+  const parts = name.split('.').filter(Boolean).map(label => {
+    const bytes = Buffer.from(label);
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Encode one resource record
+ * @param {Object} record - { name, type, ttl, cacheFlush, data } with data already encoded
+ * @returns {Buffer} - Wire format record
+ */
+function encodeRecord({ name, type, ttl, cacheFlush, data }) {
+  const fixed = Buffer.alloc(10);
+  fixed.writeUInt16BE(type, 0);
+  fixed.writeUInt16BE(CLASS_IN | (cacheFlush ? CACHE_FLUSH : 0), 2);
+  fixed.writeUInt32BE(ttl, 4);
+  fixed.writeUInt16BE(data.length, 8);
+  return Buffer.concat([encodeName(name), fixed, data]);
+}
+
+/**
+ * Encode a DNS message
+ * @param {Object} message - { flags, questions: [{ name, type }], answers: [record] }
+ * @returns {Buffer} - Wire format message
+ */
+function encodeMessage({ flags = 0, questions = [], answers = [] }) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+
+  const encodedQuestions = questions.map(({ name, type }) => {
+    const fixed = Buffer.alloc(4);
+    fixed.writeUInt16BE(type, 0);
+    fixed.writeUInt16BE(CLASS_IN, 2);
+    return Buffer.concat([encodeName(name), fixed]);
+  });
+  return Buffer.concat([header, ...encodedQuestions, ...answers.map(encodeRecord)]);
+}
+
+/**
+ * Encode TXT record data from key/value pairs
+ * @param {Object} fields - Keys and string values
+ * @returns {Buffer} - Length-prefixed key=value strings
+ */
+function encodeTxt(fields) {
+  return Buffer.concat(Object.entries(fields).map(([key, value]) => {
+    let bytes = Buffer.from(`${key}=${value}`);
+    if (bytes.length > 255) bytes = bytes.subarray(0, 255);
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  }));
+}
+
+/**
+ * Read a domain name, following compression pointers
+ * @param {Buffer} buffer - Whole message
+ * @param {number} offset - Where the name starts
+ * @returns {Object} - { name, end } where end is the offset after the name in place
+ */
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  for (;;) {
+    const length = buffer.readUInt8(position);
+    if (length === 0) {
+      return { name: labels.join('.'), end: end === null ? position + 1 : end };
+    }
+    if ((length & 0xc0) === 0xc0) {
+      // Bound the number of jumps so a pointer loop cannot hang us
+      if (++jumps > MAX_POINTER_JUMPS) {
+        throw new Error('Too many name compression pointers');
+      }
+      if (end === null) end = position + 2;
+      position = buffer.readUInt16BE(position) & 0x3fff;
+      continue;
+    }
+    labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += length + 1;
+  }
+}
+
+/**
+ * Decode TXT record data into key/value pairs
+ * @param {Buffer} data - Record data
+ * @returns {Object} - Keys and string values
+ */
+function decodeTxt(data) {
+  const fields = {};
+  let position = 0;
+  while (position < data.length) {
+    const length = data.readUInt8(position);
+    const entry = data.toString('utf8', position + 1, position + 1 + length);
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      fields[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+    position += length + 1;
+  }
+  return fields;
+}
+
+/**
+ * Decode a DNS message
+ * @param {Buffer} buffer - Wire format message
+ * @returns {Object} - { isResponse, questions: [{ name, type }], records: [{ name, type, ttl, ... }] }
+ */
+function decodeMessage(buffer) {
+  const flags = buffer.readUInt16BE(2);
+  const questionCount = buffer.readUInt16BE(4);
+  const recordCount = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+  let offset = 12;
+
+  const questions = [];
+  for (let i = 0; i < questionCount; i++) {
+    const { name, end } = decodeName(buffer, offset);
+    questions.push({ name: name.toLowerCase(), type: buffer.readUInt16BE(end) });
+    offset = end + 4;
+  }
+
+  const records = [];
+  for (let i = 0; i < recordCount; i++) {
+    const { name, end } = decodeName(buffer, offset);
+    const type = buffer.readUInt16BE(end);
+    const ttl = buffer.readUInt32BE(end + 4);
+    const length = buffer.readUInt16BE(end + 8);
+    const dataStart = end + 10;
+    const data = buffer.subarray(dataStart, dataStart + length);
+    const record = { name: name.toLowerCase(), type, ttl };
+
+    if (type === RECORD_TYPES.PTR) {
+      record.target = decodeName(buffer, dataStart).name.toLowerCase();
+    } else if (type === RECORD_TYPES.SRV) {
+      record.port = data.readUInt16BE(4);
+      record.target = decodeName(buffer, dataStart + 6).name.toLowerCase();
+    } else if (type === RECORD_TYPES.TXT) {
+      record.fields = decodeTxt(data);
+    } else if (type === RECORD_TYPES.A && length === 4) {
+      record.address = Array.from(data).join('.');
+    }
+    records.push(record);
+    offset = dataStart + length;
+  }
+
+  return { isResponse: Boolean(flags & 0x8000), questions, records };
+}
+
+/**
+ * Build our announcement
+ * @returns {Buffer} - DNS response with the PTR, SRV, TXT and A records
+ */
+function buildAnnouncement() {
+  const info = options.getLocalInfo();
+  const { instance, host } = getServiceNames(info);
+
+  const srv = Buffer.alloc(6);
+  srv.writeUInt16BE(info.wsPort, 4);
+
+  const answers = [
+    { name: SERVICE_TYPE, type: RECORD_TYPES.PTR, ttl: RECORD_TTL, data: encodeName(instance) },
+    { name: instance, type: RECORD_TYPES.SRV, ttl: RECORD_TTL, cacheFlush: true, data: Buffer.concat([srv, encodeName(host)]) },
+    {
+      name: instance,
+      type: RECORD_TYPES.TXT,
+      ttl: RECORD_TTL,
+      cacheFlush: true,
+      data: encodeTxt({
+        nodeId: info.nodeId,
+        hostname: info.hostname,
+        displayName: info.displayName,
+        version: info.version,
+        capabilities: info.capabilities.join(',')
+      })
+    },
+    ...options.localAddresses.map(iface => ({
+      name: host,
+      type: RECORD_TYPES.A,
+      ttl: RECORD_TTL,
+      cacheFlush: true,
+      data: Buffer.from(iface.address.split('.').map(Number))
+    }))
+  ];
+  return encodeMessage({ flags: RESPONSE_FLAGS, answers });
+}
+
+/**
+ * Send a message to the mDNS group
+ * @param {Buffer} message - Encoded DNS message
+ */
+function sendMulticast(message) {
+  if (!mdnsSocket) return;
+  mdnsSocket.send(message, 0, message.length, MDNS_PORT, MDNS_ADDRESS, (error) => {
+    if (error) {
+      console.error('Error sending mDNS message:', error.message);
+    }
+  });
+}
+
+/**
+ * Announce this node to the network
+ */
+function announceMdns() {
+  sendMulticast(buildAnnouncement());
+}
+
+/**
+ * Ask the network which nodes offer the service
+ */
+function queryMdns() {
+  sendMulticast(encodeMessage({ questions: [{ name: SERVICE_TYPE, type: RECORD_TYPES.PTR }] }));
+}
+
+/**
+ * Report every instance of the service described in a response
+ * @param {Array} records - Decoded records of the response
+ * @param {Object} rinfo - Sender address
+ */
+function handleResponse(records, rinfo) {
+  const { nodeId } = options.getLocalInfo();
+  const instances = records
+    .filter(r => r.type === RECORD_TYPES.PTR && r.name === SERVICE_TYPE && r.ttl > 0)
+    .map(r => r.target);
+
+  for (const instance of instances) {
+    const srv = records.find(r => r.type === RECORD_TYPES.SRV && r.name === instance);
+    const txt = records.find(r => r.type === RECORD_TYPES.TXT && r.name === instance);
+    if (!srv || !txt || txt.fields.nodeId === nodeId) {
+      continue;
+    }
+
+    const { fields } = txt;
+    options.onPeer({
+      id: fields.nodeId || `${rinfo.address}:${srv.port}`,
+      ip: rinfo.address,
+      port: srv.port,
+      nodeId: fields.nodeId || null,
+      hostname: fields.hostname || srv.target.replace(/\.local$/, ''),
+      displayName: fields.displayName || null,
+      version: fields.version || '1.0.0',
+      capabilities: fields.capabilities ? fields.capabilities.split(',') : []
+    });
+  }
+}
+
+/**
+ * Handle a datagram from the mDNS group
+ * @param {Buffer} msg - Datagram
+ * @param {Object} rinfo - Sender address
+ */
+function handleMdnsMessage(msg, rinfo) {
+  let message;
+  try {
+    message = decodeMessage(msg);
+  } catch (error) {
+    return; // Not DNS, or a record type we cannot read
+  }
+
+  if (message.isResponse) {
+    handleResponse(message.records, rinfo);
+  } else if (message.questions.some(q => q.name === SERVICE_TYPE && q.type === RECORD_TYPES.PTR)) {
+    announceMdns();
+  }
+}
+
+/**
+ * Join the mDNS group, announce this node and start answering queries
+ * @param {Object} mdnsOptions - mDNS settings
+ * @param {Array} mdnsOptions.localAddresses - Local IPv4 interfaces: [{ address, netmask, name }]
+ * @param {Function} mdnsOptions.getLocalInfo - Returns { nodeId, hostname, displayName, wsPort, version, capabilities }
+ * @param {Function} mdnsOptions.onPeer - Called with each peer found: { id, ip, port, nodeId, hostname, displayName, version, capabilities }
+ */
+function startMdns(mdnsOptions) {
+  options = mdnsOptions;
+  // Other mDNS responders on this machine share the port
+  mdnsSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+  mdnsSocket.on('error', (err) => {
+    console.error(`mDNS socket error: ${err.message}`);
+    stopMdns();
+  });
+
+  mdnsSocket.on('message', handleMdnsMessage);
+
+  mdnsSocket.bind(MDNS_PORT, () => {
+    for (const iface of options.localAddresses) {
+      try {
+        mdnsSocket.addMembership(MDNS_ADDRESS, iface.address);
+      } catch (error) {
+        console.error(`Could not join mDNS group on interface ${iface.name}:`, error.message);
+      }
+    }
+    mdnsSocket.setMulticastTTL(255);
+    mdnsSocket.setMulticastLoopback(true);
+    console.log(`mDNS discovery running for ${SERVICE_TYPE}`);
+
+    announceMdns();
+    queryMdns();
+  });
+}
+
+/**
+ * Leave the mDNS group and close the socket
+ */
+function stopMdns() {
+  if (mdnsSocket) {
+    const socket = mdnsSocket;
+    mdnsSocket = null;
+    try {
+      socket.close();
+    } catch (error) {
+      // Already closed
+    }
+  }
+}
+
+module.exports = {
+  SERVICE_TYPE,
+  startMdns,
+  stopMdns,
+  announceMdns,
+  queryMdns
+};
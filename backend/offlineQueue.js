@@ -0,0 +1,256 @@
+/**
+ * offlineQueue.js - Store-and-forward queue for IP Messenger Clone
+ *
+ * This module holds direct messages (chats, clipboard shares, read receipts
+ * and file offers) addressed to peers that are not currently connected. The
+ * queue is kept on disk through storage.js so it survives a backend restart,
+ * and is delivered in order when the peer reconnects.
+ *
+ * Each peer's queue is capped by message count and total size, the queue as
+ * a whole by the number of peers and the total size, and entries older than
+ * QUEUE_EXPIRY_MS are discarded instead of being delivered. Callers decide
+ * whom messages may be queued for.
+ *
+ * Queuing a message does not rewrite the whole queue: every change is
+ * appended to the `offlineQueueLog` log, and the log is folded into the
+ * `offlineQueue` collection on startup and whenever it grows past
+ * MAX_LOG_ENTRIES. Replaying a change that is already in the collection
+ * leaves it as it was, so a crash while folding loses nothing.
+ */
+
+const crypto = require('crypto');
+const { loadCollection, saveCollection, appendToLog, loadLog, clearLog } = require('./storage');
+
+// Queue limits
+const MAX_QUEUED_MESSAGES_PER_PEER = 200;
+const MAX_QUEUED_BYTES_PER_PEER = 1024 * 1024; // 1 MB
+const MAX_QUEUED_PEERS = 100;
+const MAX_QUEUED_BYTES = 16 * 1024 * 1024; // 16 MB
+const QUEUE_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Log of changes since the collection was last written
+const QUEUE_LOG = 'offlineQueueLog';
+const MAX_LOG_ENTRIES = 1000;
+
+// Queued entries per peer, oldest first (restored from storage on startup)
+// peerId -> [ { id, from, message, size, notifySender, queuedAt, expiresAt } ]
+const offlineQueues = new Map(Object.entries(loadCollection('offlineQueue', {})));
+
+// Number of changes in the log
+let logEntries = 0;
+
+/**
+ * Apply one change to the queue
+ * @param {Object} change - { op: 'queued', peerId, entry } | { op: 'removed', peerId, ids }
+ *                          | { op: 'renamed', oldId, newId }
+ */
+function applyChange(change) {
+  switch (change.op) {
+    case 'queued': {
+      const queue = offlineQueues.get(change.peerId) || [];
+      if (!queue.some(entry => entry.id === change.entry.id)) {
+        queue.push(change.entry);
+        offlineQueues.set(change.peerId, queue);
+      }
+      break;
+    }
+    case 'removed': {
+      const remaining = (offlineQueues.get(change.peerId) || []).filter(entry => !change.ids.includes(entry.id));
+      if (remaining.length) {
+        offlineQueues.set(change.peerId, remaining);
+      } else {
+        offlineQueues.delete(change.peerId);
+      }
+      break;
+    }
+    case 'renamed': {
+      const { oldId, newId } = change;
+      for (const queue of offlineQueues.values()) {
+        queue.forEach(entry => {
+          entry.from = entry.from === oldId ? newId : entry.from;
+          entry.message.from = entry.message.from === oldId ? newId : entry.message.from;
+        });
+      }
+      if (offlineQueues.has(oldId)) {
+        // Messages queued under the old ID are older, so they are delivered first
+        const moved = offlineQueues.get(oldId);
+        const newer = (offlineQueues.get(newId) || []).filter(entry => !moved.some(old => old.id === entry.id));
+        offlineQueues.set(newId, [...moved, ...newer]);
+        offlineQueues.delete(oldId);
+      }
+      break;
+    }
+    default:
+      console.error(`Skipping unknown offline queue change: ${change.op}`);
+  }
+}
+
+/**
+ * Write the whole queue to storage and start a new log
+ */
+function saveQueue() {
+  if (saveCollection('offlineQueue', Object.fromEntries(offlineQueues)) && clearLog(QUEUE_LOG)) {
+    logEntries = 0;
+  }
+}
+
+/**
+ * Apply a change and record it in the log
+ * @param {Object} change - Change, see applyChange()
+ */
+function recordChange(change) {
+  applyChange(change);
+  if (!appendToLog(QUEUE_LOG, change)) {
+    saveQueue();
+    return;
+  }
+  if (++logEntries >= MAX_LOG_ENTRIES) {
+    saveQueue();
+  }
+}
+
+/**
+ * Total size of the queued entries
+ * @param {Array} queue - Queued entries
+ * @returns {number} - Bytes
+ */
+function getQueuedBytes(queue) {
+  return queue.reduce((total, entry) => total + entry.size, 0);
+}
+
+/**
+ * Drop expired entries from every queue
+ * @returns {Array} - Entries that were dropped
+ */
+function pruneExpiredMessages() {
+  const now = Date.now();
+  const expired = [];
+
+  for (const [peerId, queue] of [...offlineQueues]) {
+    const dropped = queue.filter(entry => entry.expiresAt <= now);
+    if (dropped.length) {
+      expired.push(...dropped);
+      recordChange({ op: 'removed', peerId, ids: dropped.map(entry => entry.id) });
+    }
+  }
+
+  if (expired.length) {
+    console.log(`Dropped ${expired.length} expired offline messages`);
+  }
+  return expired;
+}
+
+/**
+ * Queue a message for a peer that is offline
+ * @param {string} peerId - ID of the peer the message is addressed to
+ * @param {Object} message - Message object to deliver when the peer reconnects
+ * @param {Object} options - { from, notifySender } for delivery receipts
+ * @returns {Object} - Result with success status, message and queued entry
+ */
+function enqueueMessage(peerId, message, { from = null, notifySender = false } = {}) {
+  pruneExpiredMessages();
+
+  const queue = offlineQueues.get(peerId) || [];
+  const size = Buffer.byteLength(JSON.stringify(message), 'utf8');
+
+  if (queue.length >= MAX_QUEUED_MESSAGES_PER_PEER || getQueuedBytes(queue) + size > MAX_QUEUED_BYTES_PER_PEER) {
+    console.error(`Offline queue for ${peerId} is full, message not queued`);
+    return { success: false, message: `Offline queue for ${peerId} is full` };
+  }
+
+  const totalBytes = [...offlineQueues.values()].reduce((total, peerQueue) => total + getQueuedBytes(peerQueue), 0);
+  if ((!queue.length && offlineQueues.size >= MAX_QUEUED_PEERS) || totalBytes + size > MAX_QUEUED_BYTES) {
+    console.error(`Offline queue is full, message for ${peerId} not queued`);
+    return { success: false, message: 'Offline queue is full' };
+  }
+
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    from,
+    message,
+    size,
+    notifySender,
+    queuedAt: now,
+    expiresAt: now + QUEUE_EXPIRY_MS
+  };
+
+  recordChange({ op: 'queued', peerId, entry });
+
+  console.log(`Queued ${message.type} for offline peer ${peerId} (${offlineQueues.get(peerId).length} queued)`);
+  return { success: true, message: 'Message queued', entry };
+}
+
+/**
+ * Deliver a peer's queued messages in order
+ * @param {string} peerId - ID of the peer that reconnected
+ * @param {Function} send - Function that sends one message object, throws on failure
+ * @returns {Array} - Entries that were delivered
+ */
+function deliverQueuedMessages(peerId, send) {
+  pruneExpiredMessages();
+
+  const queue = offlineQueues.get(peerId);
+  if (!queue || !queue.length) {
+    return [];
+  }
+
+  const delivered = [];
+  for (const entry of queue) {
+    try {
+      send(entry.message);
+      delivered.push(entry);
+    } catch (error) {
+      // Stop at the first failure so the rest stay queued in order
+      console.error(`Error delivering queued message to ${peerId}:`, error);
+      break;
+    }
+  }
+
+  if (delivered.length) {
+    recordChange({ op: 'removed', peerId, ids: delivered.map(entry => entry.id) });
+  }
+
+  console.log(`Delivered ${delivered.length} queued messages to ${peerId}`);
+  return delivered;
+}
+
+/**
+ * Move everything queued for or from a peer to a new ID, e.g. when a peer
+ * that used to be known by its address is now known by its node ID
+ * @param {string} oldId - ID the peer was known by
+ * @param {string} newId - ID it is known by from now on
+ */
+function renameQueuedPeer(oldId, newId) {
+  const affected = offlineQueues.has(oldId) || [...offlineQueues.values()].some(queue =>
+    queue.some(entry => entry.from === oldId || entry.message.from === oldId));
+
+  if (affected) {
+    recordChange({ op: 'renamed', oldId, newId });
+  }
+}
+
+/**
+ * Get the number of messages queued for a peer
+ * @param {string} peerId - Peer ID
+ * @returns {number} - Number of queued messages
+ */
+function getQueuedMessageCount(peerId) {
+  const queue = offlineQueues.get(peerId);
+  return queue ? queue.length : 0;
+}
+
+// Catch up with changes logged since the queue was last written
+const pendingChanges = loadLog(QUEUE_LOG);
+if (pendingChanges.length) {
+  pendingChanges.forEach(applyChange);
+  saveQueue();
+}
+
+module.exports = {
+  enqueueMessage,
+  deliverQueuedMessages,
+  pruneExpiredMessages,
+  renameQueuedPeer,
+  getQueuedMessageCount
+};
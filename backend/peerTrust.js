@@ -0,0 +1,240 @@
+/**
+ * peerTrust.js - Peer authorization for IP Messenger Clone
+ *
+ * A peer is authorized once a local user approves it with this node's access
+ * code. Approval is recorded against the peer's fingerprint (its node ID, or
+ * for older nodes the fingerprint of the key it proves in the key exchange)
+ * and the fingerprint is pinned to the address it was approved at, trust on
+ * first use. From then on the peer is authorized automatically whenever it
+ * connects with the same key, from whatever address. If a pinned address
+ * shows up with an unknown key the peer is reported as `key_changed` and
+ * stays unauthorized until a user approves the new key explicitly. Blocked
+ * fingerprints are refused outright.
+ *
+ * The allowlist, blocklist and pins are kept through storage.js. The access
+ * code itself lives in settings.json; rotating it keeps the previous code
+ * valid for a grace period so peers can be approved while the new code is
+ * passed around.
+ */
+
+const crypto = require('crypto');
+const { loadCollection, saveCollection } = require('./storage');
+const { getUserSettings, updateUserSettings } = require('./userAuth');
+
+// How long a rotated-out access code is still accepted by default
+const DEFAULT_ACCESS_CODE_GRACE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Trust statuses
+const TRUST_STATUS = {
+  ALLOWED: 'allowed',
+  BLOCKED: 'blocked',
+  KEY_CHANGED: 'key_changed',
+  UNKNOWN: 'unknown'
+};
+
+// Trust records (restored from storage on startup)
+// { peers: { fingerprint -> { fingerprint, status, peerId, hostname, updatedAt, updatedBy } },
+//   pins: { peerId -> fingerprint } }
+const trust = loadCollection('peerTrust', { peers: {}, pins: {} });
+
+/**
+ * Write the trust records back to storage
+ */
+function saveTrust() {
+  saveCollection('peerTrust', trust);
+}
+
+/**
+ * Compare two access codes in constant time
+ * @param {string} provided - Code supplied by the user
+ * @param {string} expected - Code configured on this node
+ * @returns {boolean} - True if the codes match
+ */
+function accessCodesMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check an access code against the current code and any previous code
+ * still within its grace period
+ * @param {string} code - Code supplied by the user
+ * @returns {boolean} - True if the code is accepted
+ */
+function isAccessCodeValid(code) {
+  if (!code) return false;
+
+  const settings = getUserSettings();
+  if (settings.accessCode && accessCodesMatch(code, settings.accessCode)) {
+    return true;
+  }
+
+  const now = Date.now();
+  return (settings.previousAccessCodes || []).some(previous => (
+    previous.expiresAt > now && accessCodesMatch(code, previous.code)
+  ));
+}
+
+/**
+ * Replace the access code, keeping the old one valid for a grace period
+ * @param {Object} options - { accessCode, graceMs }; a random code is generated when none is given
+ * @returns {Object} - Result with success status, message, the new code and when the old one expires
+ */
+function rotateAccessCode({ accessCode = null, graceMs = DEFAULT_ACCESS_CODE_GRACE_MS } = {}) {
+  if (accessCode !== null && (typeof accessCode !== 'string' || accessCode.length < 6)) {
+    return { success: false, message: 'Access code must be at least 6 characters' };
+  }
+  if (!Number.isFinite(graceMs) || graceMs < 0) {
+    return { success: false, message: 'Grace period must be a positive number of milliseconds' };
+  }
+
+  const settings = getUserSettings();
+  const now = Date.now();
+  const previousExpiresAt = now + graceMs;
+  const previousAccessCodes = (settings.previousAccessCodes || []).filter(previous => previous.expiresAt > now);
+  if (settings.accessCode && graceMs > 0) {
+    previousAccessCodes.push({ code: settings.accessCode, expiresAt: previousExpiresAt });
+  }
+
+  const newCode = accessCode || crypto.randomBytes(6).toString('hex');
+  const result = updateUserSettings({ accessCode: newCode, previousAccessCodes });
+  if (!result.success) {
+    return result;
+  }
+
+  console.log('Access code rotated');
+  return { success: true, message: 'Access code rotated', accessCode: newCode, previousExpiresAt };
+}
+
+/**
+ * Work out how far a peer is trusted
+ * @param {string} address - Peer address (IP:PORT)
+ * @param {string} fingerprint - Identity key fingerprint the peer proved
+ * @returns {string} - One of TRUST_STATUS
+ */
+function getTrustStatus(address, fingerprint) {
+  const record = trust.peers[fingerprint];
+  if (record) {
+    return record.status === TRUST_STATUS.BLOCKED ? TRUST_STATUS.BLOCKED : TRUST_STATUS.ALLOWED;
+  }
+
+  // Approval follows the key, so only a key nobody approved is flagged at a pinned address
+  const pinned = trust.pins[address];
+  return pinned && pinned !== fingerprint ? TRUST_STATUS.KEY_CHANGED : TRUST_STATUS.UNKNOWN;
+}
+
+/**
+ * Check whether a user has approved a peer
+ * @param {string} peerId - Node ID, or for older nodes the address (IP:PORT) its key is pinned to
+ * @returns {boolean} - True if the peer's key is allowed
+ */
+function isPeerAllowed(peerId) {
+  const record = trust.peers[peerId] || trust.peers[trust.pins[peerId]];
+  return Boolean(record && record.status === TRUST_STATUS.ALLOWED);
+}
+
+/**
+ * Carry what was recorded for an older peer, known only by its address, over
+ * to the node ID it proves now. An approval moves along when the address was
+ * pinned to the key the peer connected with.
+ * @param {string} address - Address the peer used to be known by (IP:PORT)
+ * @param {string} nodeId - Node ID the peer proved
+ * @param {string} keyFingerprint - Fingerprint of the identity key the connection proved
+ * @returns {boolean} - False if the address is pinned to some other key, so the peer is not the one known there
+ */
+function adoptAddressTrust(address, nodeId, keyFingerprint) {
+  const pinned = trust.pins[address];
+  if (!pinned || pinned === nodeId) {
+    return true;
+  }
+  if (pinned !== keyFingerprint) {
+    return false;
+  }
+
+  const record = trust.peers[pinned];
+  if (record && !trust.peers[nodeId]) {
+    trust.peers[nodeId] = { ...record, fingerprint: nodeId, updatedAt: Date.now() };
+  }
+  trust.pins[address] = nodeId;
+  saveTrust();
+  console.log(`Trust for ${address} moved to node ${nodeId}`);
+  return true;
+}
+
+/**
+ * Record a peer as allowed or blocked and pin its key to its address
+ * @param {string} peerId - Peer address (IP:PORT) to pin the key to, if known
+ * @param {string} fingerprint - Identity key fingerprint
+ * @param {string} status - TRUST_STATUS.ALLOWED or TRUST_STATUS.BLOCKED
+ * @param {Object} details - { hostname, updatedBy } stored with the record
+ * @returns {Object} - Result with success status, message and the trust record
+ */
+function setPeerTrust(peerId, fingerprint, status, { hostname = null, updatedBy = null } = {}) {
+  if (status !== TRUST_STATUS.ALLOWED && status !== TRUST_STATUS.BLOCKED) {
+    return { success: false, message: `Invalid trust status: ${status}` };
+  }
+  if (!fingerprint) {
+    return { success: false, message: 'Peer identity is not known yet' };
+  }
+
+  const record = {
+    fingerprint,
+    status,
+    peerId,
+    hostname: hostname || (trust.peers[fingerprint] || {}).hostname || null,
+    updatedAt: Date.now(),
+    updatedBy
+  };
+  trust.peers[fingerprint] = record;
+  if (peerId) {
+    trust.pins[peerId] = fingerprint;
+  }
+  saveTrust();
+
+  console.log(`Peer ${peerId || fingerprint} is now ${status}`);
+  return { success: true, message: `Peer ${status}`, peer: record };
+}
+
+/**
+ * Forget a fingerprint: drop its record and any address pinned to it
+ * @param {string} fingerprint - Identity key fingerprint
+ * @returns {Object} - Result with success status and message
+ */
+function removePeerTrust(fingerprint) {
+  if (!trust.peers[fingerprint]) {
+    return { success: false, message: 'Peer not found' };
+  }
+
+  delete trust.peers[fingerprint];
+  for (const [peerId, pinned] of Object.entries(trust.pins)) {
+    if (pinned === fingerprint) {
+      delete trust.pins[peerId];
+    }
+  }
+  saveTrust();
+  return { success: true, message: 'Peer removed' };
+}
+
+/**
+ * Get every trust record, with the addresses pinned to it
+ * @returns {Array} - Trust records
+ */
+function getTrustedPeers() {
+  return Object.values(trust.peers).map(record => ({
+    ...record,
+    pinnedAddresses: Object.keys(trust.pins).filter(peerId => trust.pins[peerId] === record.fingerprint)
+  }));
+}
+
+module.exports = {
+  TRUST_STATUS,
+  isAccessCodeValid,
+  rotateAccessCode,
+  getTrustStatus,
+  isPeerAllowed,
+  adoptAddressTrust,
+  setPeerTrust,
+  removePeerTrust,
+  getTrustedPeers
+};
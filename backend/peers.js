@@ -3,10 +3,24 @@
  * 
  * This module handles the management of peer connections, including adding,
  * removing, and communicating with peers on the local network.
+ *
+ * Peers are keyed by node ID, the fingerprint of the identity key they prove
+ * in the key exchange. Their IP address and port are only where they can be
+ * reached right now and are updated when they reconnect from somewhere else.
+ * Older nodes that send no node certificate are keyed by `IP:PORT`.
  */
 
 const WebSocket = require('ws');
-const { encryptMessage } = require('./encryption');
+const {
+  BINARY_FRAMES_CAPABILITY,
+  initiateKeyExchange,
+  handleKeyExchangeMessage,
+  getSessionKey,
+  getPeerNodeId,
+  supportsBinaryFrames,
+  sendEncrypted,
+  sendEncryptedFrame
+} = require('./keyExchange');
 
 // Store connected peers
 let peers = [];
@@ -14,15 +28,28 @@ let peers = [];
 // Store discovered peers (including unauthorized ones)
 let discoveredPeers = [];
 
+// Changes to the discovered peer list reported to onDiscoveryEvent() listeners
+const DISCOVERY_EVENTS = {
+  DISCOVERED: 'discovered',
+  UPDATED: 'updated',
+  LOST: 'lost'
+};
+
+// Fields of a discovered peer whose change is reported as an update
+const DESCRIBED_FIELDS = ['ip', 'port', 'nodeId', 'hostname', 'displayName', 'version', 'authorized', 'keyChanged'];
+
+// Listeners called with (event, peer) when the discovered peer list changes
+const discoveryListeners = [];
+
 /**
  * Add a new peer to the peer list
- * @param {string} id - Unique identifier for the peer (usually IP:PORT)
+ * @param {string} id - Node ID of the peer (IP:PORT for older nodes)
  * @param {WebSocket} socket - WebSocket connection to the peer
- * @param {string} ip - IP address of the peer
+ * @param {string} ip - Current IP address of the peer
+ * @param {number} port - WebSocket port the peer listens on (optional)
  * @param {string} hostname - Hostname of the peer (optional)
- * @param {boolean} authorized - Whether the peer is authorized (has correct access code)
  */
-function addPeer(id, socket, ip, hostname = null) {
+function addPeer(id, socket, ip, port = null, hostname = null) {
   // Check if peer already exists
   const existingPeerIndex = peers.findIndex(peer => peer.id === id);
   
@@ -32,6 +59,7 @@ function addPeer(id, socket, ip, hostname = null) {
       id,
       socket,
       ip,
+      port,
       hostname,
       connectedAt: Date.now()
     };
@@ -42,6 +70,7 @@ function addPeer(id, socket, ip, hostname = null) {
       id,
       socket,
       ip,
+      port,
       hostname,
       connectedAt: Date.now()
     });
@@ -81,14 +110,22 @@ function getPeerById(id) {
   return peers.find(peer => peer.id === id) || null;
 }
 
+/**
+ * Get the address a peer can currently be reached at
+ * @param {string} peerId - ID of the peer
+ * @returns {string|null} - `IP:PORT`, or null if the peer's address is not known
+ */
+function getPeerAddress(peerId) {
+  const peer = discoveredPeers.find(p => p.id === peerId) || getPeerById(peerId);
+  return peer && peer.ip && peer.port ? `${peer.ip}:${peer.port}` : null;
+}
+
 /**
  * Broadcast a message to all connected peers except the sender
  * @param {string} message - JSON string message to broadcast
  * @param {string} excludePeerId - ID of peer to exclude from broadcast (usually the sender)
  */
 function broadcastToPeers(message, excludePeerId = null) {
-  const encryptedMessage = encryptMessage(message);
-  
   peers.forEach(peer => {
     // Skip the excluded peer (usually the sender)
     if (excludePeerId && peer.id === excludePeerId) {
@@ -98,7 +135,7 @@ function broadcastToPeers(message, excludePeerId = null) {
     // Only send to peers with open connections
     if (peer.socket.readyState === WebSocket.OPEN) {
       try {
-        peer.socket.send(encryptedMessage);
+        sendEncrypted(peer.socket, message);
       } catch (error) {
         console.error(`Error sending message to peer ${peer.id}:`, error);
       }
@@ -106,10 +143,30 @@ function broadcastToPeers(message, excludePeerId = null) {
   });
 }
 
+/**
+ * Check whether a peer accepts binary frames, either announced in its
+ * handshake or in the capabilities array of its discovery messages
+ * @param {string} peerId - ID of the peer
+ * @returns {boolean} - True if file data can be sent to the peer as binary frames
+ */
+function peerSupportsBinaryFrames(peerId) {
+  const peer = getPeerById(peerId);
+  if (peer && supportsBinaryFrames(peer.socket)) {
+    return true;
+  }
+  
+  const discovered = discoveredPeers.find(p => p.id === peerId);
+  return !!(discovered && (discovered.capabilities || []).includes(BINARY_FRAMES_CAPABILITY));
+}
+
 /**
  * Send a message to a specific peer
+ * 
+ * Messages given as an object carry their `data` as a Buffer and are sent
+ * as a binary frame to peers that support it (JSON with base64 otherwise).
+ * 
  * @param {string} peerId - ID of the peer to send the message to
- * @param {string} message - JSON string message to send
+ * @param {string|Object} message - JSON string message, or message object with a Buffer `data`
  * @returns {boolean} - True if message was sent, false otherwise
  */
 function sendToPeer(peerId, message) {
@@ -121,8 +178,11 @@ function sendToPeer(peerId, message) {
   }
   
   try {
-    const encryptedMessage = encryptMessage(message);
-    peer.socket.send(encryptedMessage);
+    if (typeof message === 'string') {
+      sendEncrypted(peer.socket, message);
+    } else {
+      sendEncryptedFrame(peer.socket, message, peerSupportsBinaryFrames(peerId));
+    }
     return true;
   } catch (error) {
     console.error(`Error sending message to peer ${peerId}:`, error);
@@ -134,7 +194,7 @@ function sendToPeer(peerId, message) {
  * Connect to a peer using their IP and port
  * @param {string} ip - IP address of the peer
  * @param {number} port - WebSocket port of the peer
- * @returns {Promise} - Resolves with the peer ID if connection is successful
+ * @returns {Promise} - Resolves with the peer ID once the key exchange has completed
  */
 function connectToPeer(ip, port) {
   return new Promise((resolve, reject) => {
@@ -142,9 +202,16 @@ function connectToPeer(ip, port) {
       const ws = new WebSocket(`ws://${ip}:${port}`);
       
       ws.on('open', () => {
-        const peerId = `${ip}:${port}`;
-        addPeer(peerId, ws, ip);
-        resolve(peerId);
+        initiateKeyExchange(ws);
+      });
+      
+      ws.on('message', (message) => {
+        // The peer is known by the node ID from its handshake, once the handshake completes
+        if (handleKeyExchangeMessage(ws, message.toString()) && getSessionKey(ws) && ws.readyState === WebSocket.OPEN) {
+          const peerId = getPeerNodeId(ws) || `${ip}:${port}`;
+          addPeer(peerId, ws, ip, port);
+          resolve(peerId);
+        }
       });
       
       ws.on('error', (error) => {
@@ -182,8 +249,64 @@ function cleanupDeadPeers() {
   });
 }
 
-// Run cleanup every minute
-setInterval(cleanupDeadPeers, 60000);
+// Run cleanup every minute, without keeping the process alive on its own
+setInterval(cleanupDeadPeers, 60000).unref();
+
+/**
+ * Describe a discovered peer for clients
+ * @param {Object} peer - Discovered peer
+ * @returns {Object} - { id, ip, port, nodeId, hostname, displayName, authorized, keyChanged, capabilities, version, lastSeen }
+ */
+function describeDiscoveredPeer(peer) {
+  return {
+    id: peer.id,
+    ip: peer.ip,
+    port: peer.port,
+    nodeId: peer.nodeId || null,
+    hostname: peer.hostname || 'Unknown',
+    displayName: peer.displayName || null,
+    authorized: peer.authorized,
+    keyChanged: Boolean(peer.keyChanged),
+    capabilities: peer.capabilities || [],
+    version: peer.version || '1.0.0',
+    lastSeen: peer.lastSeen
+  };
+}
+
+/**
+ * Register a listener for changes to the discovered peer list
+ * @param {Function} listener - Called with (event, peer): one of DISCOVERY_EVENTS and the described peer
+ */
+function onDiscoveryEvent(listener) {
+  discoveryListeners.push(listener);
+}
+
+/**
+ * Tell the discovery listeners about a change
+ * @param {string} event - One of DISCOVERY_EVENTS
+ * @param {Object} peer - Discovered peer
+ */
+function emitDiscoveryEvent(event, peer) {
+  const described = describeDiscoveredPeer(peer);
+  discoveryListeners.forEach(listener => {
+    try {
+      listener(event, described);
+    } catch (error) {
+      console.error('Error in discovery listener:', error);
+    }
+  });
+}
+
+/**
+ * Check whether a discovered peer changed in a way clients should hear about
+ * @param {Object} before - Peer before the change
+ * @param {Object} after - Peer after the change
+ * @returns {boolean} - True if a described field or the capabilities differ
+ */
+function hasDescriptionChanged(before, after) {
+  return DESCRIBED_FIELDS.some(field => (before[field] || null) !== (after[field] || null)) ||
+    (before.capabilities || []).join(',') !== (after.capabilities || []).join(',');
+}
 
 /**
  * Add a peer to the discovery list
@@ -194,17 +317,26 @@ function addPeerToDiscoveryList(peer) {
   
   if (existingIndex !== -1) {
     // Update existing peer
-    discoveredPeers[existingIndex] = {
-      ...discoveredPeers[existingIndex],
+    const existing = discoveredPeers[existingIndex];
+    const updated = {
+      ...existing,
       ...peer,
       lastSeen: Date.now()
     };
+    discoveredPeers[existingIndex] = updated;
+    if (!hasDescriptionChanged(existing, updated)) {
+      return;
+    }
+    emitDiscoveryEvent(DISCOVERY_EVENTS.UPDATED, updated);
   } else {
-    // Add new peer
-    discoveredPeers.push({
+    // Add new peer; it stays unauthorized until it proves the access code
+    const added = {
+      authorized: false,
       ...peer,
       lastSeen: Date.now()
-    });
+    };
+    discoveredPeers.push(added);
+    emitDiscoveryEvent(DISCOVERY_EVENTS.DISCOVERED, added);
   }
   
   // Broadcast updated peer list to all connected clients
@@ -227,12 +359,18 @@ function updatePeerLastSeen(peerId) {
  * Update a peer's authorization status
  * @param {string} peerId - ID of the peer to update
  * @param {boolean} authorized - Whether the peer is authorized
+ * @param {boolean} keyChanged - Whether the peer's identity key differs from the pinned one
  */
-function updatePeerAuthStatus(peerId, authorized) {
+function updatePeerAuthStatus(peerId, authorized, keyChanged = false) {
   const peerIndex = discoveredPeers.findIndex(p => p.id === peerId);
   
   if (peerIndex !== -1) {
-    discoveredPeers[peerIndex].authorized = authorized;
+    const existing = discoveredPeers[peerIndex];
+    const updated = { ...existing, authorized, keyChanged };
+    discoveredPeers[peerIndex] = updated;
+    if (hasDescriptionChanged(existing, updated)) {
+      emitDiscoveryEvent(DISCOVERY_EVENTS.UPDATED, updated);
+    }
     // Broadcast updated peer list to all connected clients
     broadcastPeerListUpdate();
   }
@@ -252,12 +390,13 @@ function getDiscoveredPeers() {
  */
 function removeInactivePeers(timeout) {
   const now = Date.now();
-  const initialCount = discoveredPeers.length;
+  const lost = discoveredPeers.filter(peer => (now - peer.lastSeen) >= timeout);
   
   discoveredPeers = discoveredPeers.filter(peer => (now - peer.lastSeen) < timeout);
+  lost.forEach(peer => emitDiscoveryEvent(DISCOVERY_EVENTS.LOST, peer));
   
-  if (discoveredPeers.length < initialCount) {
-    console.log(`Removed ${initialCount - discoveredPeers.length} inactive peers`);
+  if (lost.length) {
+    console.log(`Removed ${lost.length} inactive peers`);
     // Broadcast updated peer list to all connected clients
     broadcastPeerListUpdate();
   }
@@ -269,30 +408,28 @@ function removeInactivePeers(timeout) {
 function broadcastPeerListUpdate() {
   const peerListMessage = {
     type: 'peer_list',
-    peers: discoveredPeers.map(peer => ({
-      id: peer.id,
-      ip: peer.ip,
-      hostname: peer.hostname || 'Unknown',
-      authorized: peer.authorized,
-      capabilities: peer.capabilities || [],
-      version: peer.version || '1.0.0'
-    }))
+    peers: discoveredPeers.map(describeDiscoveredPeer)
   };
   
   broadcastToPeers(JSON.stringify(peerListMessage));
 }
 
 module.exports = {
+  DISCOVERY_EVENTS,
   addPeer,
   removePeer,
   getPeers,
   getPeerById,
+  getPeerAddress,
   broadcastToPeers,
   sendToPeer,
+  peerSupportsBinaryFrames,
   connectToPeer,
   addPeerToDiscoveryList,
   updatePeerLastSeen,
   updatePeerAuthStatus,
   getDiscoveredPeers,
+  describeDiscoveredPeer,
+  onDiscoveryEvent,
   removeInactivePeers
 };
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * router.js - HTTP routing for IP Messenger Clone
+ *
+ * A small router for the REST API. Routes are registered per method with a
+ * path pattern whose `:name` segments are captured, URL-decoded, into
+ * req.params; the query string is parsed into req.query. Routes that take a
+ * body have it read and parsed as a JSON object into req.body before the
+ * handler runs, refusing anything larger than the route's size cap.
+ *
+ * Every route needs a valid token unless it is registered as public; the
+ * authenticate hook passed to createRouter() decides, and its result is
+ * passed on as req.auth. A path no route matches gets 404, a path matched
+ * only for other methods gets 405 with an Allow header, and errors of any
+ * kind are answered as { success: false, message }.
+ */
+
+const url = require('url');
+
+// Largest request body accepted unless a route sets its own cap
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024; // 64 KB
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response to write
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - Response body
+ * @param {Object} headers - Extra response headers
+ */
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Write an error response
+ * @param {http.ServerResponse} res - Response to write
+ * @param {number} status - HTTP status code
+ * @param {string} message - Human readable description
+ * @param {Object} details - Extra fields for the body
+ */
+function sendError(res, status, message, details = {}) {
+  sendJson(res, status, { success: false, message, ...details });
+}
+
+/**
+ * Write the outcome of a { success, message } style result
+ * @param {http.ServerResponse} res - Response to write
+ * @param {Object} result - Result object
+ * @param {number} failureStatus - Status to use when result.success is false
+ */
+function sendResult(res, result, failureStatus = 400) {
+  sendJson(res, result.success ? 200 : failureStatus, result);
+}
+
+/**
+ * Answer with 400 if any of the named query parameters was given more than
+ * once (the query string parser turns a repeated parameter into an array)
+ * @param {http.IncomingMessage} req - Request with a parsed query
+ * @param {http.ServerResponse} res - Response to write on refusal
+ * @param {Array<string>} names - Query parameters the route reads
+ * @returns {boolean} - True if each was given at most once
+ */
+function requireSingleParams(req, res, names) {
+  const repeated = names.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (repeated) {
+    sendError(res, 400, `${repeated} must be given once`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the IP address an HTTP request came from
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string} - Client IP address
+ */
+function getRequestIp(req) {
+  return req.socket.remoteAddress.replace(/^::ffff:/, '');
+}
+
+/**
+ * Turn a path pattern such as '/api/groups/:groupId/members' into a matcher
+ * @param {string} pattern - Path pattern
+ * @returns {Object} - { regex, paramNames }
+ */
+function compilePattern(pattern) {
+  const paramNames = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        paramNames.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), paramNames };
+}
+
+/**
+ * Read a request body and parse it as a JSON object
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {Object} options - { maxBytes, optional }; an optional body may be empty
+ * @returns {Promise<Object>} - Parsed body; rejects with { status, message }
+ */
+function readJsonBody(req, { maxBytes = DEFAULT_MAX_BODY_BYTES, optional = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > maxBytes) {
+      reject({ status: 413, message: `Request body must not exceed ${maxBytes} bytes` });
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      received += chunk.length;
+      if (received > maxBytes) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject({ status: 413, message: `Request body must not exceed ${maxBytes} bytes` });
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        if (optional) {
+          resolve({});
+        } else {
+          reject({ status: 400, message: 'Request body is required' });
+        }
+        return;
+      }
+
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject({ status: 400, message: 'Request body must be a JSON object' });
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject({ status: 400, message: 'Request body is not valid JSON' });
+      }
+    });
+
+    req.on('error', error => {
+      reject({ status: 400, message: `Could not read request body: ${error.message}` });
+    });
+  });
+}
+
+/**
+ * Create a router
+ * @param {Object} options - { authenticate } hook returning the caller for a request, or null
+ * @returns {Object} - Router with get/post/put/delete to register routes and handle() for the server
+ */
+function createRouter({ authenticate = () => null } = {}) {
+  const routes = [];
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern, e.g. '/api/groups/:groupId'
+   * @param {Function} handler - (req, res) handler; may return a promise
+   * @param {Object} options - { public, body, maxBodyBytes }; body is true (required) or 'optional'
+   */
+  function addRoute(method, pattern, handler, options = {}) {
+    routes.push({ method, pattern, handler, options, ...compilePattern(pattern) });
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {Object} - { route, params } on a match, otherwise { allowedMethods }
+   */
+  function matchRoute(method, pathname) {
+    const allowedMethods = [];
+    for (const route of routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+
+      if (route.method !== method) {
+        allowedMethods.push(route.method);
+        continue;
+      }
+
+      const params = {};
+      route.paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+      return { route, params };
+    }
+    return { allowedMethods };
+  }
+
+  /**
+   * Handle a request from the HTTP server
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  async function handle(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    req.query = parsedUrl.query;
+
+    let matched;
+    try {
+      matched = matchRoute(req.method, parsedUrl.pathname);
+    } catch (error) {
+      sendError(res, 400, 'Malformed request path');
+      return;
+    }
+
+    const { route, params, allowedMethods } = matched;
+    if (!route) {
+      if (allowedMethods.length) {
+        sendJson(res, 405, { success: false, message: 'Method not allowed' }, { Allow: [...new Set(allowedMethods)].join(', ') });
+        return;
+      }
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    req.params = params;
+
+    if (!route.options.public) {
+      req.auth = authenticate(req);
+      if (!req.auth) {
+        sendError(res, 401, 'Authentication required');
+        return;
+      }
+    }
+
+    try {
+      if (route.options.body) {
+        req.body = await readJsonBody(req, {
+          maxBytes: route.options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES,
+          optional: route.options.body === 'optional'
+        });
+      }
+      await route.handler(req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(`Error after responding to ${req.method} ${parsedUrl.pathname}:`, error);
+        return;
+      }
+      if (error && error.status) {
+        sendError(res, error.status, error.message);
+        return;
+      }
+      console.error(`Error handling ${req.method} ${parsedUrl.pathname}:`, error);
+      sendError(res, 500, 'Internal server error');
+    }
+  }
+
+  return {
+    get: (pattern, handler, options) => addRoute('GET', pattern, handler, options),
+    post: (pattern, handler, options) => addRoute('POST', pattern, handler, options),
+    put: (pattern, handler, options) => addRoute('PUT', pattern, handler, options),
+    delete: (pattern, handler, options) => addRoute('DELETE', pattern, handler, options),
+    handle
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_BODY_BYTES,
+  createRouter,
+  sendJson,
+  sendError,
+  sendResult,
+  requireSingleParams,
+  getRequestIp
+};
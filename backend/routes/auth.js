@@ -0,0 +1,95 @@
+/**
+ * routes/auth.js - Account routes for IP Messenger Clone
+ *
+ * Registration and login are public; password changes, logout and account
+ * deletion act on the caller's own account. Password logins go through the
+ * brute-force guard in loginGuard.js.
+ */
+
+const { sendJson, sendResult, getRequestIp } = require('../router');
+const { registerUser, loginUser, revokeSession, changePassword, deleteAccount } = require('../userAuth');
+const { attemptKeys, checkAttempt, recordFailure, clearAttempts } = require('../loginGuard');
+
+/**
+ * Answer a request refused by the brute-force guard
+ * @param {http.ServerResponse} res - Response to write
+ * @param {Object} gate - Result of checkAttempt()
+ */
+function sendThrottled(res, gate) {
+  const seconds = Math.ceil(gate.retryAfterMs / 1000);
+  sendJson(res, 429, {
+    success: false,
+    message: gate.lockedOut
+      ? `Too many failed attempts, locked out for ${Math.ceil(seconds / 60)} minutes`
+      : `Too many failed attempts, try again in ${seconds} seconds`,
+    retryAfterMs: gate.retryAfterMs
+  }, { 'Retry-After': String(seconds) });
+}
+
+/**
+ * Register the account routes
+ * @param {Object} router - Router from createRouter()
+ * @param {Object} context - { closeRevokedConnections } from the server
+ */
+function registerAuthRoutes(router, { closeRevokedConnections }) {
+  router.post('/api/auth/register', (req, res) => {
+    const { username, password } = req.body;
+    sendResult(res, registerUser(username, password));
+  }, { public: true, body: true });
+
+  router.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    const ip = getRequestIp(req);
+    const keys = attemptKeys('login', { ip, username });
+
+    // Refuse attempts made while backing off or locked out, without checking the password
+    const gate = checkAttempt(keys);
+    if (!gate.allowed) {
+      sendThrottled(res, gate);
+      return;
+    }
+
+    const result = loginUser(username, password);
+    if (result.success) {
+      clearAttempts(keys.user);
+    } else {
+      recordFailure(keys, { scope: 'login', ip, username });
+    }
+    sendResult(res, result, 401);
+  }, { public: true, body: true });
+
+  router.post('/api/auth/password', (req, res) => {
+    // Change the caller's password, revoking every other session
+    const { currentPassword, newPassword } = req.body;
+    const result = changePassword(req.auth.userId, currentPassword, newPassword);
+    sendResult(res, result);
+
+    if (result.success) {
+      closeRevokedConnections(req.auth.userId);
+    }
+  }, { body: true });
+
+  router.post('/api/auth/logout', (req, res) => {
+    // End the caller's session
+    const result = revokeSession(req.auth.userId, req.auth.sessionId);
+    sendResult(res, result);
+
+    if (result.success) {
+      closeRevokedConnections(req.auth.userId, req.auth.sessionId);
+    }
+  });
+
+  router.delete('/api/auth/account', (req, res) => {
+    // Delete the caller's account (password required)
+    const result = deleteAccount(req.auth.userId, req.body.password);
+    sendResult(res, result);
+
+    if (result.success) {
+      closeRevokedConnections(req.auth.userId);
+    }
+  }, { body: true });
+}
+
+module.exports = {
+  registerAuthRoutes
+};
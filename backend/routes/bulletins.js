@@ -0,0 +1,93 @@
+/**
+ * routes/bulletins.js - Bulletin board routes for IP Messenger Clone
+ *
+ * General announcements, seen by everyone, and group announcements, seen by
+ * a group's members. Announcements are created here and pushed out live by
+ * the author over the WebSocket.
+ */
+
+const { sendJson } = require('../router');
+const {
+  createGeneralAnnouncement,
+  createGroupAnnouncement,
+  getGeneralAnnouncements,
+  getGroupAnnouncements,
+  getAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  getUserVisibleAnnouncements
+} = require('../bulletinBoard');
+
+/**
+ * Answer with an announcement, or 404 if there is none
+ * @param {http.ServerResponse} res - Response to write
+ * @param {Object|null} announcement - Announcement
+ */
+function sendAnnouncement(res, announcement) {
+  sendJson(res, announcement ? 200 : 404, { success: !!announcement, announcement });
+}
+
+/**
+ * Register the bulletin board routes
+ * @param {Object} router - Router from createRouter()
+ */
+function registerBulletinRoutes(router) {
+  router.get('/api/bulletins/user', (req, res) => {
+    // Get all announcements visible to the caller
+    const userGroupIds = req.query.groupIds ? req.query.groupIds.split(',') : [];
+    sendJson(res, 200, { success: true, announcements: getUserVisibleAnnouncements(req.auth.userId, userGroupIds) });
+  });
+
+  router.post('/api/bulletins/general', (req, res) => {
+    const { title, content, priority } = req.body;
+    const announcement = createGeneralAnnouncement(title, content, req.auth.userId, priority);
+    sendJson(res, 200, { success: true, announcement });
+  }, { body: true });
+
+  router.get('/api/bulletins/general', (req, res) => {
+    sendJson(res, 200, { success: true, announcements: getGeneralAnnouncements() });
+  });
+
+  router.get('/api/bulletins/general/:announcementId', (req, res) => {
+    sendAnnouncement(res, getAnnouncement(req.params.announcementId));
+  });
+
+  router.put('/api/bulletins/general/:announcementId', (req, res) => {
+    sendAnnouncement(res, updateAnnouncement(req.params.announcementId, req.body));
+  }, { body: true });
+
+  router.delete('/api/bulletins/general/:announcementId', (req, res) => {
+    const success = deleteAnnouncement(req.params.announcementId);
+    sendJson(res, success ? 200 : 404, { success });
+  });
+
+  router.post('/api/bulletins/group', (req, res) => {
+    const { title, content, groupId, priority } = req.body;
+    const announcement = createGroupAnnouncement(title, content, req.auth.userId, groupId, priority);
+    sendJson(res, 200, { success: true, announcement });
+  }, { body: true });
+
+  router.get('/api/bulletins/group/:groupId/announcements', (req, res) => {
+    sendJson(res, 200, { success: true, announcements: getGroupAnnouncements(req.params.groupId) });
+  });
+
+  router.get('/api/bulletins/group/:groupId/announcements/:announcementId', (req, res) => {
+    const { groupId, announcementId } = req.params;
+    sendAnnouncement(res, getAnnouncement(announcementId, groupId));
+  });
+
+  router.put('/api/bulletins/group/:groupId/announcements/:announcementId', (req, res) => {
+    const { groupId, announcementId } = req.params;
+    sendAnnouncement(res, updateAnnouncement(announcementId, req.body, groupId));
+  }, { body: true });
+
+  router.delete('/api/bulletins/group/:groupId/announcements/:announcementId', (req, res) => {
+    const { groupId, announcementId } = req.params;
+    const success = deleteAnnouncement(announcementId, groupId);
+    sendJson(res, success ? 200 : 404, { success });
+  });
+}
+
+module.exports = {
+  registerBulletinRoutes
+};
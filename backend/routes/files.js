@@ -0,0 +1,36 @@
+/**
+ * routes/files.js - File routes for IP Messenger Clone
+ *
+ * Read-only views of file sharing: the direct transfers this node is taking
+ * part in and the history of files shared in a group. The transfers
+ * themselves run over the WebSocket (see fileTransfer.js).
+ */
+
+const { sendJson, sendResult, requireSingleParams } = require('../router');
+const { getActiveTransfers } = require('../fileTransfer');
+const { getGroupFileTransfers } = require('../groupManager');
+const { requireGroupMember } = require('./groups');
+
+/**
+ * Register the file routes
+ * @param {Object} router - Router from createRouter()
+ */
+function registerFileRoutes(router) {
+  router.get('/api/files/transfers', (req, res) => {
+    // Progress of the direct transfers in flight on this node
+    sendJson(res, 200, { success: true, transfers: getActiveTransfers() });
+  });
+
+  router.get('/api/groups/:groupId/files', (req, res) => {
+    // Get a page of the files shared in a group (members only), newest last;
+    // pass the returned nextBefore as ?before= to page further back
+    if (!requireGroupMember(req, res) || !requireSingleParams(req, res, ['before', 'limit'])) return;
+
+    const { before, limit } = req.query;
+    sendResult(res, getGroupFileTransfers(req.params.groupId, req.auth.peerId, { before: before || null, limit }));
+  });
+}
+
+module.exports = {
+  registerFileRoutes
+};
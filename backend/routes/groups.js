@@ -0,0 +1,191 @@
+/**
+ * routes/groups.js - Group routes for IP Messenger Clone
+ *
+ * Creating groups, managing their members, admins and owner, reading their
+ * message history and deleting them. The caller is always taken from the
+ * authenticated request, never from the body; groupManager.js enforces who
+ * may make each change. Members affected by a change are told over their
+ * WebSocket connection.
+ */
+
+const { sendJson, sendError, sendResult, requireSingleParams } = require('../router');
+const { MESSAGE_TYPES } = require('../../frontend/src/shared/protocol');
+const {
+  createGroup,
+  getGroup,
+  getUserGroups,
+  addMemberToGroup,
+  removeMemberFromGroup,
+  leaveGroup,
+  transferOwnership,
+  setGroupAdmin,
+  isGroupMember,
+  getGroupMessages,
+  deleteGroup,
+  broadcastToGroupMembers
+} = require('../groupManager');
+
+/**
+ * Answer with 404 or 403 unless the caller is a member of an existing group
+ * @param {http.IncomingMessage} req - Authenticated request with a groupId param
+ * @param {http.ServerResponse} res - Response to write on refusal
+ * @returns {boolean} - True if the caller may read the group
+ */
+function requireGroupMember(req, res) {
+  const { groupId } = req.params;
+  if (!getGroup(groupId)) {
+    sendError(res, 404, 'Group not found');
+    return false;
+  }
+  if (!isGroupMember(groupId, req.auth.peerId)) {
+    sendError(res, 403, 'Not a member of this group');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Answer with 400 unless the body names a user by a non-empty string `userId`
+ * @param {http.IncomingMessage} req - Request with a parsed body
+ * @param {http.ServerResponse} res - Response to write on refusal
+ * @returns {boolean} - True if the body names a user
+ */
+function requireUserId(req, res) {
+  if (typeof req.body.userId !== 'string' || !req.body.userId) {
+    sendError(res, 400, 'userId must be a non-empty string');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Register the group routes
+ * @param {Object} router - Router from createRouter()
+ * @param {Object} context - { sendToConnectedPeer, notifyGroupUpdated } from the server
+ */
+function registerGroupRoutes(router, { sendToConnectedPeer, notifyGroupUpdated }) {
+  router.post('/api/groups', (req, res) => {
+    // The caller always becomes the owner, whatever the body says
+    const { groupName, memberIds = [] } = req.body;
+    if (typeof groupName !== 'string' || !groupName.trim()) {
+      sendError(res, 400, 'groupName must be a non-empty string');
+      return;
+    }
+    if (!Array.isArray(memberIds) || !memberIds.every(memberId => typeof memberId === 'string' && memberId)) {
+      sendError(res, 400, 'memberIds must be an array of user IDs');
+      return;
+    }
+    const group = createGroup(groupName, req.auth.peerId, memberIds);
+    sendJson(res, 200, { success: true, group });
+
+    // Notify all group members connected to this server
+    broadcastToGroupMembers(group.id, { type: MESSAGE_TYPES.GROUP_ADDED, group }, sendToConnectedPeer);
+  }, { body: true });
+
+  router.get('/api/groups', (req, res) => {
+    // Get the caller's groups
+    sendJson(res, 200, { success: true, groups: getUserGroups(req.auth.peerId) });
+  });
+
+  router.get('/api/groups/:groupId', (req, res) => {
+    // Get a group's details (members only)
+    if (!requireGroupMember(req, res)) return;
+
+    sendJson(res, 200, { success: true, group: getGroup(req.params.groupId) });
+  });
+
+  router.delete('/api/groups/:groupId', (req, res) => {
+    // Delete group (owner only)
+    const { groupId } = req.params;
+    const groupExists = !!getGroup(groupId);
+    const result = deleteGroup(groupId, req.auth.peerId);
+    sendJson(res, result.success ? 200 : (groupExists ? 403 : 404), { success: result.success, message: result.message });
+
+    if (result.success) {
+      // Notify the former members that the group is gone
+      const deletedMessage = JSON.stringify({ type: MESSAGE_TYPES.GROUP_DELETED, groupId });
+      result.group.members.forEach(memberId => sendToConnectedPeer(memberId, deletedMessage));
+    }
+  });
+
+  router.post('/api/groups/:groupId/members', (req, res) => {
+    // Add member to group (owner or admin only)
+    if (!requireUserId(req, res)) return;
+
+    const { userId } = req.body;
+    const result = addMemberToGroup(req.params.groupId, userId, req.auth.peerId);
+    sendResult(res, result, 403);
+
+    if (result.success) {
+      // Notify the added member, then everyone else of the update
+      sendToConnectedPeer(userId, JSON.stringify({ type: MESSAGE_TYPES.GROUP_ADDED, group: result.group }));
+      notifyGroupUpdated(result.group, userId);
+    }
+  }, { body: true });
+
+  router.delete('/api/groups/:groupId/members', (req, res) => {
+    // Remove member from group (owner or admin only)
+    if (!requireUserId(req, res)) return;
+
+    const { groupId } = req.params;
+    const { userId } = req.body;
+    const result = removeMemberFromGroup(groupId, userId, req.auth.peerId);
+    sendResult(res, result, 403);
+
+    if (result.success) {
+      sendToConnectedPeer(userId, JSON.stringify({ type: MESSAGE_TYPES.GROUP_REMOVED, groupId }));
+      notifyGroupUpdated(result.group);
+    }
+  }, { body: true });
+
+  router.post('/api/groups/:groupId/leave', (req, res) => {
+    const { groupId } = req.params;
+    const result = leaveGroup(groupId, req.auth.peerId);
+    sendResult(res, result, 403);
+
+    if (result.success) {
+      sendToConnectedPeer(req.auth.peerId, JSON.stringify({ type: MESSAGE_TYPES.GROUP_REMOVED, groupId }));
+      notifyGroupUpdated(result.group);
+    }
+  });
+
+  router.post('/api/groups/:groupId/owner', (req, res) => {
+    // Transfer group ownership (owner only)
+    if (!requireUserId(req, res)) return;
+
+    const result = transferOwnership(req.params.groupId, req.body.userId, req.auth.peerId);
+    sendResult(res, result, 403);
+
+    if (result.success) {
+      notifyGroupUpdated(result.group);
+    }
+  }, { body: true });
+
+  // Promote a member to admin (POST) or demote an admin (DELETE), owner only
+  const changeAdmin = (req, res) => {
+    if (!requireUserId(req, res)) return;
+
+    const result = setGroupAdmin(req.params.groupId, req.body.userId, req.method === 'POST', req.auth.peerId);
+    sendResult(res, result, 403);
+
+    if (result.success) {
+      notifyGroupUpdated(result.group);
+    }
+  };
+  router.post('/api/groups/:groupId/admins', changeAdmin, { body: true });
+  router.delete('/api/groups/:groupId/admins', changeAdmin, { body: true });
+
+  router.get('/api/groups/:groupId/messages', (req, res) => {
+    // Get a page of group messages (members only), newest last; pass the
+    // returned nextBefore as ?before= to page further back
+    if (!requireGroupMember(req, res) || !requireSingleParams(req, res, ['before', 'limit'])) return;
+
+    const { before, limit } = req.query;
+    sendResult(res, getGroupMessages(req.params.groupId, req.auth.peerId, { before: before || null, limit }));
+  });
+}
+
+module.exports = {
+  requireGroupMember,
+  registerGroupRoutes
+};
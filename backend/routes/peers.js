@@ -0,0 +1,95 @@
+/**
+ * routes/peers.js - Peer routes for IP Messenger Clone
+ *
+ * Manual connections to a peer at a known address, for networks where UDP
+ * broadcasts do not get through, and an on-demand discovery run.
+ */
+
+const WebSocket = require('ws');
+const { sendJson, sendError } = require('../router');
+const { initiateKeyExchange, handleKeyExchangeMessage, getPeerNodeId, sendEncrypted } = require('../keyExchange');
+const { addPeer } = require('../peers');
+const { discoverPeers } = require('../discovery');
+
+// How long a manual connection may take to open and finish the key exchange
+const CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * Register the peer routes
+ * @param {Object} router - Router from createRouter()
+ * @param {Object} context - { addConnectionRetry, catchUpPeer } from the server
+ */
+function registerPeerRoutes(router, { addConnectionRetry, catchUpPeer }) {
+  router.post('/api/peers/connect', (req, res) => {
+    const { ip, port } = req.body;
+    if (!ip || !port) {
+      sendError(res, 400, 'IP address and port are required');
+      return;
+    }
+
+    const peerUrl = `ws://${ip}:${port}`;
+    console.log(`Attempting manual connection to peer at ${peerUrl}`);
+
+    // Answer once, whichever of the key exchange, an error or the timeout comes first
+    let answered = false;
+    const answer = (status, payload) => {
+      if (answered) return;
+      answered = true;
+      sendJson(res, status, payload);
+    };
+
+    try {
+      const ws = new WebSocket(peerUrl);
+
+      const connectionTimeout = setTimeout(() => {
+        if (!answered) {
+          ws.terminate();
+          answer(500, { success: false, message: 'Connection timeout' });
+        }
+      }, CONNECT_TIMEOUT_MS);
+
+      ws.on('open', () => {
+        initiateKeyExchange(ws);
+        sendEncrypted(ws, JSON.stringify({ type: 'auth' })); // Authenticate as this node
+      });
+
+      ws.on('message', (message) => {
+        // The peer is added under the node ID it proves in the key exchange
+        if (handleKeyExchangeMessage(ws, message.toString()) && ws.readyState === WebSocket.OPEN) {
+          clearTimeout(connectionTimeout);
+          const peerId = getPeerNodeId(ws) || `${ip}:${port}`;
+          addPeer(peerId, ws, ip, Number(port));
+          catchUpPeer(peerId, ws);
+          answer(200, { success: true, message: 'Connected to peer successfully', peerId });
+        }
+      });
+
+      ws.on('close', () => {
+        clearTimeout(connectionTimeout);
+        answer(500, { success: false, message: 'Connection closed before the key exchange completed' });
+      });
+
+      ws.on('error', (error) => {
+        clearTimeout(connectionTimeout);
+        console.error(`Failed to connect to peer at ${peerUrl}:`, error.message);
+        answer(500, { success: false, message: 'Failed to connect to peer: ' + error.message });
+        // Add to retry queue for later connection attempts
+        addConnectionRetry(ip, port);
+      });
+    } catch (wsError) {
+      console.error('WebSocket creation error:', wsError);
+      answer(500, { success: false, message: 'Failed to create WebSocket connection: ' + wsError.message });
+      addConnectionRetry(ip, port);
+    }
+  }, { body: true });
+
+  router.post('/api/peers/discover', (req, res) => {
+    console.log('Manual peer discovery triggered');
+    discoverPeers();
+    sendJson(res, 200, { success: true, message: 'Peer discovery initiated' });
+  });
+}
+
+module.exports = {
+  registerPeerRoutes
+};
@@ -0,0 +1,62 @@
+/**
+ * routes/search.js - Search route for IP Messenger Clone
+ *
+ * Full-text search over direct messages, group messages and announcements
+ * (see searchIndex.js). Results from a group, including its announcements,
+ * are only returned to the group's members.
+ */
+
+const { sendJson, sendError, requireSingleParams } = require('../router');
+const { DOCUMENT_TYPES, search } = require('../searchIndex');
+const { isGroupMember } = require('../groupManager');
+
+// Query parameters the route reads, each of which may be given only once
+const SEARCH_PARAMS = ['q', 'type', 'peerId', 'groupId', 'senderId', 'from', 'to', 'limit'];
+
+/**
+ * Parse a date filter given as milliseconds since the epoch or a date string
+ * @param {string} value - Query parameter value
+ * @returns {number|null|undefined} - Timestamp, null if not given, undefined if unreadable
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') return null;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+}
+
+/**
+ * Register the search route
+ * @param {Object} router - Router from createRouter()
+ */
+function registerSearchRoutes(router) {
+  router.get('/api/search', (req, res) => {
+    // ?q=words&type=direct|group|announcement&peerId=&groupId=&senderId=&from=&to=&limit=
+    if (!requireSingleParams(req, res, SEARCH_PARAMS)) return;
+
+    const { q, type, peerId, groupId, senderId, limit } = req.query;
+    if (!q || !q.trim()) {
+      sendError(res, 400, 'A search query (q) is required');
+      return;
+    }
+    if (type && !Object.values(DOCUMENT_TYPES).includes(type)) {
+      sendError(res, 400, `Unknown result type: ${type}`);
+      return;
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      sendError(res, 400, 'from and to must be timestamps or dates');
+      return;
+    }
+
+    const { results, total } = search(q, { type, peerId, groupId, senderId, from, to, limit }, (doc) => (
+      !doc.groupId || isGroupMember(doc.groupId, req.auth.peerId)
+    ));
+    sendJson(res, 200, { success: true, results, total });
+  });
+}
+
+module.exports = {
+  registerSearchRoutes
+};
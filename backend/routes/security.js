@@ -0,0 +1,116 @@
+/**
+ * routes/security.js - Node security routes for IP Messenger Clone
+ *
+ * The security log, the access code and the peer allow/blocklist. All of
+ * these are for node admins only: users named in the `adminUsers` setting
+ * or, when that is not set, anyone signed in on this machine.
+ */
+
+const { sendJson, sendError, sendResult, getRequestIp } = require('../router');
+const { getUserById, getUserSettings } = require('../userAuth');
+const { getSecurityLog } = require('../loginGuard');
+const { TRUST_STATUS, rotateAccessCode, setPeerTrust, removePeerTrust, getTrustedPeers } = require('../peerTrust');
+const { getDiscoveredPeers, getPeerAddress, updatePeerAuthStatus } = require('../peers');
+
+/**
+ * Check whether a request comes from an admin of this node
+ * @param {http.IncomingMessage} req - Authenticated request
+ * @returns {boolean} - True if the caller may use admin routes
+ */
+function isNodeAdmin(req) {
+  const adminUsers = getUserSettings().adminUsers;
+  if (Array.isArray(adminUsers) && adminUsers.length) {
+    const user = getUserById(req.auth.userId);
+    return Boolean(user && adminUsers.includes(user.username));
+  }
+  return ['127.0.0.1', '::1'].includes(getRequestIp(req));
+}
+
+/**
+ * Wrap a handler so only node admins reach it
+ * @param {string} refusal - Message sent to everyone else
+ * @param {Function} handler - (req, res) handler
+ * @returns {Function} - Guarded handler
+ */
+function adminOnly(refusal, handler) {
+  return (req, res) => {
+    if (!isNodeAdmin(req)) {
+      sendError(res, 403, refusal);
+      return;
+    }
+    return handler(req, res);
+  };
+}
+
+/**
+ * Register the security routes
+ * @param {Object} router - Router from createRouter()
+ * @param {Object} context - { getPeerFingerprint, applyPeerTrust, closePeerConnections } from the server
+ */
+function registerSecurityRoutes(router, { getPeerFingerprint, applyPeerTrust, closePeerConnections }) {
+  const trustRefusal = 'Only node admins can manage peer trust and the access code';
+
+  router.get('/api/security/log', adminOnly('Only node admins can read the security log', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+    const since = parseInt(req.query.since) || 0;
+    sendJson(res, 200, { success: true, entries: getSecurityLog({ limit, since }) });
+  }));
+
+  router.get('/api/security/access-code', adminOnly(trustRefusal, (req, res) => {
+    // Show the current access code and when rotated-out codes stop working
+    const settings = getUserSettings();
+    sendJson(res, 200, {
+      success: true,
+      accessCode: settings.accessCode || null,
+      previousExpiresAt: (settings.previousAccessCodes || []).map(previous => previous.expiresAt).filter(expiresAt => expiresAt > Date.now())
+    });
+  }));
+
+  router.post('/api/security/access-code', adminOnly(trustRefusal, (req, res) => {
+    // Rotate the access code; the old one keeps working for graceMs
+    const { accessCode, graceMs } = req.body;
+    sendResult(res, rotateAccessCode({ accessCode, graceMs }));
+  }), { body: 'optional' });
+
+  router.get('/api/security/peers', adminOnly(trustRefusal, (req, res) => {
+    // List allowed and blocked peers with their pinned addresses
+    sendJson(res, 200, { success: true, peers: getTrustedPeers() });
+  }));
+
+  router.post('/api/security/peers', adminOnly(trustRefusal, (req, res) => {
+    // Allow or block a peer, by its peer ID (using the key it is connected with) or by fingerprint
+    const { peerId, fingerprint, status } = req.body;
+    const discoveredPeer = getDiscoveredPeers().find(p => p.id === peerId);
+    const result = setPeerTrust(peerId ? getPeerAddress(peerId) : null, fingerprint || getPeerFingerprint(peerId), status, {
+      hostname: discoveredPeer ? discoveredPeer.hostname : null,
+      updatedBy: req.auth.userId
+    });
+    sendResult(res, result);
+
+    if (result.success && peerId) {
+      if (status === TRUST_STATUS.BLOCKED) {
+        updatePeerAuthStatus(peerId, false);
+        closePeerConnections(peerId, 4003, 'Blocked');
+      } else {
+        applyPeerTrust(peerId, result.peer.fingerprint);
+      }
+    }
+  }), { body: true });
+
+  router.delete('/api/security/peers/:fingerprint', adminOnly(trustRefusal, (req, res) => {
+    // Forget a fingerprint; peers pinned to it have to be approved again
+    const { fingerprint } = req.params;
+    const record = getTrustedPeers().find(peer => peer.fingerprint === fingerprint);
+    const result = removePeerTrust(fingerprint);
+    sendResult(res, result, 404);
+
+    if (record) {
+      // Nodes are listed under their node ID, older nodes under their address
+      [fingerprint, ...record.pinnedAddresses].forEach(peerId => updatePeerAuthStatus(peerId, false));
+    }
+  }));
+}
+
+module.exports = {
+  registerSecurityRoutes
+};
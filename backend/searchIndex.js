@@ -0,0 +1,160 @@
+/**
+ * searchIndex.js - Full-text search for IP Messenger Clone
+ *
+ * This module keeps an in-memory inverted index over everything a user may
+ * want to find again: direct messages (conversationLog.js), group messages
+ * (groupManager.js) and announcements (bulletinBoard.js). Those modules add
+ * their stored items when they load and keep the index current as items are
+ * written, changed or removed; nothing here is persisted.
+ *
+ * Text is split into lowercase words. A query matches a document when every
+ * query word is the start of some word in the document, so results narrow as
+ * the user types.
+ */
+
+// Kinds of documents in the index
+const DOCUMENT_TYPES = {
+  DIRECT: 'direct',
+  GROUP: 'group',
+  ANNOUNCEMENT: 'announcement'
+};
+
+// Result counts
+const DEFAULT_RESULT_LIMIT = 50;
+const MAX_RESULT_LIMIT = 200;
+
+// Indexed documents
+// key -> { type, id, peerId, groupId, senderId, title, content, timestamp, ... }
+const documents = new Map();
+
+// Inverted index: word -> Set of document keys
+const postings = new Map();
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Distinct words
+ */
+function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return [...new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+/**
+ * Build the index key of a document. Message IDs are only unique within a
+ * conversation or group, so the key includes the scope.
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @param {string} scope - Peer ID or group ID the document belongs to ('' for general announcements)
+ * @param {string} id - Document ID within its scope
+ * @returns {string} - Index key
+ */
+function documentKey(type, scope, id) {
+  return `${type}:${scope || ''}:${id}`;
+}
+
+/**
+ * Add a document to the index, replacing any earlier version of it
+ * @param {Object} doc - { type, id, peerId|groupId, senderId, title, content, timestamp, ... }
+ */
+function indexDocument(doc) {
+  const key = documentKey(doc.type, doc.peerId || doc.groupId, doc.id);
+  removeByKey(key);
+
+  documents.set(key, doc);
+  for (const word of tokenize(`${doc.title || ''} ${doc.content || ''}`)) {
+    if (!postings.has(word)) {
+      postings.set(word, new Set());
+    }
+    postings.get(word).add(key);
+  }
+}
+
+/**
+ * Remove a document from the index by key
+ * @param {string} key - Index key
+ */
+function removeByKey(key) {
+  const doc = documents.get(key);
+  if (!doc) return;
+
+  for (const word of tokenize(`${doc.title || ''} ${doc.content || ''}`)) {
+    const keys = postings.get(word);
+    if (!keys) continue;
+    keys.delete(key);
+    if (!keys.size) {
+      postings.delete(word);
+    }
+  }
+  documents.delete(key);
+}
+
+/**
+ * Remove a document from the index
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @param {string} scope - Peer ID or group ID the document belongs to ('' for general announcements)
+ * @param {string} id - Document ID within its scope
+ */
+function removeDocument(type, scope, id) {
+  removeByKey(documentKey(type, scope, id));
+}
+
+/**
+ * Get the keys of the documents containing a word that starts with a prefix
+ * @param {string} prefix - Query word
+ * @returns {Set<string>} - Document keys
+ */
+function keysMatching(prefix) {
+  const keys = new Set();
+  for (const [word, wordKeys] of postings) {
+    if (word.startsWith(prefix)) {
+      for (const key of wordKeys) keys.add(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Search the index
+ * @param {string} query - Words to look for; every word must match
+ * @param {Object} filters - { type, peerId, groupId, senderId, from, to, limit }; `from` and `to` bound the timestamp (ms)
+ * @param {Function} canRead - Called with each matching document; return false to leave it out
+ * @returns {Object} - { results, total }; results are newest first, total counts every readable match
+ */
+function search(query, filters = {}, canRead = () => true) {
+  const words = tokenize(query);
+  if (!words.length) {
+    return { results: [], total: 0 };
+  }
+
+  // Intersect the matches of each word, starting from the first
+  let keys = keysMatching(words[0]);
+  for (const word of words.slice(1)) {
+    if (!keys.size) break;
+    const wordKeys = keysMatching(word);
+    keys = new Set([...keys].filter(key => wordKeys.has(key)));
+  }
+
+  const { type, peerId, groupId, senderId, from, to } = filters;
+  const matches = [...keys]
+    .map(key => documents.get(key))
+    .filter(doc => (
+      (!type || doc.type === type) &&
+      (!peerId || doc.peerId === peerId) &&
+      (!groupId || doc.groupId === groupId) &&
+      (!senderId || doc.senderId === senderId) &&
+      (from == null || doc.timestamp >= from) &&
+      (to == null || doc.timestamp <= to) &&
+      canRead(doc)
+    ))
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_RESULT_LIMIT, 1), MAX_RESULT_LIMIT);
+  return { results: matches.slice(0, limit), total: matches.length };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  indexDocument,
+  removeDocument,
+  search
+};
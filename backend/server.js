@@ -2,43 +2,68 @@
  * server.js - Main server file for IP Messenger Clone
  * 
  * This file sets up and manages both the WebSocket server for peer-to-peer messaging
- * and UDP broadcasting for automatic peer discovery on the local network.
+ * and UDP broadcasting for automatic peer discovery on the local network (discovery.js).
  */
 
 const WebSocket = require('ws');
-const dgram = require('dgram');
 const os = require('os');
 const http = require('http');
-const url = require('url');
-const { encryptMessage, decryptMessage } = require('./encryption');
-const { addPeer, removePeer, getPeers, broadcastToPeers, addPeerToDiscoveryList, updatePeerLastSeen, updatePeerAuthStatus, getDiscoveredPeers, removeInactivePeers } = require('./peers');
-const { handleFileTransferRequest } = require('./fileTransfer');
-const { registerUser, loginUser, getUserById, updateUser, getUserSettings, updateUserSettings } = require('./userAuth');
+const { decryptMessage, decryptFrame, isLegacyMessage, setLegacyCbcAllowed } = require('./encryption');
+const {
+  BINARY_FRAMES_CAPABILITY,
+  getIdentity,
+  getKeyFingerprint,
+  getNodeId,
+  issueNodeCertificate,
+  initiateKeyExchange,
+  handleKeyExchangeMessage,
+  useLegacyEncryption,
+  getSessionKey,
+  getPeerIdentityKey,
+  getPeerNodeId,
+  sendEncrypted,
+  sendEncryptedFrame
+} = require('./keyExchange');
+const { DISCOVERY_EVENTS, addPeer, removePeer, getPeers, getPeerById, getPeerAddress, broadcastToPeers, addPeerToDiscoveryList, updatePeerAuthStatus, getDiscoveredPeers, describeDiscoveredPeer, onDiscoveryEvent, removeInactivePeers } = require('./peers');
+const { startDiscovery } = require('./discovery');
+const {
+  handleFileTransferRequest,
+  handleFileTransferResponse,
+  handleFileChunk,
+  handleFileChunkAck,
+  handleFileTransferComplete,
+  handleFileResume,
+  handleFileTransferVerified,
+  handleTransferCancel,
+  resumeTransfersWithPeer
+} = require('./fileTransfer');
+const { createRouter } = require('./router');
+const { registerAuthRoutes } = require('./routes/auth');
+const { registerSecurityRoutes } = require('./routes/security');
+const { registerGroupRoutes } = require('./routes/groups');
+const { registerFileRoutes } = require('./routes/files');
+const { registerBulletinRoutes } = require('./routes/bulletins');
+const { registerPeerRoutes } = require('./routes/peers');
+const { registerSearchRoutes } = require('./routes/search');
+const { enqueueMessage, deliverQueuedMessages, pruneExpiredMessages, renameQueuedPeer } = require('./offlineQueue');
+const { logMessage, logRevision, getMessagesSince, renameConversationPartner } = require('./conversationLog');
+const { attemptKeys, checkAttempt, recordFailure, clearAttempts, pruneAttemptCounters } = require('./loginGuard');
+const { MESSAGE_TYPES, ERROR_CODES, validateMessage, createErrorMessage } = require('../frontend/src/shared/protocol');
+const { TRUST_STATUS, isAccessCodeValid, getTrustStatus, isPeerAllowed, adoptAddressTrust, setPeerTrust } = require('./peerTrust');
+const { verifyToken, updateUser, getUserSettings, updateUserSettings } = require('./userAuth');
 const { 
-  createGroup, 
   getGroup, 
-  getUserGroups, 
-  addMemberToGroup, 
-  removeMemberFromGroup, 
   isGroupMember, 
   addGroupMessage, 
-  getGroupMessages, 
+  editGroupMessage,
+  deleteGroupMessage,
   addGroupFileTransfer, 
-  getGroupFileTransfers, 
-  deleteGroup, 
   getGroupFilePath, 
+  renameGroupMember,
   broadcastToGroupMembers 
 } = require('./groupManager');
-const {
-  createGeneralAnnouncement,
-  createGroupAnnouncement,
-  getGeneralAnnouncements,
-  getGroupAnnouncements,
-  getAnnouncement,
-  updateAnnouncement,
-  deleteAnnouncement,
-  getUserVisibleAnnouncements
-} = require('./bulletinBoard');
+const { getAnnouncement } = require('./bulletinBoard');
+const { getConfig } = require('./config');
 const {
   initiateCall,
   acceptCall,
@@ -56,20 +81,29 @@ const {
   getGroupActiveCalls
 } = require('./callManager');
 
-// Configuration
-const WS_PORT = 8080;
-const HTTP_PORT = 8080; // Using same port for HTTP and WebSocket
-const UDP_PORT = 2425; // Changed to 2425 as per requirements
+// Configuration (ports, addresses and directories come from config.js)
+const config = getConfig();
+const WS_PORT = config.port;
+const HTTP_PORT = config.port; // Using same port for HTTP and WebSocket
+const UDP_PORT = config.udpPort;
 const BROADCAST_INTERVAL = 30000; // Changed to 30 seconds as per requirements
 const PEER_TIMEOUT = 90000; // 90 seconds (3 missed beacons)
 const MAX_RETRY_ATTEMPTS = 3;
+const MAX_RELAY_BUFFERED_AMOUNT = 8 * 1024 * 1024; // Backpressure limit for relayed file chunks
+const RELAY_DRAIN_POLL_MS = 20;
+const MAX_ACK_WAIT = 30000; // Longest a relayed chunk ack waits for slow members
+const MAX_REPLY_QUOTE_LENGTH = 200; // Longest quote of the answered message carried by a reply
+const NODE_VERSION = require('./package.json').version;
+
+// Features announced in discovery messages
+const NODE_CAPABILITIES = ['chat', 'file', 'call', 'clipboard', BINARY_FRAMES_CAPABILITY];
 
 // Initialize connection retry mechanism
 const retryConnections = new Map(); // Store failed connection attempts
 
-// Presence and offline queue
-const sessions = new Map(); // peerId -> { socket, lastSeen, authorized }
-const offlineMessages = new Map(); // peerId -> [ message ]
+// Presence (the offline queue lives in offlineQueue.js)
+const sessions = new Map(); // peerId -> { socket, lastSeen, authorized, userId }
+const authenticatedSockets = new WeakMap(); // socket -> { userId, sessionId } bound by its auth message
 
 // Function to add a connection to retry queue
 function addConnectionRetry(ip, port, attempts = 0) {
@@ -85,15 +119,17 @@ function addConnectionRetry(ip, port, attempts = 0) {
   }
 }
 
-// Get all local IP addresses
+// Get all local IP addresses, limited to the configured interfaces when any are set
 function getAllLocalIpAddresses() {
   const interfaces = os.networkInterfaces();
   const addresses = [];
   
   for (const name of Object.keys(interfaces)) {
     for (const iface of interfaces[name]) {
+      const selected = config.interfaces.length === 0 ||
+        config.interfaces.includes(name) || config.interfaces.includes(iface.address);
       // Skip over non-IPv4 and internal (loopback) addresses
-      if (iface.family === 'IPv4' && !iface.internal) {
+      if (selected && iface.family === 'IPv4' && !iface.internal) {
         addresses.push({
           address: iface.address,
           netmask: iface.netmask,
@@ -121,30 +157,45 @@ function getLocalIpAddress() {
   return addresses.length > 0 ? addresses[0].address : '127.0.0.1';
 }
 
-// Calculate subnet broadcast address
-function getSubnetBroadcast(ipAddress, netmask) {
-  const ip = ipAddress.split('.').map(Number);
-  const mask = netmask.split('.').map(Number);
-  const broadcast = [];
-  
-  for (let i = 0; i < 4; i++) {
-    // For each octet, calculate the broadcast address
-    broadcast.push(ip[i] | (~mask[i] & 255));
-  }
-  
-  return broadcast.join('.');
-}
+// Accept unauthenticated CBC frames from older nodes only when explicitly enabled
+setLegacyCbcAllowed(getUserSettings().allowLegacyCbc === true);
 
 const localIpAddresses = getAllLocalIpAddresses();
 const localIp = getLocalIpAddress();
 const hostname = os.hostname();
 
+// This node as other peers see it: its node ID, which does not change with
+// its address. Older nodes know it by an address, so those count as this node too.
+const selfPeerId = getNodeId();
+const selfPeerIds = new Set([
+  selfPeerId,
+  `127.0.0.1:${WS_PORT}`,
+  ...localIpAddresses.map(iface => `${iface.address}:${WS_PORT}`)
+]);
+
+// What was stored under this node's old address-based IDs belongs to its node ID now
+selfPeerIds.forEach(id => {
+  if (id !== selfPeerId) {
+    adoptPeerId(id, selfPeerId);
+  }
+});
+
+// HTTP API, one route module per domain
+const router = createRouter({ authenticate: authenticateRequest });
+registerAuthRoutes(router, { closeRevokedConnections });
+registerSecurityRoutes(router, { getPeerFingerprint, applyPeerTrust, closePeerConnections });
+registerGroupRoutes(router, { sendToConnectedPeer, notifyGroupUpdated });
+registerFileRoutes(router);
+registerBulletinRoutes(router);
+registerPeerRoutes(router, { addConnectionRetry, catchUpPeer });
+registerSearchRoutes(router);
+
 // Create HTTP server
 const server = http.createServer((req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -153,806 +204,1017 @@ const server = http.createServer((req, res) => {
     return;
   }
   
-  // Parse URL
-  const parsedUrl = url.parse(req.url, true);
-  const pathname = parsedUrl.pathname;
-  
-  // Handle API endpoints
-  if (pathname === '/api/auth/register' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { username, password } = JSON.parse(body);
-        const result = registerUser(username, password);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(result.success ? 200 : 400);
-        res.end(JSON.stringify(result));
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname === '/api/auth/login' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { username, password } = JSON.parse(body);
-        const result = loginUser(username, password);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(result.success ? 200 : 401);
-        res.end(JSON.stringify(result));
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname === '/api/groups' && req.method === 'POST') {
-    // Create new group
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { groupName, creatorId, memberIds } = JSON.parse(body);
-        const group = createGroup(groupName, creatorId, memberIds || []);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(200);
-        res.end(JSON.stringify({ success: true, group }));
-
-        // Notify all group members connected to this server
-        const notifyMessage = {
-          type: 'group_added',
-          group
-        };
-        (group.members || []).forEach(memberId => {
-          const targetPeer = getPeers().find(p => p.id === memberId);
-          if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-            targetPeer.socket.send(encryptMessage(JSON.stringify(notifyMessage)));
-          }
-        });
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if ((pathname === '/api/groups' || pathname.startsWith('/api/groups/')) && req.method === 'GET') {
-    // Get user groups or specific group
-    const pathParts = pathname.split('/');
-    if (pathParts.length === 3) {
-      // Get user groups
-      const userId = parsedUrl.query.userId;
-      if (!userId) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'User ID required' }));
-        return;
-      }
-      
-      const userGroups = getUserGroups(userId);
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify({ success: true, groups: userGroups }));
-    } else if (pathParts.length === 4) {
-      // Get specific group
-      const groupId = pathParts[3];
-      const group = getGroup(groupId);
-      
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(group ? 200 : 404);
-      res.end(JSON.stringify({ success: !!group, group }));
-    }
-  } else if (pathname.startsWith('/api/groups/') && pathname.includes('/members') && req.method === 'POST') {
-    // Add member to group
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[3];
-    
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { userId, addedBy } = JSON.parse(body);
-        const success = addMemberToGroup(groupId, userId, addedBy);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(success ? 200 : 400);
-        res.end(JSON.stringify({ success }));
-
-        if (success) {
-          const group = getGroup(groupId);
-          // Notify the added member
-          const addedMessage = {
-            type: 'group_added',
-            group
-          };
-          const targetPeer = getPeers().find(p => p.id === userId);
-          if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-            targetPeer.socket.send(encryptMessage(JSON.stringify(addedMessage)));
-          }
-
-          // Notify existing members of update
-          const updateMessage = {
-            type: 'group_updated',
-            group
-          };
-          (group.members || []).forEach(memberId => {
-            if (memberId === userId) return;
-            const peer = getPeers().find(p => p.id === memberId);
-            if (peer && peer.socket.readyState === WebSocket.OPEN) {
-              peer.socket.send(encryptMessage(JSON.stringify(updateMessage)));
-            }
-          });
-        }
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname.startsWith('/api/groups/') && pathname.includes('/members') && req.method === 'DELETE') {
-    // Remove member from group
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[3];
-    
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { userId, removedBy } = JSON.parse(body);
-        const success = removeMemberFromGroup(groupId, userId, removedBy);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(success ? 200 : 400);
-        res.end(JSON.stringify({ success }));
-
-        if (success) {
-          // Notify the removed member
-          const removedMessage = {
-            type: 'group_removed',
-            groupId
-          };
-          const removedPeer = getPeers().find(p => p.id === userId);
-          if (removedPeer && removedPeer.socket.readyState === WebSocket.OPEN) {
-            removedPeer.socket.send(encryptMessage(JSON.stringify(removedMessage)));
-          }
-
-          // Notify remaining members
-          const group = getGroup(groupId);
-          const updateMessage = {
-            type: 'group_updated',
-            group
-          };
-          (group.members || []).forEach(memberId => {
-            const peer = getPeers().find(p => p.id === memberId);
-            if (peer && peer.socket.readyState === WebSocket.OPEN) {
-              peer.socket.send(encryptMessage(JSON.stringify(updateMessage)));
-            }
-          });
-        }
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname === '/api/bulletins/general' && req.method === 'POST') {
-    // Create general announcement
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { title, content, authorId, priority } = JSON.parse(body);
-        const announcement = createGeneralAnnouncement(title, content, authorId, priority);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(200);
-        res.end(JSON.stringify({ success: true, announcement }));
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname === '/api/bulletins/general' && req.method === 'GET') {
-    // Get all general announcements
-    const announcements = getGeneralAnnouncements();
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(200);
-    res.end(JSON.stringify({ success: true, announcements }));
-  } else if (pathname.startsWith('/api/bulletins/general/') && req.method === 'GET') {
-    // Get specific general announcement
-    const pathParts = pathname.split('/');
-    const announcementId = pathParts[4];
-    const announcement = getAnnouncement(announcementId);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(announcement ? 200 : 404);
-    res.end(JSON.stringify({ success: !!announcement, announcement }));
-  } else if (pathname.startsWith('/api/bulletins/general/') && req.method === 'PUT') {
-    // Update general announcement
-    const pathParts = pathname.split('/');
-    const announcementId = pathParts[4];
-    
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const updates = JSON.parse(body);
-        const updatedAnnouncement = updateAnnouncement(announcementId, updates);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(updatedAnnouncement ? 200 : 404);
-        res.end(JSON.stringify({ success: !!updatedAnnouncement, announcement: updatedAnnouncement }));
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname.startsWith('/api/bulletins/general/') && req.method === 'DELETE') {
-    // Delete general announcement
-    const pathParts = pathname.split('/');
-    const announcementId = pathParts[4];
-    const success = deleteAnnouncement(announcementId);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(success ? 200 : 404);
-    res.end(JSON.stringify({ success }));
-  } else if (pathname.startsWith('/api/bulletins/group') && req.method === 'POST') {
-    // Create group announcement
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { title, content, authorId, groupId, priority } = JSON.parse(body);
-        const announcement = createGroupAnnouncement(title, content, authorId, groupId, priority);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(200);
-        res.end(JSON.stringify({ success: true, announcement }));
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname.startsWith('/api/bulletins/group/') && pathname.includes('/announcements') && req.method === 'GET') {
-    // Get group announcements
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[4];
-    const announcements = getGroupAnnouncements(groupId);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(200);
-    res.end(JSON.stringify({ success: true, announcements }));
-  } else if (pathname.startsWith('/api/bulletins/group/') && pathname.includes('/announcements/') && req.method === 'GET') {
-    // Get specific group announcement
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[4];
-    const announcementId = pathParts[6];
-    const announcement = getAnnouncement(announcementId, groupId);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(announcement ? 200 : 404);
-    res.end(JSON.stringify({ success: !!announcement, announcement }));
-  } else if (pathname.startsWith('/api/bulletins/group/') && pathname.includes('/announcements/') && req.method === 'PUT') {
-    // Update group announcement
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[4];
-    const announcementId = pathParts[6];
-    
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const updates = JSON.parse(body);
-        const updatedAnnouncement = updateAnnouncement(announcementId, updates, groupId);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(updatedAnnouncement ? 200 : 404);
-        res.end(JSON.stringify({ success: !!updatedAnnouncement, announcement: updatedAnnouncement }));
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else if (pathname.startsWith('/api/bulletins/group/') && pathname.includes('/announcements/') && req.method === 'DELETE') {
-    // Delete group announcement
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[4];
-    const announcementId = pathParts[6];
-    const success = deleteAnnouncement(announcementId, groupId);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(success ? 200 : 404);
-    res.end(JSON.stringify({ success }));
-  } else if (pathname === '/api/peers/connect' && req.method === 'POST') {
-     // Manual peer connection endpoint
-     let body = '';
-     req.on('data', chunk => {
-       body += chunk.toString();
-     });
-     req.on('end', () => {
-       try {
-         const { ip, port } = JSON.parse(body);
-         
-         if (!ip || !port) {
-           res.writeHead(400, { 'Content-Type': 'application/json' });
-           res.end(JSON.stringify({ success: false, message: 'IP address and port are required' }));
-           return;
-         }
-         
-         // Attempt to connect to the peer
-         const peerUrl = `ws://${ip}:${port}`;
-         console.log(`Attempting manual connection to peer at ${peerUrl}`);
-         
-         // Set response headers first
-         res.setHeader('Content-Type', 'application/json');
-         
-         // Create a new WebSocket connection to the peer
-         try {
-           const ws = new WebSocket(peerUrl);
-           
-           // Set a timeout for connection
-           const connectionTimeout = setTimeout(() => {
-             if (ws.readyState !== WebSocket.OPEN) {
-               ws.terminate();
-               res.writeHead(500);
-               res.end(JSON.stringify({ success: false, message: 'Connection timeout' }));
-             }
-           }, 5000);
-           
-           ws.on('open', () => {
-             clearTimeout(connectionTimeout);
-             const peerId = `${ip}:${port}`;
-             addPeer(peerId, ws, ip);
-             
-             res.writeHead(200);
-             res.end(JSON.stringify({ success: true, message: 'Connected to peer successfully' }));
-           });
-           
-           ws.on('error', (error) => {
-             clearTimeout(connectionTimeout);
-             console.error(`Failed to connect to peer at ${peerUrl}:`, error.message);
-             res.writeHead(500);
-             res.end(JSON.stringify({ success: false, message: 'Failed to connect to peer: ' + error.message }));
-             // Add to retry queue for later connection attempts
-             addConnectionRetry(ip, port);
-           });
-         } catch (wsError) {
-           console.error('WebSocket creation error:', wsError);
-           res.writeHead(500);
-           res.end(JSON.stringify({ success: false, message: 'Failed to create WebSocket connection: ' + wsError.message }));
-           // Add to retry queue for later connection attempts
-           addConnectionRetry(ip, port);
-         }
-       } catch (error) {
-         console.error('Request parsing error:', error);
-         res.writeHead(400, { 'Content-Type': 'application/json' });
-         res.end(JSON.stringify({ success: false, message: 'Invalid request: ' + error.message }));
-       }
-     });
-  } else if (pathname === '/api/peers/discover' && req.method === 'POST') {
-     // Manual peer discovery endpoint
-     console.log('Manual peer discovery triggered');
-     
-     // Send discovery messages to all network interfaces
-     const discoveryMessage = {
-       type: 'discovery',
-       ip: localIp,
-       port: WS_PORT,
-       hostname: hostname
-     };
-     
-     const messageBuffer = Buffer.from(JSON.stringify(discoveryMessage));
-     
-     // Broadcast to all network interfaces
-     for (const iface of localIpAddresses) {
-       try {
-         // Calculate subnet broadcast address for this interface
-         const subnetBroadcast = getSubnetBroadcast(iface.address, iface.netmask);
-         console.log(`Broadcasting to subnet ${subnetBroadcast} on interface ${iface.name}`);
-         
-         // Send to subnet broadcast address
-         udpSocket.send(messageBuffer, 0, messageBuffer.length, UDP_PORT, subnetBroadcast);
-       } catch (error) {
-         console.error(`Error broadcasting on interface ${iface.name}:`, error);
-       }
-     }
-     
-     // Also try direct broadcast as fallback
-     udpSocket.send(messageBuffer, 0, messageBuffer.length, UDP_PORT, '255.255.255.255');
-     
-     res.setHeader('Content-Type', 'application/json');
-     res.writeHead(200);
-     res.end(JSON.stringify({ success: true, message: 'Peer discovery initiated' }));
-
-  } else if (pathname === '/api/bulletins/user' && req.method === 'GET') {
-    // Get all announcements visible to a user
-    const userId = parsedUrl.query.userId;
-    const userGroupIds = parsedUrl.query.groupIds ? parsedUrl.query.groupIds.split(',') : [];
-    
-    if (!userId) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ success: false, message: 'User ID required' }));
-      return;
-    }
-    
-    const announcements = getUserVisibleAnnouncements(userId, userGroupIds);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(200);
-    res.end(JSON.stringify({ success: true, announcements }));
-  } else if (pathname.startsWith('/api/groups/') && pathname.includes('/messages') && req.method === 'GET') {
-    // Get group messages
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[3];
-    const userId = parsedUrl.query.userId;
-    const limit = parseInt(parsedUrl.query.limit) || 100;
-    
-    if (!userId) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ success: false, message: 'User ID required' }));
-      return;
-    }
-    
-    const messages = getGroupMessages(groupId, userId, limit);
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(200);
-    res.end(JSON.stringify({ success: true, messages }));
-  } else if (pathname.startsWith('/api/groups/') && pathname.includes('/files') && req.method === 'GET') {
-    // Get group file transfers
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[3];
-    const userId = parsedUrl.query.userId;
-    
-    if (!userId) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ success: false, message: 'User ID required' }));
-      return;
-    }
-    
-    const files = getGroupFileTransfers(groupId, userId);
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(200);
-    res.end(JSON.stringify({ success: true, files }));
-  } else if (pathname.startsWith('/api/groups/') && req.method === 'DELETE') {
-    // Delete group
-    const pathParts = pathname.split('/');
-    const groupId = pathParts[3];
-    
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const { userId } = JSON.parse(body);
-        const success = deleteGroup(groupId, userId);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(success ? 200 : 400);
-        res.end(JSON.stringify({ success }));
-
-        if (success) {
-          // Notify members group deleted
-          const deletedMessage = {
-            type: 'group_deleted',
-            groupId
-          };
-          const group = getGroup(groupId);
-          const members = group && group.members ? group.members : [];
-          members.forEach(memberId => {
-            const peer = getPeers().find(p => p.id === memberId);
-            if (peer && peer.socket.readyState === WebSocket.OPEN) {
-              peer.socket.send(encryptMessage(JSON.stringify(deletedMessage)));
-            }
-          });
-        }
-      } catch (error) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, message: 'Invalid request' }));
-      }
-    });
-  } else {
-    // Not found
-    res.writeHead(404);
-    res.end(JSON.stringify({ success: false, message: 'Not found' }));
-  }
+  router.handle(req, res);
 });
 
 // Initialize WebSocket server on the same HTTP server
 const wss = new WebSocket.Server({ server });
-console.log(`HTTP and WebSocket server running at http://${localIp}:${HTTP_PORT}`);
-
-// Initialize UDP socket for discovery
-const udpSocket = dgram.createSocket('udp4');
+console.log(`HTTP and WebSocket server running at http://${localIp}:${HTTP_PORT} (listening on ${config.bindAddress})`);
 
 // Start the server
-server.listen(HTTP_PORT, '0.0.0.0');
-
-// WebSocket message types
-const MESSAGE_TYPES = {
-  CONNECT: 'connect',
-  DISCONNECT: 'disconnect',
-  MESSAGE: 'message',
-  FILE_REQUEST: 'file_request',
-  FILE_CHUNK: 'file_chunk',
-  FILE_COMPLETE: 'file_complete',
-  GROUP_MESSAGE: 'group_message',
-  GROUP_FILE_REQUEST: 'group_file_request',
-  GROUP_FILE_CHUNK: 'group_file_chunk',
-  GROUP_FILE_COMPLETE: 'group_file_complete',
-  GENERAL_ANNOUNCEMENT: 'general_announcement',
-  GROUP_ANNOUNCEMENT: 'group_announcement',
-  ERROR: 'error'
+server.listen(HTTP_PORT, config.bindAddress);
+
+// Discovery events for the renderer, keyed by DISCOVERY_EVENTS
+const DISCOVERY_MESSAGE_TYPES = {
+  [DISCOVERY_EVENTS.DISCOVERED]: MESSAGE_TYPES.PEER_DISCOVERED,
+  [DISCOVERY_EVENTS.UPDATED]: MESSAGE_TYPES.PEER_UPDATED,
+  [DISCOVERY_EVENTS.LOST]: MESSAGE_TYPES.PEER_LOST
 };
 
-// Handle general announcement
-function handleGeneralAnnouncement(ws, data) {
-  const { title, content, from, priority } = data;
+/**
+ * Describe this node in discovery beacons
+ * @returns {Object} - { nodeId, hostname, displayName, wsPort, version, capabilities }
+ */
+function getDiscoveryInfo() {
+  return {
+    nodeId: getIdentity().fingerprint,
+    hostname,
+    displayName: getUserSettings().displayName || hostname,
+    wsPort: WS_PORT,
+    version: NODE_VERSION,
+    capabilities: NODE_CAPABILITIES
+  };
+}
+
+// Tell our own users' renderers when a peer on the network appears, changes or goes away.
+// The connections of our users are in the discovered list too, but are not peers.
+onDiscoveryEvent((event, peer) => {
+  if (selfPeerIds.has(peer.id)) return;
   
-  // Create the announcement
-  const announcement = createGeneralAnnouncement(title, content, from, priority || 'medium');
+  const message = JSON.stringify({ type: DISCOVERY_MESSAGE_TYPES[event], peer });
+  for (const { socket } of getPeers()) {
+    if (socket.readyState === WebSocket.OPEN && isLocalUserSocket(socket)) {
+      sendEncrypted(socket, message);
+    }
+  }
+});
+
+// settings.json may choose the discovery methods: "discovery": { "methods": ["broadcast", "scan", "mdns"] }
+startDiscovery({
+  port: UDP_PORT,
+  targetPorts: config.discoveryPorts,
+  interval: BROADCAST_INTERVAL,
+  methods: (getUserSettings().discovery || {}).methods,
+  localAddresses: localIpAddresses,
+  getLocalInfo: getDiscoveryInfo
+});
+
+// Periodic cleanup of inactive peers, expired offline messages and login attempt counters
+setInterval(() => {
+  removeInactivePeers(PEER_TIMEOUT);
+  pruneExpiredMessages();
+  pruneAttemptCounters();
+}, BROADCAST_INTERVAL);
+
+/**
+ * Push a general announcement created over REST out to every connected client
+ * @param {WebSocket} ws - Connection of the author
+ * @param {string} peerId - Peer ID of the author
+ * @param {Object} data - { announcementId }
+ */
+function handleGeneralAnnouncement(ws, peerId, data) {
+  const announcement = getAnnouncement(data.announcementId);
+  const binding = authenticatedSockets.get(ws);
+  
+  // Only the author may announce it, and only general announcements go to everyone
+  if (!announcement || announcement.groupId || announcement.authorId !== binding.userId) {
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(ERROR_CODES.FORBIDDEN, 'Announcement not found', {
+      rejectedType: MESSAGE_TYPES.GENERAL_ANNOUNCEMENT
+    })));
+    return;
+  }
   
-  // Broadcast to all peers
   broadcastToPeers(JSON.stringify({
     type: MESSAGE_TYPES.GENERAL_ANNOUNCEMENT,
     announcement,
-    from
+    from: peerId,
+    timestamp: Date.now()
   }));
 }
 
-// Handle group announcement
-function handleGroupAnnouncement(ws, data) {
-  const { groupId, title, content, from, priority } = data;
+/**
+ * Push a group announcement created over REST out to the group's members
+ * @param {WebSocket} ws - Connection of the author
+ * @param {string} peerId - Peer ID of the author
+ * @param {Object} data - { groupId, announcementId }
+ */
+function handleGroupAnnouncement(ws, peerId, data) {
+  const { groupId, announcementId } = data;
   
   // Verify user is member of group
-  if (!isGroupMember(groupId, from)) {
-    ws.send(JSON.stringify({
-      type: MESSAGE_TYPES.ERROR,
-      message: 'You are not a member of this group'
-    }));
+  if (!isGroupMember(groupId, peerId)) {
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(ERROR_CODES.FORBIDDEN, 'You are not a member of this group', {
+      rejectedType: MESSAGE_TYPES.GROUP_ANNOUNCEMENT
+    })));
     return;
   }
   
-  // Create the announcement
-  const announcement = createGroupAnnouncement(title, content, from, groupId, priority || 'medium');
+  const announcement = getAnnouncement(announcementId, groupId);
+  if (!announcement || announcement.groupId !== groupId || announcement.authorId !== authenticatedSockets.get(ws).userId) {
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(ERROR_CODES.FORBIDDEN, 'Announcement not found', {
+      rejectedType: MESSAGE_TYPES.GROUP_ANNOUNCEMENT
+    })));
+    return;
+  }
   
   // Broadcast to all group members
   broadcastToGroupMembers(groupId, {
     type: MESSAGE_TYPES.GROUP_ANNOUNCEMENT,
     groupId,
     announcement,
-    from
+    from: peerId,
+    timestamp: Date.now()
   }, (memberId, message) => {
     const targetPeer = getPeers().find(p => p.id === memberId);
     if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-      return targetPeer.socket.send(encryptMessage(JSON.stringify(message)));
+      return sendEncrypted(targetPeer.socket, message);
     }
     return false;
   });
 }
 
+/**
+ * Work out which peer an authenticated connection speaks for: this node for
+ * our own users, the node ID proved in the key exchange for other nodes, and
+ * the address for older nodes that send no node certificate
+ * @param {WebSocket} ws - Authenticated connection
+ * @param {string} clientIp - Address the connection comes from
+ * @returns {string} - Peer ID
+ */
+function getConnectionPeerId(ws, clientIp) {
+  if (isLocalUserSocket(ws)) {
+    return selfPeerId;
+  }
+  // Only our own users speak for this node
+  const nodeId = getPeerNodeId(ws);
+  return nodeId && nodeId !== selfPeerId ? nodeId : `${clientIp}:${WS_PORT}`;
+}
+
+/**
+ * Move everything stored under a peer's old ID (the address older versions
+ * knew it by) to its node ID: group membership and roles, queued messages
+ * and conversation history
+ * @param {string} oldId - Old peer ID (IP:PORT)
+ * @param {string} nodeId - Node ID
+ */
+function adoptPeerId(oldId, nodeId) {
+  renameGroupMember(oldId, nodeId);
+  renameQueuedPeer(oldId, nodeId);
+  renameConversationPartner(oldId, nodeId);
+}
+
+/**
+ * When a node connects with a node ID for the first time, take over what was
+ * stored under the address it connects from, unless the key pinned to that
+ * address shows it is a different node
+ * @param {WebSocket} ws - Authenticated node connection
+ * @param {string} nodeId - Node ID the connection proved
+ * @param {string} clientIp - Address the connection comes from
+ */
+function adoptLegacyPeer(ws, nodeId, clientIp) {
+  const oldId = `${clientIp}:${WS_PORT}`;
+  if (selfPeerIds.has(oldId)) return;
+  if (adoptAddressTrust(oldId, nodeId, getKeyFingerprint(getPeerIdentityKey(ws)))) {
+    adoptPeerId(oldId, nodeId);
+  }
+}
+
+/**
+ * Check the credentials in a WebSocket `auth` message. A token binds the
+ * connection to a local user account; connections from other nodes send no
+ * token and are bound to the identity key they proved in the key exchange.
+ * @param {WebSocket} ws - Connection the message arrived on
+ * @param {Object} message - { type: 'auth', token }
+ * @returns {Object} - Result with success status, message, the bound userId and token sessionId
+ */
+function authenticateSocket(ws, message) {
+  if (message.token) {
+    const claims = verifyToken(message.token);
+    if (!claims) {
+      return { success: false, message: 'Invalid or expired token' };
+    }
+    return { success: true, message: 'Authenticated', userId: claims.userId, sessionId: claims.sid };
+  }
+
+  const identityKey = getPeerIdentityKey(ws);
+  if (!identityKey) {
+    return { success: false, message: 'Key exchange has not completed' };
+  }
+  // Nodes are trusted by node ID, older nodes by the key itself
+  const fingerprint = getPeerNodeId(ws) || getKeyFingerprint(identityKey);
+  if (getTrustStatus(null, fingerprint) === TRUST_STATUS.BLOCKED) {
+    return { success: false, message: 'This node is blocked', blocked: true };
+  }
+  return { success: true, message: 'Authenticated as node', userId: `node:${fingerprint}`, fingerprint };
+}
+
+/**
+ * Accept a connection from a node older than the key exchange, which sends
+ * legacy frames (only taken when `allowLegacyCbc` is set) and no `auth`
+ * message. It has no identity key, so it is known by its address alone;
+ * this node's own addresses, and addresses pinned to an identity key (which
+ * belong to a newer node), are refused.
+ * @param {string} clientIp - Address the connection comes from
+ * @returns {Object} - Result with success status, message and the bound userId
+ */
+function authenticateLegacySocket(clientIp) {
+  const address = `${clientIp}:${WS_PORT}`;
+  if (selfPeerIds.has(address)) {
+    return { success: false, message: 'Legacy connections from this node\'s own addresses are not accepted' };
+  }
+  if (getTrustStatus(address, null) === TRUST_STATUS.KEY_CHANGED) {
+    return { success: false, message: 'This address belongs to a node with an identity key' };
+  }
+  return { success: true, message: 'Authenticated as legacy node', userId: `node:legacy:${clientIp}` };
+}
+
+/**
+ * Get the fingerprint a connected peer is trusted by: the node ID it proved in
+ * the key exchange, or for older nodes the fingerprint of its identity key
+ * @param {string} peerId - Peer ID
+ * @returns {string|null} - Fingerprint, or null if no connection to the peer has completed the handshake
+ */
+function getPeerFingerprint(peerId) {
+  const sockets = [
+    sessions.has(peerId) ? sessions.get(peerId).socket : null,
+    ...getPeers().filter(peer => peer.id === peerId).map(peer => peer.socket)
+  ];
+  for (const socket of sockets) {
+    const identityKey = getPeerIdentityKey(socket);
+    if (identityKey) {
+      return getPeerNodeId(socket) || getKeyFingerprint(identityKey);
+    }
+  }
+  return null;
+}
+
+/**
+ * Authorize a node that connected with a known key, or flag it when an
+ * unknown key shows up at an address pinned to another one
+ * @param {string} peerId - Peer ID
+ * @param {string} fingerprint - Fingerprint the node is trusted by (see getPeerFingerprint)
+ */
+function applyPeerTrust(peerId, fingerprint) {
+  const status = getTrustStatus(getPeerAddress(peerId), fingerprint);
+  const authorized = status === TRUST_STATUS.ALLOWED;
+  const keyChanged = status === TRUST_STATUS.KEY_CHANGED;
+
+  if (keyChanged) {
+    console.error(`Identity key of ${peerId} changed (now ${fingerprint}), authorization withdrawn`);
+  }
+  updatePeerAuthStatus(peerId, authorized, keyChanged);
+  if (sessions.has(peerId)) {
+    sessions.set(peerId, { ...sessions.get(peerId), authorized });
+  }
+}
+
+/**
+ * Close every connection to and from a peer
+ * @param {string} peerId - Peer ID
+ * @param {number} code - WebSocket close code
+ * @param {string} reason - Close reason
+ */
+function closePeerConnections(peerId, code, reason) {
+  if (sessions.has(peerId)) {
+    sessions.get(peerId).socket.close(code, reason);
+  }
+  getPeers().filter(peer => peer.id === peerId).forEach(peer => peer.socket.close(code, reason));
+}
+
+/**
+ * Verify the bearer token on an API request
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Object|null} - { userId, sessionId, peerId } of the caller, or null if the token is missing or invalid
+ */
+function authenticateRequest(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (\S+)$/);
+  const claims = match ? verifyToken(match[1]) : null;
+  if (!claims) {
+    return null;
+  }
+  // Tokens belong to this node's users, who act as this node
+  return { userId: claims.userId, sessionId: claims.sid, peerId: selfPeerId };
+}
+
+/**
+ * Close the WebSocket connections bound to revoked sessions. Clients
+ * reconnect and authenticate again with whatever token they still hold.
+ * @param {string} userId - User whose sessions were revoked
+ * @param {string|null} sessionId - Revoked session, or null for all of the user's sessions
+ */
+function closeRevokedConnections(userId, sessionId = null) {
+  for (const client of wss.clients) {
+    const binding = authenticatedSockets.get(client);
+    if (binding && binding.userId === userId && (!sessionId || binding.sessionId === sessionId)) {
+      client.close(4001, 'Session revoked');
+    }
+  }
+}
+
+/**
+ * Send an already serialized message to a peer if it is connected
+ * @param {string} peerId - Peer ID
+ * @param {string} message - JSON message
+ * @returns {boolean} - True if the peer was connected
+ */
+function sendToConnectedPeer(peerId, message) {
+  const targetPeer = getPeers().find(p => p.id === peerId);
+  if (!targetPeer || targetPeer.socket.readyState !== WebSocket.OPEN) {
+    return false;
+  }
+  sendEncrypted(targetPeer.socket, message);
+  return true;
+}
+
+/**
+ * Tell a group's connected members that its membership or roles changed
+ * @param {Object} group - Updated group
+ * @param {string} excludeId - Member who already got a more specific notice
+ */
+function notifyGroupUpdated(group, excludeId = null) {
+  const updateMessage = JSON.stringify({ type: 'group_updated', group });
+  group.members
+    .filter(memberId => memberId !== excludeId)
+    .forEach(memberId => sendToConnectedPeer(memberId, updateMessage));
+}
+
+/**
+ * Send a direct message to a connected peer, or queue it on disk if the peer is offline
+ * @param {string} targetId - ID of the peer the message is addressed to
+ * @param {Object} message - Message object to send
+ * @param {Object} options - { from, notifySender } passed to the offline queue
+ * @returns {string} - 'delivered', 'queued' or 'rejected'
+ */
+function sendOrQueue(targetId, message, options = {}) {
+  const targetPeer = getPeers().find(p => p.id === targetId);
+  if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
+    sendEncrypted(targetPeer.socket, JSON.stringify(message));
+    return 'delivered';
+  }
+  if (!isKnownPeer(targetId)) {
+    console.error(`Not queuing ${message.type} for unknown peer ${targetId}`);
+    return 'rejected';
+  }
+  return enqueueMessage(targetId, message, options).success ? 'queued' : 'rejected';
+}
+
+/**
+ * Check whether messages may be queued for a peer: one this node has
+ * discovered or one a user has approved
+ * @param {string} peerId - Peer ID
+ * @returns {boolean} - True if the peer is known
+ */
+function isKnownPeer(peerId) {
+  return getDiscoveredPeers().some(p => p.id === peerId) || isPeerAllowed(peerId);
+}
+
+/**
+ * Bring a peer up to date once a connection to it is established, whichever
+ * side opened it: deliver messages queued while it was offline, in order,
+ * letting each original sender know, and ask it for the rest of any file it
+ * was sending us before it dropped
+ * @param {string} peerId - Peer ID
+ * @param {WebSocket} ws - Connection to the peer
+ */
+function catchUpPeer(peerId, ws) {
+  const delivered = deliverQueuedMessages(peerId, (msg) => sendEncrypted(ws, JSON.stringify(msg)));
+  for (const entry of delivered) {
+    if (entry.notifySender && entry.from) {
+      sendOrQueue(entry.from, buildDeliveryReceipt('message_delivered', peerId, entry.message));
+    }
+  }
+
+  resumeTransfersWithPeer(peerId);
+}
+
+/**
+ * Build the receipt telling a sender what happened to a direct message
+ * @param {string} type - 'message_queued' or 'message_delivered'
+ * @param {string} to - ID of the peer the message was addressed to
+ * @param {Object} message - The message that was queued or delivered
+ * @returns {Object} - Receipt message
+ */
+function buildDeliveryReceipt(type, to, message) {
+  return {
+    type,
+    to,
+    messageType: message.type,
+    messageId: message.messageId || null,
+    clientMessageId: message.clientMessageId || null,
+    transferId: message.transferId || null,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Tell a sender their direct message was queued, delivered, or could not be queued
+ * @param {WebSocket} ws - Sender's socket
+ * @param {string} status - Result of sendOrQueue
+ * @param {string} to - ID of the peer the message was addressed to
+ * @param {Object} message - The message that was sent
+ */
+function notifySendStatus(ws, status, to, message) {
+  if (status === 'rejected') {
+    // Only known peers get a queue, so a known one was refused for a full queue
+    const known = isKnownPeer(to);
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(
+      known ? ERROR_CODES.QUEUE_FULL : ERROR_CODES.UNKNOWN_PEER,
+      known ? `Could not queue message for offline peer ${to}, its queue is full` : `Could not queue message for unknown peer ${to}`,
+      { rejectedType: message.type, to, clientMessageId: message.clientMessageId || null }
+    )));
+    return;
+  }
+  const type = status === 'queued' ? 'message_queued' : 'message_delivered';
+  sendEncrypted(ws, JSON.stringify(buildDeliveryReceipt(type, to, message)));
+}
+
+/**
+ * Check whether a connection belongs to a user of this node (signed in with
+ * a token) rather than another node
+ * @param {WebSocket} ws - Authenticated connection
+ * @returns {boolean} - True for a local user's connection
+ */
+function isLocalUserSocket(ws) {
+  const binding = authenticatedSockets.get(ws);
+  return Boolean(binding && !binding.userId.startsWith('node:'));
+}
+
+/**
+ * Work out which conversation log a direct chat belongs in, if this node is
+ * one of its two ends: sent by one of our users to a peer, or sent to us by
+ * a peer. Chats this node only relays between others are not recorded.
+ * @param {WebSocket} ws - Connection the chat arrived on
+ * @param {string} peerId - Peer ID of the sender
+ * @param {string|null} to - Peer ID the chat is addressed to, if any
+ * @returns {Object|null} - { partnerId, from, to }, or null if the chat is only relayed
+ */
+function directChatParties(ws, peerId, to) {
+  if (isLocalUserSocket(ws)) {
+    return to && !selfPeerIds.has(to) ? { partnerId: to, from: selfPeerId, to } : null;
+  }
+  return !to || selfPeerIds.has(to) ? { partnerId: peerId, from: peerId, to: selfPeerId } : null;
+}
+
+/**
+ * Record a direct chat in the conversation log (see directChatParties)
+ * @param {WebSocket} ws - Connection the chat arrived on
+ * @param {string} peerId - Peer ID of the sender
+ * @param {string|null} to - Peer ID the chat is addressed to, if any
+ * @param {Object} message - Chat as forwarded ({ messageId, clientMessageId, content, timestamp, replyTo })
+ */
+function recordDirectChat(ws, peerId, to, message) {
+  const parties = directChatParties(ws, peerId, to);
+  if (parties) {
+    logMessage(parties.partnerId, { ...message, from: parties.from, to: parties.to });
+  }
+}
+
+/**
+ * Trim the quote a reply carries of the message it answers
+ * @param {Object|null} replyTo - { messageId, clientMessageId, content } from the client
+ * @returns {Object|null} - Quote to forward, or null if the message is not a reply
+ */
+function quoteReply(replyTo) {
+  if (!replyTo) {
+    return null;
+  }
+  const text = (value) => (typeof value === 'string' ? value : null);
+  return {
+    messageId: text(replyTo.messageId),
+    clientMessageId: text(replyTo.clientMessageId),
+    content: (text(replyTo.content) || '').slice(0, MAX_REPLY_QUOTE_LENGTH)
+  };
+}
+
+/**
+ * Relay a `chat_edit` or `chat_delete`. Group messages are changed in the
+ * group's store and the change is sent to every member; direct messages are
+ * forwarded like a chat and recorded in the conversation log. Only the
+ * sender of a direct message can change it, as the message is named by its
+ * sender and clientMessageId.
+ * @param {WebSocket} ws - Connection the request arrived on
+ * @param {string} peerId - Peer ID of the requester
+ * @param {Object} data - { groupId, messageId, clientMessageId, content, to }
+ */
+function handleChatRevision(ws, peerId, data) {
+  const action = data.type === MESSAGE_TYPES.CHAT_EDIT ? 'edit' : 'delete';
+  const refuse = (code, message) => {
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(code, message, { rejectedType: data.type })));
+  };
+
+  if (data.groupId) {
+    if (!isGroupMember(data.groupId, peerId)) {
+      refuse(ERROR_CODES.FORBIDDEN, 'Not a member of this group');
+      return;
+    }
+    const ref = { messageId: data.messageId, clientMessageId: data.clientMessageId };
+    const result = action === 'edit'
+      ? editGroupMessage(data.groupId, ref, peerId, data.content)
+      : deleteGroupMessage(data.groupId, ref, peerId);
+    if (!result.success) {
+      refuse(ERROR_CODES.FORBIDDEN, result.message);
+      return;
+    }
+
+    const { groupMessage } = result;
+    broadcastToGroupMembers(data.groupId, {
+      type: data.type,
+      groupId: data.groupId,
+      messageId: groupMessage.id,
+      clientMessageId: groupMessage.clientMessageId || null,
+      senderId: groupMessage.senderId,
+      content: groupMessage.content,
+      editedAt: groupMessage.editedAt || null,
+      deleted: Boolean(groupMessage.deleted),
+      timestamp: Date.now()
+    }, sendToConnectedPeer);
+    return;
+  }
+
+  if (!data.clientMessageId) {
+    refuse(ERROR_CODES.INVALID_FIELDS, 'clientMessageId is required to change a direct message');
+    return;
+  }
+
+  const revision = {
+    type: data.type,
+    from: peerId,
+    clientMessageId: data.clientMessageId,
+    content: action === 'edit' ? data.content : null,
+    timestamp: Date.now()
+  };
+  if (data.to) {
+    const status = sendOrQueue(data.to, revision, { from: peerId });
+    if (status === 'rejected') {
+      notifySendStatus(ws, status, data.to, revision);
+      return;
+    }
+  } else {
+    broadcastToPeers(JSON.stringify(revision), peerId);
+  }
+
+  const parties = directChatParties(ws, peerId, data.to || null);
+  if (parties) {
+    logRevision(parties.partnerId, { ...revision, action, from: parties.from, to: parties.to });
+  }
+}
+
+/**
+ * Answer a `history_sync` request with the conversation messages logged
+ * after its cursor. Our own users name the conversation partner; another
+ * node may only read its own conversation with us, once it is authorized.
+ * @param {WebSocket} ws - Connection the request arrived on
+ * @param {string} peerId - Peer ID of the requester
+ * @param {Object} data - { peerId, since, limit }; messages are marked `outgoing` when the requester sent them
+ */
+function handleHistorySync(ws, peerId, data) {
+  const fromLocalUser = isLocalUserSocket(ws);
+  
+  if (fromLocalUser && !data.peerId) {
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(ERROR_CODES.INVALID_FIELDS, 'peerId is required', {
+      rejectedType: MESSAGE_TYPES.HISTORY_SYNC,
+      errors: ['peerId must be a string']
+    })));
+    return;
+  }
+  if (!fromLocalUser && !(sessions.get(peerId) || {}).authorized) {
+    sendEncrypted(ws, JSON.stringify(createErrorMessage(ERROR_CODES.FORBIDDEN, 'Only authorized peers can sync history', {
+      rejectedType: MESSAGE_TYPES.HISTORY_SYNC
+    })));
+    return;
+  }
+  
+  const partnerId = fromLocalUser ? data.peerId : peerId;
+  const requesterId = fromLocalUser ? selfPeerId : peerId;
+  const page = getMessagesSince(partnerId, { since: data.since || 0, limit: data.limit });
+  sendEncrypted(ws, JSON.stringify({
+    type: MESSAGE_TYPES.HISTORY_SYNC_RESULT,
+    // The conversation partner as the requester knows it
+    peerId: data.peerId || selfPeerId,
+    fromPartner: !fromLocalUser,
+    messages: page.messages.map(entry => ({ ...entry, outgoing: entry.from === requesterId })),
+    cursor: page.cursor,
+    hasMore: page.hasMore,
+    timestamp: Date.now()
+  }));
+}
+
+/**
+ * Relay a message carrying file data without changing how its data is encoded:
+ * data that arrived in a binary frame is forwarded as a binary frame where the
+ * target supports it, base64 data from a JSON message stays JSON
+ * @param {WebSocket} socket - Target socket
+ * @param {Object} message - Message to relay
+ */
+function relayDataMessage(socket, message) {
+  if (Buffer.isBuffer(message.data)) {
+    sendEncryptedFrame(socket, message);
+  } else {
+    sendEncrypted(socket, JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a file_chunk_ack once every relay socket has drained below the backpressure limit
+ * @param {WebSocket} ws - Socket of the peer that sent the chunk
+ * @param {Object} ack - Acknowledgement message
+ * @param {Array<WebSocket>} sockets - Sockets the chunk was relayed on
+ * @param {number} waited - Milliseconds already spent waiting
+ */
+function ackWhenDrained(ws, ack, sockets, waited = 0) {
+  const backedUp = sockets.some(socket =>
+    socket.readyState === WebSocket.OPEN && socket.bufferedAmount > MAX_RELAY_BUFFERED_AMOUNT
+  );
+  
+  // Give up waiting on a stuck member rather than stalling the whole group
+  if (backedUp && waited < MAX_ACK_WAIT) {
+    setTimeout(() => ackWhenDrained(ws, ack, sockets, waited + RELAY_DRAIN_POLL_MS), RELAY_DRAIN_POLL_MS);
+    return;
+  }
+  
+  if (ws.readyState === WebSocket.OPEN) {
+    sendEncrypted(ws, JSON.stringify(ack));
+  }
+}
+
 // Handle WebSocket connections
 wss.on('connection', (ws, req) => {
   const clientIp = req.socket.remoteAddress.replace(/^::ffff:/, '');
   console.log(`New WebSocket connection from ${clientIp}`);
   
-  // Add the new peer to our list
-  const peerId = `${clientIp}:${WS_PORT}`;
-  addPeer(peerId, ws, clientIp);
-
-  // Track session
-  sessions.set(peerId, { socket: ws, lastSeen: Date.now(), authorized: false });
-  
-  // Broadcast presence online
-  const presenceOnline = {
-    type: 'presence_update',
-    peerId,
-    status: 'online',
-    timestamp: Date.now()
-  };
-  broadcastToPeers(JSON.stringify(presenceOnline));
-  
-  // Initially mark as unauthorized in discovery list
-  const discoveredPeer = getDiscoveredPeers().find(p => p.id === peerId);
-  if (discoveredPeer) {
-    // Keep the peer in discovered list but mark as unauthorized initially
-    updatePeerAuthStatus(peerId, false);
-  } else {
-    // Add to discovery list as unauthorized
-    addPeerToDiscoveryList({
-      id: peerId,
-      ip: clientIp,
-      port: WS_PORT,
-      hostname: hostname || 'Unknown',
-      lastSeen: Date.now(),
-      capabilities: ['chat', 'file', 'call', 'clipboard'],
-      version: '1.0.0',
-      authorized: false
-    });
-  }
+  // Negotiate this connection's session key before anything else is sent
+  initiateKeyExchange(ws);
   
-  // Send the current peer list to the new peer
-  const peerListMessage = {
-    type: 'peer_list',
-    peers: getDiscoveredPeers().map(peer => ({
-      id: peer.id,
-      ip: peer.ip,
-      hostname: peer.hostname || 'Unknown',
-      authorized: peer.authorized,
-      capabilities: peer.capabilities || [],
-      version: peer.version || '1.0.0'
-    }))
+  // The connection joins the peer list once it has authenticated, under the
+  // ID of whoever it speaks for (getConnectionPeerId)
+  let peerId = null;
+
+  // Add the connection to the peer list under its ID and tell everyone it is here
+  const registerConnection = () => {
+    const discoveredPeer = getDiscoveredPeers().find(p => p.id === peerId);
+    addPeer(peerId, ws, clientIp, discoveredPeer ? discoveredPeer.port : WS_PORT);
+    sessions.set(peerId, { socket: ws, lastSeen: Date.now(), authorized: false });
+    
+    // Broadcast presence online
+    const presenceOnline = {
+      type: 'presence_update',
+      peerId,
+      status: 'online',
+      timestamp: Date.now()
+    };
+    broadcastToPeers(JSON.stringify(presenceOnline));
+    
+    // Other nodes show up in the discovery list, unauthorized until applyPeerTrust says otherwise
+    if (!isLocalUserSocket(ws)) {
+      if (discoveredPeer) {
+        // Keep what discovery knows about the peer, but note where it connects from now
+        addPeerToDiscoveryList({ id: peerId, ip: clientIp });
+      } else {
+        addPeerToDiscoveryList({
+          id: peerId,
+          ip: clientIp,
+          port: WS_PORT,
+          nodeId: getPeerNodeId(ws),
+          lastSeen: Date.now(),
+          capabilities: ['chat', 'file', 'call', 'clipboard'],
+          version: '1.0.0',
+          authorized: false
+        });
+      }
+    }
+    
+    // Send the current peer list to the new peer
+    const peerListMessage = {
+      type: 'peer_list',
+      peers: getDiscoveredPeers().map(describeDiscoveredPeer)
+    };
+    
+    sendEncrypted(ws, JSON.stringify(peerListMessage));
+
+    // Send self peer id to the new peer
+    const selfPeerMessage = {
+      type: 'self_peer',
+      id: peerId
+    };
+    sendEncrypted(ws, JSON.stringify(selfPeerMessage));
+    
+    // Broadcast to all peers that a new peer has joined
+    const newPeerMessage = {
+      type: 'peer_joined',
+      peer: {
+        id: peerId,
+        ip: clientIp,
+        hostname: discoveredPeer ? discoveredPeer.hostname : null
+      }
+    };
+    
+    broadcastToPeers(JSON.stringify(newPeerMessage), peerId);
   };
-  
-  ws.send(encryptMessage(JSON.stringify(peerListMessage)));
 
-  // Send self peer id to the new peer
-  const selfPeerMessage = {
-    type: 'self_peer',
-    id: peerId
+  // Take the connection off the peer list, unless another connection has
+  // taken its ID over since, and tell everyone it has gone
+  const unregisterConnection = () => {
+    const peer = getPeerById(peerId);
+    if (!peer || peer.socket !== ws) {
+      return;
+    }
+    removePeer(peerId);
+    
+    // Broadcast to all peers that this peer has left
+    const peerLeftMessage = {
+      type: 'peer_left',
+      peerId: peerId
+    };
+    
+    broadcastToPeers(JSON.stringify(peerLeftMessage));
+
+    // Update session and broadcast presence offline
+    sessions.delete(peerId);
+    const presenceOffline = {
+      type: 'presence_update',
+      peerId,
+      status: 'offline',
+      timestamp: Date.now()
+    };
+    broadcastToPeers(JSON.stringify(presenceOffline));
   };
-  ws.send(encryptMessage(JSON.stringify(selfPeerMessage)));
-
-  // Flush queued offline messages if any
-  const queued = offlineMessages.get(peerId);
-  if (queued && queued.length) {
-    for (const msg of queued) {
-      try {
-        ws.send(encryptMessage(JSON.stringify(msg)));
-      } catch (e) {
-        console.error('Error delivering queued message:', e);
-        break;
+
+  // Bind the connection to whom an authentication result says it speaks for
+  // and answer with auth_result
+  const bindAuthentication = (result) => {
+    let peerChanged = false;
+    if (result.success) {
+      authenticatedSockets.set(ws, { userId: result.userId, sessionId: result.sessionId || null });
+      
+      // Signing in (or out) can change whom the connection speaks for
+      const boundPeerId = getConnectionPeerId(ws, clientIp);
+      if (boundPeerId !== peerId) {
+        if (peerId) {
+          unregisterConnection();
+        }
+        peerId = boundPeerId;
+        peerChanged = true;
+        if (result.fingerprint && peerId === getPeerNodeId(ws)) {
+          adoptLegacyPeer(ws, peerId, clientIp);
+        }
+        registerConnection();
+      }
+      if (sessions.has(peerId)) {
+        sessions.set(peerId, { ...sessions.get(peerId), userId: result.userId });
+      }
+      console.log(`Connection from ${clientIp} authenticated as ${result.userId} (peer ${peerId})`);
+      if (result.fingerprint) {
+        applyPeerTrust(peerId, result.fingerprint);
       }
     }
-    offlineMessages.delete(peerId);
-  }
-  
-  // Broadcast to all peers that a new peer has joined
-  const newPeerMessage = {
-    type: 'peer_joined',
-    peer: {
-      id: peerId,
-      ip: clientIp,
-      hostname: hostname
+    // Our own users get a certificate to show other nodes they speak for this node
+    const localUser = result.success && isLocalUserSocket(ws);
+    sendEncrypted(ws, JSON.stringify({
+      type: MESSAGE_TYPES.AUTH_RESULT,
+      success: result.success,
+      message: result.message,
+      peerId,
+      userId: authenticatedSockets.has(ws) ? authenticatedSockets.get(ws).userId : null,
+      nodeId: selfPeerId,
+      nodeCertificate: localUser ? issueNodeCertificate(getPeerIdentityKey(ws)) : null,
+      // Our users' renderers follow this node's setting when they talk to other nodes directly
+      allowLegacyCbc: localUser ? getUserSettings().allowLegacyCbc === true : undefined
+    }));
+    if (result.blocked) {
+      ws.close(4003, 'Blocked');
+    } else if (peerChanged) {
+      catchUpPeer(peerId, ws);
     }
   };
-  
-  broadcastToPeers(JSON.stringify(newPeerMessage), peerId);
-  
+
   // Handle messages from this peer
-  ws.on('message', (message) => {
+  ws.on('message', (message, isBinary) => {
     try {
-      const decryptedMessage = decryptMessage(message.toString());
-      const parsedMessage = JSON.parse(decryptedMessage);
+      let parsedMessage;
       
-      // Handle access code verification
-      if (parsedMessage.type === 'verify_access_code') {
-        const userSettings = getUserSettings();
-        const correctAccessCode = userSettings.accessCode || '';
+      if (isBinary) {
+        // Binary frames carry file data as a Buffer in `data`
+        parsedMessage = decryptFrame(message, getSessionKey(ws));
+      } else {
+        const rawMessage = message.toString();
+        
+        // Handshake frames are plaintext and consumed by the key exchange
+        if (handleKeyExchangeMessage(ws, rawMessage)) {
+          return;
+        }
+        
+        const sessionKey = getSessionKey(ws);
+        const decryptedMessage = decryptMessage(rawMessage, sessionKey);
         
-        // Check if the provided access code is correct
-      const isAuthorized = parsedMessage.accessCode === correctAccessCode;
+        // Only an older node sends a legacy frame before the key exchange (and only
+        // gets this far when allowLegacyCbc is set): answer it in its format, and
+        // since it sends no auth message, take it as a node known by its address
+        if (!sessionKey && isLegacyMessage(rawMessage)) {
+          useLegacyEncryption(ws);
+          if (!authenticatedSockets.has(ws)) {
+            const result = authenticateLegacySocket(clientIp);
+            bindAuthentication(result);
+            if (!result.success) {
+              return;
+            }
+          }
+        }
+        try {
+          parsedMessage = JSON.parse(decryptedMessage);
+        } catch (error) {
+          parsedMessage = null;
+        }
+      }
       
-      // Update peer's authorization status
-      updatePeerAuthStatus(peerId, isAuthorized);
-      if (sessions.has(peerId)) {
-        const s = sessions.get(peerId);
-        sessions.set(peerId, { ...s, authorized: isAuthorized });
+      // Reject anything that does not match the shared protocol schemas
+      const validation = validateMessage(parsedMessage);
+      if (!validation.valid) {
+        console.log(`Rejected message from ${peerId || clientIp}: ${validation.message}`);
+        sendEncrypted(ws, JSON.stringify(createErrorMessage(validation.code, validation.message, {
+          rejectedType: parsedMessage && typeof parsedMessage.type === 'string' ? parsedMessage.type : null,
+          errors: validation.errors
+        })));
+        return;
       }
       
-      // Send response
-      const response = {
-        type: 'access_code_verification',
-        success: isAuthorized,
-        message: isAuthorized ? 'Access code verified successfully' : 'Invalid access code'
-      };
+      // Bind this connection to a user (or node) before accepting anything else
+      if (parsedMessage.type === MESSAGE_TYPES.AUTH) {
+        bindAuthentication(authenticateSocket(ws, parsedMessage));
+        return;
+      }
       
-      ws.send(encryptMessage(JSON.stringify(response)));
-
-      // Broadcast auth status change to all peers
-      const authStatus = {
-        type: 'peer_auth_status',
-        peerId,
-        authorized: isAuthorized,
-        timestamp: Date.now()
-      };
-      broadcastToPeers(JSON.stringify(authStatus));
-      return;
-    }
+      if (!authenticatedSockets.has(ws)) {
+        sendEncrypted(ws, JSON.stringify(createErrorMessage(ERROR_CODES.NOT_AUTHENTICATED, 'Authenticate before sending other messages', {
+          rejectedType: parsedMessage.type
+        })));
+        return;
+      }
+      
+      // Handle access code verification: a local user approves a peer with
+      // this node's access code, which pins the peer's current identity key.
+      // Another node may only present the code for itself, and never for a changed key.
+      if (parsedMessage.type === MESSAGE_TYPES.VERIFY_ACCESS_CODE) {
+        const localUser = isLocalUserSocket(ws);
+        const targetPeerId = parsedMessage.peerId || peerId;
+        const username = authenticatedSockets.get(ws).userId;
+        const keys = attemptKeys('access_code', { ip: clientIp, username });
+        const rejectVerification = (message, extra = {}) => {
+          sendEncrypted(ws, JSON.stringify({
+            type: 'access_code_verification',
+            success: false,
+            peerId: targetPeerId,
+            message,
+            ...extra
+          }));
+        };
+
+        if (!localUser && parsedMessage.acceptNewKey) {
+          rejectVerification('Only a user of this node can accept a changed identity key');
+          return;
+        }
+        if (!localUser && parsedMessage.peerId && parsedMessage.peerId !== peerId) {
+          rejectVerification('A node can only present the access code for itself');
+          return;
+        }
+
+        // Refuse guesses made while backing off or locked out
+        const gate = checkAttempt(keys);
+        if (!gate.allowed) {
+          rejectVerification(`Too many failed attempts, try again in ${Math.ceil(gate.retryAfterMs / 1000)} seconds`, { retryAfterMs: gate.retryAfterMs });
+          return;
+        }
+        
+        if (!isAccessCodeValid(parsedMessage.accessCode)) {
+          recordFailure(keys, { scope: 'access_code', ip: clientIp, username });
+          rejectVerification('Invalid access code');
+          return;
+        }
+        clearAttempts(keys.user);
+        
+        const fingerprint = getPeerFingerprint(targetPeerId);
+        const targetAddress = getPeerAddress(targetPeerId);
+        const trustStatus = fingerprint ? getTrustStatus(targetAddress, fingerprint) : TRUST_STATUS.UNKNOWN;
+        if (!fingerprint) {
+          rejectVerification('This peer has not completed the key exchange yet, try again once it is connected');
+          return;
+        }
+        if (trustStatus === TRUST_STATUS.BLOCKED) {
+          rejectVerification('This peer is blocked');
+          return;
+        }
+        // A changed key is only trusted when the user confirms it explicitly
+        if (trustStatus === TRUST_STATUS.KEY_CHANGED && !parsedMessage.acceptNewKey) {
+          rejectVerification('This peer\'s identity key has changed since it was approved', { keyChanged: true, fingerprint });
+          return;
+        }
+        
+        const discoveredPeer = getDiscoveredPeers().find(p => p.id === targetPeerId);
+        setPeerTrust(targetAddress, fingerprint, TRUST_STATUS.ALLOWED, {
+          hostname: discoveredPeer ? discoveredPeer.hostname : null,
+          updatedBy: username
+        });
+        applyPeerTrust(targetPeerId, fingerprint);
+        
+        sendEncrypted(ws, JSON.stringify({
+          type: 'access_code_verification',
+          success: true,
+          peerId: targetPeerId,
+          fingerprint,
+          message: 'Access code verified successfully'
+        }));
+        
+        // Broadcast auth status change to all peers
+        const authStatus = {
+          type: 'peer_auth_status',
+          peerId: targetPeerId,
+          hostname: discoveredPeer ? discoveredPeer.hostname : null,
+          authorized: true,
+          keyChanged: false,
+          timestamp: Date.now()
+        };
+        broadcastToPeers(JSON.stringify(authStatus));
+        return;
+      }
       
       switch (parsedMessage.type) {
-        case 'chat':
+        case MESSAGE_TYPES.CHAT:
           // Handle chat message
           console.log(`Chat message from ${peerId}: ${parsedMessage.content}`);
           
           // If the message has a specific target, send only to that peer
+          // (queued on disk if they are offline)
           if (parsedMessage.to) {
-            const targetPeer = getPeers().find(p => p.id === parsedMessage.to);
-            if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              const messageId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
-              const forwardedMessage = {
-                type: 'chat',
-                from: peerId,
-                content: parsedMessage.content,
-                timestamp: Date.now(),
-                messageId,
-                clientMessageId: parsedMessage.clientMessageId || null
-              };
-              targetPeer.socket.send(encryptMessage(JSON.stringify(forwardedMessage)));
-              const deliveryReceipt = {
-                type: 'message_delivered',
-                to: parsedMessage.to,
-                messageId,
-                clientMessageId: parsedMessage.clientMessageId || null,
-                timestamp: Date.now()
-              };
-              ws.send(encryptMessage(JSON.stringify(deliveryReceipt)));
+            const messageId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
+            const forwardedMessage = {
+              type: MESSAGE_TYPES.CHAT,
+              from: peerId,
+              content: parsedMessage.content,
+              timestamp: Date.now(),
+              messageId,
+              clientMessageId: parsedMessage.clientMessageId || null,
+              replyTo: quoteReply(parsedMessage.replyTo)
+            };
+            const status = sendOrQueue(parsedMessage.to, forwardedMessage, { from: peerId, notifySender: true });
+            notifySendStatus(ws, status, parsedMessage.to, forwardedMessage);
+            if (status !== 'rejected') {
+              recordDirectChat(ws, peerId, parsedMessage.to, forwardedMessage);
             }
           } else {
             // Otherwise broadcast to all peers
             const messageId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
             const broadcastMessage = {
-              type: 'chat',
+              type: MESSAGE_TYPES.CHAT,
               from: peerId,
               content: parsedMessage.content,
               timestamp: Date.now(),
               messageId,
-              clientMessageId: parsedMessage.clientMessageId || null
+              clientMessageId: parsedMessage.clientMessageId || null,
+              replyTo: quoteReply(parsedMessage.replyTo)
             };
             broadcastToPeers(JSON.stringify(broadcastMessage), peerId);
+            recordDirectChat(ws, peerId, null, broadcastMessage);
           }
           break;
 
-        case 'message_read': {
-          const targetPeer = getPeers().find(p => p.id === parsedMessage.to);
-          if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
+        case MESSAGE_TYPES.CHAT_EDIT:
+        case MESSAGE_TYPES.CHAT_DELETE:
+          handleChatRevision(ws, peerId, parsedMessage);
+          break;
+
+        case MESSAGE_TYPES.HISTORY_SYNC:
+          handleHistorySync(ws, peerId, parsedMessage);
+          break;
+
+        case MESSAGE_TYPES.MESSAGE_READ: {
+          if (parsedMessage.to) {
             const readReceipt = {
-              type: 'message_read',
+              type: MESSAGE_TYPES.MESSAGE_READ,
               from: peerId,
               to: parsedMessage.to,
               messageId: parsedMessage.messageId || null,
               clientMessageId: parsedMessage.clientMessageId || null,
               timestamp: Date.now()
             };
-            targetPeer.socket.send(encryptMessage(JSON.stringify(readReceipt)));
+            sendOrQueue(parsedMessage.to, readReceipt, { from: peerId });
           }
           break;
         }
           
-        case 'file_request': {
+        case MESSAGE_TYPES.FILE_REQUEST: {
           // Relay file transfer request to target peer
           const targetPeerId = parsedMessage.to;
           if (targetPeerId) {
-            const targetPeer = getPeers().find(p => p.id === targetPeerId);
             const relayMessage = {
               ...parsedMessage,
               senderPeerId: peerId
             };
-            if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              targetPeer.socket.send(encryptMessage(JSON.stringify(relayMessage)));
-            } else {
-              // Inform sender target is offline
-              ws.send(encryptMessage(JSON.stringify({ type: 'file_queued', to: targetPeerId, transferId: parsedMessage.transferId })));
+            // Offers to offline peers are queued and delivered when they reconnect
+            const status = sendOrQueue(targetPeerId, relayMessage, { from: peerId, notifySender: true });
+            if (status === 'queued') {
+              sendEncrypted(ws, JSON.stringify({ type: MESSAGE_TYPES.FILE_QUEUED, to: targetPeerId, transferId: parsedMessage.transferId }));
             }
+            notifySendStatus(ws, status, targetPeerId, relayMessage);
           } else {
             // Handle as local incoming request
             handleFileTransferRequest(parsedMessage, peerId);
@@ -960,79 +1222,107 @@ wss.on('connection', (ws, req) => {
           break;
         }
 
-        case 'file_response': {
+        case MESSAGE_TYPES.FILE_RESPONSE: {
           // Relay file response back to sender
           const originalSenderId = parsedMessage.to || parsedMessage.senderPeerId;
           if (originalSenderId) {
             const senderPeer = getPeers().find(p => p.id === originalSenderId);
             if (senderPeer && senderPeer.socket.readyState === WebSocket.OPEN) {
-              senderPeer.socket.send(encryptMessage(JSON.stringify({ ...parsedMessage, receiverPeerId: peerId })));
+              sendEncrypted(senderPeer.socket, JSON.stringify({ ...parsedMessage, receiverPeerId: peerId }));
             }
+          } else {
+            // Response to a transfer this node is sending
+            handleFileTransferResponse(parsedMessage, peerId);
           }
           break;
         }
 
-        case 'file_chunk': {
+        case MESSAGE_TYPES.FILE_CHUNK: {
           // Relay file chunk to target peer
           const targetPeerId = parsedMessage.to;
           if (targetPeerId) {
             const targetPeer = getPeers().find(p => p.id === targetPeerId);
             if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              targetPeer.socket.send(encryptMessage(JSON.stringify({ ...parsedMessage, senderPeerId: peerId })));
+              relayDataMessage(targetPeer.socket, { ...parsedMessage, senderPeerId: peerId });
             } else {
               // Drop or queue chunks: notify sender
-              ws.send(encryptMessage(JSON.stringify({ type: 'file_error', transferId: parsedMessage.transferId, reason: 'recipient_offline' })));
+              sendEncrypted(ws, JSON.stringify({ type: MESSAGE_TYPES.FILE_ERROR, transferId: parsedMessage.transferId, reason: 'recipient_offline' }));
             }
+          } else {
+            // Chunk of a transfer this node is receiving
+            handleFileChunk(parsedMessage, peerId);
           }
           break;
         }
 
-        case 'file_transfer_complete': {
+        case MESSAGE_TYPES.FILE_TRANSFER_COMPLETE: {
           // Relay completion to target
           const targetPeerId = parsedMessage.to;
           if (targetPeerId) {
             const targetPeer = getPeers().find(p => p.id === targetPeerId);
             if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              targetPeer.socket.send(encryptMessage(JSON.stringify({ ...parsedMessage, senderPeerId: peerId })));
+              sendEncrypted(targetPeer.socket, JSON.stringify({ ...parsedMessage, senderPeerId: peerId }));
+            }
+          } else {
+            handleFileTransferComplete(parsedMessage, peerId);
+          }
+          break;
+        }
+
+        case MESSAGE_TYPES.FILE_CHUNK_ACK:
+        case MESSAGE_TYPES.FILE_RESUME:
+        case MESSAGE_TYPES.FILE_TRANSFER_VERIFIED: {
+          // Relay to target, or handle for a transfer this node is sending
+          const targetPeerId = parsedMessage.to;
+          if (targetPeerId) {
+            const targetPeer = getPeers().find(p => p.id === targetPeerId);
+            if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
+              sendEncrypted(targetPeer.socket, JSON.stringify({ ...parsedMessage, receiverPeerId: peerId }));
             }
+          } else if (parsedMessage.type === MESSAGE_TYPES.FILE_CHUNK_ACK) {
+            handleFileChunkAck(parsedMessage, peerId);
+          } else if (parsedMessage.type === MESSAGE_TYPES.FILE_RESUME) {
+            handleFileResume(parsedMessage, peerId);
+          } else {
+            handleFileTransferVerified(parsedMessage, peerId);
           }
           break;
         }
 
-        case 'file_transfer_cancel': {
+        case MESSAGE_TYPES.FILE_TRANSFER_CANCEL: {
           const targetPeerId = parsedMessage.to;
           if (targetPeerId) {
             const targetPeer = getPeers().find(p => p.id === targetPeerId);
             if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              targetPeer.socket.send(encryptMessage(JSON.stringify({ ...parsedMessage, senderPeerId: peerId })));
+              sendEncrypted(targetPeer.socket, JSON.stringify({ ...parsedMessage, senderPeerId: peerId }));
             }
+          } else {
+            handleTransferCancel(parsedMessage, peerId);
           }
           break;
         }
           
-        case 'clipboard':
+        case MESSAGE_TYPES.CLIPBOARD:
           // Handle clipboard sharing
           console.log(`Clipboard content received from ${peerId}`);
           const clipboardMessage = {
-            type: 'clipboard',
+            type: MESSAGE_TYPES.CLIPBOARD,
             from: peerId,
             content: parsedMessage.content,
             timestamp: Date.now()
           };
           
-          // If there's a specific recipient, send only to them
+          // If there's a specific recipient, send only to them (queued if offline)
           if (parsedMessage.to) {
-            const targetPeer = getPeers().find(p => p.id === parsedMessage.to);
-            if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              targetPeer.socket.send(encryptMessage(JSON.stringify(clipboardMessage)));
-            }
+            const status = sendOrQueue(parsedMessage.to, clipboardMessage, { from: peerId, notifySender: true });
+            notifySendStatus(ws, status, parsedMessage.to, clipboardMessage);
           } else {
             // Otherwise broadcast to all peers
             broadcastToPeers(JSON.stringify(clipboardMessage), peerId);
           }
           break;
           
-        case 'group_chat':
+        case MESSAGE_TYPES.GROUP_CHAT:
           // Handle group chat message
           console.log(`Group chat message from ${peerId} to group ${parsedMessage.groupId}`);
           
@@ -1044,37 +1334,29 @@ wss.on('connection', (ws, req) => {
           
           // Add message to group
           const groupMessage = {
-            type: 'group_chat',
+            type: MESSAGE_TYPES.GROUP_CHAT,
             groupId: parsedMessage.groupId,
             senderId: peerId,
             content: parsedMessage.content,
+            clientMessageId: parsedMessage.clientMessageId || null,
+            replyTo: quoteReply(parsedMessage.replyTo),
             timestamp: Date.now()
           };
           
-          if (addGroupMessage(parsedMessage.groupId, groupMessage)) {
-            // Broadcast to all group members
-            broadcastToGroupMembers(parsedMessage.groupId, groupMessage, (memberId, message) => {
+          const storedGroupMessage = addGroupMessage(parsedMessage.groupId, groupMessage);
+          if (storedGroupMessage) {
+            // Broadcast to all group members, with the ID the message is stored and indexed under
+            broadcastToGroupMembers(parsedMessage.groupId, storedGroupMessage, (memberId, message) => {
               const targetPeer = getPeers().find(p => p.id === memberId);
               if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-                return targetPeer.socket.send(encryptMessage(message));
+                return sendEncrypted(targetPeer.socket, message);
               }
               return false;
             });
           }
           break;
           
-        case 'group_file_request':
-          // Handle group file transfer request
-          console.log(`Group file transfer request from ${peerId} to group ${parsedMessage.groupId}`);
-          
-          // Verify user is member of group
-          if (!isGroupMember(parsedMessage.groupId, peerId)) {
-            // Send error message
-            console.log(`User ${peerId} is not a member of group ${parsedMessage.groupId}`);
-            break;
-          }
-          
-        case 'call_initiate': {
+        case MESSAGE_TYPES.CALL_INITIATE: {
           // Voice/Video Call Handling
           // Handle call initiation
           console.log(`Call initiation from ${peerId} to ${parsedMessage.calleeId}`);
@@ -1084,27 +1366,27 @@ wss.on('connection', (ws, req) => {
           const callee = getPeers().find(p => p.id === parsedMessage.calleeId);
           if (callee && callee.socket.readyState === WebSocket.OPEN) {
             const callNotification = {
-              type: 'call_incoming',
+              type: MESSAGE_TYPES.CALL_INCOMING,
               callId,
               callerId: peerId,
               withVideo: parsedMessage.withVideo,
               timestamp: Date.now()
             };
-            callee.socket.send(encryptMessage(JSON.stringify(callNotification)));
+            sendEncrypted(callee.socket, JSON.stringify(callNotification));
           } else {
             // Callee not available, notify caller
             const callFailedNotification = {
-              type: 'call_failed',
+              type: MESSAGE_TYPES.CALL_FAILED,
               callId,
               reason: 'Callee not available',
               timestamp: Date.now()
             };
-            ws.send(encryptMessage(JSON.stringify(callFailedNotification)));
+            sendEncrypted(ws, JSON.stringify(callFailedNotification));
           }
           break;
         }
           
-        case 'call_accept': {
+        case MESSAGE_TYPES.CALL_ACCEPT: {
           // Handle call acceptance
           console.log(`Call acceptance for ${parsedMessage.callId}`);
           if (acceptCall(parsedMessage.callId)) {
@@ -1113,17 +1395,17 @@ wss.on('connection', (ws, req) => {
             const caller = getPeers().find(p => p.id === call.callerId);
             if (caller && caller.socket.readyState === WebSocket.OPEN) {
               const callAcceptedNotification = {
-                type: 'call_accepted',
+                type: MESSAGE_TYPES.CALL_ACCEPTED,
                 callId: parsedMessage.callId,
                 timestamp: Date.now()
               };
-              caller.socket.send(encryptMessage(JSON.stringify(callAcceptedNotification)));
+              sendEncrypted(caller.socket, JSON.stringify(callAcceptedNotification));
             }
           }
           break;
         }
           
-        case 'call_reject': {
+        case MESSAGE_TYPES.CALL_REJECT: {
           // Handle call rejection
           console.log(`Call rejection for ${parsedMessage.callId}`);
           if (rejectCall(parsedMessage.callId, parsedMessage.reason)) {
@@ -1132,18 +1414,18 @@ wss.on('connection', (ws, req) => {
             const caller = getPeers().find(p => p.id === call.callerId);
             if (caller && caller.socket.readyState === WebSocket.OPEN) {
               const callRejectedNotification = {
-                type: 'call_rejected',
+                type: MESSAGE_TYPES.CALL_REJECTED,
                 callId: parsedMessage.callId,
                 reason: parsedMessage.reason,
                 timestamp: Date.now()
               };
-              caller.socket.send(encryptMessage(JSON.stringify(callRejectedNotification)));
+              sendEncrypted(caller.socket, JSON.stringify(callRejectedNotification));
             }
           }
           break;
         }
           
-        case 'call_end': {
+        case MESSAGE_TYPES.CALL_END: {
           // Handle call ending
           console.log(`Call ending for ${parsedMessage.callId}`);
           if (endCall(parsedMessage.callId)) {
@@ -1153,31 +1435,31 @@ wss.on('connection', (ws, req) => {
             const otherParty = getPeers().find(p => p.id === otherPartyId);
             if (otherParty && otherParty.socket.readyState === WebSocket.OPEN) {
               const callEndedNotification = {
-                type: 'call_ended',
+                type: MESSAGE_TYPES.CALL_ENDED,
                 callId: parsedMessage.callId,
                 timestamp: Date.now()
               };
-              otherParty.socket.send(encryptMessage(JSON.stringify(callEndedNotification)));
+              sendEncrypted(otherParty.socket, JSON.stringify(callEndedNotification));
             }
           }
           break;
         }
           
-        case 'ice_candidate': {
+        case MESSAGE_TYPES.ICE_CANDIDATE: {
           // Handle ICE candidate
           console.log(`ICE candidate for ${parsedMessage.callId}`);
           handleIceCandidate(parsedMessage.callId, peerId, parsedMessage.candidate);
           break;
         }
           
-        case 'sdp_offer': {
+        case MESSAGE_TYPES.SDP_OFFER: {
           // Handle SDP offer
           console.log(`SDP offer for ${parsedMessage.callId}`);
           handleSdpExchange(parsedMessage.callId, peerId, 'offer', parsedMessage.sdp);
           break;
         }
           
-        case 'sdp_answer': {
+        case MESSAGE_TYPES.SDP_ANSWER: {
           // Handle SDP answer
           console.log(`SDP answer for ${parsedMessage.callId}`);
           handleSdpExchange(parsedMessage.callId, peerId, 'answer', parsedMessage.sdp);
@@ -1185,7 +1467,7 @@ wss.on('connection', (ws, req) => {
         }
           
         // Group Call Handling
-        case 'group_call_initiate': {
+        case MESSAGE_TYPES.GROUP_CALL_INITIATE: {
           // Handle group call initiation
           console.log(`Group call initiation from ${peerId} to group ${parsedMessage.groupId}`);
           
@@ -1199,7 +1481,7 @@ wss.on('connection', (ws, req) => {
           
           // Notify all group members
           const groupCallNotification = {
-            type: 'group_call_incoming',
+            type: MESSAGE_TYPES.GROUP_CALL_INCOMING,
             groupCallId,
             groupId: parsedMessage.groupId,
             initiatorId: peerId,
@@ -1207,11 +1489,11 @@ wss.on('connection', (ws, req) => {
             timestamp: Date.now()
           };
           
-          broadcastToGroupMembers(parsedMessage.groupId, JSON.stringify(groupCallNotification), (memberId, message) => {
+          broadcastToGroupMembers(parsedMessage.groupId, groupCallNotification, (memberId, message) => {
             if (memberId !== peerId) { // Don't send to initiator
               const targetPeer = getPeers().find(p => p.id === memberId);
               if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-                return targetPeer.socket.send(encryptMessage(message));
+                return sendEncrypted(targetPeer.socket, message);
               }
             }
             return false;
@@ -1219,7 +1501,7 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'group_call_join': {
+        case MESSAGE_TYPES.GROUP_CALL_JOIN: {
           // Handle group call joining
           console.log(`Group call join for ${parsedMessage.groupCallId} by ${peerId}`);
           if (joinGroupCall(parsedMessage.groupCallId, peerId)) {
@@ -1228,7 +1510,7 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'group_call_leave': {
+        case MESSAGE_TYPES.GROUP_CALL_LEAVE: {
           // Handle group call leaving
           console.log(`Group call leave for ${parsedMessage.groupCallId} by ${peerId}`);
           if (leaveGroupCall(parsedMessage.groupCallId, peerId)) {
@@ -1237,7 +1519,7 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'group_call_end': {
+        case MESSAGE_TYPES.GROUP_CALL_END: {
           // Handle group call ending
           console.log(`Group call ending for ${parsedMessage.groupCallId}`);
           if (endGroupCall(parsedMessage.groupCallId)) {
@@ -1246,7 +1528,7 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'group_ice_candidate': {
+        case MESSAGE_TYPES.GROUP_ICE_CANDIDATE: {
           // Handle group ICE candidate
           console.log(`Group ICE candidate for ${parsedMessage.groupCallId}`);
           handleGroupIceCandidate(
@@ -1258,7 +1540,7 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'group_sdp_offer': {
+        case MESSAGE_TYPES.GROUP_SDP_OFFER: {
           // Handle group SDP offer
           console.log(`Group SDP offer for ${parsedMessage.groupCallId}`);
           handleGroupSdpExchange(
@@ -1271,7 +1553,7 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'group_sdp_answer': {
+        case MESSAGE_TYPES.GROUP_SDP_ANSWER: {
           // Handle group SDP answer
           console.log(`Group SDP answer for ${parsedMessage.groupCallId}`);
           handleGroupSdpExchange(
@@ -1284,7 +1566,10 @@ wss.on('connection', (ws, req) => {
           break;
         }
         
-        case 'group_file_request': {
+        case MESSAGE_TYPES.GROUP_FILE_REQUEST: {
+          // Handle group file transfer request
+          console.log(`Group file transfer request from ${peerId} to group ${parsedMessage.groupId}`);
+          
           // Verify user is member of group
           if (!isGroupMember(parsedMessage.groupId, peerId)) {
             console.log(`User ${peerId} is not a member of group ${parsedMessage.groupId}`);
@@ -1304,7 +1589,7 @@ wss.on('connection', (ws, req) => {
           if (addGroupFileTransfer(parsedMessage.groupId, groupFileTransfer)) {
             // Broadcast to all group members
             const fileRequestMessage = {
-              type: 'group_file_request',
+              type: MESSAGE_TYPES.GROUP_FILE_REQUEST,
               groupId: parsedMessage.groupId,
               transferId: parsedMessage.transferId,
               fileName: parsedMessage.fileName,
@@ -1316,7 +1601,7 @@ wss.on('connection', (ws, req) => {
             broadcastToGroupMembers(parsedMessage.groupId, fileRequestMessage, (memberId, message) => {
               const targetPeer = getPeers().find(p => p.id === memberId);
               if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-                return targetPeer.socket.send(encryptMessage(message));
+                return sendEncrypted(targetPeer.socket, message);
               }
               return false;
             });
@@ -1324,69 +1609,19 @@ wss.on('connection', (ws, req) => {
           break;
         }
           
-        case 'general_announcement': {
-          // Handle general announcement
-          console.log(`General announcement from ${peerId}: ${parsedMessage.title}`);
-          
-          // Create the announcement
-          const generalAnnouncement = createGeneralAnnouncement(
-            parsedMessage.title,
-            parsedMessage.content,
-            peerId,
-            parsedMessage.priority || 'normal'
-          );
-          break;
-        }
-          
-          // Broadcast to all peers
-          const announcementMessage = {
-            type: 'general_announcement',
-            from: peerId,
-            announcement: generalAnnouncement,
-            timestamp: Date.now()
-          };
-          
-          broadcastToPeers(JSON.stringify(announcementMessage));
+        case MESSAGE_TYPES.GENERAL_ANNOUNCEMENT:
+          // Push a general announcement out live
+          console.log(`General announcement ${parsedMessage.announcementId} from ${peerId}`);
+          handleGeneralAnnouncement(ws, peerId, parsedMessage);
           break;
           
-        case 'group_announcement':
-          // Handle group announcement
+        case MESSAGE_TYPES.GROUP_ANNOUNCEMENT:
+          // Push a group announcement out to the group's members
           console.log(`Group announcement from ${peerId} to group ${parsedMessage.groupId}`);
-          
-          // Verify user is member of group
-          if (!isGroupMember(parsedMessage.groupId, peerId)) {
-            console.log(`User ${peerId} is not a member of group ${parsedMessage.groupId}`);
-            break;
-          }
-          
-          // Create the announcement
-          const groupAnnouncement = createGroupAnnouncement(
-            parsedMessage.title,
-            parsedMessage.content,
-            peerId,
-            parsedMessage.groupId,
-            parsedMessage.priority || 'normal'
-          );
-          
-          // Broadcast to all group members
-          const groupAnnouncementMessage = {
-            type: 'group_announcement',
-            groupId: parsedMessage.groupId,
-            from: peerId,
-            announcement: groupAnnouncement,
-            timestamp: Date.now()
-          };
-          
-          broadcastToGroupMembers(parsedMessage.groupId, groupAnnouncementMessage, (memberId, message) => {
-            const targetPeer = getPeers().find(p => p.id === memberId);
-            if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              return targetPeer.socket.send(encryptMessage(message));
-            }
-            return false;
-          });
+          handleGroupAnnouncement(ws, peerId, parsedMessage);
           break;
           
-        case 'group_file_chunk':
+        case MESSAGE_TYPES.GROUP_FILE_CHUNK:
           // Handle group file chunk
           console.log(`Group file chunk received from ${peerId} for group ${parsedMessage.groupId}`);
           
@@ -1396,32 +1631,44 @@ wss.on('connection', (ws, req) => {
             break;
           }
           
-          // Broadcast chunk to all group members except sender
+          // Broadcast chunk to all group members except sender, as a binary
+          // frame to members that support it and base64 JSON to the rest
           const chunkMessage = {
-            type: 'group_file_chunk',
+            type: MESSAGE_TYPES.GROUP_FILE_CHUNK,
             groupId: parsedMessage.groupId,
             transferId: parsedMessage.transferId,
             chunkIndex: parsedMessage.chunkIndex,
             totalChunks: parsedMessage.totalChunks,
             chunkSize: parsedMessage.chunkSize,
-            data: parsedMessage.data,
+            data: Buffer.isBuffer(parsedMessage.data) ? parsedMessage.data : Buffer.from(parsedMessage.data || '', 'base64'),
             senderId: peerId,
             timestamp: Date.now()
           };
           
-          broadcastToGroupMembers(parsedMessage.groupId, chunkMessage, (memberId, message) => {
+          const memberSockets = [];
+          for (const memberId of getGroup(parsedMessage.groupId).members) {
             // Don't send back to sender
-            if (memberId === peerId) return false;
+            if (memberId === peerId) continue;
             
             const targetPeer = getPeers().find(p => p.id === memberId);
             if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              return targetPeer.socket.send(encryptMessage(message));
+              memberSockets.push(targetPeer.socket);
+              sendEncryptedFrame(targetPeer.socket, chunkMessage);
             }
-            return false;
-          });
+          }
+          
+          // Acknowledge the chunk once the members' sockets have drained,
+          // so the sender's window follows the slowest member's link
+          ackWhenDrained(ws, {
+            type: MESSAGE_TYPES.FILE_CHUNK_ACK,
+            transferId: parsedMessage.transferId,
+            chunkIndex: parsedMessage.chunkIndex,
+            groupId: parsedMessage.groupId,
+            timestamp: Date.now()
+          }, memberSockets);
           break;
           
-        case 'group_file_complete':
+        case MESSAGE_TYPES.GROUP_FILE_COMPLETE:
           // Handle group file transfer completion
           console.log(`Group file transfer completed from ${peerId} for group ${parsedMessage.groupId}`);
           
@@ -1433,7 +1680,7 @@ wss.on('connection', (ws, req) => {
           
           // Broadcast completion to all group members except sender
           const completeMessage = {
-            type: 'group_file_complete',
+            type: MESSAGE_TYPES.GROUP_FILE_COMPLETE,
             groupId: parsedMessage.groupId,
             transferId: parsedMessage.transferId,
             senderId: peerId,
@@ -1446,7 +1693,7 @@ wss.on('connection', (ws, req) => {
             
             const targetPeer = getPeers().find(p => p.id === memberId);
             if (targetPeer && targetPeer.socket.readyState === WebSocket.OPEN) {
-              return targetPeer.socket.send(encryptMessage(message));
+              return sendEncrypted(targetPeer.socket, message);
             }
             return false;
           });
@@ -1456,145 +1703,51 @@ wss.on('connection', (ws, req) => {
           console.log(`Unknown message type from ${peerId}: ${parsedMessage.type}`);
       }
     } catch (error) {
-      console.error(`Error processing message from ${peerId}:`, error);
+      console.error(`Error processing message from ${peerId || clientIp}:`, error);
     }
   });
   
   // Handle disconnection
   ws.on('close', () => {
-    console.log(`WebSocket connection closed for ${peerId}`);
-    removePeer(peerId);
-    
-    // Broadcast to all peers that this peer has left
-    const peerLeftMessage = {
-      type: 'peer_left',
-      peerId: peerId
-    };
-    
-    broadcastToPeers(JSON.stringify(peerLeftMessage));
-
-    // Update session and broadcast presence offline
-    sessions.delete(peerId);
-    const presenceOffline = {
-      type: 'presence_update',
-      peerId,
-      status: 'offline',
-      timestamp: Date.now()
-    };
-    broadcastToPeers(JSON.stringify(presenceOffline));
-  });
-});
-
-// Set up UDP socket for peer discovery
-udpSocket.on('error', (err) => {
-  console.error(`UDP socket error: ${err.message}`);
-  udpSocket.close();
-});
-
-udpSocket.on('message', (msg, rinfo) => {
-  try {
-    const message = JSON.parse(msg.toString());
-    
-    if (message.type === 'discovery') {
-      // Don't respond to our own discovery messages
-      if (rinfo.address === localIp || (message.hostname && message.hostname === hostname)) {
-        return;
-      }
-      
-      console.log(`Discovery message from ${rinfo.address}:${rinfo.port}`);
-      
-      // Get our access code from settings
-      const userSettings = getUserSettings();
-      const ourAccessCode = userSettings.accessCode || '';
-      
-      // Send a response with our information
-      const response = {
-        type: 'discovery_response',
-        ip: localIp,
-        port: WS_PORT,
-        hostname: hostname,
-        version: '1.0.0',
-        capabilities: ['chat', 'file', 'call', 'clipboard'],
-        auth: false // Will be verified by receiving peer
-      };
-      
-      const responseBuffer = Buffer.from(JSON.stringify(response));
-      udpSocket.send(responseBuffer, 0, responseBuffer.length, rinfo.port, rinfo.address);
-      
-      // Add to peer list regardless of authorization status
-      // The peer will be marked as authorized/unauthorized in the UI
-      const peerId = `${rinfo.address}:${message.port || WS_PORT}`;
-      
-      // Check if this peer is already in our list
-      const existingPeer = getPeers().find(p => p.id === peerId);
-      if (!existingPeer) {
-        // Add to peer list with auth status
-        addPeerToDiscoveryList({
-          id: peerId,
-          ip: rinfo.address,
-          port: message.port || WS_PORT,
-          hostname: message.hostname || 'Unknown',
-          lastSeen: Date.now(),
-          capabilities: message.capabilities || [],
-          version: message.version || '1.0.0',
-          authorized: false // Will be updated when connection is established
-        });
-      } else {
-        // Update last seen timestamp
-        updatePeerLastSeen(peerId);
-      }
-    } else if (message.type === 'discovery_response') {
-      console.log(`Discovery response from ${message.hostname || rinfo.address}:${message.port}`);
-      
-      // Add to peer list regardless of authorization status
-      const peerId = `${rinfo.address}:${message.port || WS_PORT}`;
-      
-      // Check if this peer is already in our list
-      const existingPeer = getPeers().find(p => p.id === peerId);
-      if (!existingPeer) {
-        // Add to peer list with auth status
-        addPeerToDiscoveryList({
-          id: peerId,
-          ip: rinfo.address,
-          port: message.port || WS_PORT,
-          hostname: message.hostname || 'Unknown',
-          lastSeen: Date.now(),
-          capabilities: message.capabilities || [],
-          version: message.version || '1.0.0',
-          authorized: false // Will be updated when connection is established
-        });
-      } else {
-        // Update last seen timestamp
-        updatePeerLastSeen(peerId);
-      }
+    console.log(`WebSocket connection closed for ${peerId || clientIp}`);
+    if (peerId) {
+      unregisterConnection();
     }
-  } catch (error) {
-    console.error('Error processing UDP message:', error);
-  }
+  });
 });
 
 // Function to connect to a peer via WebSocket
 function connectToPeer(ip, port) {
-  // Check if we're already connected to this peer
-  const peerId = `${ip}:${port}`;
-  const existingPeer = getPeers().find(p => p.id === peerId);
+  // Check if we're already connected to whichever peer is at this address
+  const address = `${ip}:${port}`;
+  const existingPeer = getPeers().find(p => p.ip === ip && Number(p.port) === Number(port));
   if (existingPeer) {
-    console.log(`Already connected to peer at ${ip}:${port}`);
+    console.log(`Already connected to peer at ${address}`);
     return;
   }
   
-  console.log(`Connecting to peer at ${ip}:${port}`);
+  console.log(`Connecting to peer at ${address}`);
   
   try {
-    const ws = new WebSocket(`ws://${ip}:${port}`);
+    const ws = new WebSocket(`ws://${address}`);
     
     ws.on('open', () => {
-      console.log(`Connected to peer at ${ip}:${port}`);
-      addPeer(peerId, ws, ip);
+      console.log(`Connected to peer at ${address}`);
+      initiateKeyExchange(ws);
+      sendEncrypted(ws, JSON.stringify({ type: 'auth' })); // Authenticate as this node
       
       // Remove from retry queue if it was there
-      if (retryConnections && retryConnections.has(peerId)) {
-        retryConnections.delete(peerId);
+      if (retryConnections && retryConnections.has(address)) {
+        retryConnections.delete(address);
+      }
+    });
+    
+    ws.on('message', (message) => {
+      // The peer is added under the node ID it proves, once the key exchange completes
+      if (handleKeyExchangeMessage(ws, message.toString()) && getSessionKey(ws) && ws.readyState === WebSocket.OPEN) {
+        const peerId = getPeerNodeId(ws) || address;
+        addPeer(peerId, ws, ip, port);
+        catchUpPeer(peerId, ws);
       }
     });
     
@@ -1614,102 +1767,25 @@ function connectToPeer(ip, port) {
   }
 }
 
-// Bind UDP socket
-udpSocket.bind(UDP_PORT, '0.0.0.0', () => {
-  console.log(`UDP discovery service running on port ${UDP_PORT}`);
-  
-  // Enable broadcast
-  udpSocket.setBroadcast(true);
-  
-  // Set up periodic cleanup of inactive peers
-  setInterval(() => {
-    removeInactivePeers(PEER_TIMEOUT);
-  }, BROADCAST_INTERVAL);
-  
-  // Start broadcasting discovery messages
-  setInterval(() => {
-    // Get access code from user settings
-    const userSettings = getUserSettings();
-    const accessCode = userSettings.accessCode || '';
-    
-    const discoveryMessage = {
-      type: 'discovery',
-      ip: localIp,
-      port: WS_PORT,
-      hostname: hostname,
-      version: '1.0.0',
-      capabilities: ['chat', 'file', 'call', 'clipboard'],
-      auth: false // Will be verified by receiving peer
-    };
-    
-    const messageBuffer = Buffer.from(JSON.stringify(discoveryMessage));
-    
-    // Broadcast to all network interfaces
-     for (const iface of localIpAddresses) {
-       try {
-         // Calculate subnet broadcast address for this interface
-         const subnetBroadcast = getSubnetBroadcast(iface.address, iface.netmask);
-         console.log(`Broadcasting to subnet ${subnetBroadcast} on interface ${iface.name}`);
-         
-         // Send to subnet broadcast address
-         udpSocket.send(messageBuffer, 0, messageBuffer.length, UDP_PORT, subnetBroadcast);
-         
-         // Also try direct broadcast as fallback
-         udpSocket.send(messageBuffer, 0, messageBuffer.length, UDP_PORT, '255.255.255.255');
-       } catch (error) {
-         console.error(`Error broadcasting on interface ${iface.name}:`, error);
-       }
-     }
-     
-     // Additional discovery method: Try to reach common gateway addresses
-     const gatewayAddresses = ['192.168.0.1', '192.168.1.1', '192.168.43.1', '10.0.0.1', '10.0.0.138'];
-     for (const gateway of gatewayAddresses) {
-       try {
-         udpSocket.send(messageBuffer, 0, messageBuffer.length, UDP_PORT, gateway);
-       } catch (error) {
-         // Silently ignore errors for gateway addresses
-       }
-     }
-     
-     // Scan common IP ranges in LAN for direct peer discovery
-     // This helps in environments where broadcast packets are blocked
-     const ipBase = localIp.split('.').slice(0, 3).join('.');
-     for (let i = 1; i < 255; i++) {
-       if (i % 10 === 0) { // Only scan every 10th IP to reduce traffic
-         const targetIp = `${ipBase}.${i}`;
-         // Don't scan our own IP
-         if (targetIp !== localIp) {
-           try {
-             udpSocket.send(messageBuffer, 0, messageBuffer.length, UDP_PORT, targetIp);
-           } catch (error) {
-             // Silently ignore errors for direct IP scanning
-           }
-         }
-       }
-     }
-  }, BROADCAST_INTERVAL);
-  
-  // Process connection retry queue every 10 seconds
-  setInterval(() => {
-    const now = Date.now();
-    for (const [key, data] of retryConnections.entries()) {
-      if (now >= data.nextRetry) {
-        console.log(`Retrying connection to ${key} (attempt ${data.attempts})`); 
-        
-        // Remove from retry queue
-        retryConnections.delete(key);
-        
-        // Attempt to connect
-        connectToPeer(data.ip, data.port);
-      }
+// Process connection retry queue every 10 seconds
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, data] of retryConnections.entries()) {
+    if (now >= data.nextRetry) {
+      console.log(`Retrying connection to ${key} (attempt ${data.attempts})`); 
+      
+      // Remove from retry queue
+      retryConnections.delete(key);
+      
+      // Attempt to connect
+      connectToPeer(data.ip, data.port);
     }
-  }, 10000);
-});
+  }
+}, 10000);
 
 // Export server for potential use in other modules
 module.exports = {
   wss,
-  udpSocket,
   localIp,
   WS_PORT,
   UDP_PORT
@@ -0,0 +1,403 @@
+/**
+ * storage.js - Persistent storage module for IP Messenger Clone
+ *
+ * This module gives the other backend modules a small collection-based store
+ * so groups, group messages, announcements, call history, the offline
+ * message queue, resumable outgoing file transfers, the security log and
+ * peer trust records survive a backend restart. Each collection is a plain JSON-serializable object that is read
+ * once on startup and written back whenever it changes.
+ *
+ * Storage backends are pluggable. A backend is an object with synchronous
+ * read(name), write(name, data) and remove(name) methods; the built-in ones
+ * are 'json' (one file per collection under the data directory) and 'memory'.
+ * Other backends, such as an embedded database, can be added with
+ * registerStorageBackend() and selected with the `storageBackend` setting.
+ *
+ * Besides collections the store keeps append-only logs, which only ever grow
+ * by one entry at a time. A backend can support them natively with
+ * append(name, entry) and readLog(name); the 'json' backend writes each log as
+ * a JSON Lines file. For backends without them a log is kept as an ordinary
+ * collection holding an array. A log can also be replaced or cleared as a
+ * whole, e.g. once its entries have been folded together; a backend can do
+ * that natively with writeLog(name, entries).
+ *
+ * The store carries a schema version in its `meta` collection. On startup any
+ * migrations newer than the stored version are run in order before the first
+ * collection is handed out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUserSettings } = require('./userAuth');
+const { getConfig } = require('./config');
+
+// Directory holding the JSON collection files
+const DATA_DIR = path.join(getConfig().dataDir, 'data');
+
+// Collection holding store metadata (schema version)
+const META_COLLECTION = 'meta';
+
+// Current schema version of the store
+const SCHEMA_VERSION = 7;
+
+/**
+ * Schema migrations, keyed by the version they upgrade to.
+ * Each migration receives the backend and updates collections in place.
+ */
+const MIGRATIONS = {
+  // Version 1: initial layout, create every collection with its empty shape
+  1: (backend) => {
+    const initial = {
+      groups: {},
+      groupMessages: {},
+      groupFileTransfers: {},
+      announcements: { general: {}, groups: {} },
+      callHistory: []
+    };
+    for (const [name, data] of Object.entries(initial)) {
+      if (backend.read(name) === null) {
+        backend.write(name, data);
+      }
+    }
+  },
+  // Version 2: store-and-forward queue for offline peers
+  2: (backend) => {
+    if (backend.read('offlineQueue') === null) {
+      backend.write('offlineQueue', {});
+    }
+  },
+  // Version 3: outgoing file transfers that can be resumed
+  3: (backend) => {
+    if (backend.read('outgoingTransfers') === null) {
+      backend.write('outgoingTransfers', {});
+    }
+  },
+  // Version 4: group roles, existing groups are owned by their creator
+  4: (backend) => {
+    const groups = backend.read('groups') || {};
+    for (const group of Object.values(groups)) {
+      group.owner = group.owner || group.creator;
+      group.admins = group.admins || [];
+    }
+    backend.write('groups', groups);
+  },
+  // Version 5: security log of login and access code lockouts
+  5: (backend) => {
+    if (backend.read('securityLog') === null) {
+      backend.write('securityLog', []);
+    }
+  },
+  // Version 6: peer allowlist, blocklist and pinned identity keys
+  6: (backend) => {
+    if (backend.read('peerTrust') === null) {
+      backend.write('peerTrust', { peers: {}, pins: {} });
+    }
+  },
+  // Version 7: group messages move from one collection to a log per group
+  7: (backend) => {
+    const groupMessages = backend.read('groupMessages') || {};
+    for (const [groupId, messages] of Object.entries(groupMessages)) {
+      if (messages.length) {
+        writeLog(backend, `groupMessages-${groupId}`, messages);
+      }
+    }
+    backend.remove('groupMessages');
+  }
+};
+
+// Registered backend factories, keyed by name
+const backendFactories = new Map();
+
+// Active backend (created on first use)
+let activeBackend = null;
+
+/**
+ * Write a file atomically: write a temporary file next to it, flush it to
+ * disk and rename it over the target, so a crash never leaves a torn file
+ * @param {string} filePath - Target file path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, contents, null, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write a whole log to a backend, replacing what it held
+ * @param {Object} backend - Storage backend
+ * @param {string} name - Log name
+ * @param {Array} entries - JSON-serializable entries, oldest first
+ */
+function writeLog(backend, name, entries) {
+  if (backend.writeLog) {
+    backend.writeLog(name, entries);
+  } else {
+    backend.write(name, entries);
+  }
+}
+
+/**
+ * Create a backend that keeps each collection in a JSON file
+ * @param {string} dataDir - Directory to store collection files in
+ * @returns {Object} - Storage backend
+ */
+function createJsonFileBackend(dataDir = DATA_DIR) {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const collectionPath = (name) => path.join(dataDir, `${name}.json`);
+  const logPath = (name) => path.join(dataDir, `${name}.jsonl`);
+
+  return {
+    read(name) {
+      const filePath = collectionPath(name);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+    write(name, data) {
+      writeFileAtomic(collectionPath(name), JSON.stringify(data, null, 2));
+    },
+    remove(name) {
+      for (const filePath of [collectionPath(name), logPath(name)]) {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
+    },
+    append(name, entry) {
+      fs.appendFileSync(logPath(name), `${JSON.stringify(entry)}\n`, { encoding: 'utf8', mode: 0o600 });
+    },
+    writeLog(name, entries) {
+      writeFileAtomic(logPath(name), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    },
+    readLog(name) {
+      const filePath = logPath(name);
+      if (!fs.existsSync(filePath)) {
+        return [];
+      }
+      // A crash in the middle of an append can leave a torn last line; skip it
+      const entries = [];
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          console.error(`Skipping unreadable entry in log ${name}`);
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+/**
+ * Create a backend that keeps collections in memory only (nothing persists)
+ * @returns {Object} - Storage backend
+ */
+function createMemoryBackend() {
+  const collections = new Map();
+  const logs = new Map();
+
+  return {
+    read(name) {
+      return collections.has(name) ? JSON.parse(collections.get(name)) : null;
+    },
+    write(name, data) {
+      collections.set(name, JSON.stringify(data));
+    },
+    remove(name) {
+      collections.delete(name);
+      logs.delete(name);
+    },
+    append(name, entry) {
+      if (!logs.has(name)) {
+        logs.set(name, []);
+      }
+      logs.get(name).push(JSON.stringify(entry));
+    },
+    writeLog(name, entries) {
+      logs.set(name, entries.map(entry => JSON.stringify(entry)));
+    },
+    readLog(name) {
+      return (logs.get(name) || []).map(line => JSON.parse(line));
+    }
+  };
+}
+
+/**
+ * Register a storage backend so it can be selected with the `storageBackend` setting
+ * @param {string} name - Backend name
+ * @param {Function} factory - Function returning a { read, write, remove } backend
+ */
+function registerStorageBackend(name, factory) {
+  backendFactories.set(name, factory);
+}
+
+/**
+ * Run any schema migrations newer than the version recorded in the store
+ * @param {Object} backend - Storage backend
+ */
+function migrateSchema(backend) {
+  const meta = backend.read(META_COLLECTION) || { schemaVersion: 0 };
+
+  if (meta.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Storage schema version ${meta.schemaVersion} is newer than supported version ${SCHEMA_VERSION}`);
+  }
+
+  for (let version = meta.schemaVersion + 1; version <= SCHEMA_VERSION; version++) {
+    console.log(`Migrating storage schema to version ${version}`);
+    MIGRATIONS[version](backend);
+    backend.write(META_COLLECTION, { ...meta, schemaVersion: version, migratedAt: Date.now() });
+  }
+}
+
+/**
+ * Get the active storage backend, creating and migrating it on first use
+ * @returns {Object} - Storage backend
+ */
+function getBackend() {
+  if (activeBackend) return activeBackend;
+
+  const settings = getUserSettings() || {};
+  const name = settings.storageBackend || 'json';
+  const factory = backendFactories.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+
+  const backend = factory();
+  migrateSchema(backend);
+  activeBackend = backend;
+
+  console.log(`Using ${name} storage backend`);
+  return activeBackend;
+}
+
+/**
+ * Load a collection from storage
+ * @param {string} name - Collection name
+ * @param {*} fallback - Value to return if the collection does not exist or cannot be read
+ * @returns {*} - Collection data
+ */
+function loadCollection(name, fallback) {
+  try {
+    const data = getBackend().read(name);
+    return data === null ? fallback : data;
+  } catch (error) {
+    console.error(`Error loading ${name} from storage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Save a collection to storage
+ * @param {string} name - Collection name
+ * @param {*} data - JSON-serializable collection data
+ * @returns {boolean} - True if saved successfully
+ */
+function saveCollection(name, data) {
+  try {
+    getBackend().write(name, data);
+    return true;
+  } catch (error) {
+    console.error(`Error saving ${name} to storage:`, error);
+    return false;
+  }
+}
+
+/**
+ * Append an entry to an append-only log
+ * @param {string} name - Log name
+ * @param {Object} entry - JSON-serializable entry
+ * @returns {boolean} - True if appended successfully
+ */
+function appendToLog(name, entry) {
+  try {
+    const backend = getBackend();
+    if (backend.append) {
+      backend.append(name, entry);
+    } else {
+      backend.write(name, [...(backend.read(name) || []), entry]);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error appending to log ${name}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Load every entry of an append-only log, oldest first
+ * @param {string} name - Log name
+ * @returns {Array} - Log entries (empty if the log does not exist or cannot be read)
+ */
+function loadLog(name) {
+  try {
+    const backend = getBackend();
+    return backend.readLog ? backend.readLog(name) : (backend.read(name) || []);
+  } catch (error) {
+    console.error(`Error loading log ${name} from storage:`, error);
+    return [];
+  }
+}
+
+/**
+ * Replace every entry of an append-only log
+ * @param {string} name - Log name
+ * @param {Array} entries - JSON-serializable entries, oldest first
+ * @returns {boolean} - True if written successfully
+ */
+function replaceLog(name, entries) {
+  try {
+    writeLog(getBackend(), name, entries);
+    return true;
+  } catch (error) {
+    console.error(`Error writing log ${name}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove every entry of an append-only log
+ * @param {string} name - Log name
+ * @returns {boolean} - True if cleared successfully
+ */
+function clearLog(name) {
+  try {
+    getBackend().remove(name);
+    return true;
+  } catch (error) {
+    console.error(`Error clearing log ${name}:`, error);
+    return false;
+  }
+}
+
+// Built-in backends
+registerStorageBackend('json', () => createJsonFileBackend(DATA_DIR));
+registerStorageBackend('memory', createMemoryBackend);
+
+module.exports = {
+  SCHEMA_VERSION,
+  registerStorageBackend,
+  migrateSchema,
+  createJsonFileBackend,
+  createMemoryBackend,
+  loadCollection,
+  saveCollection,
+  appendToLog,
+  loadLog,
+  replaceLog,
+  clearLog,
+  writeFileAtomic
+};
@@ -0,0 +1,57 @@
+/**
+ * Tests for config.js: defaults, sources in order of priority and invalid values
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getLocalUrl } = require('../config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offgrid-config-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a config file and return its path
+function writeConfigFile(contents) {
+  const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(contents));
+  return file;
+}
+
+test('defaults are used when nothing is configured', () => {
+  const config = loadConfig({ argv: [], env: { OFFGRID_CONFIG: writeConfigFile({}) } });
+  assert.strictEqual(config.port, 8080);
+  assert.strictEqual(config.udpPort, 2425);
+  assert.deepStrictEqual(config.discoveryPorts, []);
+  assert.strictEqual(config.bindAddress, '0.0.0.0');
+  assert.deepStrictEqual(config.interfaces, []);
+});
+
+test('flags override variables, which override the config file', () => {
+  const file = writeConfigFile({ port: 9000, udpPort: 3000, discoveryPorts: [2425, 2426], dataDir: 'node' });
+  const env = { OFFGRID_CONFIG: file, OFFGRID_PORT: '9001', OFFGRID_DISCOVERY_PORTS: '2427' };
+
+  const fromEnv = loadConfig({ argv: [], env });
+  assert.strictEqual(fromEnv.port, 9001);
+  assert.strictEqual(fromEnv.udpPort, 3000);
+  assert.deepStrictEqual(fromEnv.discoveryPorts, [2427]);
+  assert.strictEqual(fromEnv.dataDir, path.join(dir, 'node'));
+
+  const fromFlags = loadConfig({ argv: ['--port=9002', '--discovery-ports', '2428,2429,2428', '--unknown', 'x'], env });
+  assert.strictEqual(fromFlags.port, 9002);
+  assert.deepStrictEqual(fromFlags.discoveryPorts, [2428, 2429]);
+});
+
+test('invalid values stop loading with an error', () => {
+  const env = { OFFGRID_CONFIG: writeConfigFile({}) };
+  assert.throws(() => loadConfig({ argv: ['--port', '70000'], env }), /Invalid port/);
+  assert.throws(() => loadConfig({ argv: ['--discovery-ports', '2425,abc'], env }), /Invalid discoveryPorts/);
+  assert.throws(() => loadConfig({ argv: [], env: { OFFGRID_CONFIG: writeConfigFile({ discoveryPorts: ['x'] }) } }), /Invalid discoveryPorts/);
+  assert.throws(() => loadConfig({ argv: ['--config', path.join(dir, 'missing.json')], env: {} }), /Cannot read config file/);
+});
+
+test('the local URL uses localhost for a wildcard bind address', () => {
+  assert.strictEqual(getLocalUrl({ bindAddress: '0.0.0.0', port: 8080 }), 'http://localhost:8080');
+  assert.strictEqual(getLocalUrl({ bindAddress: '::1', port: 8081 }), 'http://[::1]:8081');
+});
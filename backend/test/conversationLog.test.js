@@ -0,0 +1,110 @@
+/**
+ * Tests for conversationLog.js: replies, edits and deletes in direct
+ * conversations, paging through them, reading the append-only logs back
+ * after a restart, and renaming a partner to its node ID
+ */
+
+const { useTempDirs } = require('./helpers');
+const dir = useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logMessage, logRevision, getMessagesSince, renameConversationPartner } = require('../conversationLog');
+
+// Load the module again, as a restarted backend would
+function restart() {
+  delete require.cache[require.resolve('../conversationLog')];
+  return require('../conversationLog');
+}
+
+const logPath = (partnerId) => path.join(dir, 'data', 'data',
+  `conversation-${crypto.createHash('sha256').update(partnerId).digest('hex').slice(0, 32)}.jsonl`);
+
+test('replies keep their quote and revisions are logged after the message', () => {
+  logMessage('bob', { messageId: 'm1', clientMessageId: 'c1', from: 'alice', to: 'bob', content: 'lunch?' });
+  const reply = logMessage('bob', {
+    messageId: 'm2', clientMessageId: 'c2', from: 'bob', to: 'alice', content: 'sure',
+    replyTo: { messageId: 'm1', clientMessageId: 'c1', content: 'lunch?' }
+  });
+  assert.deepStrictEqual(reply.replyTo, { messageId: 'm1', clientMessageId: 'c1', content: 'lunch?' });
+
+  // The same message arriving twice is logged once
+  assert.strictEqual(logMessage('bob', { clientMessageId: 'c1', from: 'alice', to: 'bob', content: 'lunch?' }), null);
+
+  logRevision('bob', { action: 'edit', clientMessageId: 'c1', from: 'alice', to: 'bob', content: 'lunch at 1?' });
+  logRevision('bob', { action: 'delete', clientMessageId: 'c2', from: 'bob', to: 'alice' });
+  // A deleted message stays deleted
+  assert.strictEqual(logRevision('bob', { action: 'edit', clientMessageId: 'c2', from: 'bob', to: 'alice', content: 'no' }), null);
+
+  const { messages } = getMessagesSince('bob');
+  assert.deepStrictEqual(messages.map(m => [m.seq, m.action || 'message', m.clientMessageId]), [
+    [1, 'message', 'c1'], [2, 'message', 'c2'], [3, 'edit', 'c1'], [4, 'delete', 'c2']
+  ]);
+  assert.strictEqual(messages[2].content, 'lunch at 1?');
+  assert.strictEqual(messages[3].content, null);
+});
+
+test('history is paged by sequence number', () => {
+  for (let i = 0; i < 5; i++) {
+    logMessage('carol', { clientMessageId: `p${i}`, from: 'alice', to: 'carol', content: `message ${i}` });
+  }
+  const first = getMessagesSince('carol', { limit: 2 });
+  assert.deepStrictEqual(first.messages.map(m => m.content), ['message 0', 'message 1']);
+  assert.strictEqual(first.hasMore, true);
+
+  const rest = getMessagesSince('carol', { since: first.cursor, limit: 10 });
+  assert.deepStrictEqual(rest.messages.map(m => m.content), ['message 2', 'message 3', 'message 4']);
+  assert.strictEqual(rest.hasMore, false);
+  assert.strictEqual(getMessagesSince('carol', { since: rest.cursor }).messages.length, 0);
+});
+
+test('a conversation is read back after a restart and its log is only ever appended to', () => {
+  logMessage('dave', { clientMessageId: 'd1', from: 'alice', to: 'dave', content: 'before' });
+  logRevision('dave', { action: 'edit', clientMessageId: 'd1', from: 'alice', to: 'dave', content: 'edited' });
+  const written = fs.readFileSync(logPath('dave'), 'utf8');
+
+  const restarted = restart();
+  assert.deepStrictEqual(restarted.getMessagesSince('dave').messages.map(m => m.content), ['before', 'edited']);
+
+  // Duplicates are still recognized, and sequence numbers carry on
+  assert.strictEqual(restarted.logMessage('dave', { clientMessageId: 'd1', from: 'alice', to: 'dave', content: 'before' }), null);
+  const next = restarted.logMessage('dave', { clientMessageId: 'd2', from: 'dave', to: 'alice', content: 'after' });
+  assert.strictEqual(next.seq, 3);
+
+  const now = fs.readFileSync(logPath('dave'), 'utf8');
+  assert.ok(now.startsWith(written));
+  assert.strictEqual(now.trim().split('\n').length, 3);
+});
+
+test('a partner known by its address takes its log over under its node ID', () => {
+  logMessage('10.0.0.7:8080', { clientMessageId: 'e1', from: '10.0.0.7:8080', to: 'alice', content: 'from the address' });
+  const written = fs.readFileSync(logPath('10.0.0.7:8080'), 'utf8');
+
+  renameConversationPartner('10.0.0.7:8080', 'node-7');
+  const { messages } = getMessagesSince('node-7');
+  assert.deepStrictEqual(messages.map(m => [m.from, m.content]), [['node-7', 'from the address']]);
+
+  // The log itself is not rewritten, and the rename holds after a restart
+  assert.strictEqual(fs.readFileSync(logPath('10.0.0.7:8080'), 'utf8'), written);
+  const restarted = restart();
+  restarted.logMessage('node-7', { clientMessageId: 'e2', from: 'alice', to: 'node-7', content: 'to the node' });
+  assert.deepStrictEqual(restarted.getMessagesSince('node-7').messages.map(m => [m.seq, m.to]), [[1, 'alice'], [2, 'node-7']]);
+});
+
+test('entries under the old address are appended when the node ID already has a log', () => {
+  logMessage('node-8', { clientMessageId: 'f1', from: 'node-8', to: 'alice', content: 'already by node ID' });
+  logMessage('10.0.0.8:8080', { clientMessageId: 'f2', from: '10.0.0.8:8080', to: 'alice', content: 'still by address' });
+
+  renameConversationPartner('10.0.0.8:8080', 'node-8');
+  const { messages } = getMessagesSince('node-8');
+  assert.deepStrictEqual(messages.map(m => [m.seq, m.from, m.content]), [
+    [1, 'node-8', 'already by node ID'], [2, 'node-8', 'still by address']
+  ]);
+
+  // A second rename of the same address is ignored
+  renameConversationPartner('10.0.0.8:8080', 'node-other');
+  assert.strictEqual(getMessagesSince('node-other').messages.length, 0);
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for discovery.js: beacons reach the configured ports, are answered
+ * on the port they came from and add the sender to the discovered peers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { BEACON_TYPES, DISCOVERY_METHODS, startDiscovery, stopDiscovery } = require('../discovery');
+const { getDiscoveredPeers } = require('../peers');
+const { waitFor } = require('./helpers');
+
+// Find a free UDP port
+async function freePort() {
+  const socket = dgram.createSocket('udp4');
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  const { port } = socket.address();
+  await new Promise(resolve => socket.close(resolve));
+  return port;
+}
+
+test('beacons go to other nodes\' ports and are answered on the sender\'s port', async (t) => {
+  const nodePort = await freePort();
+  const otherPort = await freePort();
+
+  // Another node listening on its own port
+  const received = [];
+  const other = dgram.createSocket('udp4');
+  other.on('message', (msg, rinfo) => received.push({ beacon: JSON.parse(msg.toString()), rinfo }));
+  await new Promise(resolve => other.bind(otherPort, '0.0.0.0', resolve));
+  t.after(() => other.close());
+
+  // The scan method beacons hosts of the local /24 directly; on loopback those all reach this machine
+  startDiscovery({
+    port: nodePort,
+    targetPorts: [otherPort],
+    interval: 60000,
+    methods: [DISCOVERY_METHODS.SCAN],
+    localAddresses: [{ address: '127.0.0.1', netmask: '255.0.0.0', name: 'lo' }],
+    getLocalInfo: () => ({ nodeId: 'node-a', hostname: 'a', displayName: 'A', wsPort: 8080, version: '1.0.0', capabilities: [] })
+  });
+  t.after(stopDiscovery);
+
+  await waitFor(() => received.some(r => r.beacon.type === BEACON_TYPES.DISCOVERY));
+  assert.strictEqual(received[0].beacon.nodeId, 'node-a');
+  assert.strictEqual(received[0].rinfo.port, nodePort);
+
+  // The other node's own beacon is answered straight back to the port it came from
+  const beacon = Buffer.from(JSON.stringify({
+    type: BEACON_TYPES.DISCOVERY, nodeId: 'node-b', hostname: 'b', displayName: 'B', port: 8081, version: '1.0.0', capabilities: []
+  }));
+  other.send(beacon, nodePort, '127.0.0.1');
+
+  await waitFor(() => received.some(r => r.beacon.type === BEACON_TYPES.RESPONSE));
+  const peer = getDiscoveredPeers().find(p => p.id === 'node-b');
+  assert.strictEqual(peer.port, 8081);
+  assert.strictEqual(peer.displayName, 'B');
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for encryption.js: the AES-256-GCM envelope, binary frames and the
+ * legacy static-key CBC format accepted from older nodes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  encryptMessage,
+  decryptMessage,
+  encryptBuffer,
+  decryptBuffer,
+  encryptFrame,
+  decryptFrame,
+  isLegacyMessage,
+  encryptLegacyMessage,
+  setLegacyCbcAllowed
+} = require('../encryption');
+
+const key = crypto.randomBytes(32);
+
+// Encrypt the way nodes from before the key exchange did
+function legacyEncrypt(message) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from('a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6'), iv);
+  return `${iv.toString('hex')}:${Buffer.concat([cipher.update(message, 'utf8'), cipher.final()]).toString('base64')}`;
+}
+
+test.afterEach(() => setLegacyCbcAllowed(false));
+
+test('messages round-trip through the envelope', () => {
+  const sealed = encryptMessage('hello', key);
+  assert.strictEqual(Buffer.from(sealed, 'base64')[0], 2);
+  assert.strictEqual(decryptMessage(sealed, key), 'hello');
+});
+
+test('a tampered envelope or the wrong key is rejected', () => {
+  const sealed = Buffer.from(encryptMessage('hello', key), 'base64');
+  sealed[sealed.length - 20] ^= 1;
+  assert.throws(() => decryptMessage(sealed.toString('base64'), key));
+  assert.throws(() => decryptMessage(encryptMessage('hello', key), crypto.randomBytes(32)));
+});
+
+test('the version byte and key id are authenticated', () => {
+  const sealed = Buffer.from(encryptMessage('hello', key), 'base64');
+  const wrongVersion = Buffer.from(sealed);
+  wrongVersion[0] = 3;
+  assert.throws(() => decryptMessage(wrongVersion.toString('base64'), key));
+});
+
+test('buffers and binary frames round-trip', () => {
+  const data = crypto.randomBytes(1000);
+  assert.ok(decryptBuffer(encryptBuffer(data, key), key).equals(data));
+
+  const frame = decryptFrame(encryptFrame({ type: 'file_chunk', index: 3, data }, key), key);
+  assert.strictEqual(frame.type, 'file_chunk');
+  assert.strictEqual(frame.index, 3);
+  assert.ok(frame.data.equals(data));
+});
+
+test('legacy frames are rejected unless allowed', () => {
+  const legacy = legacyEncrypt('{"type":"chat"}');
+  assert.ok(isLegacyMessage(legacy));
+  assert.throws(() => decryptMessage(legacy, null));
+  assert.throws(() => encryptLegacyMessage('hi'));
+});
+
+test('allowed legacy frames are opened with the static key, only without a session key', () => {
+  setLegacyCbcAllowed(true);
+  const legacy = legacyEncrypt('{"type":"chat"}');
+  assert.strictEqual(decryptMessage(legacy, null), '{"type":"chat"}');
+  assert.throws(() => decryptMessage(legacy, key));
+  assert.strictEqual(decryptMessage(encryptLegacyMessage('reply'), null), 'reply');
+});
+
+test('a frame without a session key fails cleanly when legacy frames are off', () => {
+  assert.throws(() => decryptMessage(encryptMessage('hello', key), null), /Failed to decrypt message/);
+  assert.throws(() => decryptBuffer(encryptBuffer(Buffer.from('x'), key), null), /Failed to decrypt buffer/);
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for fileTransfer.js. Receiving: request validation, preallocated
+ * temporary files per transfer, unique final names, resuming missing chunks
+ * and picking a transfer up again after a restart. Sending: the
+ * acknowledged send window, and chunks in binary frames or, for older peers,
+ * base64 in JSON.
+ */
+
+const { useTempDirs, createSocketPair, waitFor } = require('./helpers');
+const dir = useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { addPeer } = require('../peers');
+const { getSessionKey } = require('../keyExchange');
+const { encryptBuffer, decryptBuffer } = require('../encryption');
+const {
+  sendFile,
+  handleFileTransferRequest,
+  handleFileTransferResponse,
+  handleFileChunk,
+  handleFileChunkAck,
+  handleFileTransferComplete,
+  resumeTransfersWithPeer,
+  getActiveTransfers,
+  cancelTransfer
+} = require('../fileTransfer');
+
+const SENDER = 'sender-node';
+const RECEIVER = 'receiver-node';
+const CHUNK_SIZE = 4;
+const downloads = path.join(dir, 'downloads');
+const { local, received } = createSocketPair();
+addPeer(SENDER, local, '127.0.0.1', 8080);
+const receiver = createSocketPair();
+addPeer(RECEIVER, receiver.local, '127.0.0.2', 8080);
+const OLD_RECEIVER = 'old-receiver-node';
+const oldReceiver = createSocketPair({ binaryFrames: false });
+addPeer(OLD_RECEIVER, oldReceiver.local, '127.0.0.3', 8080);
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Build a request and its chunks for some file contents
+function offer(transferId, fileName, contents) {
+  const data = Buffer.from(contents);
+  const chunks = [];
+  for (let i = 0; i * CHUNK_SIZE < data.length; i++) {
+    const chunk = data.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+    chunks.push({ transferId, chunkIndex: i, chunkHash: sha256(chunk), data: chunk });
+  }
+  return {
+    request: { transferId, fileName, fileSize: data.length, fileHash: sha256(data), chunkSize: CHUNK_SIZE, totalChunks: chunks.length },
+    chunks
+  };
+}
+
+function responseFor(transferId) {
+  return received.filter(m => m.type === 'file_response' && m.transferId === transferId).pop();
+}
+
+// Write a file of several 1 MB chunks and offer it to the receiver
+async function startSending(fileName, size, peerId = RECEIVER) {
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, crypto.randomBytes(size));
+  const transferId = await sendFile(filePath, peerId);
+  handleFileTransferResponse({ transferId, accepted: true }, peerId);
+  return { transferId, filePath };
+}
+
+function chunksSent(transferId, peer = receiver) {
+  return peer.received.filter(m => m.type === 'file_chunk' && m.transferId === transferId);
+}
+
+test('requests with a missing hash or inconsistent chunk count are refused', () => {
+  const { request } = offer('bad-1', 'bad.txt', 'abcdefgh');
+  handleFileTransferRequest({ ...request, fileHash: undefined }, SENDER);
+  assert.strictEqual(responseFor('bad-1').accepted, false);
+
+  handleFileTransferRequest({ ...request, transferId: 'bad-2', totalChunks: 7 }, SENDER);
+  assert.strictEqual(responseFor('bad-2').accepted, false);
+
+  handleFileTransferRequest({ ...request, transferId: 'bad-3', totalChunks: undefined }, SENDER);
+  assert.strictEqual(responseFor('bad-3').accepted, false);
+
+  handleFileTransferRequest({ ...request, transferId: 'bad-4', fileName: '..' }, SENDER);
+  assert.strictEqual(responseFor('bad-4').accepted, false);
+  assert.ok(!getActiveTransfers().some(t => t.transferId.startsWith('bad-')));
+});
+
+test('two transfers of the same file name keep their own data and both files are saved', async () => {
+  const first = offer('same-1', 'report.txt', 'first file contents');
+  const second = offer('same-2', 'report.txt', 'the second one');
+
+  handleFileTransferRequest(first.request, SENDER);
+  handleFileTransferRequest(second.request, SENDER);
+  assert.strictEqual(responseFor('same-1').accepted, true);
+  assert.strictEqual(responseFor('same-2').accepted, true);
+
+  // Interleave the chunks of both transfers
+  const length = Math.max(first.chunks.length, second.chunks.length);
+  for (let i = 0; i < length; i++) {
+    if (first.chunks[i]) handleFileChunk(first.chunks[i], SENDER);
+    if (second.chunks[i]) handleFileChunk(second.chunks[i], SENDER);
+  }
+
+  await waitFor(() => received.filter(m => m.type === 'file_transfer_verified').length === 2);
+  const saved = fs.readdirSync(downloads).filter(name => name.startsWith('report')).sort();
+  assert.deepStrictEqual(saved, ['report (1).txt', 'report.txt']);
+  const contents = saved.map(name => fs.readFileSync(path.join(downloads, name), 'utf8')).sort();
+  assert.deepStrictEqual(contents, ['first file contents', 'the second one']);
+  assert.ok(!fs.readdirSync(downloads).some(name => name.endsWith('.download') || name.endsWith('.partial')));
+});
+
+test('a re-offered name does not disturb a transfer still in progress', async () => {
+  const running = offer('busy-1', 'notes.txt', 'still arriving here');
+  handleFileTransferRequest(running.request, SENDER);
+  handleFileChunk(running.chunks[0], SENDER);
+
+  const other = offer('busy-2', 'notes.txt', 'done');
+  handleFileTransferRequest(other.request, SENDER);
+  other.chunks.forEach(chunk => handleFileChunk(chunk, SENDER));
+  await waitFor(() => received.some(m => m.type === 'file_transfer_verified' && m.transferId === 'busy-2'));
+
+  running.chunks.slice(1).forEach(chunk => handleFileChunk(chunk, SENDER));
+  await waitFor(() => received.some(m => m.type === 'file_transfer_verified' && m.transferId === 'busy-1'));
+  assert.strictEqual(fs.readFileSync(path.join(downloads, 'notes.txt'), 'utf8'), 'done');
+  assert.strictEqual(fs.readFileSync(path.join(downloads, 'notes (1).txt'), 'utf8'), 'still arriving here');
+});
+
+test('missing chunks are requested again and the transfer completes', async () => {
+  const { request, chunks } = offer('resume-1', 'resume.bin', 'abcdefghijklmnopqrst');
+  handleFileTransferRequest(request, SENDER);
+  handleFileChunk(chunks[0], SENDER);
+  handleFileChunk(chunks[2], SENDER);
+
+  // A corrupted chunk is not stored and is asked for again
+  handleFileChunk({ ...chunks[3], data: Buffer.from('xxxx') }, SENDER);
+  assert.deepStrictEqual(received[received.length - 1].missingChunks, [3]);
+
+  handleFileTransferComplete({ transferId: 'resume-1' }, SENDER);
+  const resume = received.filter(m => m.type === 'file_resume' && m.transferId === 'resume-1').pop();
+  assert.deepStrictEqual(resume.missingChunks, [1, 3, 4]);
+
+  resumeTransfersWithPeer(SENDER);
+  assert.deepStrictEqual(received[received.length - 1].missingChunks, [1, 3, 4]);
+
+  [1, 3, 4].forEach(i => handleFileChunk(chunks[i], SENDER));
+  await waitFor(() => received.some(m => m.type === 'file_transfer_verified' && m.transferId === 'resume-1'));
+  assert.strictEqual(fs.readFileSync(path.join(downloads, 'resume.bin'), 'utf8'), 'abcdefghijklmnopqrst');
+});
+
+test('the sender keeps a window of unacknowledged chunks and finishes once all are acknowledged', async () => {
+  const { transferId, filePath } = await startSending('window.bin', 5.5 * 1024 * 1024);
+  const request = receiver.received.find(m => m.type === 'file_request' && m.transferId === transferId);
+  assert.strictEqual(request.totalChunks, 6);
+
+  // Four chunks go out before anything is acknowledged
+  assert.deepStrictEqual(chunksSent(transferId).map(c => c.chunkIndex), [0, 1, 2, 3]);
+
+  // An acknowledgement from some other peer does not move the window
+  handleFileChunkAck({ transferId, chunkIndex: 0 }, SENDER);
+  assert.strictEqual(chunksSent(transferId).length, 4);
+
+  handleFileChunkAck({ transferId, chunkIndex: 0 }, RECEIVER);
+  assert.deepStrictEqual(chunksSent(transferId).map(c => c.chunkIndex), [0, 1, 2, 3, 4]);
+  handleFileChunkAck({ transferId, chunkIndex: 0 }, RECEIVER);
+  assert.strictEqual(chunksSent(transferId).length, 5);
+
+  [1, 2, 3, 4].forEach(chunkIndex => handleFileChunkAck({ transferId, chunkIndex }, RECEIVER));
+  assert.strictEqual(chunksSent(transferId).length, 6);
+  assert.ok(!receiver.received.some(m => m.type === 'file_transfer_complete' && m.transferId === transferId));
+
+  handleFileChunkAck({ transferId, chunkIndex: 5 }, RECEIVER);
+  const complete = receiver.received.find(m => m.type === 'file_transfer_complete' && m.transferId === transferId);
+  assert.strictEqual(complete.fileHash, sha256(fs.readFileSync(filePath)));
+  assert.strictEqual(getActiveTransfers().find(t => t.transferId === transferId).status, 'awaiting_verification');
+
+  const chunks = chunksSent(transferId);
+  chunks.forEach(chunk => assert.strictEqual(sha256(chunk.data), chunk.chunkHash));
+  assert.deepStrictEqual(Buffer.concat(chunks.map(chunk => chunk.data)), fs.readFileSync(filePath));
+});
+
+test('unacknowledged chunks are resent with half the window', async (t) => {
+  const { transferId } = await startSending('timeout.bin', 6 * 1024 * 1024);
+  assert.strictEqual(chunksSent(transferId).length, 4);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 16000);
+  await waitFor(() => chunksSent(transferId).length > 4, 3000);
+  assert.deepStrictEqual(chunksSent(transferId).slice(4).map(c => c.chunkIndex), [0, 1]);
+
+  cancelTransfer(transferId);
+});
+
+test('chunks go out as binary frames, or as base64 in JSON to peers without binary frames', async () => {
+  const binary = await startSending('binary.bin', 1.5 * 1024 * 1024);
+  const [first] = chunksSent(binary.transferId);
+  assert.ok(Buffer.isBuffer(first.data));
+  assert.deepStrictEqual(first.data, fs.readFileSync(binary.filePath).subarray(0, 1024 * 1024));
+  cancelTransfer(binary.transferId);
+
+  const json = await startSending('json.bin', 1.5 * 1024 * 1024, OLD_RECEIVER);
+  const chunks = chunksSent(json.transferId, oldReceiver);
+  assert.deepStrictEqual(chunks.map(c => c.chunkIndex), [0, 1]);
+  assert.strictEqual(typeof chunks[1].data, 'string');
+  const data = decryptBuffer(Buffer.from(chunks[1].data, 'base64'), getSessionKey(oldReceiver.remote));
+  assert.deepStrictEqual(data, fs.readFileSync(json.filePath).subarray(1024 * 1024));
+  assert.strictEqual(sha256(data), chunks[1].chunkHash);
+  cancelTransfer(json.transferId);
+});
+
+test('a chunk sent as base64 in JSON is decrypted with the session key and stored', async () => {
+  const { request, chunks } = offer('json-1', 'json.txt', 'sent the old way');
+  handleFileTransferRequest(request, SENDER);
+  for (const chunk of chunks) {
+    const data = encryptBuffer(chunk.data, getSessionKey(local)).toString('base64');
+    handleFileChunk({ ...chunk, data }, SENDER);
+  }
+  await waitFor(() => received.some(m => m.type === 'file_transfer_verified' && m.transferId === 'json-1'));
+  assert.strictEqual(fs.readFileSync(path.join(downloads, 'json.txt'), 'utf8'), 'sent the old way');
+});
+
+test('chunks are written into a preallocated file and a restart resumes from the saved state', async () => {
+  const { request, chunks } = offer('restart-1', 'restart.txt', 'written out of order');
+  handleFileTransferRequest(request, SENDER);
+
+  const tempFiles = () => fs.readdirSync(downloads).filter(name => name.startsWith('transfer-'));
+  const dataFile = path.join(downloads, tempFiles().find(name => name.endsWith('.download')));
+  const partialFile = dataFile.replace(/\.download$/, '.partial');
+  assert.strictEqual(fs.statSync(dataFile).size, request.fileSize);
+  assert.ok(fs.existsSync(partialFile));
+
+  handleFileChunk(chunks[3], SENDER);
+  handleFileChunk(chunks[0], SENDER);
+  assert.strictEqual(fs.readFileSync(dataFile, 'utf8').slice(12, 16), 'of o');
+
+  // A restarted backend restores the transfer from the .partial file
+  delete require.cache[require.resolve('../fileTransfer')];
+  const restarted = require('../fileTransfer');
+  const restored = restarted.getActiveTransfers().find(t => t.transferId === 'restart-1');
+  assert.strictEqual(restored.status, 'interrupted');
+  assert.strictEqual(restored.progress, 40);
+
+  restarted.resumeTransfersWithPeer(SENDER);
+  const resume = received.filter(m => m.type === 'file_resume' && m.transferId === 'restart-1').pop();
+  assert.deepStrictEqual(resume.missingChunks, [1, 2, 4]);
+
+  [1, 2, 4].forEach(i => restarted.handleFileChunk(chunks[i], SENDER));
+  await waitFor(() => received.some(m => m.type === 'file_transfer_verified' && m.transferId === 'restart-1'));
+  assert.strictEqual(fs.readFileSync(path.join(downloads, 'restart.txt'), 'utf8'), 'written out of order');
+  assert.ok(!fs.existsSync(dataFile) && !fs.existsSync(partialFile));
+});
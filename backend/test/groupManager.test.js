@@ -0,0 +1,153 @@
+/**
+ * Tests for groupManager.js: storing, editing and deleting group messages and
+ * restoring them from their log after a restart, paging through group
+ * history, and the owner and admin roles
+ */
+
+const { useTempDirs } = require('./helpers');
+const dir = useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const groupManager = require('../groupManager');
+
+// Load the module again, as a restarted backend would
+function restart() {
+  delete require.cache[require.resolve('../groupManager')];
+  return require('../groupManager');
+}
+
+const logPath = (groupId) => path.join(dir, 'data', 'data', `groupMessages-${groupId}.jsonl`);
+
+test('messages, edits and deletes survive a restart', () => {
+  const group = groupManager.createGroup('Team', 'alice', ['bob']);
+  const first = groupManager.addGroupMessage(group.id, { senderId: 'alice', content: 'first draft' });
+  groupManager.addGroupMessage(group.id, { senderId: 'bob', content: 'secret plan' });
+  const third = groupManager.addGroupMessage(group.id, { senderId: 'bob', content: 'see you' });
+  assert.strictEqual(groupManager.addGroupMessage(group.id, { senderId: 'mallory', content: 'let me in' }), false);
+
+  assert.strictEqual(groupManager.editGroupMessage(group.id, { messageId: first.id }, 'alice', 'final text').success, true);
+  assert.strictEqual(groupManager.editGroupMessage(group.id, { messageId: first.id }, 'bob', 'not mine').success, false);
+
+  const second = groupManager.getGroupMessages(group.id, 'alice').messages[1];
+  assert.strictEqual(groupManager.deleteGroupMessage(group.id, { messageId: second.id }, 'bob').success, true);
+
+  const restarted = restart();
+  const { messages } = restarted.getGroupMessages(group.id, 'alice');
+  assert.deepStrictEqual(messages.map(m => m.content), ['final text', '', 'see you']);
+  assert.deepStrictEqual(messages[0].revisions.map(r => r.content), ['first draft']);
+  assert.strictEqual(messages[1].deleted, true);
+  assert.strictEqual(restarted.getGroup(group.id).lastActivity, third.timestamp);
+
+  // A deleted message's content does not stay on disk
+  assert.ok(!fs.readFileSync(logPath(group.id), 'utf8').includes('secret plan'));
+});
+
+test('storing a message appends to its group log only', () => {
+  const group = groupManager.createGroup('Appends', 'alice');
+  groupManager.addGroupMessage(group.id, { senderId: 'alice', content: 'one' });
+  const groupsFile = path.join(dir, 'data', 'data', 'groups.json');
+  const before = fs.statSync(groupsFile).mtimeMs;
+  const size = fs.statSync(logPath(group.id)).size;
+
+  groupManager.addGroupMessage(group.id, { senderId: 'alice', content: 'two' });
+  assert.ok(fs.statSync(logPath(group.id)).size > size);
+  assert.strictEqual(fs.statSync(groupsFile).mtimeMs, before);
+});
+
+test('renaming a member rewrites the messages it sent', () => {
+  const group = groupManager.createGroup('Rename', '10.0.0.9:8080');
+  groupManager.addGroupMessage(group.id, { senderId: '10.0.0.9:8080', content: 'from the old address' });
+  groupManager.renameGroupMember('10.0.0.9:8080', 'node-9');
+
+  const { messages } = restart().getGroupMessages(group.id, 'node-9');
+  assert.strictEqual(messages[0].senderId, 'node-9');
+});
+
+test('deleting a group removes its log', () => {
+  const group = groupManager.createGroup('Gone', 'alice');
+  groupManager.addGroupMessage(group.id, { senderId: 'alice', content: 'bye' });
+  assert.ok(fs.existsSync(logPath(group.id)));
+
+  assert.strictEqual(groupManager.deleteGroup(group.id, 'alice').success, true);
+  assert.ok(!fs.existsSync(logPath(group.id)));
+});
+
+test('only the owner and admins manage members, and admins only regular ones', () => {
+  const { OWNER, ADMIN, MEMBER } = groupManager.GROUP_ROLES;
+  const group = groupManager.createGroup('Roles', 'owner', ['admin', 'member']);
+  assert.strictEqual(groupManager.getMemberRole(group.id, 'owner'), OWNER);
+  assert.strictEqual(groupManager.getMemberRole(group.id, 'stranger'), null);
+
+  assert.strictEqual(groupManager.setGroupAdmin(group.id, 'admin', true, 'member').success, false);
+  assert.strictEqual(groupManager.setGroupAdmin(group.id, 'owner', true, 'owner').success, false);
+  assert.strictEqual(groupManager.setGroupAdmin(group.id, 'admin', true, 'owner').success, true);
+  assert.strictEqual(groupManager.getMemberRole(group.id, 'admin'), ADMIN);
+
+  assert.strictEqual(groupManager.addMemberToGroup(group.id, 'newcomer', 'member').success, false);
+  assert.strictEqual(groupManager.addMemberToGroup(group.id, 'newcomer', 'admin').success, true);
+  assert.strictEqual(groupManager.getMemberRole(group.id, 'newcomer'), MEMBER);
+
+  assert.strictEqual(groupManager.removeMemberFromGroup(group.id, 'newcomer', 'member').success, false);
+  assert.strictEqual(groupManager.removeMemberFromGroup(group.id, 'owner', 'admin').success, false);
+  assert.strictEqual(groupManager.removeMemberFromGroup(group.id, 'admin', 'admin').success, false);
+  assert.strictEqual(groupManager.removeMemberFromGroup(group.id, 'newcomer', 'admin').success, true);
+  assert.strictEqual(groupManager.isGroupMember(group.id, 'newcomer'), false);
+
+  groupManager.setGroupAdmin(group.id, 'member', true, 'owner');
+  assert.strictEqual(groupManager.removeMemberFromGroup(group.id, 'member', 'admin').success, false);
+  assert.strictEqual(groupManager.removeMemberFromGroup(group.id, 'member', 'owner').success, true);
+  assert.deepStrictEqual(groupManager.getGroup(group.id).admins, ['admin']);
+});
+
+test('the owner hands over ownership before leaving and stays on as an admin', () => {
+  const { OWNER, ADMIN } = groupManager.GROUP_ROLES;
+  const group = groupManager.createGroup('Handover', 'owner', ['heir', 'member']);
+
+  assert.strictEqual(groupManager.leaveGroup(group.id, 'owner').success, false);
+  assert.strictEqual(groupManager.transferOwnership(group.id, 'heir', 'member').success, false);
+  assert.strictEqual(groupManager.transferOwnership(group.id, 'stranger', 'owner').success, false);
+  assert.strictEqual(groupManager.transferOwnership(group.id, 'heir', 'owner').success, true);
+  assert.strictEqual(groupManager.getMemberRole(group.id, 'heir'), OWNER);
+  assert.strictEqual(groupManager.getMemberRole(group.id, 'owner'), ADMIN);
+
+  assert.strictEqual(groupManager.deleteGroup(group.id, 'owner').success, false);
+  assert.strictEqual(groupManager.leaveGroup(group.id, 'owner').success, true);
+  assert.strictEqual(groupManager.leaveGroup(group.id, 'owner').success, false);
+  assert.deepStrictEqual(groupManager.getGroup(group.id).admins, []);
+
+  const restored = restart().getGroup(group.id);
+  assert.strictEqual(restored.owner, 'heir');
+  assert.deepStrictEqual(restored.members, ['heir', 'member']);
+});
+
+test('history is paged newest last, ending before a cursor', () => {
+  const group = groupManager.createGroup('History', 'alice', ['bob']);
+  for (let i = 1; i <= 5; i++) {
+    groupManager.addGroupMessage(group.id, { senderId: 'alice', content: `message ${i}` });
+    groupManager.addGroupFileTransfer(group.id, { transferId: `transfer-${i}`, senderId: 'bob', fileName: `${i}.txt` });
+  }
+  assert.strictEqual(groupManager.addGroupFileTransfer(group.id, { transferId: 'outsider', senderId: 'mallory' }), false);
+
+  const latest = groupManager.getGroupMessages(group.id, 'bob', { limit: 2 });
+  assert.deepStrictEqual(latest.messages.map(m => m.content), ['message 4', 'message 5']);
+  assert.strictEqual(latest.hasMore, true);
+
+  const older = groupManager.getGroupMessages(group.id, 'bob', { before: latest.nextBefore, limit: 2 });
+  assert.deepStrictEqual(older.messages.map(m => m.content), ['message 2', 'message 3']);
+
+  const oldest = groupManager.getGroupMessages(group.id, 'bob', { before: older.nextBefore, limit: 2 });
+  assert.deepStrictEqual(oldest.messages.map(m => m.content), ['message 1']);
+  assert.strictEqual(oldest.hasMore, false);
+  assert.strictEqual(oldest.nextBefore, null);
+
+  assert.strictEqual(groupManager.getGroupMessages(group.id, 'bob', { before: 'unknown' }).success, false);
+  assert.strictEqual(groupManager.getGroupMessages(group.id, 'mallory').success, false);
+  assert.strictEqual(groupManager.getGroupMessages(group.id, 'bob', { limit: 'all' }).messages.length, 5);
+
+  const files = groupManager.getGroupFileTransfers(group.id, 'alice', { before: 'transfer-3' });
+  assert.deepStrictEqual(files.files.map(f => f.transferId), ['transfer-1', 'transfer-2']);
+  assert.strictEqual(groupManager.getGroupFileTransfers(group.id, 'mallory').success, false);
+});
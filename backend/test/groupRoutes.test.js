@@ -0,0 +1,63 @@
+/**
+ * Tests for the group routes in routes/groups.js and the group file history
+ * in routes/files.js: who may read a group and how its history is paged
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createRouter } = require('../router');
+const { registerGroupRoutes } = require('../routes/groups');
+const { registerFileRoutes } = require('../routes/files');
+const { createGroup, addGroupMessage } = require('../groupManager');
+
+// The caller is whoever the x-peer header names
+const router = createRouter({ authenticate: (req) => ({ userId: req.headers['x-peer'], peerId: req.headers['x-peer'] }) });
+registerGroupRoutes(router, { sendToConnectedPeer: () => {}, notifyGroupUpdated: () => {} });
+registerFileRoutes(router);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer(router.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path, peerId) {
+  const response = await fetch(`${baseUrl}${path}`, { headers: { 'x-peer': peerId } });
+  return { status: response.status, body: await response.json() };
+}
+
+test('only members can read a group', async () => {
+  const group = createGroup('Team', 'alice', ['bob']);
+
+  const member = await get(`/api/groups/${group.id}`, 'bob');
+  assert.strictEqual(member.status, 200);
+  assert.deepStrictEqual(member.body.group.members, ['alice', 'bob']);
+
+  const outsider = await get(`/api/groups/${group.id}`, 'mallory');
+  assert.strictEqual(outsider.status, 403);
+  assert.strictEqual(outsider.body.group, undefined);
+
+  assert.strictEqual((await get('/api/groups/no-such-group', 'alice')).status, 404);
+});
+
+test('history paging parameters may only be given once', async () => {
+  const group = createGroup('Paging', 'alice');
+  addGroupMessage(group.id, { senderId: 'alice', content: 'hello' });
+
+  for (const path of ['messages', 'files']) {
+    const repeated = await get(`/api/groups/${group.id}/${path}?before=a&before=b`, 'alice');
+    assert.strictEqual(repeated.status, 400);
+    assert.strictEqual(repeated.body.message, 'before must be given once');
+    assert.strictEqual((await get(`/api/groups/${group.id}/${path}?limit=1&limit=2`, 'alice')).status, 400);
+    assert.strictEqual((await get(`/api/groups/${group.id}/${path}?limit=5`, 'alice')).status, 200);
+  }
+});
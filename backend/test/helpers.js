@@ -0,0 +1,214 @@
+/**
+ * helpers.js - Shared setup for the backend tests
+ *
+ * Backend modules read their data and download directories from config.js
+ * when they are first required, so a test file calls useTempDirs() before
+ * requiring any of them. createSocketPair() connects two in-memory sockets
+ * through the real key exchange, so messages a module sends to a peer can be
+ * read back decrypted. startServer() runs the whole server in a child process
+ * and connectClient() talks to it over a real WebSocket.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const dgram = require('dgram');
+const { spawn } = require('child_process');
+
+/**
+ * Point the data and download directories at a fresh temporary directory
+ * @returns {string} - The temporary directory
+ */
+function useTempDirs() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offgrid-test-'));
+  process.env.OFFGRID_DATA_DIR = path.join(dir, 'data');
+  process.env.OFFGRID_DOWNLOAD_DIR = path.join(dir, 'downloads');
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Create two sockets that have completed the key exchange with each other.
+ * What is sent on `local` is collected, decrypted, in `received`; binary
+ * frames arrive with their `data` as a Buffer.
+ * @param {Object} [options] - { binaryFrames }; false makes `remote` look like
+ *   an older node that announces no capabilities
+ * @returns {Object} - { local, remote, received }
+ */
+function createSocketPair({ binaryFrames = true } = {}) {
+  const { initiateKeyExchange, handleKeyExchangeMessage, getSessionKey } = require('../keyExchange');
+  const { decryptMessage, decryptFrame } = require('../encryption');
+
+  const received = [];
+  const local = { readyState: 1, outbox: [], send(data) { this.outbox.push(data); } };
+  const remote = { readyState: 1, outbox: [], send(data) { this.outbox.push(data); } };
+
+  initiateKeyExchange(local);
+  initiateKeyExchange(remote);
+  const hello = JSON.parse(remote.outbox.shift());
+  if (!binaryFrames) {
+    delete hello.capabilities;
+  }
+  handleKeyExchangeMessage(local, JSON.stringify(hello));
+  handleKeyExchangeMessage(remote, local.outbox.shift());
+  // Then each side's confirmation
+  handleKeyExchangeMessage(local, remote.outbox.shift());
+  handleKeyExchangeMessage(remote, local.outbox.shift());
+
+  local.outbox = {
+    push(data) {
+      received.push(Buffer.isBuffer(data)
+        ? decryptFrame(data, getSessionKey(remote))
+        : JSON.parse(decryptMessage(data, getSessionKey(remote))));
+    }
+  };
+  return { local, remote, received };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Find a port nothing is listening on, by letting the system pick one
+function freePort(type) {
+  return new Promise((resolve, reject) => {
+    if (type === 'udp') {
+      const socket = dgram.createSocket('udp4');
+      socket.on('error', reject);
+      socket.bind(0, '127.0.0.1', () => {
+        const { port } = socket.address();
+        socket.close(() => resolve(port));
+      });
+      return;
+    }
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run server.js in a child process on free ports, listening on loopback only,
+ * with its data and downloads in a `server` directory under `dir`
+ * @param {string} dir - Temporary directory from useTempDirs()
+ * @returns {Promise<Object>} - { baseUrl, wsUrl, output, stop }
+ */
+async function startServer(dir) {
+  const port = await freePort('tcp');
+  const udpPort = await freePort('udp');
+  const child = spawn(process.execPath, [
+    path.join(__dirname, '..', 'server.js'),
+    '--port', String(port),
+    '--udp-port', String(udpPort),
+    '--bind', '127.0.0.1',
+    '--data-dir', path.join(dir, 'server', 'data'),
+    '--download-dir', path.join(dir, 'server', 'downloads')
+  ], { cwd: path.join(__dirname, '..'), stdio: ['ignore', 'pipe', 'pipe'] });
+
+  const output = [];
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  process.on('exit', () => child.kill());
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const start = Date.now();
+  for (;;) {
+    try {
+      await fetch(`${baseUrl}/api/auth/login`, { method: 'OPTIONS' });
+      break;
+    } catch (error) {
+      if (child.exitCode !== null || Date.now() - start > 10000) {
+        child.kill();
+        throw new Error(`Server did not start:\n${output.join('')}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  return {
+    baseUrl,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    output,
+    stop() {
+      child.kill();
+      return exited;
+    }
+  };
+}
+
+/**
+ * Open a WebSocket to a server from startServer(), run the key exchange with
+ * this process's node identity and send `auth`: with a token the connection
+ * is a local user's, without one it is another node's
+ * @param {string} wsUrl - Server WebSocket URL
+ * @param {string|null} token - Session token of a local user
+ * @returns {Promise<Object>} - { socket, authResult, send(message), next(type), close() }
+ */
+async function connectClient(wsUrl, token = null) {
+  const WebSocket = require('ws');
+  const { initiateKeyExchange, handleKeyExchangeMessage, getSessionKey, sendEncrypted } = require('../keyExchange');
+  const { decryptMessage, decryptFrame } = require('../encryption');
+
+  const received = [];
+  const socket = new WebSocket(wsUrl);
+  socket.on('open', () => {
+    initiateKeyExchange(socket);
+    sendEncrypted(socket, JSON.stringify(token ? { type: 'auth', token } : { type: 'auth' }));
+  });
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      received.push(decryptFrame(data, getSessionKey(socket)));
+      return;
+    }
+    const raw = data.toString();
+    if (!handleKeyExchangeMessage(socket, raw)) {
+      received.push(JSON.parse(decryptMessage(raw, getSessionKey(socket))));
+    }
+  });
+
+  // Take the first message of a type not taken yet
+  const next = async (type, timeout = 5000) => {
+    await waitFor(() => received.some(message => message.type === type), timeout);
+    return received.splice(received.findIndex(message => message.type === type), 1)[0];
+  };
+
+  return {
+    socket,
+    authResult: await next('auth_result'),
+    received,
+    next,
+    send: message => sendEncrypted(socket, JSON.stringify(message)),
+    close() {
+      if (socket.readyState === WebSocket.CLOSED) {
+        return Promise.resolve();
+      }
+      socket.close();
+      return new Promise(resolve => socket.once('close', resolve));
+    }
+  };
+}
+
+module.exports = {
+  useTempDirs,
+  createSocketPair,
+  waitFor,
+  startServer,
+  connectClient
+};
@@ -0,0 +1,202 @@
+/**
+ * Tests for the per-connection handshake in keyExchange.js
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  getKeyFingerprint,
+  getNodeId,
+  initiateKeyExchange,
+  handleKeyExchangeMessage,
+  getSessionKey,
+  getPeerNodeId,
+  supportsBinaryFrames,
+  sendEncrypted
+} = require('../keyExchange');
+const { decryptMessage } = require('../encryption');
+
+// Socket stand-in that records what is sent and whether it was closed
+function createSocket() {
+  return { sent: [], closed: null, send(data) { this.sent.push(data); }, close(code) { this.closed = code; } };
+}
+
+// Bytes a handshake confirmation signs, built independently of keyExchange.js
+function transcript(signerIdentityKey, signerEphemeralKey, peerIdentityKey, peerEphemeralKey) {
+  const parts = [signerIdentityKey, signerEphemeralKey, peerIdentityKey, peerEphemeralKey].map(key => {
+    const bytes = Buffer.from(key, 'base64');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length, 0);
+    return Buffer.concat([length, bytes]);
+  });
+  return Buffer.concat([Buffer.from('offgrid-handshake-v2'), ...parts]);
+}
+
+// The other side of a handshake: a node with an identity of its own
+function createRemoteNode() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const identityKey = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+  const sign = (data) => crypto.sign('sha256', data, { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const ephemeralKey = ecdh.generateKeys().toString('base64');
+  const certificatePayload = Buffer.concat([Buffer.from('offgrid-node-certificate-v1'), Buffer.from(identityKey, 'base64')]);
+
+  return {
+    nodeId: getKeyFingerprint(identityKey),
+    hello: {
+      type: 'key_exchange',
+      identityKey,
+      ephemeralKey,
+      capabilities: ['binary_frames'],
+      node: { nodeKey: identityKey, signature: sign(certificatePayload) }
+    },
+    // Our confirmation of a handshake with the other side's hello
+    confirmFor(ourHello) {
+      return {
+        type: 'key_exchange_confirm',
+        signature: sign(transcript(identityKey, ephemeralKey, ourHello.identityKey, ourHello.ephemeralKey))
+      };
+    },
+    // Check the other side's confirmation the way a node does
+    verifyConfirm(ourHello, confirm) {
+      return crypto.verify(
+        'sha256',
+        transcript(ourHello.identityKey, ourHello.ephemeralKey, identityKey, ephemeralKey),
+        { key: crypto.createPublicKey({ key: Buffer.from(ourHello.identityKey, 'base64'), format: 'der', type: 'spki' }), dsaEncoding: 'ieee-p1363' },
+        Buffer.from(confirm.signature, 'base64')
+      );
+    },
+    // Derive the session key the way the other side does, from our hello
+    sessionKeyFor(ourHello) {
+      const salt = Buffer.concat([ourHello.ephemeralKey, ephemeralKey].sort().map(key => Buffer.from(key, 'base64')));
+      const secret = ecdh.computeSecret(Buffer.from(ourHello.ephemeralKey, 'base64'));
+      return Buffer.from(crypto.hkdfSync('sha256', secret, salt, 'offgrid-session-v1', 32));
+    }
+  };
+}
+
+// Run a whole handshake with a remote node, returning our hello and confirmation
+function handshake(socket, remote, hello = remote.hello) {
+  initiateKeyExchange(socket);
+  const ourHello = JSON.parse(socket.sent[0]);
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify(hello)), true);
+  const ourConfirm = JSON.parse(socket.sent[1]);
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify(remote.confirmFor(ourHello))), true);
+  return { ourHello, ourConfirm };
+}
+
+test('both sides derive the same session key and learn each other\'s node', () => {
+  const socket = createSocket();
+  const remote = createRemoteNode();
+  initiateKeyExchange(socket);
+  const ourHello = JSON.parse(socket.sent[0]);
+  assert.strictEqual(getKeyFingerprint(ourHello.node.nodeKey), getNodeId());
+  assert.strictEqual(ourHello.signature, undefined);
+
+  // The hello alone does not make the session key usable
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify(remote.hello)), true);
+  assert.strictEqual(getSessionKey(socket), null);
+  const ourConfirm = JSON.parse(socket.sent[1]);
+  assert.strictEqual(ourConfirm.type, 'key_exchange_confirm');
+  assert.strictEqual(remote.verifyConfirm(ourHello, ourConfirm), true);
+
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify(remote.confirmFor(ourHello))), true);
+  assert.ok(getSessionKey(socket).equals(remote.sessionKeyFor(ourHello)));
+  assert.strictEqual(getPeerNodeId(socket), remote.nodeId);
+  assert.strictEqual(supportsBinaryFrames(socket), true);
+
+  // Nothing is consumed once the handshake is done
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify(remote.hello)), false);
+});
+
+test('messages sent before the handshake are delivered once it completes', () => {
+  const socket = createSocket();
+  const remote = createRemoteNode();
+  initiateKeyExchange(socket);
+  sendEncrypted(socket, JSON.stringify({ type: 'auth' }));
+  assert.strictEqual(socket.sent.length, 1);
+
+  const ourHello = JSON.parse(socket.sent[0]);
+  handleKeyExchangeMessage(socket, JSON.stringify(remote.hello));
+  assert.strictEqual(socket.sent.length, 2);
+  handleKeyExchangeMessage(socket, JSON.stringify(remote.confirmFor(ourHello)));
+  assert.deepStrictEqual(JSON.parse(decryptMessage(socket.sent[2], remote.sessionKeyFor(ourHello))), { type: 'auth' });
+});
+
+test('a peer without a node certificate is still accepted, without a node ID', () => {
+  const socket = createSocket();
+  const remote = createRemoteNode();
+  handshake(socket, remote, { ...remote.hello, node: undefined, capabilities: undefined });
+
+  assert.ok(getSessionKey(socket));
+  assert.strictEqual(getPeerNodeId(socket), null);
+  assert.strictEqual(supportsBinaryFrames(socket), false);
+});
+
+test('a confirmation replayed from another handshake is rejected', () => {
+  // Record a confirmation the remote node signed in an earlier handshake
+  const remote = createRemoteNode();
+  const earlier = createSocket();
+  const { ourHello: earlierHello } = handshake(earlier, remote);
+  const captured = remote.confirmFor(earlierHello);
+
+  const socket = createSocket();
+  initiateKeyExchange(socket);
+  handleKeyExchangeMessage(socket, JSON.stringify(remote.hello));
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify(captured)), true);
+  assert.strictEqual(getSessionKey(socket), null);
+  assert.strictEqual(socket.closed, 1008);
+});
+
+test('a bad signature or certificate fails the handshake and closes the socket', () => {
+  const other = createRemoteNode();
+
+  // A confirmation signed by some other identity
+  const socket = createSocket();
+  initiateKeyExchange(socket);
+  const ourHello = JSON.parse(socket.sent[0]);
+  const remote = createRemoteNode();
+  handleKeyExchangeMessage(socket, JSON.stringify(remote.hello));
+  handleKeyExchangeMessage(socket, JSON.stringify(other.confirmFor(ourHello)));
+  assert.strictEqual(getSessionKey(socket), null);
+  assert.strictEqual(socket.closed, 1008);
+
+  for (const hello of [
+    { ...createRemoteNode().hello, node: other.hello.node },
+    { ...createRemoteNode().hello, identityKey: 'not a key' }
+  ]) {
+    const failed = createSocket();
+    initiateKeyExchange(failed);
+    assert.strictEqual(handleKeyExchangeMessage(failed, JSON.stringify(hello)), true);
+    assert.strictEqual(getSessionKey(failed), null);
+    assert.strictEqual(failed.closed, 1008);
+  }
+});
+
+test('a confirmation before the hello, or a second hello, fails the handshake', () => {
+  const remote = createRemoteNode();
+  const early = createSocket();
+  initiateKeyExchange(early);
+  handleKeyExchangeMessage(early, JSON.stringify(remote.confirmFor(JSON.parse(early.sent[0]))));
+  assert.strictEqual(early.closed, 1008);
+
+  const twice = createSocket();
+  initiateKeyExchange(twice);
+  handleKeyExchangeMessage(twice, JSON.stringify(remote.hello));
+  handleKeyExchangeMessage(twice, JSON.stringify(createRemoteNode().hello));
+  assert.strictEqual(twice.closed, 1008);
+  assert.strictEqual(getSessionKey(twice), null);
+});
+
+test('frames that are not a handshake are left alone', () => {
+  const socket = createSocket();
+  initiateKeyExchange(socket);
+  assert.strictEqual(handleKeyExchangeMessage(socket, 'AQ...encrypted'), false);
+  assert.strictEqual(handleKeyExchangeMessage(socket, JSON.stringify({ type: 'chat' })), false);
+  assert.strictEqual(handleKeyExchangeMessage(createSocket(), JSON.stringify(createRemoteNode().hello)), false);
+});
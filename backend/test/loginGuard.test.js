@@ -0,0 +1,105 @@
+/**
+ * Tests for brute-force protection: backoff, lockout and the security log in
+ * loginGuard.js, and the login route refusing throttled attempts
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { attemptKeys, checkAttempt, recordFailure, clearAttempts, pruneAttemptCounters, getSecurityLog } = require('../loginGuard');
+const { createRouter } = require('../router');
+const { registerAuthRoutes } = require('../routes/auth');
+const { registerUser } = require('../userAuth');
+
+// Let a test move the clock
+function useClock(t) {
+  const clock = { now: Date.now() };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+// Fail some attempts from one source
+function fail(keys, times, details = {}) {
+  for (let i = 0; i < times; i++) {
+    recordFailure(keys, { scope: 'login', ...details });
+  }
+}
+
+test('the first failures are free, then each attempt waits twice as long', (t) => {
+  const clock = useClock(t);
+  const keys = attemptKeys('login', { ip: '10.0.0.1', username: 'Backoff' });
+
+  fail(keys, 3);
+  assert.deepStrictEqual(checkAttempt(keys), { allowed: true });
+
+  fail(keys, 1);
+  assert.deepStrictEqual(checkAttempt(keys), { allowed: false, lockedOut: false, retryAfterMs: 1000 });
+  clock.now += 1000;
+  assert.strictEqual(checkAttempt(keys).allowed, true);
+
+  fail(keys, 1);
+  assert.strictEqual(checkAttempt(keys).retryAfterMs, 2000);
+});
+
+test('ten failures lock a username out, from any address, and are logged', (t) => {
+  const clock = useClock(t);
+  for (let i = 0; i < 10; i++) {
+    clock.now += 60 * 1000;
+    fail(attemptKeys('login', { ip: `10.0.1.${i}`, username: 'victim' }), 1, { ip: `10.0.1.${i}`, username: 'victim' });
+  }
+
+  // Usernames are matched case-insensitively
+  const gate = checkAttempt(attemptKeys('login', { ip: '10.0.2.1', username: 'VICTIM' }));
+  assert.strictEqual(gate.allowed, false);
+  assert.strictEqual(gate.lockedOut, true);
+  assert.strictEqual(gate.retryAfterMs, 15 * 60 * 1000);
+
+  const [entry] = getSecurityLog({ limit: 1 });
+  assert.strictEqual(entry.type, 'lockout');
+  assert.strictEqual(entry.key, 'login:user:victim');
+  assert.strictEqual(entry.username, 'victim');
+
+  clock.now += 15 * 60 * 1000;
+  assert.strictEqual(checkAttempt(attemptKeys('login', { ip: '10.0.2.1', username: 'victim' })).allowed, true);
+});
+
+test('a success clears the username, and old failures are forgotten', (t) => {
+  const clock = useClock(t);
+  const keys = attemptKeys('login', { ip: '10.0.3.1', username: 'forgetful' });
+
+  fail(keys, 5);
+  clearAttempts(keys.user);
+  clock.now += 60 * 1000;
+  assert.strictEqual(checkAttempt({ user: keys.user }).allowed, true);
+
+  clock.now += 16 * 60 * 1000;
+  pruneAttemptCounters();
+  fail(keys, 1);
+  assert.strictEqual(checkAttempt(keys).allowed, true);
+});
+
+test('the login route refuses throttled attempts with 429 without checking the password', async (t) => {
+  assert.strictEqual(registerUser('routeuser', 'correct horse battery').success, true);
+
+  const router = createRouter();
+  registerAuthRoutes(router, { closeRevokedConnections: () => {} });
+  const server = http.createServer(router.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const login = (password) => fetch(`http://127.0.0.1:${server.address().port}/api/auth/login`, {
+    method: 'POST',
+    body: JSON.stringify({ username: 'routeuser', password })
+  });
+
+  for (let i = 0; i < 4; i++) {
+    assert.strictEqual((await login('wrong')).status, 401);
+  }
+  const throttled = await login('correct horse battery');
+  assert.strictEqual(throttled.status, 429);
+  assert.strictEqual(throttled.headers.get('retry-after'), '1');
+  assert.strictEqual((await throttled.json()).success, false);
+});
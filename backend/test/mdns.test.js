@@ -0,0 +1,60 @@
+/**
+ * Tests for mdns.js: two nodes on this machine find each other through
+ * announcements and queries on the mDNS group
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const os = require('os');
+const { waitFor } = require('./helpers');
+
+// Multicast is looped back through a network interface, not through lo
+const interfaces = Object.entries(os.networkInterfaces())
+  .flatMap(([name, addresses]) => addresses
+    .filter(address => address.family === 'IPv4' && !address.internal)
+    .map(({ address, netmask }) => ({ address, netmask, name })));
+
+// Load a separate copy of the module for each node
+function loadNode() {
+  delete require.cache[require.resolve('../mdns')];
+  return require('../mdns');
+}
+
+function startNode(info) {
+  const mdns = loadNode();
+  const found = [];
+  mdns.startMdns({
+    localAddresses: interfaces,
+    getLocalInfo: () => ({ version: '1.0.0', capabilities: [], ...info }),
+    onPeer: peer => found.push(peer)
+  });
+  return { mdns, found };
+}
+
+test('nodes announce themselves and find each other, but not themselves', {
+  skip: interfaces.length === 0 && 'no network interface to multicast on'
+}, async (t) => {
+  const a = startNode({ nodeId: 'node-mdns-a', hostname: 'alpha.example', displayName: 'Alpha', wsPort: 8080, capabilities: ['binary-frames'] });
+  t.after(() => a.mdns.stopMdns());
+
+  // Datagrams that are not DNS are ignored
+  const stray = dgram.createSocket('udp4');
+  await new Promise(resolve => stray.send('not dns', 5353, '224.0.0.251', resolve));
+  stray.close();
+
+  const b = startNode({ nodeId: 'node-mdns-b', hostname: 'beta', displayName: 'Beta', wsPort: 8081 });
+  t.after(() => b.mdns.stopMdns());
+
+  await waitFor(() => a.found.length > 0 && b.found.length > 0, 5000);
+  const seenByB = b.found.find(peer => peer.id === 'node-mdns-a');
+  assert.strictEqual(seenByB.port, 8080);
+  assert.strictEqual(seenByB.hostname, 'alpha.example');
+  assert.strictEqual(seenByB.displayName, 'Alpha');
+  assert.deepStrictEqual(seenByB.capabilities, ['binary-frames']);
+  assert.ok(interfaces.some(iface => iface.address === seenByB.ip));
+
+  assert.strictEqual(a.found.find(peer => peer.id === 'node-mdns-b').port, 8081);
+  assert.ok(!a.found.some(peer => peer.id === 'node-mdns-a'));
+  assert.ok(!b.found.some(peer => peer.id === 'node-mdns-b'));
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for offlineQueue.js: queue limits, delivery order and restoring the
+ * queue from storage
+ */
+
+const { useTempDirs } = require('./helpers');
+const dir = useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { enqueueMessage, deliverQueuedMessages, renameQueuedPeer, getQueuedMessageCount } = require('../offlineQueue');
+
+const chat = (content) => ({ type: 'chat', from: 'alice', content });
+
+// Deliver and drop everything queued for some peers
+function drain(peerIds) {
+  peerIds.forEach(peerId => deliverQueuedMessages(peerId, () => {}));
+}
+
+test('queued messages are delivered in order and delivery stops at the first failure', () => {
+  ['one', 'two', 'three'].forEach(content => enqueueMessage('bob', chat(content)));
+
+  const sent = [];
+  const delivered = deliverQueuedMessages('bob', (message) => {
+    if (message.content === 'three') throw new Error('socket closed');
+    sent.push(message.content);
+  });
+  assert.deepStrictEqual(sent, ['one', 'two']);
+  assert.strictEqual(delivered.length, 2);
+  assert.strictEqual(getQueuedMessageCount('bob'), 1);
+
+  drain(['bob']);
+  assert.strictEqual(getQueuedMessageCount('bob'), 0);
+});
+
+test('a peer queue is capped by message count and size', () => {
+  for (let i = 0; i < 200; i++) {
+    assert.strictEqual(enqueueMessage('carol', chat(`message ${i}`)).success, true);
+  }
+  assert.strictEqual(enqueueMessage('carol', chat('one too many')).success, false);
+  drain(['carol']);
+
+  assert.strictEqual(enqueueMessage('dave', chat('x'.repeat(700 * 1024))).success, true);
+  assert.strictEqual(enqueueMessage('dave', chat('x'.repeat(400 * 1024))).success, false);
+  drain(['dave']);
+});
+
+test('the whole queue is capped by number of peers', () => {
+  const peers = Array.from({ length: 100 }, (_, i) => `peer-${i}`);
+  peers.forEach(peerId => assert.strictEqual(enqueueMessage(peerId, chat('hi')).success, true));
+
+  const result = enqueueMessage('peer-100', chat('hi'));
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.message, 'Offline queue is full');
+
+  // Peers that already have a queue can still add to it
+  assert.strictEqual(enqueueMessage('peer-0', chat('again')).success, true);
+  drain(peers);
+});
+
+test('the whole queue is capped by total size', () => {
+  const peers = Array.from({ length: 17 }, (_, i) => `large-${i}`);
+  const results = peers.map(peerId => enqueueMessage(peerId, chat('x'.repeat(1000 * 1000))).success);
+  assert.deepStrictEqual(results, [...Array(16).fill(true), false]);
+  drain(peers);
+});
+
+test('the queue is restored after a restart and the change log is folded in', () => {
+  enqueueMessage('10.0.0.5:8080', chat('before the restart'), { from: 'alice', notifySender: true });
+  enqueueMessage('erin', chat('also queued'));
+  renameQueuedPeer('10.0.0.5:8080', 'node-erin-old');
+
+  const logPath = path.join(dir, 'data', 'data', 'offlineQueueLog.jsonl');
+  assert.ok(fs.existsSync(logPath));
+
+  // Load the module again, as a restarted backend would
+  delete require.cache[require.resolve('../offlineQueue')];
+  const restarted = require('../offlineQueue');
+
+  assert.ok(!fs.existsSync(logPath));
+  assert.strictEqual(restarted.getQueuedMessageCount('10.0.0.5:8080'), 0);
+  const delivered = restarted.deliverQueuedMessages('node-erin-old', () => {});
+  assert.deepStrictEqual(delivered.map(entry => entry.message.content), ['before the restart']);
+  assert.strictEqual(delivered[0].notifySender, true);
+  assert.strictEqual(restarted.getQueuedMessageCount('erin'), 1);
+});
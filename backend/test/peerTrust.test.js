@@ -0,0 +1,94 @@
+/**
+ * Tests for peerTrust.js: access code rotation, the allowlist and blocklist,
+ * and identity keys pinned to addresses
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  TRUST_STATUS,
+  isAccessCodeValid,
+  rotateAccessCode,
+  getTrustStatus,
+  isPeerAllowed,
+  adoptAddressTrust,
+  setPeerTrust,
+  removePeerTrust,
+  getTrustedPeers
+} = require('../peerTrust');
+const { getUserSettings } = require('../userAuth');
+
+test('a rotated access code stays valid for its grace period', (t) => {
+  const original = getUserSettings().accessCode;
+  assert.strictEqual(isAccessCodeValid(original), true);
+  assert.strictEqual(isAccessCodeValid(''), false);
+  assert.strictEqual(isAccessCodeValid('not the code'), false);
+
+  assert.strictEqual(rotateAccessCode({ accessCode: 'short' }).success, false);
+  assert.strictEqual(rotateAccessCode({ graceMs: -1 }).success, false);
+
+  const rotated = rotateAccessCode({ accessCode: 'new-access-code', graceMs: 60000 });
+  assert.strictEqual(rotated.success, true);
+  assert.strictEqual(isAccessCodeValid('new-access-code'), true);
+  assert.strictEqual(isAccessCodeValid(original), true);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 60001);
+  assert.strictEqual(isAccessCodeValid(original), false);
+  assert.strictEqual(isAccessCodeValid('new-access-code'), true);
+
+  assert.strictEqual(rotateAccessCode({ accessCode: 'no-grace-code', graceMs: 0 }).success, true);
+  assert.strictEqual(isAccessCodeValid('new-access-code'), false);
+});
+
+test('approval follows the key and a pinned address flags a new key', () => {
+  assert.strictEqual(getTrustStatus('10.0.0.1:8080', 'key-a'), TRUST_STATUS.UNKNOWN);
+  assert.strictEqual(setPeerTrust('10.0.0.1:8080', 'key-a', 'maybe').success, false);
+  assert.strictEqual(setPeerTrust('10.0.0.1:8080', null, TRUST_STATUS.ALLOWED).success, false);
+
+  assert.strictEqual(setPeerTrust('10.0.0.1:8080', 'key-a', TRUST_STATUS.ALLOWED, { hostname: 'alpha' }).success, true);
+  assert.strictEqual(getTrustStatus('10.0.0.1:8080', 'key-a'), TRUST_STATUS.ALLOWED);
+  assert.strictEqual(getTrustStatus('10.0.0.9:8080', 'key-a'), TRUST_STATUS.ALLOWED);
+  assert.strictEqual(getTrustStatus('10.0.0.1:8080', 'key-b'), TRUST_STATUS.KEY_CHANGED);
+  assert.strictEqual(isPeerAllowed('key-a'), true);
+  assert.strictEqual(isPeerAllowed('10.0.0.1:8080'), true);
+  assert.strictEqual(isPeerAllowed('key-b'), false);
+
+  const [record] = getTrustedPeers().filter(peer => peer.fingerprint === 'key-a');
+  assert.strictEqual(record.hostname, 'alpha');
+  assert.deepStrictEqual(record.pinnedAddresses, ['10.0.0.1:8080']);
+
+  assert.strictEqual(removePeerTrust('key-a').success, true);
+  assert.strictEqual(removePeerTrust('key-a').success, false);
+  assert.strictEqual(getTrustStatus('10.0.0.1:8080', 'key-b'), TRUST_STATUS.UNKNOWN);
+  assert.strictEqual(isPeerAllowed('10.0.0.1:8080'), false);
+});
+
+test('a blocked key is refused wherever it connects from', () => {
+  setPeerTrust('10.0.0.2:8080', 'key-blocked', TRUST_STATUS.BLOCKED);
+  assert.strictEqual(getTrustStatus('10.0.0.2:8080', 'key-blocked'), TRUST_STATUS.BLOCKED);
+  assert.strictEqual(getTrustStatus('10.0.0.3:8080', 'key-blocked'), TRUST_STATUS.BLOCKED);
+  assert.strictEqual(isPeerAllowed('key-blocked'), false);
+});
+
+test('trust recorded by address moves to the node ID proven with the pinned key', () => {
+  setPeerTrust('10.0.0.4:8080', 'legacy-key', TRUST_STATUS.ALLOWED);
+
+  assert.strictEqual(adoptAddressTrust('10.0.0.4:8080', 'node-4', 'other-key'), false);
+  assert.strictEqual(isPeerAllowed('node-4'), false);
+
+  assert.strictEqual(adoptAddressTrust('10.0.0.4:8080', 'node-4', 'legacy-key'), true);
+  assert.strictEqual(isPeerAllowed('node-4'), true);
+  assert.strictEqual(getTrustStatus('10.0.0.4:8080', 'node-4'), TRUST_STATUS.ALLOWED);
+  assert.strictEqual(adoptAddressTrust('10.0.0.5:8080', 'node-5', 'key-5'), true);
+});
+
+test('trust records survive a restart', () => {
+  delete require.cache[require.resolve('../peerTrust')];
+  const restarted = require('../peerTrust');
+  assert.strictEqual(restarted.isPeerAllowed('node-4'), true);
+  assert.strictEqual(restarted.getTrustStatus('10.0.0.3:8080', 'key-blocked'), TRUST_STATUS.BLOCKED);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the discovered peer list in peers.js and the events clients are
+ * told about when it changes
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DISCOVERY_EVENTS,
+  addPeerToDiscoveryList,
+  updatePeerLastSeen,
+  updatePeerAuthStatus,
+  getDiscoveredPeers,
+  peerSupportsBinaryFrames,
+  onDiscoveryEvent,
+  removeInactivePeers
+} = require('../peers');
+const { BINARY_FRAMES_CAPABILITY } = require('../keyExchange');
+
+const events = [];
+onDiscoveryEvent((event, peer) => events.push([event, peer.id]));
+
+const beacon = { id: 'node-1', ip: '10.0.0.1', port: 8080, nodeId: 'node-1', hostname: 'one', version: '1.0.0', capabilities: [] };
+
+test('a peer is discovered once and updated only when its description changes', () => {
+  addPeerToDiscoveryList(beacon);
+  assert.deepStrictEqual(events.splice(0), [[DISCOVERY_EVENTS.DISCOVERED, 'node-1']]);
+  assert.strictEqual(getDiscoveredPeers().find(p => p.id === 'node-1').authorized, false);
+
+  // Repeated beacons only refresh lastSeen
+  addPeerToDiscoveryList(beacon);
+  assert.deepStrictEqual(events.splice(0), []);
+
+  addPeerToDiscoveryList({ ...beacon, displayName: 'Number One' });
+  addPeerToDiscoveryList({ ...beacon, displayName: 'Number One', capabilities: [BINARY_FRAMES_CAPABILITY] });
+  assert.deepStrictEqual(events.splice(0), [[DISCOVERY_EVENTS.UPDATED, 'node-1'], [DISCOVERY_EVENTS.UPDATED, 'node-1']]);
+  assert.strictEqual(peerSupportsBinaryFrames('node-1'), true);
+
+  updatePeerAuthStatus('node-1', true);
+  updatePeerAuthStatus('node-1', true);
+  assert.deepStrictEqual(events.splice(0), [[DISCOVERY_EVENTS.UPDATED, 'node-1']]);
+  assert.strictEqual(getDiscoveredPeers().find(p => p.id === 'node-1').authorized, true);
+});
+
+test('peers not heard from within the timeout are lost', (t) => {
+  addPeerToDiscoveryList({ ...beacon, id: 'node-2', nodeId: 'node-2' });
+  events.splice(0);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 30000);
+  updatePeerLastSeen('node-1');
+  removeInactivePeers(20000);
+
+  assert.deepStrictEqual(events.splice(0), [[DISCOVERY_EVENTS.LOST, 'node-2']]);
+  assert.deepStrictEqual(getDiscoveredPeers().map(p => p.id), ['node-1']);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the shared message contract in frontend/src/shared/protocol.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MESSAGE_TYPES, ERROR_CODES, INBOUND_SCHEMAS, validateMessage, createErrorMessage } = require('../../frontend/src/shared/protocol');
+
+test('messages that are not objects with a type are malformed', () => {
+  for (const message of [null, 'chat', [], { content: 'hi' }]) {
+    assert.strictEqual(validateMessage(message).code, ERROR_CODES.MALFORMED_MESSAGE);
+  }
+  assert.strictEqual(validateMessage({ type: 'no_such_type' }).code, ERROR_CODES.UNKNOWN_TYPE);
+});
+
+test('every schema is for a known type and uses known rules', () => {
+  const types = Object.values(MESSAGE_TYPES);
+  const rules = ['string', 'number', 'boolean', 'object', 'array', 'any'];
+  for (const [type, schema] of Object.entries(INBOUND_SCHEMAS)) {
+    assert.ok(types.includes(type), type);
+    for (const rule of Object.values(schema)) {
+      assert.ok(rules.includes(rule.replace(/\?$/, '')), `${type}: ${rule}`);
+    }
+  }
+  // Types the backend only sends have no schema, so a peer cannot send them
+  assert.strictEqual(validateMessage({ type: MESSAGE_TYPES.AUTH_RESULT }).code, ERROR_CODES.UNKNOWN_TYPE);
+});
+
+test('every invalid field is reported and unlisted fields pass through', () => {
+  const result = validateMessage({ type: MESSAGE_TYPES.FILE_CHUNK_ACK, transferId: 7, chunkIndex: Infinity, extra: true });
+  assert.strictEqual(result.code, ERROR_CODES.INVALID_FIELDS);
+  assert.deepStrictEqual(result.errors, ['transferId must be a string', 'chunkIndex must be a number']);
+
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.HISTORY_SYNC, peerId: null, since: 3, extra: [] }), { valid: true });
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.HISTORY_SYNC, since: '3' }).errors, ['since must be a number if present']);
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.SDP_OFFER, callId: 'c1', sdp: [] }).errors, ['sdp must be a object']);
+});
+
+test('a chat may quote the message it answers in replyTo', () => {
+  const replyTo = { messageId: 'm1', clientMessageId: 'c1', content: 'original' };
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.CHAT, content: 'answer', to: 'bob', replyTo }), { valid: true });
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.CHAT, content: 'answer', replyTo: null }), { valid: true });
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.GROUP_CHAT, groupId: 'g1', content: 'answer', replyTo }), { valid: true });
+
+  const result = validateMessage({ type: MESSAGE_TYPES.CHAT, content: 'answer', replyTo: 'm1' });
+  assert.strictEqual(result.code, ERROR_CODES.INVALID_FIELDS);
+  assert.deepStrictEqual(result.errors, ['replyTo must be a object if present']);
+});
+
+test('a reply quote sent as reply_to is renamed to replyTo', () => {
+  const quote = { messageId: 'm1', clientMessageId: 'c1', content: 'original' };
+  for (const message of [
+    { type: MESSAGE_TYPES.CHAT, content: 'answer', to: 'bob', reply_to: quote },
+    { type: MESSAGE_TYPES.GROUP_CHAT, groupId: 'g1', content: 'answer', reply_to: quote }
+  ]) {
+    assert.deepStrictEqual(validateMessage(message), { valid: true });
+    assert.deepStrictEqual(message.replyTo, quote);
+    assert.strictEqual('reply_to' in message, false);
+  }
+
+  const both = { type: MESSAGE_TYPES.CHAT, content: 'answer', replyTo: quote, reply_to: { content: 'other' } };
+  validateMessage(both);
+  assert.deepStrictEqual(both, { type: MESSAGE_TYPES.CHAT, content: 'answer', replyTo: quote });
+
+  const invalid = validateMessage({ type: MESSAGE_TYPES.CHAT, content: 'answer', reply_to: 'm1' });
+  assert.deepStrictEqual(invalid.errors, ['replyTo must be a object if present']);
+
+  // Left alone on messages without a reply quote
+  const edit = { type: MESSAGE_TYPES.CHAT_EDIT, clientMessageId: 'c1', content: 'fixed', reply_to: quote };
+  validateMessage(edit);
+  assert.deepStrictEqual(edit.reply_to, quote);
+});
+
+test('edits and deletes name the message they change', () => {
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.CHAT_EDIT, clientMessageId: 'c1', content: 'fixed', to: 'bob' }), { valid: true });
+  assert.strictEqual(validateMessage({ type: MESSAGE_TYPES.CHAT_EDIT, clientMessageId: 'c1' }).code, ERROR_CODES.INVALID_FIELDS);
+  assert.deepStrictEqual(validateMessage({ type: MESSAGE_TYPES.CHAT_DELETE, clientMessageId: 'c1', to: 'bob' }), { valid: true });
+});
+
+test('file requests need their hash and chunk count', () => {
+  const request = { type: MESSAGE_TYPES.FILE_REQUEST, transferId: 't1', fileName: 'a.txt', fileSize: 10, fileHash: 'ab', totalChunks: 1 };
+  assert.deepStrictEqual(validateMessage(request), { valid: true });
+  assert.deepStrictEqual(validateMessage({ ...request, fileHash: undefined }).errors, ['fileHash must be a string']);
+  assert.deepStrictEqual(validateMessage({ ...request, totalChunks: '1' }).errors, ['totalChunks must be a number']);
+});
+
+test('error replies name their code and the rejected type', () => {
+  const error = createErrorMessage(ERROR_CODES.FORBIDDEN, 'No', { rejectedType: MESSAGE_TYPES.CHAT });
+  assert.strictEqual(error.type, MESSAGE_TYPES.ERROR);
+  assert.strictEqual(error.code, ERROR_CODES.FORBIDDEN);
+  assert.strictEqual(error.rejectedType, MESSAGE_TYPES.CHAT);
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for router.js: matching, 404 and 405 answers, authentication and
+ * request body limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createRouter, sendJson } = require('../router');
+
+const router = createRouter({
+  authenticate: (req) => (req.headers.authorization === 'Bearer good' ? { userId: 'alice' } : null)
+});
+router.get('/api/status', (req, res) => sendJson(res, 200, { success: true }), { public: true });
+router.get('/api/groups/:groupId', (req, res) => sendJson(res, 200, { groupId: req.params.groupId, user: req.auth.userId }));
+router.delete('/api/groups/:groupId', (req, res) => sendJson(res, 200, { success: true }));
+router.post('/api/echo', (req, res) => sendJson(res, 200, req.body), { public: true, body: true, maxBodyBytes: 64 });
+router.get('/api/fail', () => { throw new Error('boom'); }, { public: true });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer(router.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('a matched route gets its decoded path parameters and caller', async () => {
+  const response = await fetch(`${baseUrl}/api/groups/team%20a`, { headers: { Authorization: 'Bearer good' } });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { groupId: 'team a', user: 'alice' });
+});
+
+test('an unknown path is answered with 404', async () => {
+  const response = await fetch(`${baseUrl}/api/nothing-here`);
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(await response.json(), { success: false, message: 'Not found' });
+});
+
+test('a known path with another method is answered with 405 and Allow', async () => {
+  const response = await fetch(`${baseUrl}/api/groups/abc`, { method: 'PUT' });
+  assert.strictEqual(response.status, 405);
+  assert.strictEqual(response.headers.get('allow'), 'GET, DELETE');
+});
+
+test('a route that is not public needs a valid token', async () => {
+  const response = await fetch(`${baseUrl}/api/groups/abc`, { headers: { Authorization: 'Bearer bad' } });
+  assert.strictEqual(response.status, 401);
+});
+
+test('request bodies must be JSON objects within the size cap', async () => {
+  const post = (body) => fetch(`${baseUrl}/api/echo`, { method: 'POST', body });
+
+  const ok = await post(JSON.stringify({ hello: 'world' }));
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(await ok.json(), { hello: 'world' });
+
+  assert.strictEqual((await post(JSON.stringify({ text: 'x'.repeat(100) }))).status, 413);
+  assert.strictEqual((await post('not json')).status, 400);
+  assert.strictEqual((await post('[1, 2]')).status, 400);
+  assert.strictEqual((await post('')).status, 400);
+});
+
+test('a handler that throws is answered with 500', async () => {
+  const response = await fetch(`${baseUrl}/api/fail`);
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual((await response.json()).message, 'Internal server error');
+});
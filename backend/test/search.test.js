@@ -0,0 +1,109 @@
+/**
+ * Tests for full-text search: the index in searchIndex.js, what the storing
+ * modules add to it, and the search route
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createRouter } = require('../router');
+const { registerSearchRoutes } = require('../routes/search');
+const { DOCUMENT_TYPES, indexDocument, removeDocument, search } = require('../searchIndex');
+const { createGroup, addGroupMessage, editGroupMessage, deleteGroupMessage } = require('../groupManager');
+const { logMessage } = require('../conversationLog');
+
+const router = createRouter({ authenticate: () => ({ userId: 'alice', peerId: 'node-a' }) });
+registerSearchRoutes(router);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer(router.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const ids = ({ results }) => results.map(doc => doc.id);
+
+test('every query word must start a word of the document', () => {
+  indexDocument({ type: DOCUMENT_TYPES.DIRECT, id: 'd1', peerId: 'bob', senderId: 'bob', content: 'Quarterly Report ready', timestamp: 1 });
+  indexDocument({ type: DOCUMENT_TYPES.DIRECT, id: 'd2', peerId: 'bob', senderId: 'alice', content: 'report the bug', timestamp: 2 });
+  indexDocument({ type: DOCUMENT_TYPES.ANNOUNCEMENT, id: 'a1', title: 'Café opening', content: 'Größe matters', timestamp: 3 });
+
+  assert.deepStrictEqual(ids(search('rep')), ['d2', 'd1']);
+  assert.deepStrictEqual(ids(search('REPORT quart')), ['d1']);
+  assert.deepStrictEqual(ids(search('port')), []);
+  assert.deepStrictEqual(ids(search('café größe')), ['a1']);
+  assert.deepStrictEqual(ids(search('  ,. ')), []);
+});
+
+test('results can be filtered and limited', () => {
+  assert.deepStrictEqual(ids(search('report', { senderId: 'alice' })), ['d2']);
+  assert.deepStrictEqual(ids(search('report', { from: 2 })), ['d2']);
+  assert.deepStrictEqual(ids(search('report', { to: 1 })), ['d1']);
+  assert.deepStrictEqual(ids(search('report', { type: DOCUMENT_TYPES.GROUP })), []);
+
+  const limited = search('report', { limit: 1 });
+  assert.deepStrictEqual(ids(limited), ['d2']);
+  assert.strictEqual(limited.total, 2);
+});
+
+test('a re-indexed document loses its old words and a removed one is gone', () => {
+  indexDocument({ type: DOCUMENT_TYPES.DIRECT, id: 'd1', peerId: 'bob', content: 'summary attached', timestamp: 1 });
+  assert.deepStrictEqual(ids(search('quarterly')), []);
+  assert.deepStrictEqual(ids(search('summary')), ['d1']);
+
+  // IDs are scoped, so the same ID in another conversation is another document
+  indexDocument({ type: DOCUMENT_TYPES.DIRECT, id: 'd1', peerId: 'carol', content: 'summary too', timestamp: 4 });
+  removeDocument(DOCUMENT_TYPES.DIRECT, 'bob', 'd1');
+  assert.deepStrictEqual(search('summary').results.map(doc => doc.peerId), ['carol']);
+});
+
+test('stored messages are indexed, and edits and deletes follow', () => {
+  const group = createGroup('Search', 'alice', ['bob']);
+  const message = addGroupMessage(group.id, { senderId: 'bob', content: 'meet at the lighthouse' });
+  logMessage('dave', { clientMessageId: 'x1', from: 'dave', to: 'alice', content: 'lighthouse photos' });
+
+  assert.deepStrictEqual(search('lighthouse').results.map(doc => doc.type).sort(), [DOCUMENT_TYPES.DIRECT, DOCUMENT_TYPES.GROUP]);
+
+  editGroupMessage(group.id, { messageId: message.id }, 'bob', 'meet at the harbour');
+  assert.deepStrictEqual(search('harbour').results.map(doc => doc.groupId), [group.id]);
+  assert.strictEqual(search('lighthouse', { type: DOCUMENT_TYPES.GROUP }).total, 0);
+
+  deleteGroupMessage(group.id, { messageId: message.id }, 'alice');
+  assert.strictEqual(search('harbour').total, 0);
+});
+
+test('the search route only returns group results to members', async () => {
+  const mine = createGroup('Mine', 'node-a');
+  const theirs = createGroup('Theirs', 'node-z');
+  addGroupMessage(mine.id, { senderId: 'node-a', content: 'zebra crossing' });
+  addGroupMessage(theirs.id, { senderId: 'node-z', content: 'zebra stripes' });
+
+  const response = await fetch(`${baseUrl}/api/search?q=zebra`);
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.total, 1);
+  assert.strictEqual(body.results[0].groupId, mine.id);
+});
+
+test('a repeated query parameter is refused with 400', async () => {
+  for (const query of ['q=a&q=b', 'q=a&type=direct&type=group', 'q=a&from=1&from=2', 'q=a&limit=1&limit=2']) {
+    const response = await fetch(`${baseUrl}/api/search?${query}`);
+    assert.strictEqual(response.status, 400, query);
+    assert.strictEqual((await response.json()).success, false);
+  }
+});
+
+test('a missing query, unknown type or unreadable date is refused with 400', async () => {
+  for (const query of ['', 'q=%20', 'q=a&type=email', 'q=a&from=yesterday']) {
+    const response = await fetch(`${baseUrl}/api/search?${query}`);
+    assert.strictEqual(response.status, 400, query);
+  }
+});
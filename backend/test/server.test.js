@@ -0,0 +1,269 @@
+/**
+ * Tests for the server as a whole: server.js runs in a child process and is
+ * reached over HTTP and WebSocket, as a local user or as another node. Each
+ * route module and the WebSocket handlers are checked for the status codes
+ * and bodies they answer valid and invalid requests with.
+ */
+
+const { useTempDirs, startServer, connectClient } = require('./helpers');
+const dir = useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getNodeId } = require('../keyExchange');
+
+const ACCESS_CODE = 'open-sesame';
+
+let server;
+let token;
+
+// Call the HTTP API, as the signed-in user unless told otherwise
+async function request(method, path, body, auth = token) {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(auth ? { Authorization: `Bearer ${auth}` } : {})
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test.before(async () => {
+  server = await startServer(dir);
+  await request('POST', '/api/auth/register', { username: 'alice', password: 'correct horse' }, null);
+  ({ body: { token } } = await request('POST', '/api/auth/login', { username: 'alice', password: 'correct horse' }, null));
+  await request('POST', '/api/security/access-code', { accessCode: ACCESS_CODE, graceMs: 0 });
+});
+
+test.after(() => server.stop());
+
+test('an account is registered, logged into, given a new password and logged out', async () => {
+  const registered = await request('POST', '/api/auth/register', { username: 'carol', password: 'first password' }, null);
+  assert.strictEqual(registered.status, 200);
+  assert.strictEqual(registered.body.user.username, 'carol');
+  assert.strictEqual(registered.body.user.passwordHash, undefined);
+
+  const duplicate = await request('POST', '/api/auth/register', { username: 'carol', password: 'other' }, null);
+  assert.strictEqual(duplicate.status, 400);
+  assert.strictEqual(duplicate.body.message, 'Username already exists');
+
+  const wrong = await request('POST', '/api/auth/login', { username: 'carol', password: 'wrong' }, null);
+  assert.strictEqual(wrong.status, 401);
+  assert.deepStrictEqual(wrong.body, { success: false, message: 'Invalid username or password' });
+
+  const login = await request('POST', '/api/auth/login', { username: 'carol', password: 'first password' }, null);
+  assert.strictEqual(login.status, 200);
+
+  const changed = await request('POST', '/api/auth/password', { currentPassword: 'first password', newPassword: 'second password' }, login.body.token);
+  assert.strictEqual(changed.status, 200);
+  // Every other session ends with the change
+  assert.strictEqual((await request('GET', '/api/groups', undefined, login.body.token)).status, 401);
+  assert.strictEqual((await request('GET', '/api/groups', undefined, registered.body.token)).status, 401);
+
+  assert.strictEqual((await request('POST', '/api/auth/logout', undefined, changed.body.token)).status, 200);
+  assert.strictEqual((await request('GET', '/api/groups', undefined, changed.body.token)).status, 401);
+});
+
+test('routes other than registration and login need a valid token', async () => {
+  for (const auth of [null, 'not-a-token']) {
+    const response = await request('GET', '/api/groups', undefined, auth);
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(response.body, { success: false, message: 'Authentication required' });
+  }
+});
+
+test('registering without a username or password is refused with 400', async () => {
+  for (const body of [{ username: 'u1' }, { password: 'pw' }, { username: '', password: 'pw' }, { username: ['u1'], password: 'pw' }]) {
+    const response = await request('POST', '/api/auth/register', body, null);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, 'Username and password are required');
+  }
+});
+
+test('another node cannot accept a changed key or approve a peer other than itself', async () => {
+  const node = await connectClient(server.wsUrl);
+  assert.strictEqual(node.authResult.success, true);
+  assert.strictEqual(node.authResult.userId, `node:${getNodeId()}`);
+
+  node.send({ type: 'verify_access_code', accessCode: ACCESS_CODE, acceptNewKey: true });
+  let result = await node.next('access_code_verification');
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /Only a user of this node/);
+
+  node.send({ type: 'verify_access_code', accessCode: ACCESS_CODE, peerId: 'some-other-node' });
+  result = await node.next('access_code_verification');
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.peerId, 'some-other-node');
+  assert.match(result.message, /only present the access code for itself/);
+
+  // Neither approved anything
+  const { body } = await request('GET', '/api/security/peers');
+  assert.deepStrictEqual(body.peers, []);
+
+  // Its own approval goes through
+  node.send({ type: 'verify_access_code', accessCode: ACCESS_CODE });
+  result = await node.next('access_code_verification');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.peerId, getNodeId());
+  await node.close();
+});
+
+test('a local user may name the peer and accept a changed key', async () => {
+  const user = await connectClient(server.wsUrl, token);
+  assert.strictEqual(user.authResult.success, true);
+
+  // Gets past the checks for other nodes, to the peer having no key yet
+  user.send({ type: 'verify_access_code', accessCode: ACCESS_CODE, peerId: 'some-other-node', acceptNewKey: true });
+  const result = await user.next('access_code_verification');
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /not completed the key exchange/);
+  await user.close();
+});
+
+test('group routes refuse a missing name and malformed member and user IDs', async () => {
+  for (const body of [{}, { groupName: '  ' }, { groupName: 'Team', memberIds: 'abc' }, { groupName: 'Team', memberIds: 5 }, { groupName: 'Team', memberIds: ['bob', 7] }]) {
+    const response = await request('POST', '/api/groups', body);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.success, false);
+  }
+  assert.deepStrictEqual((await request('GET', '/api/groups')).body.groups, []);
+
+  const { status, body: { group } } = await request('POST', '/api/groups', { groupName: 'Team', memberIds: ['bob'] });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(group.name, 'Team');
+  assert.strictEqual(group.members.length, 2);
+
+  for (const [method, path] of [
+    ['POST', 'members'], ['DELETE', 'members'], ['POST', 'owner'], ['POST', 'admins'], ['DELETE', 'admins']
+  ]) {
+    for (const body of [{}, { userId: 5 }, { userId: '' }]) {
+      const response = await request(method, `/api/groups/${group.id}/${path}`, body);
+      assert.strictEqual(response.status, 400, `${method} ${path} ${JSON.stringify(body)}`);
+      assert.strictEqual(response.body.message, 'userId must be a non-empty string');
+    }
+  }
+  assert.deepStrictEqual((await request('GET', `/api/groups/${group.id}`)).body.group.members, group.members);
+});
+
+test('a chat relayed to another node carries a reply_to quote as replyTo', async () => {
+  const node = await connectClient(server.wsUrl);
+  const user = await connectClient(server.wsUrl, token);
+
+  user.send({ type: 'chat', content: 'answer', to: getNodeId(), reply_to: { messageId: 'm1', content: 'original' } });
+  const chat = await node.next('chat');
+  assert.strictEqual(chat.content, 'answer');
+  assert.deepStrictEqual(chat.replyTo, { messageId: 'm1', clientMessageId: null, content: 'original' });
+  assert.strictEqual(chat.reply_to, undefined);
+
+  await user.close();
+  await node.close();
+});
+
+test('a direct message that cannot be queued gets an error with its reason', async () => {
+  const user = await connectClient(server.wsUrl, token);
+
+  user.send({ type: 'chat', content: 'hello?', to: 'nobody', clientMessageId: 'c0' });
+  let error = await user.next('error');
+  assert.strictEqual(error.code, 'unknown_peer');
+  assert.strictEqual(error.rejectedType, 'chat');
+  assert.strictEqual(error.clientMessageId, 'c0');
+
+  // An approved peer that is offline gets a queue, up to its limit
+  await request('POST', '/api/security/peers', { fingerprint: 'offline-node', status: 'allowed' });
+  for (let i = 1; i <= 201; i++) {
+    user.send({ type: 'chat', content: `message ${i}`, to: 'offline-node', clientMessageId: `c${i}` });
+  }
+  error = await user.next('error');
+  assert.strictEqual(error.code, 'queue_full');
+  assert.strictEqual(error.to, 'offline-node');
+  assert.strictEqual(error.clientMessageId, 'c201');
+  await user.close();
+});
+
+test('security routes show the access code and manage peer trust', async () => {
+  const code = await request('GET', '/api/security/access-code');
+  assert.strictEqual(code.status, 200);
+  assert.strictEqual(code.body.accessCode, ACCESS_CODE);
+
+  const tooShort = await request('POST', '/api/security/access-code', { accessCode: 'abc' });
+  assert.strictEqual(tooShort.status, 400);
+  assert.strictEqual((await request('GET', '/api/security/access-code')).body.accessCode, ACCESS_CODE);
+
+  assert.strictEqual((await request('POST', '/api/security/peers', { fingerprint: 'bad-node', status: 'trusted' })).status, 400);
+  assert.strictEqual((await request('POST', '/api/security/peers', {})).status, 400);
+  const blocked = await request('POST', '/api/security/peers', { fingerprint: 'bad-node', status: 'blocked' });
+  assert.strictEqual(blocked.status, 200);
+  assert.strictEqual(blocked.body.peer.status, 'blocked');
+
+  const { body } = await request('GET', '/api/security/peers');
+  assert.ok(body.peers.some(peer => peer.fingerprint === 'bad-node' && peer.status === 'blocked'));
+
+  assert.strictEqual((await request('DELETE', '/api/security/peers/bad-node')).status, 200);
+  assert.strictEqual((await request('DELETE', '/api/security/peers/bad-node')).status, 404);
+  assert.strictEqual((await request('GET', '/api/security/log')).status, 200);
+});
+
+test('file routes list transfers and a group\'s file history for its members', async () => {
+  const transfers = await request('GET', '/api/files/transfers');
+  assert.strictEqual(transfers.status, 200);
+  assert.ok(Array.isArray(transfers.body.transfers));
+
+  const { body: { group } } = await request('POST', '/api/groups', { groupName: 'Files' });
+  const files = await request('GET', `/api/groups/${group.id}/files?limit=10`);
+  assert.strictEqual(files.status, 200);
+  assert.strictEqual(files.body.success, true);
+
+  assert.strictEqual((await request('GET', `/api/groups/${group.id}/files?before=a&before=b`)).status, 400);
+  assert.strictEqual((await request('GET', '/api/groups/no-such-group/files')).status, 404);
+});
+
+test('history_sync returns a conversation to the local user and to the approved node in it', async () => {
+  const node = await connectClient(server.wsUrl);
+  node.send({ type: 'verify_access_code', accessCode: ACCESS_CODE });
+  assert.strictEqual((await node.next('access_code_verification')).success, true);
+
+  const user = await connectClient(server.wsUrl, token);
+  user.send({ type: 'chat', content: 'for the log', to: getNodeId(), clientMessageId: 'log-1' });
+  assert.strictEqual((await user.next('message_delivered')).clientMessageId, 'log-1');
+  await node.next('chat');
+
+  // The local user has to name the conversation
+  user.send({ type: 'history_sync' });
+  const error = await user.next('error');
+  assert.strictEqual(error.code, 'invalid_fields');
+  assert.strictEqual(error.rejectedType, 'history_sync');
+
+  user.send({ type: 'history_sync', peerId: getNodeId(), since: 0 });
+  let result = await user.next('history_sync_result');
+  let logged = result.messages.find(message => message.clientMessageId === 'log-1');
+  assert.strictEqual(logged.content, 'for the log');
+  assert.strictEqual(logged.outgoing, true);
+
+  // The node reads its own conversation with us, whatever peerId it names
+  node.send({ type: 'history_sync', since: 0 });
+  result = await node.next('history_sync_result');
+  logged = result.messages.find(message => message.clientMessageId === 'log-1');
+  assert.strictEqual(logged.outgoing, false);
+  assert.strictEqual(result.fromPartner, true);
+
+  user.send({ type: 'history_sync', peerId: getNodeId(), since: 'yesterday' });
+  assert.deepStrictEqual((await user.next('error')).errors, ['since must be a number if present']);
+
+  await user.close();
+  await node.close();
+});
+
+test('a message that does not match its schema gets an error', async () => {
+  const node = await connectClient(server.wsUrl);
+  node.send({ type: 'chat', to: getNodeId() });
+  let error = await node.next('error');
+  assert.strictEqual(error.code, 'invalid_fields');
+  assert.deepStrictEqual(error.errors, ['content must be a string']);
+
+  node.send({ type: 'no_such_type' });
+  error = await node.next('error');
+  assert.strictEqual(error.code, 'unknown_type');
+  await node.close();
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for storage.js: schema migrations and the built-in backends'
+ * collections and append-only logs
+ */
+
+const { useTempDirs } = require('./helpers');
+const dir = useTempDirs();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, migrateSchema, createJsonFileBackend, createMemoryBackend } = require('../storage');
+
+test('migrating an empty store creates every collection at the current version', () => {
+  const backend = createMemoryBackend();
+  migrateSchema(backend);
+
+  assert.strictEqual(backend.read('meta').schemaVersion, SCHEMA_VERSION);
+  assert.deepStrictEqual(backend.read('groups'), {});
+  assert.deepStrictEqual(backend.read('announcements'), { general: {}, groups: {} });
+  assert.deepStrictEqual(backend.read('callHistory'), []);
+  assert.deepStrictEqual(backend.read('offlineQueue'), {});
+  assert.deepStrictEqual(backend.read('outgoingTransfers'), {});
+  assert.deepStrictEqual(backend.read('securityLog'), []);
+  assert.deepStrictEqual(backend.read('peerTrust'), { peers: {}, pins: {} });
+  assert.strictEqual(backend.read('groupMessages'), null);
+});
+
+test('migrating a version 1 store upgrades its groups and moves group messages to logs', () => {
+  const backend = createMemoryBackend();
+  backend.write('meta', { schemaVersion: 1 });
+  backend.write('groups', { g1: { id: 'g1', creator: 'alice', members: ['alice', 'bob'] } });
+  backend.write('groupMessages', {
+    g1: [{ id: 'm1', senderId: 'alice', content: 'hello' }, { id: 'm2', senderId: 'bob', content: 'hi' }],
+    g2: []
+  });
+  backend.write('securityLog', [{ type: 'login_locked' }]);
+  migrateSchema(backend);
+
+  assert.strictEqual(backend.read('meta').schemaVersion, SCHEMA_VERSION);
+  assert.deepStrictEqual(backend.read('groups').g1.owner, 'alice');
+  assert.deepStrictEqual(backend.read('groups').g1.admins, []);
+  assert.deepStrictEqual(backend.readLog('groupMessages-g1').map(m => m.id), ['m1', 'm2']);
+  assert.deepStrictEqual(backend.readLog('groupMessages-g2'), []);
+  assert.strictEqual(backend.read('groupMessages'), null);
+  // Collections that already exist are left alone
+  assert.deepStrictEqual(backend.read('securityLog'), [{ type: 'login_locked' }]);
+  assert.deepStrictEqual(backend.read('offlineQueue'), {});
+});
+
+test('a store newer than this version is refused', () => {
+  const backend = createMemoryBackend();
+  backend.write('meta', { schemaVersion: SCHEMA_VERSION + 1 });
+  assert.throws(() => migrateSchema(backend), /newer than supported/);
+});
+
+test('the json backend keeps logs as JSON Lines and skips a torn last line', () => {
+  const dataDir = path.join(dir, 'json-backend');
+  const backend = createJsonFileBackend(dataDir);
+
+  backend.append('log', { n: 1 });
+  backend.append('log', { n: 2 });
+  fs.appendFileSync(path.join(dataDir, 'log.jsonl'), '{"n": 3');
+  assert.deepStrictEqual(backend.readLog('log'), [{ n: 1 }, { n: 2 }]);
+
+  backend.writeLog('log', [{ n: 4 }]);
+  assert.deepStrictEqual(backend.readLog('log'), [{ n: 4 }]);
+
+  backend.write('collection', { a: 1 });
+  assert.deepStrictEqual(backend.read('collection'), { a: 1 });
+  backend.remove('log');
+  backend.remove('collection');
+  assert.deepStrictEqual(backend.readLog('log'), []);
+  assert.strictEqual(backend.read('collection'), null);
+  assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+});
+
+test('the active store is migrated on first use', () => {
+  const { loadCollection, appendToLog, loadLog, replaceLog, clearLog } = require('../storage');
+  assert.deepStrictEqual(loadCollection('peerTrust', null), { peers: {}, pins: {} });
+
+  appendToLog('events', { n: 1 });
+  appendToLog('events', { n: 2 });
+  assert.deepStrictEqual(loadLog('events'), [{ n: 1 }, { n: 2 }]);
+  replaceLog('events', [{ n: 3 }]);
+  assert.deepStrictEqual(loadLog('events'), [{ n: 3 }]);
+  clearLog('events');
+  assert.deepStrictEqual(loadLog('events'), []);
+});
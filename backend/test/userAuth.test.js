@@ -0,0 +1,176 @@
+/**
+ * Tests for userAuth.js: registration, tokens and the sessions they name, logout,
+ * password changes, account deletion, upgrading stored password hashes and
+ * hashing for unknown usernames too
+ */
+
+const { useTempDirs } = require('./helpers');
+useTempDirs();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  registerUser,
+  loginUser,
+  verifyToken,
+  revokeSession,
+  changePassword,
+  deleteAccount,
+  getUserById,
+  updateUserSettings
+} = require('../userAuth');
+
+const usersFile = path.join(process.env.OFFGRID_DATA_DIR, 'users.json');
+
+// Stored record of a user, hash and all
+function readStoredUser(username) {
+  return JSON.parse(fs.readFileSync(usersFile, 'utf8')).users.find(user => user.username === username);
+}
+
+// User IDs come from the clock, so each registration gets a millisecond of its own
+async function register(username, password) {
+  await new Promise(resolve => setTimeout(resolve, 2));
+  const result = registerUser(username, password);
+  assert.strictEqual(result.success, true);
+  return result;
+}
+
+test('a token from registration or login names its user and session', async () => {
+  const { user, token } = await register('tokens', 'first password');
+  assert.strictEqual(user.passwordHash, undefined);
+  assert.strictEqual(verifyToken(token).userId, user.id);
+
+  const login = loginUser('tokens', 'first password');
+  const claims = verifyToken(login.token);
+  assert.strictEqual(claims.userId, user.id);
+  assert.notStrictEqual(claims.sid, verifyToken(token).sid);
+
+  assert.strictEqual(loginUser('tokens', 'wrong password').success, false);
+  assert.strictEqual(loginUser('nobody', 'first password').success, false);
+});
+
+test('registration needs a username and a password, both non-empty strings', () => {
+  for (const [username, password] of [['u1', undefined], [undefined, 'pw'], ['', 'pw'], ['u1', ''], [5, 'pw'], ['u1', { a: 1 }]]) {
+    const result = registerUser(username, password);
+    assert.deepStrictEqual(result, { success: false, message: 'Username and password are required' });
+  }
+  assert.strictEqual(loginUser(undefined, 'pw').success, false);
+});
+
+test('tampered, malformed and expired tokens are refused', async (t) => {
+  const { token } = await register('tamper', 'a password');
+  const [header, payload, signature] = token.split('.');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, userId: 'someone-else' })).toString('base64url');
+  assert.strictEqual(verifyToken(`${header}.${forged}.${signature}`), null);
+  assert.strictEqual(verifyToken(`${header}.${payload}`), null);
+  assert.strictEqual(verifyToken(undefined), null);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 25 * 60 * 60 * 1000);
+  assert.strictEqual(verifyToken(token), null);
+});
+
+test('logging out revokes only that session', async () => {
+  const { user, token } = await register('logout', 'a password');
+  const other = loginUser('logout', 'a password').token;
+
+  assert.strictEqual(revokeSession(user.id, verifyToken(token).sid).success, true);
+  assert.strictEqual(verifyToken(token), null);
+  assert.strictEqual(verifyToken(other).userId, user.id);
+});
+
+test('changing the password revokes every other session', async () => {
+  const { user, token } = await register('changer', 'old password');
+  const other = loginUser('changer', 'old password').token;
+
+  assert.strictEqual(changePassword(user.id, 'not the password', 'new password').success, false);
+  assert.strictEqual(changePassword(user.id, 'old password', '').success, false);
+  assert.strictEqual(changePassword(user.id, 'old password', 12345678).success, false);
+  assert.notStrictEqual(verifyToken(token), null);
+
+  const result = changePassword(user.id, 'old password', 'new password');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(verifyToken(token), null);
+  assert.strictEqual(verifyToken(other), null);
+  assert.strictEqual(verifyToken(result.token).userId, user.id);
+
+  assert.strictEqual(loginUser('changer', 'old password').success, false);
+  assert.strictEqual(loginUser('changer', 'new password').success, true);
+});
+
+test('deleting an account needs its password and ends its sessions', async () => {
+  const { user, token } = await register('leaver', 'a password');
+
+  assert.strictEqual(deleteAccount(user.id, 'wrong').success, false);
+  assert.notStrictEqual(getUserById(user.id), null);
+
+  assert.strictEqual(deleteAccount(user.id, 'a password').success, true);
+  assert.strictEqual(getUserById(user.id), null);
+  assert.strictEqual(verifyToken(token), null);
+  assert.strictEqual(loginUser('leaver', 'a password').success, false);
+  await register('leaver', 'another password');
+});
+
+test('a PBKDF2 hash from before scrypt is upgraded on login', () => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const legacy = {
+    id: 'legacy-user',
+    username: 'legacy',
+    passwordHash: crypto.pbkdf2Sync('old scheme', salt, 1000, 64, 'sha512').toString('hex'),
+    passwordSalt: salt,
+    createdAt: new Date().toISOString()
+  };
+  const stored = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+  fs.writeFileSync(usersFile, JSON.stringify({ users: [...stored.users, legacy] }));
+
+  assert.strictEqual(loginUser('legacy', 'wrong').success, false);
+  assert.strictEqual(readStoredUser('legacy').passwordParams, undefined);
+
+  assert.strictEqual(loginUser('legacy', 'old scheme').success, true);
+  const upgraded = readStoredUser('legacy');
+  assert.strictEqual(upgraded.passwordParams.algorithm, 'scrypt');
+  assert.notStrictEqual(upgraded.passwordHash, legacy.passwordHash);
+  assert.strictEqual(loginUser('legacy', 'old scheme').success, true);
+});
+
+test('raising the scrypt cost rehashes each password at its next login', async () => {
+  await register('costly', 'a password');
+  const before = readStoredUser('costly');
+  assert.strictEqual(before.passwordParams.cost, 16384);
+
+  assert.strictEqual(updateUserSettings({ passwordHashing: { cost: 32768 } }).success, true);
+  try {
+    assert.strictEqual(loginUser('costly', 'a password').success, true);
+    const after = readStoredUser('costly');
+    assert.strictEqual(after.passwordParams.cost, 32768);
+    assert.notStrictEqual(after.passwordSalt, before.passwordSalt);
+
+    assert.strictEqual(loginUser('costly', 'a password').success, true);
+    assert.strictEqual(readStoredUser('costly').passwordSalt, after.passwordSalt);
+  } finally {
+    updateUserSettings({ passwordHashing: {} });
+  }
+});
+
+test('an unknown username costs a hash with the current parameters, like a wrong password', (t) => {
+  assert.strictEqual(updateUserSettings({ passwordHashing: { cost: 32768 } }).success, true);
+  try {
+    const scrypt = t.mock.method(crypto, 'scryptSync');
+    assert.strictEqual(loginUser('nobody at all', 'a password').success, false);
+    assert.strictEqual(loginUser('nobody at all', undefined).success, false);
+
+    assert.strictEqual(scrypt.mock.callCount(), 2);
+    const [password, , keyLength, options] = scrypt.mock.calls[0].arguments;
+    assert.strictEqual(password, 'a password');
+    assert.strictEqual(keyLength, 64);
+    assert.strictEqual(options.cost, 32768);
+    assert.strictEqual(scrypt.mock.calls[1].arguments[0], '');
+  } finally {
+    updateUserSettings({ passwordHashing: {} });
+  }
+});
@@ -3,14 +3,60 @@
  * 
  * This module handles user authentication, registration, and storage
  * for the LAN Connect application.
+ *
+ * Every login starts a session that is recorded on the user, and the token
+ * handed out names that session. A token is only accepted while its session
+ * is still recorded, so logging out, changing the password or deleting the
+ * account revokes tokens before they expire.
+ *
+ * Passwords are hashed with scrypt. Each user record stores the algorithm and
+ * parameters its hash was made with (`passwordParams`), so the cost can be
+ * raised with the `passwordHashing` setting without locking anyone out: a
+ * hash made with older parameters, or with the PBKDF2 scheme used before,
+ * is replaced the next time that user logs in.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { getConfig } = require('./config');
 
 // Path to the users database file
-const USERS_FILE = path.join(__dirname, 'users.json');
+const USERS_FILE = path.join(getConfig().dataDir, 'users.json');
+
+// Path to this install's token signing secret
+const AUTH_SECRET_FILE = path.join(getConfig().dataDir, 'authSecret.json');
+
+// Path to this node's settings
+const SETTINGS_FILE = path.join(getConfig().dataDir, 'settings.json');
+
+// Lifetime of an issued token
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Most sessions kept per user; the oldest are dropped first
+const MAX_SESSIONS_PER_USER = 20;
+
+// Default scrypt cost; override with `passwordHashing` in settings.json
+const DEFAULT_SCRYPT_PARAMS = {
+  cost: 16384, // N, CPU/memory cost (power of two)
+  blockSize: 8, // r
+  parallelization: 1, // p
+  keyLength: 64
+};
+
+// Parameters of the PBKDF2 hashes stored before scrypt was used
+const LEGACY_PBKDF2_PARAMS = {
+  algorithm: 'pbkdf2',
+  iterations: 1000,
+  keyLength: 64,
+  digest: 'sha512'
+};
+
+// Access code that older versions shipped with; replaced on first use
+const LEGACY_DEFAULT_ACCESS_CODE = 'offgrid2023';
+
+// Cached token signing secret
+let authSecret = null;
 
 // Initialize users database if it doesn't exist
 function initUsersDb() {
@@ -43,32 +89,162 @@ function saveUsers(users) {
   }
 }
 
-// Hash a password
+// Get the scrypt parameters new hashes are made with
+function getPasswordHashParams() {
+  const configured = (getUserSettings() || {}).passwordHashing || {};
+  const params = { algorithm: 'scrypt', ...DEFAULT_SCRYPT_PARAMS };
+
+  for (const key of Object.keys(DEFAULT_SCRYPT_PARAMS)) {
+    if (Number.isInteger(configured[key]) && configured[key] > 0) {
+      params[key] = configured[key];
+    }
+  }
+  return params;
+}
+
+// Derive a password hash with the given algorithm and parameters
+function derivePasswordHash(password, salt, params) {
+  if (params.algorithm === 'scrypt') {
+    return crypto.scryptSync(password, salt, params.keyLength, {
+      cost: params.cost,
+      blockSize: params.blockSize,
+      parallelization: params.parallelization,
+      // scrypt needs 128 * N * r bytes; leave headroom above Node's 32 MB default
+      maxmem: 256 * params.cost * params.blockSize
+    });
+  }
+  if (params.algorithm === 'pbkdf2') {
+    return crypto.pbkdf2Sync(password, salt, params.iterations, params.keyLength, params.digest);
+  }
+  throw new Error(`Unknown password hash algorithm: ${params.algorithm}`);
+}
+
+// Hash a password with the current parameters
 function hashPassword(password) {
   const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-  return { salt, hash };
+  const params = getPasswordHashParams();
+  const hash = derivePasswordHash(password, salt, params).toString('hex');
+  return { salt, hash, params };
+}
+
+// Store a new password hash on a user record
+function setPassword(user, password) {
+  const { salt, hash, params } = hashPassword(password);
+  user.passwordHash = hash;
+  user.passwordSalt = salt;
+  user.passwordParams = params;
+}
+
+// Verify a password against the hash stored on a user record
+function verifyPassword(password, user) {
+  try {
+    const params = user.passwordParams || LEGACY_PBKDF2_PARAMS;
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = derivePasswordHash(password, user.passwordSalt, params);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  } catch (error) {
+    console.error('Error verifying password:', error);
+    return false;
+  }
+}
+
+// Check whether a user's hash was made with other than the current parameters
+function needsRehash(user) {
+  const current = getPasswordHashParams();
+  const stored = user.passwordParams || LEGACY_PBKDF2_PARAMS;
+  return Object.keys(current).some(key => stored[key] !== current[key]);
 }
 
-// Verify a password against a stored hash
-function verifyPassword(password, storedHash, storedSalt) {
-  const hash = crypto.pbkdf2Sync(password, storedSalt, 1000, 64, 'sha512').toString('hex');
-  return hash === storedHash;
+// Load the token signing secret, creating a random one for this install on first use
+function getAuthSecret() {
+  if (authSecret) return authSecret;
+
+  try {
+    if (fs.existsSync(AUTH_SECRET_FILE)) {
+      authSecret = Buffer.from(JSON.parse(fs.readFileSync(AUTH_SECRET_FILE, 'utf8')).secret, 'hex');
+    }
+  } catch (error) {
+    console.error('Error loading token signing secret, generating a new one:', error);
+  }
+
+  if (!authSecret || authSecret.length < 32) {
+    authSecret = crypto.randomBytes(32);
+    fs.writeFileSync(AUTH_SECRET_FILE, JSON.stringify({ secret: authSecret.toString('hex') }), { encoding: 'utf8', mode: 0o600 });
+    console.log('Created token signing secret');
+  }
+  return authSecret;
 }
 
-// Generate a JWT-like token (simplified for demo)
-function generateToken(userId) {
-  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64');
-  const payload = Buffer.from(JSON.stringify({ userId, exp: Date.now() + 24 * 60 * 60 * 1000 })).toString('base64');
-  const signature = crypto.createHmac('sha256', 'secret_key')
+// Sign the header and payload parts of a token
+function signToken(header, payload) {
+  return crypto.createHmac('sha256', getAuthSecret())
     .update(`${header}.${payload}`)
-    .digest('base64');
+    .digest('base64url');
+}
+
+// Generate a JWT-like token for a session, signed with this install's secret
+function generateToken(userId, session) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ userId, sid: session.id, exp: session.expiresAt })).toString('base64url');
   
-  return `${header}.${payload}.${signature}`;
+  return `${header}.${payload}.${signToken(header, payload)}`;
+}
+
+// Start a new session on a user record and return its token. Expired
+// sessions are dropped; the caller saves the user afterwards.
+function startSession(user) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    createdAt: now,
+    expiresAt: now + TOKEN_TTL_MS
+  };
+  
+  user.sessions = [...(user.sessions || []).filter(s => s.expiresAt > now), session]
+    .slice(-MAX_SESSIONS_PER_USER);
+  return generateToken(user.id, session);
+}
+
+// Return a user record without its password hash and sessions
+function withoutSecrets(user) {
+  const { passwordHash, passwordSalt, passwordParams, sessions, ...publicUser } = user;
+  return publicUser;
+}
+
+// Verify a token's signature, expiry and session; returns its payload
+// ({ userId, sid, exp }), or null if the token is invalid, expired or revoked
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(signToken(header, payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.userId || !claims.sid || typeof claims.exp !== 'number' || claims.exp <= Date.now()) {
+      return null;
+    }
+    
+    const user = loadUsers().find(user => user.id === claims.userId);
+    const session = user && (user.sessions || []).find(s => s.id === claims.sid);
+    return session && session.expiresAt > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
 }
 
 // Register a new user
 function registerUser(username, password) {
+  if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+    return { success: false, message: 'Username and password are required' };
+  }
+  
   const users = loadUsers();
   
   // Check if username already exists
@@ -76,17 +252,15 @@ function registerUser(username, password) {
     return { success: false, message: 'Username already exists' };
   }
   
-  // Hash the password
-  const { salt, hash } = hashPassword(password);
-  
   // Create new user
   const newUser = {
     id: Date.now().toString(),
     username,
-    passwordHash: hash,
-    passwordSalt: salt,
-    createdAt: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    sessions: []
   };
+  setPassword(newUser, password);
+  const token = startSession(newUser);
   
   // Add to users array and save
   users.push(newUser);
@@ -95,11 +269,10 @@ function registerUser(username, password) {
   }
   
   // Return user without sensitive data
-  const { passwordHash, passwordSalt, ...userWithoutPassword } = newUser;
   return { 
     success: true, 
-    user: userWithoutPassword,
-    token: generateToken(newUser.id)
+    user: withoutSecrets(newUser),
+    token
   };
 }
 
@@ -108,25 +281,102 @@ function loginUser(username, password) {
   const users = loadUsers();
   
   // Find user by username
+  const attempt = typeof password === 'string' ? password : '';
   const user = users.find(user => user.username === username);
   if (!user) {
+    // Hash anyway, so an unknown username takes as long as a wrong password
+    hashPassword(attempt);
     return { success: false, message: 'Invalid username or password' };
   }
   
   // Verify password
-  if (!verifyPassword(password, user.passwordHash, user.passwordSalt)) {
+  if (!verifyPassword(attempt, user)) {
     return { success: false, message: 'Invalid username or password' };
   }
   
+  // Upgrade hashes made with an older algorithm or cost now that we have the password
+  if (needsRehash(user)) {
+    setPassword(user, password);
+    console.log(`Upgraded password hash for user ${user.username}`);
+  }
+  
+  const token = startSession(user);
+  if (!saveUsers(users)) {
+    return { success: false, message: 'Error saving user data' };
+  }
+  
   // Return user without sensitive data
-  const { passwordHash, passwordSalt, ...userWithoutPassword } = user;
   return { 
     success: true, 
-    user: userWithoutPassword,
-    token: generateToken(user.id)
+    user: withoutSecrets(user),
+    token
   };
 }
 
+// End one session (logout); its token stops working immediately
+function revokeSession(userId, sessionId) {
+  const users = loadUsers();
+  const user = users.find(user => user.id === userId);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+  
+  user.sessions = (user.sessions || []).filter(s => s.id !== sessionId);
+  if (!saveUsers(users)) {
+    return { success: false, message: 'Error saving user data' };
+  }
+  return { success: true, message: 'Logged out' };
+}
+
+// Change a user's password. Every existing session is revoked and a new
+// one is started for the caller, whose new token is returned.
+function changePassword(userId, currentPassword, newPassword) {
+  const users = loadUsers();
+  const user = users.find(user => user.id === userId);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+  
+  if (typeof newPassword !== 'string' || !newPassword) {
+    return { success: false, message: 'New password is required' };
+  }
+  
+  if (!verifyPassword(currentPassword || '', user)) {
+    return { success: false, message: 'Current password is incorrect' };
+  }
+  
+  setPassword(user, newPassword);
+  user.sessions = [];
+  const token = startSession(user);
+  
+  if (!saveUsers(users)) {
+    return { success: false, message: 'Error saving user data' };
+  }
+  
+  console.log(`Password changed for user ${user.username}, other sessions revoked`);
+  return { success: true, message: 'Password changed', token };
+}
+
+// Delete a user's account after confirming their password
+function deleteAccount(userId, password) {
+  const users = loadUsers();
+  const user = users.find(user => user.id === userId);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+  
+  if (!verifyPassword(password || '', user)) {
+    return { success: false, message: 'Password is incorrect' };
+  }
+  
+  if (!saveUsers(users.filter(u => u.id !== userId))) {
+    return { success: false, message: 'Error saving user data' };
+  }
+  
+  console.log(`Account deleted: ${user.username}`);
+  return { success: true, message: 'Account deleted' };
+}
+
 // Get user by ID
 function getUserById(userId) {
   const users = loadUsers();
@@ -135,8 +385,7 @@ function getUserById(userId) {
   if (!user) return null;
   
   // Return user without sensitive data
-  const { passwordHash, passwordSalt, ...userWithoutPassword } = user;
-  return userWithoutPassword;
+  return withoutSecrets(user);
 }
 
 // Update user information
@@ -157,35 +406,48 @@ function updateUser(userId, updates) {
   }
   
   // Return user without sensitive data
-  const { passwordHash, passwordSalt, ...userWithoutPassword } = updatedUser;
-  return { success: true, user: userWithoutPassword };
+  return { success: true, user: withoutSecrets(updatedUser) };
 }
 
 // Initialize the users database on module load
 initUsersDb();
 
+// Generate a random access code for this install
+function generateAccessCode() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
 // Get user settings
 function getUserSettings() {
   try {
-    const settingsPath = path.join(__dirname, 'settings.json');
-    if (!fs.existsSync(settingsPath)) {
+    if (!fs.existsSync(SETTINGS_FILE)) {
       // Create default settings if file doesn't exist
       const defaultSettings = {
-        accessCode: 'offgrid2023',
-        theme: 'light'
+        accessCode: generateAccessCode(),
+        theme: 'light',
+        allowLegacyCbc: false
       };
-      fs.writeFileSync(settingsPath, JSON.stringify(defaultSettings, null, 2), 'utf8');
+      fs.writeFileSync(SETTINGS_FILE, JSON.stringify(defaultSettings, null, 2), { encoding: 'utf8', mode: 0o600 });
+      console.log(`Generated access code for this node: ${defaultSettings.accessCode}`);
       return defaultSettings;
     }
     
-    const settingsData = fs.readFileSync(settingsPath, 'utf8');
-    return JSON.parse(settingsData);
+    const settingsData = fs.readFileSync(SETTINGS_FILE, 'utf8');
+    const settings = JSON.parse(settingsData);
+    
+    // Never keep the publicly known default code
+    if (!settings.accessCode || settings.accessCode === LEGACY_DEFAULT_ACCESS_CODE) {
+      settings.accessCode = generateAccessCode();
+      fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2), 'utf8');
+      console.log(`Replaced the default access code for this node: ${settings.accessCode}`);
+    }
+    return settings;
   } catch (error) {
     console.error('Error loading settings:', error);
-    // Return default settings in case of error
+    // Return default settings in case of error; with no access code set, no code is accepted
     return {
-      accessCode: 'offgrid2023',
-      theme: 'light'
+      theme: 'light',
+      allowLegacyCbc: false
     };
   }
 }
@@ -193,11 +455,10 @@ function getUserSettings() {
 // Update user settings
 function updateUserSettings(settings) {
   try {
-    const settingsPath = path.join(__dirname, 'settings.json');
     const currentSettings = getUserSettings();
     const updatedSettings = { ...currentSettings, ...settings };
     
-    fs.writeFileSync(settingsPath, JSON.stringify(updatedSettings, null, 2), 'utf8');
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(updatedSettings, null, 2), 'utf8');
     return { success: true, settings: updatedSettings };
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -208,6 +469,10 @@ function updateUserSettings(settings) {
 module.exports = {
   registerUser,
   loginUser,
+  verifyToken,
+  revokeSession,
+  changePassword,
+  deleteAccount,
   getUserById,
   updateUser,
   getUserSettings,
@@ -10,8 +10,6 @@ const path = require('path');
 const url = require('url');
 const { spawn } = require('child_process');
 const fs = require('fs');
-const dgram = require('dgram');
-const os = require('os');
 
 // Keep a global reference of the window object to avoid garbage collection
 let mainWindow;
@@ -19,16 +17,143 @@ let mainWindow;
 // Keep a reference to the backend server process
 let backendProcess;
 
+// Backend configuration (ports, addresses, directories), resolved with the
+// backend's own config.js from the arguments the backend is started with
+let backendConfig = null;
+
+// State of the backend process, reported to the renderer on request
+const backendStatus = {
+  running: false,
+  pid: null,
+  startedAt: null,
+  restarts: 0,
+  lastExitCode: null
+};
+
 // Keep a reference to the tray icon
 let tray = null;
 
 // Flag to track if the app is quitting
 let isQuitting = false;
 
-// UDP discovery configuration
-const BROADCAST_INTERVAL = 5000; // milliseconds
-let udpSocket = null;
-let discoveryInterval = null;
+// Suffix of a group file while it is being received
+const GROUP_DOWNLOAD_SUFFIX = '.download';
+
+// Group files being received, streamed straight to disk
+// transferId -> { handle, tempPath, fileName, directory, writes }
+const groupDownloads = new Map();
+
+/**
+ * Get the path of the desktop settings file
+ * @returns {string} - Path inside the user data directory
+ */
+function getDesktopSettingsPath() {
+  return path.join(app.getPath('userData'), 'settings.json');
+}
+
+/**
+ * Load desktop settings (download directory)
+ * @returns {Object} - Settings object
+ */
+function loadDesktopSettings() {
+  try {
+    return JSON.parse(fs.readFileSync(getDesktopSettingsPath(), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save desktop settings
+ * @param {Object} settings - Settings object
+ */
+function saveDesktopSettings(settings) {
+  fs.writeFileSync(getDesktopSettingsPath(), JSON.stringify(settings, null, 2), 'utf8');
+}
+
+/**
+ * Get the directory received group files are saved to
+ * @returns {string} - Configured directory, or the system downloads folder
+ */
+function getDownloadDirectory() {
+  return loadDesktopSettings().downloadDirectory || app.getPath('downloads');
+}
+
+/**
+ * Find a path in a directory that does not exist yet, adding " (n)" before
+ * the extension if a file with the same name is already there
+ * @param {string} directory - Target directory
+ * @param {string} fileName - Desired file name
+ * @returns {string} - Free file path
+ */
+function getAvailablePath(directory, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = path.join(directory, fileName);
+  for (let n = 1; fs.existsSync(candidate); n++) {
+    candidate = path.join(directory, `${base} (${n})${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Close and delete a group download's temporary file
+ * @param {string} transferId - Transfer ID
+ */
+async function discardGroupDownload(transferId) {
+  const download = groupDownloads.get(transferId);
+  if (!download) return;
+  groupDownloads.delete(transferId);
+  
+  await download.writes.catch(() => {});
+  try {
+    if (download.handle) {
+      await download.handle.close();
+    }
+    await fs.promises.unlink(download.tempPath);
+  } catch (error) {
+    console.error(`Error discarding download ${download.fileName}:`, error);
+  }
+}
+
+/**
+ * Report a failed group download to the renderer and discard it
+ * @param {Object} event - IPC event to reply to
+ * @param {string} transferId - Transfer ID
+ * @param {Error} error - What went wrong
+ */
+function failGroupDownload(event, transferId, error) {
+  const download = groupDownloads.get(transferId);
+  if (!download) return;
+  
+  console.error(`Error receiving ${download.fileName}:`, error);
+  event.reply('group-file-error', { transferId, error: error.message });
+  discardGroupDownload(transferId);
+}
+
+/**
+ * Arguments the app was started with, passed on to the backend
+ * @returns {Array<string>} - e.g. ['--port', '8081', '--data-dir', 'node2']
+ */
+function getBackendArgs() {
+  return process.argv.slice(app.isPackaged ? 1 : 2);
+}
+
+/**
+ * Resolve the backend configuration the same way the backend will, so the
+ * renderer is pointed at the port and address the backend listens on
+ * @returns {Object|null} - Configuration, or null if it could not be loaded
+ */
+function loadBackendConfig() {
+  try {
+    const { loadConfig, getLocalUrl } = require(path.join(__dirname, '..', 'backend', 'config'));
+    const config = loadConfig({ argv: getBackendArgs() });
+    return { ...config, url: getLocalUrl(config) };
+  } catch (error) {
+    dialog.showErrorBox('Configuration Error', `Could not load the backend configuration: ${error.message}`);
+    return null;
+  }
+}
 
 /**
  * Create the main application window
@@ -43,7 +168,9 @@ function createWindow() {
     webPreferences: {
       nodeIntegration: true,
       contextIsolation: false,
-      preload: path.join(__dirname, 'preload.js')
+      preload: path.join(__dirname, 'preload.js'),
+      // Read by preload.js and exposed as window.electron.backendUrl
+      additionalArguments: [`--backend-url=${backendConfig.url}`]
     },
     icon: path.join(__dirname, 'public', 'icon.png')
   });
@@ -112,101 +239,6 @@ function createTray() {
   });
 }
 
-/**
- * Get local IP address
- */
-function getLocalIpAddress() {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    for (const iface of interfaces[name]) {
-      // Skip over non-IPv4 and internal (loopback) addresses
-      if (iface.family === 'IPv4' && !iface.internal) {
-        return iface.address;
-      }
-    }
-  }
-  return '127.0.0.1'; // Fallback to localhost if no other IP is found
-}
-
-/**
- * Start UDP discovery service
- */
-function startUDPDiscovery() {
-  const localIp = getLocalIpAddress();
-  const hostname = os.hostname();
-  
-  // Create UDP socket
-  udpSocket = dgram.createSocket('udp4');
-  
-  // Handle UDP socket errors
-  udpSocket.on('error', (err) => {
-    console.error(`UDP socket error: ${err.message}`);
-    udpSocket.close();
-  });
-  
-  // Handle incoming UDP messages
-  udpSocket.on('message', (msg, rinfo) => {
-    try {
-      const message = JSON.parse(msg.toString());
-      
-      if (message.type === 'discovery_response') {
-        console.log(`Discovery response from ${rinfo.address}:${rinfo.port}`);
-        
-        // Forward discovery response to renderer process
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('peer-discovered', {
-            ip: message.ip,
-            port: message.port,
-            hostname: message.hostname,
-            discoveredAt: Date.now()
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error processing UDP message:', error);
-    }
-  });
-  
-  // Bind UDP socket to any available port
-  udpSocket.bind(() => {
-    const clientPort = udpSocket.address().port;
-    console.log(`UDP discovery client running on port ${clientPort}`);
-    
-    // Enable broadcast
-    udpSocket.setBroadcast(true);
-    
-    // Start broadcasting discovery messages
-    discoveryInterval = setInterval(() => {
-      const discoveryMessage = {
-        type: 'discovery',
-        ip: localIp,
-        port: 8080, // WebSocket port
-        hostname: hostname
-      };
-      
-      const messageBuffer = Buffer.from(JSON.stringify(discoveryMessage));
-      
-      // Broadcast to the LAN on the server's UDP port
-      udpSocket.send(messageBuffer, 0, messageBuffer.length, 8081, '255.255.255.255');
-    }, BROADCAST_INTERVAL);
-  });
-}
-
-/**
- * Stop UDP discovery service
- */
-function stopUDPDiscovery() {
-  if (discoveryInterval) {
-    clearInterval(discoveryInterval);
-    discoveryInterval = null;
-  }
-  
-  if (udpSocket) {
-    udpSocket.close();
-    udpSocket = null;
-  }
-}
-
 /**
  * Start the backend server process
  */
@@ -223,10 +255,13 @@ function startBackendServer() {
     return;
   }
   
-  // Start the backend server as a child process
-  backendProcess = spawn('node', [backendPath], {
+  // Start the backend server as a child process, with the app's own arguments
+  backendProcess = spawn('node', [backendPath, ...getBackendArgs()], {
     stdio: 'pipe'
   });
+  backendStatus.running = true;
+  backendStatus.pid = backendProcess.pid;
+  backendStatus.startedAt = Date.now();
   
   // Handle backend process output
   backendProcess.stdout.on('data', (data) => {
@@ -249,6 +284,9 @@ function startBackendServer() {
   
   backendProcess.on('close', (code) => {
     console.log(`Backend process exited with code ${code}`);
+    backendStatus.running = false;
+    backendStatus.pid = null;
+    backendStatus.lastExitCode = code;
     
     // Notify the renderer process that the backend has stopped
     if (mainWindow && mainWindow.webContents) {
@@ -258,6 +296,7 @@ function startBackendServer() {
     // If the app is not quitting, try to restart the backend
     if (!isQuitting) {
       console.log('Attempting to restart backend...');
+      backendStatus.restarts++;
       startBackendServer();
     }
   });
@@ -265,12 +304,15 @@ function startBackendServer() {
 
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
+  backendConfig = loadBackendConfig();
+  if (!backendConfig) {
+    app.quit();
+    return;
+  }
+  
   // Start the backend server
   startBackendServer();
   
-  // Start UDP discovery service
-  startUDPDiscovery();
-  
   // Create the main window
   createWindow();
   
@@ -295,9 +337,6 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   isQuitting = true;
   
-  // Stop UDP discovery
-  stopUDPDiscovery();
-  
   // Kill the backend process
   if (backendProcess) {
     backendProcess.kill();
@@ -316,42 +355,78 @@ ipcMain.on('send-message', (event, message) => {
 });
 
 /**
- * Handle file selection for sending
+ * Describe a file for the renderer
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<Object|null>} - { path, name, size, modifiedAt }, or null if it is not a readable file
+ */
+async function getFileInfo(filePath) {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    if (!stats.isFile()) return null;
+    return {
+      path: filePath,
+      name: path.basename(filePath),
+      size: stats.size,
+      modifiedAt: stats.mtimeMs
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Request/response handlers; these answer ipcRenderer.invoke calls from preload.js
+
+/**
+ * Let the user pick one file, or several with { multiple: true }
+ * Resolves to the picked files' info, or an empty list if the dialog was cancelled
  */
-ipcMain.on('select-file', async (event) => {
+ipcMain.handle('select-files', async (event, options = {}) => {
+  const properties = options && options.multiple ? ['openFile', 'multiSelections'] : ['openFile'];
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openFile'],
+    properties,
     filters: [
       { name: 'All Files', extensions: ['*'] }
     ]
   });
   
-  if (!result.canceled && result.filePaths.length > 0) {
-    const filePath = result.filePaths[0];
-    event.reply('file-selected', {
-      path: filePath,
-      name: path.basename(filePath),
-      size: fs.statSync(filePath).size
-    });
+  if (result.canceled) {
+    return [];
   }
+  const files = await Promise.all(result.filePaths.map(getFileInfo));
+  return files.filter(Boolean);
 });
 
 /**
- * Handle clipboard content sharing
+ * Stat a file the renderer already knows the path of
  */
-ipcMain.on('get-clipboard-content', (event) => {
-  const text = clipboard.readText();
-  event.reply('clipboard-content', text);
+ipcMain.handle('get-file-info', async (event, filePath) => {
+  if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) {
+    throw new Error('An absolute file path is required');
+  }
+  return getFileInfo(filePath);
 });
 
 /**
- * Handle setting clipboard content
+ * Read the clipboard as text
  */
-ipcMain.on('set-clipboard-content', (event, text) => {
+ipcMain.handle('read-clipboard', () => clipboard.readText());
+
+/**
+ * Replace the clipboard with text
+ */
+ipcMain.handle('write-clipboard', (event, text) => {
+  if (typeof text !== 'string') {
+    throw new Error('Clipboard content must be text');
+  }
   clipboard.writeText(text);
-  event.reply('clipboard-set-success');
+  return true;
 });
 
+/**
+ * Report whether the backend process is running
+ */
+ipcMain.handle('get-backend-status', () => ({ ...backendStatus }));
+
 /**
  * Handle opening a file in the default application
  */
@@ -363,6 +438,97 @@ ipcMain.on('open-file', (event, filePath) => {
   }
 });
 
+/**
+ * Start receiving a group file: create its temporary file in the download
+ * directory and preallocate it to the full size, so chunks can be written
+ * at their offsets as they arrive instead of being held in memory
+ */
+ipcMain.on('group-file-start', (event, { transferId, fileName, fileSize }) => {
+  const directory = getDownloadDirectory();
+  
+  // Only keep the base name so a peer cannot write outside the download directory
+  const safeName = path.basename(fileName);
+  const download = {
+    handle: null,
+    tempPath: path.join(directory, `${safeName}.${transferId}${GROUP_DOWNLOAD_SUFFIX}`),
+    fileName: safeName,
+    directory
+  };
+  
+  // Chunks that arrive while the file is being created queue up behind it
+  download.writes = (async () => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    download.handle = await fs.promises.open(download.tempPath, 'w');
+    await download.handle.truncate(fileSize);
+  })();
+  download.writes.catch(error => failGroupDownload(event, transferId, error));
+  
+  groupDownloads.set(transferId, download);
+});
+
+/**
+ * Write a received group file chunk at its offset
+ */
+ipcMain.on('group-file-chunk', (event, { transferId, offset, data }) => {
+  const download = groupDownloads.get(transferId);
+  if (!download) return;
+  
+  const buffer = Buffer.from(data);
+  download.writes = download.writes.then(() => download.handle.write(buffer, 0, buffer.length, offset));
+  download.writes.catch(error => failGroupDownload(event, transferId, error));
+});
+
+/**
+ * Finish a group file: flush it to disk and atomically rename it into place
+ */
+ipcMain.on('group-file-finish', async (event, { transferId }) => {
+  const download = groupDownloads.get(transferId);
+  if (!download) return;
+  
+  try {
+    await download.writes;
+    await download.handle.sync();
+    await download.handle.close();
+    download.handle = null;
+    
+    const filePath = getAvailablePath(download.directory, download.fileName);
+    await fs.promises.rename(download.tempPath, filePath);
+    groupDownloads.delete(transferId);
+    event.reply('group-file-saved', { transferId, filePath });
+  } catch (error) {
+    failGroupDownload(event, transferId, error);
+  }
+});
+
+/**
+ * Abandon a group file that was cancelled or failed
+ */
+ipcMain.on('group-file-cancel', (event, { transferId }) => {
+  discardGroupDownload(transferId);
+});
+
+/**
+ * Report the directory received files are saved to
+ */
+ipcMain.on('get-download-directory', (event) => {
+  event.reply('download-directory', getDownloadDirectory());
+});
+
+/**
+ * Let the user choose the directory received files are saved to
+ */
+ipcMain.on('select-download-directory', async (event) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'createDirectory'],
+    defaultPath: getDownloadDirectory()
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    saveDesktopSettings({ ...loadDesktopSettings(), downloadDirectory: result.filePaths[0] });
+  }
+  event.reply('download-directory', getDownloadDirectory());
+});
+
 /**
  * Handle showing a notification
  */
@@ -4,35 +4,102 @@
  * This file exposes specific Electron APIs to the renderer process
  * through the contextBridge, allowing secure communication between
  * the renderer and main processes.
+ *
+ * Calls that need an answer (file selection and stat, clipboard, backend
+ * status) use ipcRenderer.invoke and return a promise; the main process
+ * answers them with ipcMain.handle. Everything else is a fire-and-forget
+ * message, with results pushed back on the event channels listed below.
+ * Only the channels in these lists can be used from the renderer.
  */
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Request/response channels, answered by ipcMain.handle in electron.js
+const INVOKE_CHANNELS = [
+  'select-files',      // ({ multiple }) -> [{ path, name, size, modifiedAt }], empty if cancelled
+  'get-file-info',     // (filePath) -> { path, name, size, modifiedAt } or null
+  'read-clipboard',    // () -> text
+  'write-clipboard',   // (text) -> true
+  'get-backend-status' // () -> { running, pid, startedAt, restarts, lastExitCode }
+];
+
+// URL of the backend, passed by the main process as --backend-url=<url>
+const BACKEND_URL_ARG = '--backend-url=';
+const backendUrlArg = process.argv.find(arg => arg.startsWith(BACKEND_URL_ARG));
+
+// Event channels the renderer can listen to
+const EVENT_CHANNELS = [
+  'file-not-found',
+  'backend-log',
+  'backend-error',
+  'backend-stopped',
+  'group-file-saved',
+  'group-file-error',
+  'download-directory'
+];
+
+/**
+ * Call the main process on an allowlisted request/response channel
+ * @param {string} channel - One of INVOKE_CHANNELS
+ * @param {...*} args - Arguments for the handler
+ * @returns {Promise<*>} - The handler's answer
+ */
+const invoke = (channel, ...args) => {
+  if (!INVOKE_CHANNELS.includes(channel)) {
+    return Promise.reject(new Error(`IPC channel not allowed: ${channel}`));
+  }
+  return ipcRenderer.invoke(channel, ...args);
+};
+
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld(
   'electron',
   {
+    // Where the backend's HTTP API and WebSocket server can be reached
+    backendUrl: backendUrlArg ? backendUrlArg.slice(BACKEND_URL_ARG.length) : null,
+    
     // Send messages to main process
     sendMessage: (message) => {
       ipcRenderer.send('send-message', message);
     },
     
     // File operations
-    selectFile: () => {
-      ipcRenderer.send('select-file');
-    },
+    selectFile: () => invoke('select-files', { multiple: false }).then(files => files[0] || null),
+    selectFiles: () => invoke('select-files', { multiple: true }),
+    getFileInfo: (filePath) => invoke('get-file-info', filePath),
     openFile: (filePath) => {
       ipcRenderer.send('open-file', filePath);
     },
     
-    // Clipboard operations
-    getClipboardContent: () => {
-      ipcRenderer.send('get-clipboard-content');
+    // Received group files, streamed to disk by the main process
+    startGroupFileDownload: (transferId, fileName, fileSize) => {
+      ipcRenderer.send('group-file-start', { transferId, fileName, fileSize });
+    },
+    writeGroupFileChunk: (transferId, offset, data) => {
+      ipcRenderer.send('group-file-chunk', { transferId, offset, data });
+    },
+    finishGroupFileDownload: (transferId) => {
+      ipcRenderer.send('group-file-finish', { transferId });
     },
-    setClipboardContent: (text) => {
-      ipcRenderer.send('set-clipboard-content', text);
+    cancelGroupFileDownload: (transferId) => {
+      ipcRenderer.send('group-file-cancel', { transferId });
+    },
+    
+    // Download directory
+    getDownloadDirectory: () => {
+      ipcRenderer.send('get-download-directory');
     },
+    selectDownloadDirectory: () => {
+      ipcRenderer.send('select-download-directory');
+    },
+    
+    // Clipboard operations
+    getClipboard: () => invoke('read-clipboard'),
+    setClipboard: (text) => invoke('write-clipboard', text),
+    
+    // Status of the backend process started by the main process
+    getBackendStatus: () => invoke('get-backend-status'),
     
     // Notifications
     showNotification: (notification) => {
@@ -41,18 +108,7 @@ contextBridge.exposeInMainWorld(
     
     // Receive events from main process
     on: (channel, callback) => {
-      // Whitelist channels to listen to
-      const validChannels = [
-        'file-selected',
-        'clipboard-content',
-        'clipboard-set-success',
-        'file-not-found',
-        'backend-log',
-        'backend-error',
-        'backend-stopped',
-        'peer-discovered'
-      ];
-      if (validChannels.includes(channel)) {
+      if (EVENT_CHANNELS.includes(channel)) {
         // Deliberately strip event as it includes `sender` 
         ipcRenderer.on(channel, (event, ...args) => callback(...args));
       }
@@ -60,17 +116,7 @@ contextBridge.exposeInMainWorld(
     
     // Remove event listeners
     removeAllListeners: (channel) => {
-      const validChannels = [
-        'file-selected',
-        'clipboard-content',
-        'clipboard-set-success',
-        'file-not-found',
-        'backend-log',
-        'backend-error',
-        'backend-stopped',
-        'peer-discovered'
-      ];
-      if (validChannels.includes(channel)) {
+      if (EVENT_CHANNELS.includes(channel)) {
         ipcRenderer.removeAllListeners(channel);
       }
     }
@@ -42,10 +42,19 @@ import CallNotification from './components/CallNotification';
 import { isLoggedIn, getCurrentUser, logoutUser } from './services/authService';
 
 // Import WebSocket service
-import { initializeWebSocket, sendMessage, closeWebSocket, connectToPeer, sendMessageToPeer, isConnectedToPeer } from './services/websocketService';
+import { initializeWebSocket, sendMessage, closeWebSocket, connectToPeer, sendMessageToPeer, isConnectedToPeer, authenticate, setNodeCertificate, setLegacyCbcAllowed } from './services/websocketService';
 
 // Import discovery service
-import { onPeerDiscovered, getDiscoveredPeers } from './services/discoveryService';
+import { handleDiscoveryMessage, onPeerDiscovered, onPeerLost } from './services/discoveryService';
+
+// Import message history sync service
+import { requestHistory, advanceHistoryCursor, resetHistoryCursors, mergeHistory } from './services/historyService';
+
+// Reply quotes and message edits
+import { createReplyQuote, applyMessageRevision } from './services/messageService';
+
+// Import clipboard service
+import { setClipboardContent, shareClipboardWithPeer } from './services/clipboardService';
 
 // Import group services
 import { 
@@ -62,9 +71,11 @@ import {
 } from './services/bulletinService';
 import { 
   sendFileToGroup as sendFileToGroupService, 
-  handleGroupFileRequest, 
-  handleGroupFileChunk, 
-  handleGroupFileComplete,
+  handleGroupFileRequest as receiveGroupFileRequest, 
+  handleGroupFileChunk as receiveGroupFileChunk, 
+  handleGroupFileComplete as receiveGroupFileComplete,
+  handleGroupFileChunkAck,
+  startSendingGroupFile,
   getActiveGroupTransfers 
 } from './services/groupFileService';
 
@@ -83,6 +94,9 @@ import {
   toggleVideo
 } from './services/callService';
 
+// Shared WebSocket message contract
+import { MESSAGE_TYPES } from './shared/protocol';
+
 // Import file transfer history service
 import { 
   addFileTransferToHistory, 
@@ -104,6 +118,9 @@ function App() {
   const [groupMessages, setGroupMessages] = useState({});
   const [groupFileTransfers, setGroupFileTransfers] = useState([]);
   
+  // Search result whose message the chat view should scroll to and highlight
+  const [searchTarget, setSearchTarget] = useState(null);
+  
   // State for managing messages
   const [messages, setMessages] = useState({});
   
@@ -154,6 +171,7 @@ function App() {
   const [remoteStreams, setRemoteStreams] = useState([]);
   useEffect(() => {
     if (isAuthenticated) {
+      resetHistoryCursors();
       const msgKey = `offgrid_messages_${username}`;
       const grpKey = `offgrid_groupMessages_${username}`;
       try {
@@ -317,10 +335,11 @@ function App() {
     
     const handleMessage = (message) => {
       try {
-        const data = JSON.parse(message);
+        // Binary frames (file data) arrive already decoded
+        const data = typeof message === 'string' ? JSON.parse(message) : message;
         
         switch (data.type) {
-          case 'message_delivered':
+          case MESSAGE_TYPES.MESSAGE_DELIVERED:
             if (data.clientMessageId) {
               setMessages(prev => {
                 const peerId = data.to || (selectedPeer ? selectedPeer.id : null);
@@ -334,7 +353,7 @@ function App() {
             }
             break;
 
-          case 'message_queued':
+          case MESSAGE_TYPES.MESSAGE_QUEUED:
             if (data.clientMessageId) {
               setMessages(prev => {
                 const peerId = data.to || (selectedPeer ? selectedPeer.id : null);
@@ -348,7 +367,7 @@ function App() {
             }
             break;
 
-          case 'message_read':
+          case MESSAGE_TYPES.MESSAGE_READ:
             setMessages(prev => {
               const peerId = data.from || (selectedPeer ? selectedPeer.id : null);
               if (!peerId) return prev;
@@ -361,10 +380,35 @@ function App() {
               return { ...prev, [peerId]: updated };
             });
             break;
-          case 'self_peer':
+          case MESSAGE_TYPES.HISTORY_SYNC_RESULT:
+            advanceHistoryCursor(data);
+            setMessages(prev => {
+              const peerMessages = prev[data.peerId] || [];
+              const merged = mergeHistory(peerMessages, data);
+              return merged === peerMessages ? prev : { ...prev, [data.peerId]: merged };
+            });
+            break;
+
+          case MESSAGE_TYPES.SELF_PEER:
             setLocalPeerId(data.id);
             break;
-          case 'peer_list':
+
+          case MESSAGE_TYPES.AUTH_RESULT:
+            // Only signed-in connections get a certificate for our node
+            setNodeCertificate(data.success ? data.nodeCertificate : null);
+            setLegacyCbcAllowed(data.success && data.allowLegacyCbc === true);
+            if (data.success) {
+              setLocalPeerId(data.peerId);
+            } else {
+              // The stored token was rejected (expired or from another install)
+              logoutUser();
+              setUser(null);
+              setIsAuthenticated(false);
+              showNotification('Your session has expired, please log in again', 'warning');
+              authenticate();
+            }
+            break;
+          case MESSAGE_TYPES.PEER_LIST:
             // Update peers with authorized status
             setPeers(data.peers.map(peer => ({
               ...peer,
@@ -372,14 +416,14 @@ function App() {
             })));
             break;
             
-          case 'peer_joined':
+          case MESSAGE_TYPES.PEER_JOINED:
             setPeers(prevPeers => {
               // Check if peer already exists
               if (prevPeers.some(p => p.id === data.peer.id)) {
                 // Update existing peer if authorization status changed
                 return prevPeers.map(p => 
                   p.id === data.peer.id 
-                    ? { ...p, authorized: data.peer.authorized !== undefined ? data.peer.authorized : p.authorized } 
+                    ? { ...p, authorized: data.peer.authorized !== undefined ? data.peer.authorized : p.authorized, keyChanged: Boolean(data.peer.keyChanged) } 
                     : p
                 );
               }
@@ -391,7 +435,7 @@ function App() {
             showNotification(`${data.peer.hostname || data.peer.id} joined`, 'info');
             break;
             
-          case 'peer_left':
+          case MESSAGE_TYPES.PEER_LEFT:
             setPeers(prevPeers => prevPeers.filter(p => p.id !== data.peerId));
             if (selectedPeer && selectedPeer.id === data.peerId) {
               setSelectedPeer(null);
@@ -399,7 +443,13 @@ function App() {
             showNotification(`A peer has left the network`, 'info');
             break;
 
-          case 'presence_update':
+          case MESSAGE_TYPES.PEER_DISCOVERED:
+          case MESSAGE_TYPES.PEER_UPDATED:
+          case MESSAGE_TYPES.PEER_LOST:
+            handleDiscoveryMessage(data);
+            break;
+
+          case MESSAGE_TYPES.PRESENCE_UPDATE:
             setPeers(prevPeers => prevPeers.map(p => 
               p.id === data.peerId 
                 ? { ...p, status: data.status, lastSeen: data.timestamp } 
@@ -407,7 +457,7 @@ function App() {
             ));
             break;
 
-          case 'access_code_verification':
+          case MESSAGE_TYPES.ACCESS_CODE_VERIFICATION:
             if (data.success && pendingAuthPeerId) {
               setPeers(prevPeers => prevPeers.map(p => (
                 p.id === pendingAuthPeerId ? { ...p, authorized: true } : p
@@ -415,29 +465,36 @@ function App() {
               showNotification('Access code verified successfully', 'success');
               const authorizedPeer = peers.find(p => p.id === pendingAuthPeerId) || { id: pendingAuthPeerId };
               setSelectedPeer(authorizedPeer);
+            } else if (data.keyChanged) {
+              setPeers(prevPeers => prevPeers.map(p => (
+                p.id === data.peerId ? { ...p, authorized: false, keyChanged: true } : p
+              )));
+              showNotification(data.message, 'error');
             } else {
               showNotification(data.message || 'Invalid access code', 'warning');
             }
             setPendingAuthPeerId(null);
             break;
             
-          case 'peer_auth_status':
+          case MESSAGE_TYPES.PEER_AUTH_STATUS:
             // Update peer authorization status
             setPeers(prevPeers => prevPeers.map(p => 
               p.id === data.peerId 
-                ? { ...p, authorized: data.authorized } 
+                ? { ...p, authorized: data.authorized, keyChanged: Boolean(data.keyChanged) } 
                 : p
             ));
             
             // Show notification
-            if (data.authorized) {
+            if (data.keyChanged) {
+              showNotification(`The identity key of ${data.hostname || 'a peer'} has changed`, 'error');
+            } else if (data.authorized) {
               showNotification(`${data.hostname || 'A peer'} is now authorized`, 'success');
             } else {
               showNotification(`${data.hostname || 'A peer'} is unauthorized`, 'warning');
             }
             break;
 
-          case 'group_added':
+          case MESSAGE_TYPES.GROUP_ADDED:
             if (data.group && data.group.members && localPeerId && data.group.members.includes(localPeerId)) {
               setGroups(prev => {
                 const exists = prev.some(g => g.id === data.group.id);
@@ -447,13 +504,13 @@ function App() {
             }
             break;
 
-          case 'group_updated':
+          case MESSAGE_TYPES.GROUP_UPDATED:
             if (data.group) {
               setGroups(prev => prev.map(g => g.id === data.group.id ? data.group : g));
             }
             break;
 
-          case 'group_removed':
+          case MESSAGE_TYPES.GROUP_REMOVED:
             if (data.groupId) {
               setGroups(prev => prev.filter(g => g.id !== data.groupId));
               if (selectedGroup && selectedGroup.id === data.groupId) setSelectedGroup(null);
@@ -461,7 +518,7 @@ function App() {
             }
             break;
 
-          case 'group_deleted':
+          case MESSAGE_TYPES.GROUP_DELETED:
             if (data.groupId) {
               setGroups(prev => prev.filter(g => g.id !== data.groupId));
               if (selectedGroup && selectedGroup.id === data.groupId) setSelectedGroup(null);
@@ -469,76 +526,114 @@ function App() {
             }
             break;
             
-          case 'chat':
+          case MESSAGE_TYPES.CHAT:
             handleChatMessage(data);
             break;
             
-          case 'file_request':
+          case MESSAGE_TYPES.CHAT_EDIT:
+          case MESSAGE_TYPES.CHAT_DELETE:
+            handleChatRevision(data);
+            break;
+            
+          case MESSAGE_TYPES.FILE_REQUEST:
             handleFileRequest(data);
             break;
             
-          case 'file_chunk':
+          case MESSAGE_TYPES.FILE_CHUNK:
             handleFileChunk(data);
             break;
             
-          case 'file_transfer_complete':
+          case MESSAGE_TYPES.FILE_TRANSFER_COMPLETE:
             handleFileTransferComplete(data);
             break;
             
-          case 'clipboard':
+          case MESSAGE_TYPES.CLIPBOARD:
             handleClipboardMessage(data);
             break;
             
-          case 'group_chat':
+          case MESSAGE_TYPES.GROUP_CHAT:
             handleGroupChatMessage(data);
             break;
             
-          case 'group_file_request':
+          case MESSAGE_TYPES.GROUP_FILE_REQUEST:
             handleGroupFileRequest(data);
             break;
             
-          case 'group_file_chunk':
+          case MESSAGE_TYPES.GROUP_FILE_CHUNK:
             handleGroupFileChunk(data);
             break;
             
-          case 'group_file_complete':
+          case MESSAGE_TYPES.GROUP_FILE_COMPLETE:
             handleGroupFileComplete(data);
             break;
             
-          case 'GENERAL_ANNOUNCEMENT':
+          case MESSAGE_TYPES.FILE_CHUNK_ACK:
+            // Acks for group chunks drive the group file sender's window
+            if (data.groupId) {
+              handleGroupFileChunkAck(data, sendMessage);
+            }
+            break;
+            
+          case MESSAGE_TYPES.GENERAL_ANNOUNCEMENT:
             handleGeneralAnnouncement(data);
             break;
             
-          case 'GROUP_ANNOUNCEMENT':
+          case MESSAGE_TYPES.GROUP_ANNOUNCEMENT:
             handleGroupAnnouncement(data);
             break;
             
-          // Call-related message types
-          case 'call_request':
+          // Call-related message types also drive the call service's state
+          case MESSAGE_TYPES.CALL_INCOMING:
             handleIncomingCallRequest(data);
             break;
             
-          case 'call_accepted':
+          case MESSAGE_TYPES.GROUP_CALL_INCOMING:
+            handleIncomingCallRequest({ ...data, isGroupCall: true });
+            break;
+            
+          case MESSAGE_TYPES.CALL_ACCEPTED:
             handleCallAcceptedMessage(data);
+            handleCallMessage(data);
             break;
             
-          case 'call_rejected':
+          case MESSAGE_TYPES.CALL_REJECTED:
             handleCallRejectedMessage(data);
+            handleCallMessage(data);
             break;
             
-          case 'call_ended':
+          case MESSAGE_TYPES.CALL_ENDED:
+          case MESSAGE_TYPES.GROUP_CALL_ENDED:
             handleCallEndedMessage(data);
+            handleCallMessage(data);
+            break;
+            
+          case MESSAGE_TYPES.CALL_FAILED:
+            setActiveCall(null);
+            showNotification(`Call failed: ${data.reason}`, 'warning');
+            handleCallMessage(data);
             break;
             
-          case 'ice_candidate':
+          case MESSAGE_TYPES.ICE_CANDIDATE:
+          case MESSAGE_TYPES.GROUP_ICE_CANDIDATE:
             handleIceCandidateMessage(data);
             break;
             
-          case 'sdp_offer':
-          case 'sdp_answer':
+          case MESSAGE_TYPES.SDP:
+          case MESSAGE_TYPES.GROUP_SDP:
             handleSdpMessage(data);
             break;
             
+          case MESSAGE_TYPES.GROUP_CALL_PARTICIPANT_JOINED:
+          case MESSAGE_TYPES.GROUP_CALL_PARTICIPANT_LEFT:
+            handleCallMessage(data);
+            break;
+            
+          case MESSAGE_TYPES.ERROR:
+            // Structured rejection of something we sent
+            console.error(`Backend rejected ${data.rejectedType || 'a message'} (${data.code}): ${data.message}`, data.errors || []);
+            showNotification(data.message, 'error');
+            break;
+            
           default:
             console.log('Unknown message type:', data.type);
         }
@@ -582,23 +677,28 @@ function App() {
       }
     });
     
+    const unsubscribeLost = onPeerLost((peer) => {
+      showNotification(`${peer.displayName || peer.hostname || peer.id} is no longer on the network`, 'info');
+    });
+    
     // Clean up WebSocket connection and discovery on unmount
     return () => {
       closeWebSocket();
       unsubscribeDiscovery();
+      unsubscribeLost();
     };
   }, [selectedPeer]);
   
   // Handle chat messages
   const handleChatMessage = (data) => {
-    const { from, content, timestamp, messageId, clientMessageId } = data;
+    const { from, content, timestamp, messageId, clientMessageId, replyTo } = data;
     const peerId = from;
     
     setMessages(prevMessages => {
       const peerMessages = prevMessages[peerId] || [];
       return {
         ...prevMessages,
-        [peerId]: [...peerMessages, { type: 'chat', senderId: peerId, receiverId: 'me', content, timestamp, messageId, clientMessageId, status: 'received' }]
+        [peerId]: [...peerMessages, { type: 'chat', senderId: peerId, receiverId: 'me', content, timestamp, messageId, clientMessageId, replyTo: replyTo || null, status: 'received' }]
       };
     });
     
@@ -616,7 +716,7 @@ function App() {
     } else {
       // Send read receipt when viewing the conversation
       sendMessage({
-        type: 'message_read',
+        type: MESSAGE_TYPES.MESSAGE_READ,
         to: peerId,
         messageId: messageId || null,
         clientMessageId: clientMessageId || null
@@ -624,6 +724,34 @@ function App() {
     }
   };
   
+  // Handle edits and deletes of direct and group messages
+  const handleChatRevision = (data) => {
+    const revision = {
+      deleted: data.type === MESSAGE_TYPES.CHAT_DELETE,
+      content: data.content,
+      editedAt: data.editedAt || data.timestamp
+    };
+    
+    if (data.groupId) {
+      setGroupMessages(prevMessages => ({
+        ...prevMessages,
+        [data.groupId]: applyMessageRevision(prevMessages[data.groupId] || [], m => (
+          (data.messageId && m.id === data.messageId) ||
+          (data.clientMessageId && m.clientMessageId === data.clientMessageId && m.senderId === 'me')
+        ), revision)
+      }));
+      return;
+    }
+    
+    // Only the sender can change a direct message, so match on who sent it
+    setMessages(prevMessages => ({
+      ...prevMessages,
+      [data.from]: applyMessageRevision(prevMessages[data.from] || [], m => (
+        m.senderId === data.from && m.clientMessageId === data.clientMessageId
+      ), revision)
+    }));
+  };
+  
   // Handle file transfer requests
   const handleFileRequest = (data) => {
     const { transferId, fileName, fileSize, senderPeerId } = data;
@@ -702,7 +830,7 @@ function App() {
     const { from, content } = data;
     
     // Copy to clipboard
-    window.electron.setClipboardContent(content);
+    setClipboardContent(content);
     
     // Show notification
     const peer = peers.find(p => p.id === from);
@@ -712,13 +840,24 @@ function App() {
   
   // Handle group chat messages
   const handleGroupChatMessage = (data) => {
-    const { groupId, senderId, content, timestamp } = data;
+    const { id, groupId, senderId, content, timestamp, clientMessageId, replyTo } = data;
     
     setGroupMessages(prevMessages => {
       const groupMessages = prevMessages[groupId] || [];
+      
+      // Our own message coming back from the backend: note the ID it was stored under
+      if (clientMessageId && groupMessages.some(m => m.senderId === 'me' && m.clientMessageId === clientMessageId)) {
+        return {
+          ...prevMessages,
+          [groupId]: groupMessages.map(m => (
+            m.senderId === 'me' && m.clientMessageId === clientMessageId ? { ...m, id } : m
+          ))
+        };
+      }
+      
       return {
         ...prevMessages,
-        [groupId]: [...groupMessages, { type: 'group_chat', groupId, senderId, content, timestamp }]
+        [groupId]: [...groupMessages, { type: 'group_chat', id, groupId, senderId, content, timestamp, clientMessageId, replyTo: replyTo || null }]
       };
     });
     
@@ -871,79 +1010,62 @@ function App() {
     // Add to history
     addFileTransferToHistory(transfer);
     
+    // Start streaming the file to disk
+    receiveGroupFileRequest(data);
+    
     // Show notification
     showNotification(`File shared in ${groupName}: ${fileName}`, 'info');
   };
   
+  // Update a group file transfer in state and history
+  const updateGroupFileTransfer = (transferId, updates) => {
+    setGroupFileTransfers(prev => prev.map(transfer => (
+      transfer.id === transferId ? { ...transfer, ...updates } : transfer
+    )));
+    updateFileTransferInHistory(transferId, updates);
+  };
+  
+  // Handle a received group file being saved to disk (or failing)
+  const handleGroupFileSaved = ({ transferId, groupId, fileName, status, progress, filePath, error }) => {
+    updateGroupFileTransfer(transferId, { status, progress, filePath });
+    
+    const group = groups.find(g => g.id === groupId);
+    const groupName = group ? group.name : groupId;
+    if (status === 'completed') {
+      showNotification(`${fileName} from ${groupName} saved to ${filePath}`, 'success');
+    } else {
+      showNotification(`Failed to receive ${fileName} from ${groupName}: ${error}`, 'error');
+    }
+  };
+  
   // Handle group file chunks
   const handleGroupFileChunk = (data) => {
-    const { groupId, transferId, chunkIndex, totalChunks } = data;
-    
-    // Update group file transfer progress
-    setGroupFileTransfers(prev => {
-      return prev.map(transfer => {
-        if (transfer.id === transferId) {
-          const progress = Math.floor((chunkIndex / totalChunks) * 100);
-          const updatedTransfer = { ...transfer, progress };
-          
-          // Update history
-          updateFileTransferInHistory(transferId, { progress });
-          
-          return updatedTransfer;
-        }
-        return transfer;
-      });
-    });
+    receiveGroupFileChunk(data, ({ transferId, progress, bytesPerSecond, etaSeconds }) => {
+      updateGroupFileTransfer(transferId, { progress, bytesPerSecond, etaSeconds });
+    }, handleGroupFileSaved);
   };
   
   // Handle group file transfer completion
   const handleGroupFileComplete = (data) => {
-    const { groupId, transferId } = data;
-    
-    // Update group file transfer status
-    setGroupFileTransfers(prev => {
-      return prev.map(transfer => {
-        if (transfer.id === transferId) {
-          const updatedTransfer = { ...transfer, progress: 100, status: 'completed' };
-          
-          // Update history
-          updateFileTransferInHistory(transferId, { progress: 100, status: 'completed' });
-          
-          return updatedTransfer;
-        }
-        return transfer;
-      });
-    });
-    
-    // Show notification
-    const group = groups.find(g => g.id === groupId);
-    const groupName = group ? group.name : groupId;
-    showNotification(`File transfer completed in ${groupName}`, 'success');
+    receiveGroupFileComplete(data, handleGroupFileSaved);
   };
   
   // Send a chat message
-  const sendChatMessage = async (content) => {
+  const sendChatMessage = async (content, replyToMessage = null) => {
     if (!selectedPeer) return;
+    setSearchTarget(null); // Back to the newest messages
     
     const clientMessageId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
+    const replyTo = replyToMessage ? createReplyQuote(replyToMessage) : null;
     const baseMessage = {
-      type: 'chat',
+      type: MESSAGE_TYPES.CHAT,
       content,
       timestamp: Date.now(),
-      clientMessageId
+      clientMessageId,
+      replyTo
     };
     
-    // Try to send via peer-to-peer connection first
-    let messageSent = false;
-    if (isConnectedToPeer(selectedPeer.id)) {
-      // Omit 'to' for direct peer server to broadcast to its clients
-      messageSent = await sendMessageToPeer(selectedPeer.id, baseMessage);
-    }
-    
-    // Fallback to server relay if peer-to-peer fails
-    if (!messageSent) {
-      await sendMessage({ ...baseMessage, to: selectedPeer.id });
-    }
+    await sendToSelectedPeer(baseMessage);
     
     // Add message to local state
     setMessages(prevMessages => {
@@ -952,12 +1074,43 @@ function App() {
         ...prevMessages,
         [selectedPeer.id]: [
           ...peerMessages,
-          { type: 'chat', senderId: 'me', receiverId: selectedPeer.id, content, timestamp: Date.now(), clientMessageId, status: 'sent' }
+          { type: 'chat', senderId: 'me', receiverId: selectedPeer.id, content, timestamp: Date.now(), clientMessageId, replyTo, status: 'sent' }
         ]
       };
     });
   };
   
+  // Send a direct message to the selected peer, preferring the peer-to-peer connection
+  const sendToSelectedPeer = async (message) => {
+    let messageSent = false;
+    if (isConnectedToPeer(selectedPeer.id)) {
+      // Omit 'to' for direct peer server to broadcast to its clients
+      messageSent = await sendMessageToPeer(selectedPeer.id, message);
+    }
+    
+    // Fallback to server relay if peer-to-peer fails
+    if (!messageSent) {
+      await sendMessage({ ...message, to: selectedPeer.id });
+    }
+  };
+  
+  // Edit or delete (content === null) one of our chat messages for both sides
+  const reviseChatMessage = async (message, content) => {
+    if (!selectedPeer || !message.clientMessageId) return;
+    
+    const deleted = content === null;
+    await sendToSelectedPeer(deleted
+      ? { type: MESSAGE_TYPES.CHAT_DELETE, clientMessageId: message.clientMessageId }
+      : { type: MESSAGE_TYPES.CHAT_EDIT, clientMessageId: message.clientMessageId, content });
+    
+    setMessages(prevMessages => ({
+      ...prevMessages,
+      [selectedPeer.id]: applyMessageRevision(prevMessages[selectedPeer.id] || [], m => (
+        m.senderId === 'me' && m.clientMessageId === message.clientMessageId
+      ), { deleted, content })
+    }));
+  };
+  
   // Send a file
   const sendFile = (filePath) => {
     if (!selectedPeer) return;
@@ -968,15 +1121,20 @@ function App() {
   };
   
   // Send a group chat message
-  const sendGroupChatMessage = (content) => {
+  const sendGroupChatMessage = (content, replyToMessage = null) => {
     if (!selectedGroup) return;
+    setSearchTarget(null); // Back to the newest messages
     
+    const clientMessageId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
+    const replyTo = replyToMessage ? createReplyQuote(replyToMessage) : null;
     const messageData = {
-      type: 'group_chat',
+      type: MESSAGE_TYPES.GROUP_CHAT,
       groupId: selectedGroup.id,
       senderId: 'me',
       content,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      clientMessageId,
+      replyTo
     };
     
     // Send via WebSocket
@@ -989,12 +1147,27 @@ function App() {
         ...prevMessages,
         [selectedGroup.id]: [
           ...groupMessages,
-          { type: 'group_chat', groupId: selectedGroup.id, senderId: 'me', content, timestamp: Date.now() }
+          { type: 'group_chat', groupId: selectedGroup.id, senderId: 'me', content, timestamp: Date.now(), clientMessageId, replyTo }
         ]
       };
     });
   };
   
+  // Edit or delete (content === null) a group message; the backend checks who may and tells every member
+  const reviseGroupChatMessage = (message, content) => {
+    if (!selectedGroup) return;
+    
+    const deleted = content === null;
+    const ref = {
+      groupId: selectedGroup.id,
+      messageId: message.id || null,
+      clientMessageId: message.senderId === 'me' ? (message.clientMessageId || null) : null
+    };
+    sendMessage(deleted
+      ? { type: MESSAGE_TYPES.CHAT_DELETE, ...ref }
+      : { type: MESSAGE_TYPES.CHAT_EDIT, ...ref, content });
+  };
+  
   // Send a file to group
   const sendFileToGroup = async (file) => {
     if (!selectedGroup) return;
@@ -1017,8 +1190,16 @@ function App() {
         groupName: selectedGroup.name
       };
       
+      setGroupFileTransfers(prev => [...prev, transfer]);
       addFileTransferToHistory(transfer);
       
+      // Stream the chunks, tracking progress, throughput and ETA
+      startSendingGroupFile(transferId, sendMessage, ({ progress, bytesPerSecond, etaSeconds, status }) => {
+        const updates = { progress, bytesPerSecond, etaSeconds, status };
+        setGroupFileTransfers(prev => prev.map(t => (t.id === transferId ? { ...t, ...updates } : t)));
+        updateFileTransferInHistory(transferId, updates);
+      });
+      
       showNotification(`Sending file to group ${selectedGroup.name}`, 'info');
     } catch (error) {
       console.error('Error sending file to group:', error);
@@ -1027,25 +1208,14 @@ function App() {
   };
   
   // Share clipboard content
-  const shareClipboard = () => {
+  const shareClipboard = async () => {
     if (!selectedPeer) return;
     
-    // Get clipboard content
-    window.electron.getClipboardContent();
-    
-    // Listen for clipboard content
-    window.electron.on('clipboard-content', (content) => {
-      const messageData = {
-        type: 'clipboard',
-        to: selectedPeer.id,
-        content
-      };
-      
-      // Send clipboard content via WebSocket
-      sendMessage(messageData);
-      
+    if (await shareClipboardWithPeer(selectedPeer.id)) {
       showNotification(`Clipboard content shared with ${selectedPeer.hostname || selectedPeer.id}`, 'success');
-    });
+    } else {
+      showNotification('Nothing to share: the clipboard is empty or could not be read', 'warning');
+    }
   };
   
   // Toggle theme mode
@@ -1063,6 +1233,14 @@ function App() {
     showNotification(`Username changed to ${newUsername}`, 'success');
   };
   
+  // Catch up on the selected conversation's history from the backends
+  const selectedPeerId = selectedPeer ? selectedPeer.id : null;
+  useEffect(() => {
+    if (connected && isAuthenticated && selectedPeerId) {
+      requestHistory(selectedPeerId);
+    }
+  }, [connected, isAuthenticated, selectedPeerId]);
+  
   // Load user groups when user changes
   useEffect(() => {
     if (user && user.id) {
@@ -1075,7 +1253,7 @@ function App() {
     if (!user || !user.id) return;
     
     try {
-      const userGroups = await getUserGroups(user.id);
+      const userGroups = await getUserGroups();
       setGroups(userGroups);
     } catch (error) {
       console.error('Error loading user groups:', error);
@@ -1086,6 +1264,40 @@ function App() {
   const handleGroupSelect = (group) => {
     setSelectedGroup(group);
     setSelectedPeer(null); // Clear peer selection when selecting group
+    setSearchTarget(null);
+  };
+  
+  // Handle peer selection from the sidebar
+  const handleSidebarPeerSelect = (peer) => {
+    setSelectedPeer(peer);
+    setSearchTarget(null);
+  };
+  
+  // Open the conversation a search result comes from and jump to the message
+  const handleSearchResultSelect = (result) => {
+    if (result.type === 'announcement') {
+      setBulletinBoardOpen(true);
+      return;
+    }
+    
+    if (result.type === 'group') {
+      const group = groups.find(g => g.id === result.groupId);
+      if (!group) {
+        showNotification('That group is no longer available', 'warning');
+        return;
+      }
+      setSelectedGroup(group);
+      setSelectedPeer(null);
+    } else {
+      const peer = peers.find(p => p.id === result.peerId);
+      if (!peer) {
+        showNotification('That peer is not online right now', 'warning');
+        return;
+      }
+      setSelectedPeer(peer);
+      setSelectedGroup(null);
+    }
+    setSearchTarget(result);
   };
   
   // Handle group management dialog
@@ -1195,6 +1407,7 @@ function App() {
     open: false,
     peerId: null,
     peerName: '',
+    keyChanged: false,
     accessCode: '',
     error: ''
   });
@@ -1204,6 +1417,7 @@ function App() {
     setUser(userData);
     setIsAuthenticated(true);
     setUsername(userData.username);
+    authenticate(); // Bind the backend connection to the new session
     showNotification(`Welcome, ${userData.username}!`, 'success');
   };
   
@@ -1215,6 +1429,7 @@ function App() {
         open: true,
         peerId: peer.id,
         peerName: peer.hostname || 'Unknown peer',
+        keyChanged: Boolean(peer.keyChanged),
         accessCode: '',
         error: ''
       });
@@ -1235,9 +1450,11 @@ function App() {
     
     // Send access code verification message
     sendMessage({
-      type: 'verify_access_code',
+      type: MESSAGE_TYPES.VERIFY_ACCESS_CODE,
       peerId: accessCodeDialog.peerId,
-      accessCode: accessCodeDialog.accessCode
+      accessCode: accessCodeDialog.accessCode,
+      // Opening the dialog for a peer whose key changed shows the warning; verifying accepts the new key
+      acceptNewKey: accessCodeDialog.keyChanged
     });
     
     // Close dialog and reset
@@ -1245,6 +1462,7 @@ function App() {
       open: false,
       peerId: null,
       peerName: '',
+      keyChanged: false,
       accessCode: '',
       error: ''
     });
@@ -1260,12 +1478,22 @@ function App() {
   // Handle logout
   const handleLogout = () => {
     logoutUser();
+    authenticate();
     setUser(null);
     setIsAuthenticated(false);
     setUsername('User');
     showNotification('You have been logged out', 'info');
   };
   
+  // Handle account deletion (the backend has already revoked its sessions)
+  const handleAccountDeleted = () => {
+    setUser(null);
+    setIsAuthenticated(false);
+    setUsername('User');
+    authenticate();
+    showNotification('Your account has been deleted', 'info');
+  };
+  
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
@@ -1279,9 +1507,13 @@ function App() {
             connected={connected} 
             shareClipboard={shareClipboard}
             selectedPeer={selectedPeer}
+            selectedGroup={selectedGroup}
+            peers={peers}
+            groups={groups}
             onOpenSettings={() => setSettingsOpen(true)}
             onOpenFileHistory={handleOpenFileHistory}
             onOpenBulletinBoard={() => setBulletinBoardOpen(true)}
+            onSearchResultSelect={handleSearchResultSelect}
             user={user}
             onLogout={handleLogout}
             onVoiceCall={() => selectedPeer && startCall(selectedPeer.id)}
@@ -1292,7 +1524,7 @@ function App() {
             <Sidebar 
               peers={peers} 
               selectedPeer={selectedPeer} 
-              onSelectPeer={setSelectedPeer}
+              onSelectPeer={handleSidebarPeerSelect}
               fileTransfers={fileTransfers}
               groups={groups}
               selectedGroup={selectedGroup}
@@ -1307,6 +1539,8 @@ function App() {
                 messages={selectedGroup ? (groupMessages[selectedGroup.id] || []) : []}
                 selectedGroup={selectedGroup}
                 onSendMessage={sendGroupChatMessage}
+                onEditMessage={(message, content) => reviseGroupChatMessage(message, content)}
+                onDeleteMessage={(message) => reviseGroupChatMessage(message, null)}
                 onSendFile={sendFileToGroup}
                 connected={connected}
                 username={username}
@@ -1314,15 +1548,20 @@ function App() {
                   const peer = peers.find(p => p.id === memberId);
                   return peer || { id: memberId, name: memberId };
                 }) : []}
+                canModerate={Boolean(localPeerId) && (selectedGroup.owner === localPeerId || (selectedGroup.admins || []).includes(localPeerId))}
+                searchTarget={searchTarget && searchTarget.groupId === selectedGroup.id ? searchTarget : null}
               />
             ) : (
               <ChatArea 
                 messages={selectedPeer ? (messages[selectedPeer.id] || []) : []}
                 selectedPeer={selectedPeer}
                 onSendMessage={sendChatMessage}
+                onEditMessage={(message, content) => reviseChatMessage(message, content)}
+                onDeleteMessage={(message) => reviseChatMessage(message, null)}
                 onSendFile={sendFile}
                 connected={connected}
                 username={username}
+                searchTarget={searchTarget && selectedPeer && searchTarget.peerId === selectedPeer.id ? searchTarget : null}
               />
             )}
           </Box>
@@ -1356,7 +1595,7 @@ function App() {
           {/* Access Code Verification Dialog */}
           <Dialog open={accessCodeDialog.open} onClose={() => setAccessCodeDialog(prev => ({ ...prev, open: false }))}>
             <DialogTitle>
-              Unauthorized Peer
+              {accessCodeDialog.keyChanged ? 'Identity Key Changed' : 'Unauthorized Peer'}
               <IconButton
                 aria-label="close"
                 onClick={() => setAccessCodeDialog(prev => ({ ...prev, open: false }))}
@@ -1371,11 +1610,20 @@ function App() {
             </DialogTitle>
             <DialogContent>
               <Box sx={{ p: 2 }}>
-                <Typography variant="body1" gutterBottom>
-                  {accessCodeDialog.peerName} is not authorized to communicate with you.
-                </Typography>
+                {accessCodeDialog.keyChanged ? (
+                  <Typography variant="body1" color="error" gutterBottom>
+                    {accessCodeDialog.peerName} is using a different identity key than the one you approved.
+                    This can mean the other computer was reinstalled, or that someone else is using its address.
+                  </Typography>
+                ) : (
+                  <Typography variant="body1" gutterBottom>
+                    {accessCodeDialog.peerName} is not authorized to communicate with you.
+                  </Typography>
+                )}
                 <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                  To authorize this peer, enter your access code below:
+                  {accessCodeDialog.keyChanged
+                    ? 'Only if you are sure, enter your access code below to trust the new key:'
+                    : 'To authorize this peer, enter your access code below:'}
                 </Typography>
                 <TextField
                   autoFocus
@@ -1441,6 +1689,7 @@ function App() {
             darkMode={darkMode}
             onThemeToggle={handleThemeToggle}
             user={user}
+            onAccountDeleted={handleAccountDeleted}
           />
           
           {/* Group manager dialog */}
@@ -2,7 +2,9 @@
  * ChatArea.js - Component for displaying chat messages and input area
  * 
  * This component handles the display of chat messages between peers and
- * provides an input area for sending new messages and files.
+ * provides an input area for sending new messages and files. Messages can be
+ * answered with a quoted reply, and our own messages edited or deleted for
+ * both sides.
  */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -16,30 +18,51 @@ import Divider from '@mui/material/Divider';
 import SendIcon from '@mui/icons-material/Send';
 import AttachFileIcon from '@mui/icons-material/AttachFile';
 import { styled } from '@mui/material/styles';
+import { findSearchTarget } from '../services/searchService';
+import { ReplyQuote, MessageActions, ComposerBanner } from './MessageControls';
 
 // Styled component for message bubbles
-const MessageBubble = styled(Paper)(({ theme, ismine }) => ({
+const MessageBubble = styled(Paper)(({ theme, ismine, highlighted }) => ({
   padding: theme.spacing(1, 2),
   marginBottom: theme.spacing(1),
   maxWidth: '70%',
   wordBreak: 'break-word',
   backgroundColor: ismine === 'true' ? theme.palette.primary.light : theme.palette.grey[100],
   color: ismine === 'true' ? theme.palette.primary.contrastText : theme.palette.text.primary,
+  outline: highlighted === 'true' ? `2px solid ${theme.palette.warning.main}` : 'none',
   alignSelf: ismine === 'true' ? 'flex-end' : 'flex-start',
   borderRadius: ismine === 'true' 
     ? theme.spacing(2, 2, 0, 2)
     : theme.spacing(2, 2, 2, 0),
 }));
 
-function ChatArea({ messages, selectedPeer, onSendMessage, onSendFile }) {
+function ChatArea({ messages, selectedPeer, onSendMessage, onEditMessage, onDeleteMessage, onSendFile, searchTarget = null }) {
   const [messageText, setMessageText] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
   const messagesEndRef = useRef(null);
+  const highlightedRef = useRef(null);
   const fileInputRef = useRef(null);
   
-  // Scroll to bottom when messages change
+  const conversation = selectedPeer
+    ? messages.filter(msg => msg.senderId === selectedPeer.id || msg.receiverId === selectedPeer.id)
+    : [];
+  const highlightedIndex = findSearchTarget(conversation, searchTarget);
+  
+  // Scroll to the message picked in search, otherwise to the bottom, when messages change
+  useEffect(() => {
+    if (highlightedRef.current) {
+      highlightedRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      scrollToBottom();
+    }
+  }, [messages, highlightedIndex]);
+  
+  // A reply or edit in progress belongs to the conversation it was started in
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    setReplyingTo(null);
+    setEditingMessage(null);
+  }, [selectedPeer]);
   
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -48,11 +71,36 @@ function ChatArea({ messages, selectedPeer, onSendMessage, onSendFile }) {
   const handleSendMessage = (e) => {
     e.preventDefault();
     if (messageText.trim() && selectedPeer) {
-      onSendMessage(messageText);
-      setMessageText('');
+      if (editingMessage) {
+        if (messageText !== editingMessage.content) {
+          onEditMessage(editingMessage, messageText);
+        }
+      } else {
+        onSendMessage(messageText, replyingTo);
+      }
+      handleCancelCompose();
     }
   };
   
+  const handleReply = (message) => {
+    setEditingMessage(null);
+    setReplyingTo(message);
+  };
+  
+  const handleEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setMessageText(message.content);
+  };
+  
+  const handleCancelCompose = () => {
+    setReplyingTo(null);
+    setEditingMessage(null);
+    setMessageText('');
+  };
+  
+  const getSenderName = () => (selectedPeer ? (selectedPeer.hostname || selectedPeer.id) : '');
+  
   const handleFileSelect = () => {
     fileInputRef.current.click();
   };
@@ -88,18 +136,36 @@ function ChatArea({ messages, selectedPeer, onSendMessage, onSendFile }) {
         {selectedPeer ? (
           // Show messages when a peer is selected
           <>
-            {messages.filter(msg => 
-              msg.senderId === selectedPeer.id || msg.receiverId === selectedPeer.id
-            ).map((message, index) => (
+            {conversation.map((message, index) => (
               <MessageBubble 
                 key={index} 
+                ref={index === highlightedIndex ? highlightedRef : null}
                 ismine={message.senderId === 'me' ? 'true' : 'false'}
+                highlighted={index === highlightedIndex ? 'true' : 'false'}
                 elevation={1}
+                sx={{ '&:hover .message-actions': { visibility: 'visible' } }}
               >
-                <Typography variant="body1">{message.content}</Typography>
+                {message.replyTo && !message.deleted && (
+                  <ReplyQuote replyTo={message.replyTo} messages={conversation} getSenderName={getSenderName} />
+                )}
+                {message.deleted ? (
+                  <Typography variant="body1" sx={{ fontStyle: 'italic', opacity: 0.7 }}>This message was deleted</Typography>
+                ) : (
+                  <Typography variant="body1">{message.content}</Typography>
+                )}
                 <Typography variant="caption" sx={{ display: 'block', textAlign: 'right', mt: 0.5 }}>
-                  {new Date(message.timestamp).toLocaleTimeString()} {message.senderId === 'me' && message.status ? ` • ${message.status}` : ''}
+                  {new Date(message.timestamp).toLocaleTimeString()}
+                  {message.editedAt && !message.deleted ? ' • edited' : ''}
+                  {message.senderId === 'me' && message.status ? ` • ${message.status}` : ''}
                 </Typography>
+                {!message.deleted && (
+                  <MessageActions
+                    message={message}
+                    onReply={handleReply}
+                    onEdit={message.clientMessageId ? handleEdit : null}
+                    onDelete={message.clientMessageId ? onDeleteMessage : null}
+                  />
+                )}
               </MessageBubble>
             ))}
           </>
@@ -133,6 +199,7 @@ function ChatArea({ messages, selectedPeer, onSendMessage, onSendFile }) {
         bgcolor: 'background.paper'
       }}>
         <form onSubmit={handleSendMessage} style={{ width: '100%' }}>
+          <ComposerBanner replyingTo={replyingTo} editingMessage={editingMessage} onCancel={handleCancelCompose} />
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
             <TextField
               fullWidth
@@ -2,7 +2,7 @@
  * FileTransferItem.js - Component for displaying file transfer progress
  * 
  * This component shows the progress of a file transfer, including file name,
- * size, progress bar, and status. It also provides buttons to cancel or
+ * size, progress bar, throughput, estimated time remaining and status. It also provides buttons to cancel or
  * retry the transfer if needed.
  */
 
@@ -20,7 +20,12 @@ import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import ErrorIcon from '@mui/icons-material/Error';
 import FolderOpenIcon from '@mui/icons-material/FolderOpen';
 
+// Statuses of a transfer that is still moving data
+const ACTIVE_STATUSES = ['in_progress', 'sending', 'receiving'];
+
 function FileTransferItem({ transfer, onCancel, onRetry, onOpen }) {
+  const isActive = ACTIVE_STATUSES.includes(transfer.status);
+
   // Helper function to get status icon
   const getStatusIcon = () => {
     switch (transfer.status) {
@@ -46,6 +51,13 @@ function FileTransferItem({ transfer, onCancel, onRetry, onOpen }) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  // Helper function to format the estimated time remaining
+  const formatEta = (seconds) => {
+    if (seconds < 60) return `${seconds}s left`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m left`;
+  };
+
   return (
     <Paper 
       elevation={1} 
@@ -79,21 +91,27 @@ function FileTransferItem({ transfer, onCancel, onRetry, onOpen }) {
       </Typography>
       
       {/* Progress bar for in-progress transfers */}
-      {transfer.status === 'in_progress' && (
+      {isActive && (
         <Box sx={{ width: '100%', mb: 1 }}>
           <LinearProgress 
             variant="determinate" 
             value={transfer.progress} 
           />
-          <Typography variant="caption" sx={{ display: 'block', textAlign: 'right', mt: 0.5 }}>
-            {Math.round(transfer.progress)}%
-          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+            <Typography variant="caption" color="text.secondary">
+              {transfer.bytesPerSecond > 0 && `${formatFileSize(transfer.bytesPerSecond)}/s`}
+              {transfer.bytesPerSecond > 0 && transfer.etaSeconds != null && ` - ${formatEta(transfer.etaSeconds)}`}
+            </Typography>
+            <Typography variant="caption">
+              {Math.round(transfer.progress)}%
+            </Typography>
+          </Box>
         </Box>
       )}
       
       {/* Action buttons */}
       <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
-        {transfer.status === 'in_progress' && (
+        {isActive && (
           <Tooltip title="Cancel Transfer">
             <IconButton size="small" onClick={() => onCancel(transfer.id)} color="error">
               <CancelIcon />
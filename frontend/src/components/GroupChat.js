@@ -2,7 +2,9 @@
  * GroupChat.js - Component for displaying group chat messages and input area
  * 
  * This component handles the display of group chat messages and provides
- * an input area for sending new messages and files to the group.
+ * an input area for sending new messages and files to the group. Messages can
+ * be answered with a quoted reply; senders can edit or delete their own
+ * messages, and the group's owner and admins can delete any message.
  */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -19,15 +21,18 @@ import SendIcon from '@mui/icons-material/Send';
 import AttachFileIcon from '@mui/icons-material/AttachFile';
 import GroupIcon from '@mui/icons-material/Group';
 import { styled } from '@mui/material/styles';
+import { findSearchTarget } from '../services/searchService';
+import { ReplyQuote, MessageActions, ComposerBanner } from './MessageControls';
 
 // Styled component for message bubbles
-const MessageBubble = styled(Paper)(({ theme, ismine }) => ({
+const MessageBubble = styled(Paper)(({ theme, ismine, highlighted }) => ({
   padding: theme.spacing(1, 2),
   marginBottom: theme.spacing(1),
   maxWidth: '70%',
   wordBreak: 'break-word',
   backgroundColor: ismine === 'true' ? theme.palette.primary.light : theme.palette.grey[100],
   color: ismine === 'true' ? theme.palette.primary.contrastText : theme.palette.text.primary,
+  outline: highlighted === 'true' ? `2px solid ${theme.palette.warning.main}` : 'none',
   alignSelf: ismine === 'true' ? 'flex-end' : 'flex-start',
   borderRadius: ismine === 'true' 
     ? theme.spacing(2, 2, 0, 2)
@@ -48,32 +53,74 @@ function GroupChat({
   messages, 
   selectedGroup, 
   onSendMessage, 
+  onEditMessage,
+  onDeleteMessage,
   onSendFile, 
   connected, 
   username,
-  groupMembers = []
+  groupMembers = [],
+  canModerate = false,
+  searchTarget = null
 }) {
   const [messageText, setMessageText] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
   const messagesEndRef = useRef(null);
+  const highlightedRef = useRef(null);
   const fileInputRef = useRef(null);
   
-  // Scroll to bottom when messages change
+  const highlightedIndex = findSearchTarget(messages, searchTarget);
+  
+  // Scroll to the message picked in search, otherwise to the bottom, when messages change
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (highlightedRef.current) {
+      highlightedRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      scrollToBottom();
+    }
+  }, [messages, highlightedIndex]);
   
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
   
+  // A reply or edit in progress belongs to the group it was started in
+  useEffect(() => {
+    setReplyingTo(null);
+    setEditingMessage(null);
+  }, [selectedGroup]);
+  
   const handleSendMessage = (e) => {
     e.preventDefault();
     if (messageText.trim() && selectedGroup) {
-      onSendMessage(messageText);
-      setMessageText('');
+      if (editingMessage) {
+        if (messageText !== editingMessage.content) {
+          onEditMessage(editingMessage, messageText);
+        }
+      } else {
+        onSendMessage(messageText, replyingTo);
+      }
+      handleCancelCompose();
     }
   };
   
+  const handleReply = (message) => {
+    setEditingMessage(null);
+    setReplyingTo(message);
+  };
+  
+  const handleEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setMessageText(message.content);
+  };
+  
+  const handleCancelCompose = () => {
+    setReplyingTo(null);
+    setEditingMessage(null);
+    setMessageText('');
+  };
+  
   const handleFileSelect = () => {
     fileInputRef.current.click();
   };
@@ -154,18 +201,38 @@ function GroupChat({
             {messages.map((message, index) => (
               <Box key={index} sx={{ display: 'flex', flexDirection: 'column', mb: 1 }}>
                 <MessageBubble 
+                  ref={index === highlightedIndex ? highlightedRef : null}
                   ismine={message.senderId === 'me' ? 'true' : 'false'}
+                  highlighted={index === highlightedIndex ? 'true' : 'false'}
                   elevation={1}
+                  sx={{ '&:hover .message-actions': { visibility: 'visible' } }}
                 >
                   {message.senderId !== 'me' && (
                     <Typography variant="caption" sx={{ display: 'block', mb: 0.5, fontWeight: 'bold' }}>
                       {getMemberName(message.senderId)}
                     </Typography>
                   )}
-                  <Typography variant="body1">{message.content}</Typography>
+                  {message.replyTo && !message.deleted && (
+                    <ReplyQuote replyTo={message.replyTo} messages={messages} getSenderName={getMemberName} />
+                  )}
+                  {message.deleted ? (
+                    <Typography variant="body1" sx={{ fontStyle: 'italic', opacity: 0.7 }}>This message was deleted</Typography>
+                  ) : (
+                    <Typography variant="body1">{message.content}</Typography>
+                  )}
                   <Typography variant="caption" sx={{ display: 'block', textAlign: 'right', mt: 0.5 }}>
                     {new Date(message.timestamp).toLocaleTimeString()}
+                    {message.editedAt && !message.deleted ? ' • edited' : ''}
                   </Typography>
+                  {!message.deleted && (
+                    <MessageActions
+                      message={message}
+                      onReply={handleReply}
+                      onEdit={message.id || message.clientMessageId ? handleEdit : null}
+                      onDelete={message.id || message.clientMessageId ? onDeleteMessage : null}
+                      canDelete={canModerate && Boolean(message.id)}
+                    />
+                  )}
                 </MessageBubble>
               </Box>
             ))}
@@ -193,6 +260,7 @@ function GroupChat({
       {/* Message input area - always visible but disabled when no group is selected */}
       <Box sx={{ p: 2, backgroundColor: 'background.paper' }}>
         <form onSubmit={handleSendMessage}>
+          <ComposerBanner replyingTo={replyingTo} editingMessage={editingMessage} onCancel={handleCancelCompose} />
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
             <TextField
               fullWidth
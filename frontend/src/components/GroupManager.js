@@ -3,6 +3,8 @@
  * 
  * This component provides functionality for creating, viewing, and managing groups.
  * It includes dialogs for creating new groups and managing group members.
+ * The owner and admins can add and remove members; the owner can also promote
+ * admins and hand over ownership, and everyone else can leave the group.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -22,12 +24,34 @@ import Avatar from '@mui/material/Avatar';
 import Typography from '@mui/material/Typography';
 import Chip from '@mui/material/Chip';
 import Divider from '@mui/material/Divider';
+import Menu from '@mui/material/Menu';
+import MenuItem from '@mui/material/MenuItem';
 import AddIcon from '@mui/icons-material/Add';
 import GroupIcon from '@mui/icons-material/Group';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
 import PersonRemoveIcon from '@mui/icons-material/PersonRemove';
 import DeleteIcon from '@mui/icons-material/Delete';
-import { createGroup, getUserGroups, addMemberToGroup, removeMemberFromGroup, deleteGroup } from '../services/groupService';
+import {
+  createGroup,
+  getUserGroups,
+  addMemberToGroup,
+  removeMemberFromGroup,
+  leaveGroup,
+  transferGroupOwnership,
+  setGroupAdmin,
+  deleteGroup
+} from '../services/groupService';
+
+/**
+ * Get a member's role in a group
+ * @param {Object} group - Group object
+ * @param {string} memberId - Member ID
+ * @returns {string} - 'owner', 'admin' or 'member'
+ */
+const getMemberRole = (group, memberId) => {
+  if (group.owner === memberId) return 'owner';
+  return (group.admins || []).includes(memberId) ? 'admin' : 'member';
+};
 
 function GroupManager({ 
   open, 
@@ -44,6 +68,7 @@ function GroupManager({
   const [selectedMembers, setSelectedMembers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [memberMenu, setMemberMenu] = useState(null); // { anchorEl, group, memberId }
 
   // Load user groups when component mounts or userId changes
   useEffect(() => {
@@ -55,7 +80,7 @@ function GroupManager({
   const loadUserGroups = async () => {
     try {
       setLoading(true);
-      const userGroups = await getUserGroups(userId);
+      const userGroups = await getUserGroups();
       setGroups(userGroups);
     } catch (error) {
       console.error('Error loading groups:', error);
@@ -70,7 +95,7 @@ function GroupManager({
 
     try {
       setLoading(true);
-      const result = await createGroup(newGroupName.trim(), userId, selectedMembers);
+      const result = await createGroup(newGroupName.trim(), selectedMembers);
       
       if (result.success) {
         setGroups(prev => [...prev, result.group]);
@@ -90,43 +115,89 @@ function GroupManager({
     }
   };
 
-  const handleAddMember = async (groupId, memberId) => {
+  /**
+   * Run a membership change and reload the groups so roles and members are current
+   * @param {Function} change - Async function returning the success status
+   * @param {string} failureMessage - Message shown if the change is refused
+   */
+  const changeMembership = async (change, failureMessage) => {
     try {
-      const success = await addMemberToGroup(groupId, memberId, userId);
+      const success = await change();
       if (success) {
-        // Reload groups to get updated member list
+        setError(null);
         loadUserGroups();
         if (typeof onGroupsUpdated === 'function') onGroupsUpdated();
       } else {
-        setError('Failed to add member to group');
+        setError(failureMessage);
       }
     } catch (error) {
-      console.error('Error adding member:', error);
-      setError('Failed to add member to group');
+      setError(error.message || failureMessage);
     }
   };
 
-  const handleRemoveMember = async (groupId, memberId) => {
+  const handleAddMember = (groupId, memberId) => changeMembership(
+    () => addMemberToGroup(groupId, memberId),
+    'Failed to add member to group'
+  );
+
+  const handleRemoveMember = (groupId, memberId) => changeMembership(
+    () => removeMemberFromGroup(groupId, memberId),
+    'Failed to remove member from group'
+  );
+
+  const handleSetAdmin = (groupId, memberId, isAdmin) => changeMembership(
+    () => setGroupAdmin(groupId, memberId, isAdmin),
+    'Failed to change admin'
+  );
+
+  const handleTransferOwnership = (groupId, memberId) => {
+    if (!window.confirm('Make this member the group owner? You will stay on as an admin.')) return;
+    changeMembership(
+      () => transferGroupOwnership(groupId, memberId),
+      'Failed to transfer ownership'
+    );
+  };
+
+  const handleLeaveGroup = async (groupId) => {
+    if (!window.confirm('Are you sure you want to leave this group?')) return;
+
     try {
-      const success = await removeMemberFromGroup(groupId, memberId, userId);
+      const success = await leaveGroup(groupId);
       if (success) {
-        // Reload groups to get updated member list
-        loadUserGroups();
+        setGroups(prev => prev.filter(g => g.id !== groupId));
+        if (selectedGroup && selectedGroup.id === groupId) {
+          onGroupSelect(null);
+        }
         if (typeof onGroupsUpdated === 'function') onGroupsUpdated();
       } else {
-        setError('Failed to remove member from group');
+        setError('Failed to leave group');
       }
     } catch (error) {
-      console.error('Error removing member:', error);
-      setError('Failed to remove member from group');
+      setError(error.message || 'Failed to leave group');
     }
   };
 
+  /**
+   * Check whether the local user can remove a member: the owner can remove
+   * anyone else, admins only regular members
+   * @param {Object} group - Group object
+   * @param {string} memberId - Member ID
+   * @returns {boolean} - True if the remove action should be offered
+   */
+  const canRemoveMember = (group, memberId) => {
+    const myRole = getMemberRole(group, userId);
+    const memberRole = getMemberRole(group, memberId);
+    if (memberId === userId || memberRole === 'owner') return false;
+    return myRole === 'owner' || (myRole === 'admin' && memberRole === 'member');
+  };
+
+  const closeMemberMenu = () => setMemberMenu(null);
+
   const handleDeleteGroup = async (groupId) => {
     if (!window.confirm('Are you sure you want to delete this group?')) return;
 
     try {
-      const success = await deleteGroup(groupId, userId);
+      const success = await deleteGroup(groupId);
       if (success) {
         setGroups(prev => prev.filter(g => g.id !== groupId));
         if (selectedGroup && selectedGroup.id === groupId) {
@@ -212,7 +283,7 @@ function GroupManager({
                           e.stopPropagation();
                           handleDeleteGroup(group.id);
                         }}
-                        disabled={group.creator !== userId}
+                        disabled={group.owner !== userId}
                       >
                         <DeleteIcon />
                       </IconButton>
@@ -226,22 +297,42 @@ function GroupManager({
                         Members:
                       </Typography>
                       <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-                        {group.members.map((memberId) => (
-                          <Chip
-                            key={memberId}
-                            label={memberId === userId ? 'You' : memberId}
-                            size="small"
-                            onDelete={memberId !== userId && group.creator === userId ? 
-                              () => handleRemoveMember(group.id, memberId) : 
-                              undefined
-                            }
-                            deleteIcon={<PersonRemoveIcon />}
-                          />
-                        ))}
+                        {group.members.map((memberId) => {
+                          const role = getMemberRole(group, memberId);
+                          const name = memberId === userId ? 'You' : memberId;
+                          return (
+                            <Chip
+                              key={memberId}
+                              label={role === 'member' ? name : `${name} (${role})`}
+                              size="small"
+                              color={role === 'member' ? 'default' : 'primary'}
+                              onClick={group.owner === userId && memberId !== userId ?
+                                (e) => setMemberMenu({ anchorEl: e.currentTarget, group, memberId }) :
+                                undefined
+                              }
+                              onDelete={canRemoveMember(group, memberId) ? 
+                                () => handleRemoveMember(group.id, memberId) : 
+                                undefined
+                              }
+                              deleteIcon={<PersonRemoveIcon />}
+                            />
+                          );
+                        })}
                       </Box>
+
+                      {group.owner !== userId && (
+                        <Button
+                          size="small"
+                          color="error"
+                          sx={{ mt: 1 }}
+                          onClick={() => handleLeaveGroup(group.id)}
+                        >
+                          Leave Group
+                        </Button>
+                      )}
                       
                       {/* Available peers to add */}
-                      {group.creator === userId && availablePeers.length > 0 && (
+                      {getMemberRole(group, userId) !== 'member' && availablePeers.length > 0 && (
                         <Box sx={{ mt: 2 }}>
                           <Typography variant="subtitle2" sx={{ mb: 1 }}>
                             Add members:
@@ -278,6 +369,35 @@ function GroupManager({
         </DialogActions>
       </Dialog>
 
+      {/* Owner actions for a member */}
+      <Menu
+        anchorEl={memberMenu ? memberMenu.anchorEl : null}
+        open={!!memberMenu}
+        onClose={closeMemberMenu}
+      >
+        {memberMenu && getMemberRole(memberMenu.group, memberMenu.memberId) === 'admin' ? (
+          <MenuItem onClick={() => {
+            handleSetAdmin(memberMenu.group.id, memberMenu.memberId, false);
+            closeMemberMenu();
+          }}>
+            Remove admin
+          </MenuItem>
+        ) : (
+          <MenuItem onClick={() => {
+            handleSetAdmin(memberMenu.group.id, memberMenu.memberId, true);
+            closeMemberMenu();
+          }}>
+            Make admin
+          </MenuItem>
+        )}
+        <MenuItem onClick={() => {
+          handleTransferOwnership(memberMenu.group.id, memberMenu.memberId);
+          closeMemberMenu();
+        }}>
+          Make owner
+        </MenuItem>
+      </Menu>
+
       {/* Create Group Dialog */}
       <Dialog open={createDialogOpen} onClose={() => setCreateDialogOpen(false)} maxWidth="sm" fullWidth>
         <DialogTitle>Create New Group</DialogTitle>
@@ -2,7 +2,7 @@
  * Header.js - Application header component
  * 
  * This component displays the application header with title, connection status,
- * and action buttons for clipboard sharing and settings.
+ * a message search box and action buttons for clipboard sharing and settings.
  */
 
 import React from 'react';
@@ -17,6 +17,16 @@ import Menu from '@mui/material/Menu';
 import MenuItem from '@mui/material/MenuItem';
 import Avatar from '@mui/material/Avatar';
 import Box from '@mui/material/Box';
+import InputBase from '@mui/material/InputBase';
+import Popper from '@mui/material/Popper';
+import Paper from '@mui/material/Paper';
+import ClickAwayListener from '@mui/material/ClickAwayListener';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+import ListItemIcon from '@mui/material/ListItemIcon';
+import ListItemText from '@mui/material/ListItemText';
+import Checkbox from '@mui/material/Checkbox';
+import FormControlLabel from '@mui/material/FormControlLabel';
 import useMediaQuery from '@mui/material/useMediaQuery';
 import { useTheme } from '@mui/material/styles';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
@@ -30,13 +40,72 @@ import AccountCircleIcon from '@mui/icons-material/AccountCircle';
 import AnnouncementIcon from '@mui/icons-material/Announcement';
 import CallIcon from '@mui/icons-material/Call';
 import VideocamIcon from '@mui/icons-material/Videocam';
+import SearchIcon from '@mui/icons-material/Search';
+import ChatIcon from '@mui/icons-material/Chat';
+import GroupIcon from '@mui/icons-material/Group';
+import { searchMessages } from '../services/searchService';
 
-function Header({ connected, shareClipboard, selectedPeer, onOpenSettings, onOpenFileHistory, onOpenBulletinBoard, user, onLogout, onVoiceCall, onVideoCall }) {
+// How long to wait after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+function Header({ connected, shareClipboard, selectedPeer, selectedGroup, peers = [], groups = [], onOpenSettings, onOpenFileHistory, onOpenBulletinBoard, onSearchResultSelect, user, onLogout, onVoiceCall, onVideoCall }) {
   const [anchorEl, setAnchorEl] = React.useState(null);
   const open = Boolean(anchorEl);
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const isTablet = useMediaQuery(theme.breakpoints.down('md'));
+  const searchBoxRef = React.useRef(null);
+  const [searchQuery, setSearchQuery] = React.useState('');
+  const [searchResults, setSearchResults] = React.useState(null);
+  const [searchCurrentChat, setSearchCurrentChat] = React.useState(false);
+  
+  // Search as the user types, once they pause
+  React.useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults(null);
+      return undefined;
+    }
+    
+    let cancelled = false;
+    const filters = {};
+    if (searchCurrentChat && selectedGroup) filters.groupId = selectedGroup.id;
+    else if (searchCurrentChat && selectedPeer) filters.peerId = selectedPeer.id;
+    
+    const timer = setTimeout(() => {
+      searchMessages(searchQuery, filters)
+        .then(({ results }) => { if (!cancelled) setSearchResults(results); })
+        .catch(() => { if (!cancelled) setSearchResults([]); });
+    }, SEARCH_DELAY_MS);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, searchCurrentChat, selectedPeer, selectedGroup]);
+  
+  // Describe where a search result comes from
+  const describeResult = (result) => {
+    if (result.type === 'group') {
+      const group = groups.find(g => g.id === result.groupId);
+      return group ? group.name : 'Group';
+    }
+    if (result.type === 'announcement') {
+      return result.title || 'Announcement';
+    }
+    const peer = peers.find(p => p.id === result.peerId);
+    const peerName = peer ? (peer.hostname || peer.id) : result.peerId;
+    return result.outgoing ? `You to ${peerName}` : peerName;
+  };
+  
+  const handleSearchClose = () => {
+    setSearchResults(null);
+  };
+  
+  const handleSearchResultClick = (result) => {
+    setSearchResults(null);
+    setSearchQuery('');
+    if (onSearchResultSelect) onSearchResultSelect(result);
+  };
   
   const handleClick = (event) => {
     setAnchorEl(event.currentTarget);
@@ -73,6 +142,78 @@ function Header({ connected, shareClipboard, selectedPeer, onOpenSettings, onOpe
           Offgrid Messenger 
         </Typography>
         
+        {/* Message search */}
+        <ClickAwayListener onClickAway={handleSearchClose}>
+          <Box ref={searchBoxRef} sx={{ mx: { xs: 0.5, sm: 2 } }}>
+            <Box sx={{
+              display: 'flex',
+              alignItems: 'center',
+              px: 1,
+              borderRadius: 1,
+              bgcolor: 'rgba(255, 255, 255, 0.15)',
+              '&:hover': { bgcolor: 'rgba(255, 255, 255, 0.25)' }
+            }}>
+              <SearchIcon fontSize="small" />
+              <InputBase
+                placeholder="Search messages…"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Escape') handleSearchClose(); }}
+                inputProps={{ 'aria-label': 'search messages' }}
+                sx={{ color: 'inherit', ml: 1, width: { xs: 100, sm: 180, md: 240 } }}
+              />
+            </Box>
+            <Popper
+              open={searchResults !== null}
+              anchorEl={searchBoxRef.current}
+              placement="bottom-start"
+              sx={{ zIndex: theme.zIndex.modal }}
+            >
+              <Paper elevation={3} sx={{ width: { xs: 280, sm: 360 }, maxHeight: 400, overflow: 'auto', mt: 1 }}>
+                {(selectedPeer || selectedGroup) && (
+                  <FormControlLabel
+                    sx={{ px: 2, pt: 1 }}
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={searchCurrentChat}
+                        onChange={(e) => setSearchCurrentChat(e.target.checked)}
+                      />
+                    }
+                    label={<Typography variant="body2">Only this chat</Typography>}
+                  />
+                )}
+                {searchResults && searchResults.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                    No messages found
+                  </Typography>
+                ) : (
+                  <List dense>
+                    {(searchResults || []).map(result => (
+                      <ListItemButton
+                        key={`${result.type}:${result.peerId || result.groupId || ''}:${result.id}`}
+                        onClick={() => handleSearchResultClick(result)}
+                      >
+                        <ListItemIcon sx={{ minWidth: 36 }}>
+                          {result.type === 'group' ? <GroupIcon fontSize="small" /> :
+                            result.type === 'announcement' ? <AnnouncementIcon fontSize="small" /> :
+                            <ChatIcon fontSize="small" />}
+                        </ListItemIcon>
+                        <ListItemText
+                          primary={result.content}
+                          secondary={`${describeResult(result)} • ${new Date(result.timestamp).toLocaleString()}`}
+                          primaryTypographyProps={{ noWrap: true }}
+                          secondaryTypographyProps={{ noWrap: true }}
+                        />
+                      </ListItemButton>
+                    ))}
+                  </List>
+                )}
+              </Paper>
+            </Popper>
+          </Box>
+        </ClickAwayListener>
+        
         <Box sx={{ 
           display: 'flex', 
           alignItems: 'center',
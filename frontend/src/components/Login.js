@@ -18,7 +18,7 @@ import {
   CircularProgress
 } from '@mui/material';
 import { styled } from '@mui/material/styles';
-import { simulateAuth, simulateRegistration } from '../services/authService';
+import { loginUser, registerUser } from '../services/authService';
 
 // Styled components
 const LoginContainer = styled(Paper)(({ theme }) => ({
@@ -63,9 +63,7 @@ function Login({ onLoginSuccess }) {
     
     try {
       setLoading(true);
-      // Using the simulate function for demo purposes
-      // In production, use the actual loginUser function
-      const result = simulateAuth(username, password);
+      const result = await loginUser(username, password);
       onLoginSuccess(result.user);
     } catch (error) {
       setError(error.message || 'Login failed. Please try again.');
@@ -90,11 +88,9 @@ function Login({ onLoginSuccess }) {
     
     try {
       setLoading(true);
-      // Using the simulate function for demo purposes
-      // In production, use the actual registerUser function
-      const user = simulateRegistration(username, password);
+      await registerUser(username, password);
       // Auto-login after successful registration
-      const result = simulateAuth(username, password);
+      const result = await loginUser(username, password);
       onLoginSuccess(result.user);
     } catch (error) {
       setError(error.message || 'Registration failed. Please try again.');
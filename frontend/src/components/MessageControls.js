@@ -0,0 +1,94 @@
+/**
+ * MessageControls.js - Reply, edit and delete controls shared by the chat views
+ *
+ * ChatArea and GroupChat both use these pieces: the quote shown above a reply,
+ * the reply/edit/delete buttons shown on a message while it is hovered, and
+ * the banner above the input that says which message is being answered or edited.
+ */
+
+import React from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
+import ReplyIcon from '@mui/icons-material/Reply';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CloseIcon from '@mui/icons-material/Close';
+import { findQuotedMessage } from '../services/messageService';
+
+/**
+ * Quote of the message a reply answers, showing its current text when the
+ * quoted message is in the list
+ */
+export function ReplyQuote({ replyTo, messages, getSenderName }) {
+  const quoted = findQuotedMessage(messages, replyTo);
+  const content = quoted ? (quoted.deleted ? 'Message deleted' : quoted.content) : replyTo.content;
+
+  return (
+    <Box sx={{ borderLeft: 3, borderColor: 'divider', pl: 1, mb: 0.5, opacity: 0.8 }}>
+      {quoted && (
+        <Typography variant="caption" sx={{ display: 'block', fontWeight: 'bold' }}>
+          {quoted.senderId === 'me' ? 'You' : getSenderName(quoted.senderId)}
+        </Typography>
+      )}
+      <Typography variant="body2" noWrap sx={{ fontStyle: quoted && quoted.deleted ? 'italic' : 'normal' }}>
+        {content}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * Reply, edit and delete buttons for one message. Edit is only offered on our
+ * own messages; delete on our own messages or when canDelete is set.
+ */
+export function MessageActions({ message, onReply, onEdit, onDelete, canDelete = false }) {
+  const isMine = message.senderId === 'me';
+
+  return (
+    <Box className="message-actions" sx={{ display: 'flex', justifyContent: 'flex-end', visibility: 'hidden' }}>
+      <Tooltip title="Reply">
+        <IconButton size="small" color="inherit" onClick={() => onReply(message)}>
+          <ReplyIcon fontSize="inherit" />
+        </IconButton>
+      </Tooltip>
+      {isMine && onEdit && (
+        <Tooltip title="Edit">
+          <IconButton size="small" color="inherit" onClick={() => onEdit(message)}>
+            <EditIcon fontSize="inherit" />
+          </IconButton>
+        </Tooltip>
+      )}
+      {(isMine || canDelete) && onDelete && (
+        <Tooltip title="Delete for everyone">
+          <IconButton size="small" color="inherit" onClick={() => onDelete(message)}>
+            <DeleteIcon fontSize="inherit" />
+          </IconButton>
+        </Tooltip>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Banner above the message input while replying to or editing a message
+ */
+export function ComposerBanner({ replyingTo, editingMessage, onCancel }) {
+  if (!replyingTo && !editingMessage) return null;
+
+  const message = editingMessage || replyingTo;
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', mb: 1, px: 1, borderLeft: 3, borderColor: 'primary.main' }}>
+      <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+        <Typography variant="caption" color="primary">
+          {editingMessage ? 'Editing message' : 'Replying to'}
+        </Typography>
+        <Typography variant="body2" noWrap>{message.content}</Typography>
+      </Box>
+      <IconButton size="small" onClick={onCancel}>
+        <CloseIcon fontSize="small" />
+      </IconButton>
+    </Box>
+  );
+}
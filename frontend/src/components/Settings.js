@@ -2,7 +2,7 @@
  * Settings.js - Settings dialog component
  * 
  * This component provides a dialog for changing application settings
- * such as username and theme preference.
+ * such as username, the folder received files are saved to and theme preference.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -22,13 +22,30 @@ import Avatar from '@mui/material/Avatar';
 import Paper from '@mui/material/Paper';
 import LockIcon from '@mui/icons-material/Lock';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import { changePassword, deleteAccount } from '../services/authService';
 
-function Settings({ open, onClose, username, onUsernameChange, darkMode, onThemeToggle, user }) {
+function Settings({ open, onClose, username, onUsernameChange, darkMode, onThemeToggle, user, onAccountDeleted }) {
   const [newUsername, setNewUsername] = useState(username);
   const [currentPassword, setCurrentPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [passwordError, setPasswordError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteError, setDeleteError] = useState('');
+  const [downloadDirectory, setDownloadDirectory] = useState('');
+  
+  // The download folder is kept by the Electron main process
+  useEffect(() => {
+    if (!window.electron || !window.electron.getDownloadDirectory) return;
+    
+    window.electron.on('download-directory', setDownloadDirectory);
+    window.electron.getDownloadDirectory();
+    
+    return () => {
+      window.electron.removeAllListeners('download-directory');
+    };
+  }, []);
   
   // Reset form when dialog opens
   useEffect(() => {
@@ -38,16 +55,16 @@ function Settings({ open, onClose, username, onUsernameChange, darkMode, onTheme
       setNewPassword('');
       setConfirmPassword('');
       setPasswordError('');
+      setDeletePassword('');
+      setDeleteError('');
     }
   }, [open, username]);
   
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     if (newUsername.trim() !== username) {
       onUsernameChange(newUsername.trim());
     }
     
-    // Password change logic would go here in a real implementation
-    // For now, we'll just validate but not actually change the password
     if (newPassword) {
       if (newPassword !== confirmPassword) {
         setPasswordError('New passwords do not match');
@@ -59,13 +76,40 @@ function Settings({ open, onClose, username, onUsernameChange, darkMode, onTheme
         return;
       }
       
-      // In a real app, we would call an API to change the password here
-      console.log('Password change would happen here in a real implementation');
+      // Signs out every other session; this one gets a new token
+      try {
+        setSaving(true);
+        await changePassword(currentPassword, newPassword);
+      } catch (error) {
+        setPasswordError(error.message || 'Failed to change password');
+        return;
+      } finally {
+        setSaving(false);
+      }
     }
     
     onClose();
   };
   
+  const handleDeleteAccount = async () => {
+    if (!deletePassword) {
+      setDeleteError('Enter your password to delete your account');
+      return;
+    }
+    if (!window.confirm('Delete your account? This cannot be undone.')) return;
+    
+    try {
+      setSaving(true);
+      await deleteAccount(deletePassword);
+      onClose();
+      if (typeof onAccountDeleted === 'function') onAccountDeleted();
+    } catch (error) {
+      setDeleteError(error.message || 'Failed to delete account');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
   const handleCancel = () => {
     setNewUsername(username); // Reset to original value
     onClose();
@@ -159,6 +203,33 @@ function Settings({ open, onClose, username, onUsernameChange, darkMode, onTheme
               setPasswordError('');
             }}
           />
+          <DialogContentText variant="body2" sx={{ mt: 1 }}>
+            Changing your password signs you out everywhere else
+          </DialogContentText>
+        </Box>
+        
+        <Divider sx={{ my: 2 }} />
+        
+        {/* Downloads Section */}
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            Downloads
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <Typography variant="body2" color="text.secondary" className="text-ellipsis" sx={{ flexGrow: 1 }} title={downloadDirectory}>
+              {downloadDirectory || 'Not available'}
+            </Typography>
+            <Button
+              size="small"
+              onClick={() => window.electron.selectDownloadDirectory()}
+              disabled={!downloadDirectory}
+            >
+              Change Folder
+            </Button>
+          </Box>
+          <DialogContentText variant="body2" sx={{ mt: 1 }}>
+            Files received in groups are saved to this folder
+          </DialogContentText>
         </Box>
         
         <Divider sx={{ my: 2 }} />
@@ -182,10 +253,45 @@ function Settings({ open, onClose, username, onUsernameChange, darkMode, onTheme
             Toggle between light and dark theme for the application
           </DialogContentText>
         </Box>
+        
+        <Divider sx={{ my: 2 }} />
+        
+        {/* Delete Account Section */}
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            Delete Account
+          </Typography>
+          
+          {deleteError && (
+            <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+              {deleteError}
+            </Typography>
+          )}
+          
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <TextField
+              margin="dense"
+              id="delete-password"
+              label="Password"
+              type="password"
+              size="small"
+              variant="outlined"
+              value={deletePassword}
+              onChange={(e) => {
+                setDeletePassword(e.target.value);
+                setDeleteError('');
+              }}
+              sx={{ flexGrow: 1, mr: 1 }}
+            />
+            <Button color="error" onClick={handleDeleteAccount} disabled={saving}>
+              Delete Account
+            </Button>
+          </Box>
+        </Box>
       </DialogContent>
       <DialogActions>
         <Button onClick={handleCancel}>Cancel</Button>
-        <Button onClick={handleSubmit} variant="contained" color="primary">
+        <Button onClick={handleSubmit} variant="contained" color="primary" disabled={saving}>
           Save Changes
         </Button>
       </DialogActions>
@@ -38,6 +38,9 @@ import GroupIcon from '@mui/icons-material/Group';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import WifiIcon from '@mui/icons-material/Wifi';
 import CallIcon from '@mui/icons-material/Call';
+import WarningIcon from '@mui/icons-material/Warning';
+import { authFetch } from '../services/authService';
+import { API_BASE_URL } from '../services/backendService';
 
 // TabPanel component for tab content
 function TabPanel(props) {
@@ -108,7 +111,7 @@ function Sidebar({
     
     try {
       // Use the correct endpoint path that matches the backend
-      const response = await fetch(`http://localhost:8080/api/peers/connect`, {
+      const response = await authFetch(`${API_BASE_URL}/peers/connect`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -142,7 +145,7 @@ function Sidebar({
     
     try {
       // Trigger a new discovery scan on the backend
-      await fetch('http://localhost:8080/api/peers/discover', { method: 'POST' });
+      await authFetch(`${API_BASE_URL}/peers/discover`, { method: 'POST' });
       
       // Discovery process will be updated via the useEffect when peers state changes
     } catch (error) {
@@ -256,17 +259,28 @@ function Sidebar({
                             />
                           }
                         >
-                          <Avatar sx={{ bgcolor: peer.authorized ? 'primary.main' : 'grey.500' }}>
-                            <ComputerIcon />
+                          <Avatar sx={{ bgcolor: peer.keyChanged ? 'error.main' : (peer.authorized ? 'primary.main' : 'grey.500') }}>
+                            {peer.keyChanged ? <WarningIcon /> : <ComputerIcon />}
                           </Avatar>
                         </Badge>
                       </ListItemAvatar>
                       <ListItemText 
-                        primary={peer.hostname || 'Unknown'}
+                        primary={peer.displayName || peer.hostname || 'Unknown'}
                         secondary={
                           <React.Fragment>
                             {peer.ip}
-                            {!peer.authorized && (
+                            {peer.keyChanged ? (
+                              <Tooltip title="This peer's identity key differs from the one pinned when it was approved. Select it to review.">
+                                <Typography
+                                  component="span"
+                                  variant="caption"
+                                  color="error"
+                                  sx={{ display: 'block', mt: 0.5, fontWeight: 'bold' }}
+                                >
+                                  Identity key changed
+                                </Typography>
+                              </Tooltip>
+                            ) : !peer.authorized && (
                               <Typography
                                 component="span"
                                 variant="caption"
@@ -280,7 +294,7 @@ function Sidebar({
                         }
                         primaryTypographyProps={{
                           className: 'text-ellipsis',
-                          title: peer.hostname || 'Unknown'
+                          title: peer.displayName || peer.hostname || 'Unknown'
                         }}
                         secondaryTypographyProps={{
                           className: 'text-ellipsis',
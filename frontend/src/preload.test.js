@@ -0,0 +1,77 @@
+/**
+ * Tests for the IPC bridge in preload.js: requests go through
+ * ipcRenderer.invoke on allowlisted channels only, and events reach the
+ * renderer without the IPC event object. preload.js sits next to electron.js
+ * rather than under src/, but the renderer's Jest setup only finds tests here.
+ */
+
+// A recording stand-in for Electron's renderer APIs, so the tests do not need Electron itself
+let mockElectron; // The mock prefix lets the jest.mock() factory below use it
+jest.mock('electron', () => mockElectron, { virtual: true });
+
+// Load preload.js afresh, as a new renderer would, with extra process arguments
+function loadBridge(argv = []) {
+  const calls = [];
+  const listeners = {};
+  mockElectron = {
+    contextBridge: { exposeInMainWorld: (name, api) => { mockElectron.exposed[name] = api; } },
+    ipcRenderer: {
+      invoke: async (channel, ...args) => {
+        calls.push(['invoke', channel, ...args]);
+        return channel === 'select-files' ? [{ path: '/tmp/a.txt', name: 'a.txt' }] : `${channel} answer`;
+      },
+      send: (channel, ...args) => calls.push(['send', channel, ...args]),
+      on: (channel, listener) => { listeners[channel] = listener; },
+      removeAllListeners: (channel) => { delete listeners[channel]; }
+    },
+    exposed: {}
+  };
+
+  const originalArgv = process.argv;
+  process.argv = [...originalArgv, ...argv];
+  try {
+    jest.isolateModules(() => {
+      require('../preload');
+    });
+  } finally {
+    process.argv = originalArgv;
+  }
+  return { bridge: mockElectron.exposed.electron, calls, listeners };
+}
+
+test('requests are answered through invoke on their own channels', async () => {
+  const { bridge, calls } = loadBridge();
+
+  expect(await bridge.selectFile()).toEqual({ path: '/tmp/a.txt', name: 'a.txt' });
+  expect(await bridge.getFileInfo('/tmp/a.txt')).toBe('get-file-info answer');
+  expect(await bridge.getClipboard()).toBe('read-clipboard answer');
+  await bridge.setClipboard('copied');
+  await bridge.getBackendStatus();
+
+  expect(calls).toEqual([
+    ['invoke', 'select-files', { multiple: false }],
+    ['invoke', 'get-file-info', '/tmp/a.txt'],
+    ['invoke', 'read-clipboard'],
+    ['invoke', 'write-clipboard', 'copied'],
+    ['invoke', 'get-backend-status']
+  ]);
+});
+
+test('only allowlisted event channels can be listened to, without the IPC event', () => {
+  const { bridge, listeners } = loadBridge();
+  const received = [];
+  bridge.on('backend-error', (...args) => received.push(args));
+  bridge.on('send-message', () => received.push('should not be registered'));
+  expect(Object.keys(listeners)).toEqual(['backend-error']);
+
+  listeners['backend-error']({ sender: 'main process' }, 'crashed', 1);
+  expect(received).toEqual([['crashed', 1]]);
+
+  bridge.removeAllListeners('backend-error');
+  expect(Object.keys(listeners)).toEqual([]);
+});
+
+test('the backend URL comes from the main process\'s argument', () => {
+  expect(loadBridge().bridge.backendUrl).toBeNull();
+  expect(loadBridge(['--backend-url=http://127.0.0.1:8091']).bridge.backendUrl).toBe('http://127.0.0.1:8091');
+});
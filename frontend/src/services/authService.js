@@ -5,10 +5,12 @@
  * login, registration, and session management.
  */
 
+import { API_BASE_URL } from './backendService';
+
 // Function to register a new user
 export const registerUser = async (username, password) => {
   try {
-    const response = await fetch('http://localhost:8080/api/auth/register', {
+    const response = await fetch(`${API_BASE_URL}/auth/register`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -32,7 +34,7 @@ export const registerUser = async (username, password) => {
 // Function to login a user
 export const loginUser = async (username, password) => {
   try {
-    const response = await fetch('http://localhost:8080/api/auth/login', {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -57,10 +59,76 @@ export const loginUser = async (username, password) => {
   }
 };
 
-// Function to logout the current user
-export const logoutUser = () => {
+// Function to logout the current user. The stored session is cleared right
+// away; the backend is then told to revoke the token.
+export const logoutUser = async () => {
+  const token = getToken();
   localStorage.removeItem('user');
   localStorage.removeItem('token');
+  
+  if (!token) return;
+  try {
+    await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+};
+
+// Function to change the current user's password. Every other session is
+// revoked; the new token returned for this session replaces the stored one.
+export const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/password`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Password change failed');
+    }
+    
+    localStorage.setItem('token', data.token);
+    return data;
+  } catch (error) {
+    console.error('Password change error:', error);
+    throw error;
+  }
+};
+
+// Function to delete the current user's account
+export const deleteAccount = async (password) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/account`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ password }),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Account deletion failed');
+    }
+    
+    localStorage.removeItem('user');
+    localStorage.removeItem('token');
+    return data;
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    throw error;
+  }
 };
 
 // Function to check if a user is logged in
@@ -86,56 +154,9 @@ export const getToken = () => {
   return localStorage.getItem('token');
 };
 
-// For development/demo purposes - simulate authentication without backend
-export const simulateAuth = (username, password) => {
-  // Simple validation
-  if (!username || !password) {
-    throw new Error('Username and password are required');
-  }
-  
-  // Create a mock user object
-  const user = {
-    id: Date.now().toString(),
-    username,
-    createdAt: new Date().toISOString()
-  };
-  
-  // Create a mock token
-  const token = `mock-token-${Math.random().toString(36).substring(2, 15)}`;
-  
-  // Store in localStorage
-  localStorage.setItem('user', JSON.stringify(user));
-  localStorage.setItem('token', token);
-  
-  return { user, token };
+// Function to call a backend API route with the stored token
+export const authFetch = (url, options = {}) => {
+  const token = getToken();
+  const headers = token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers;
+  return fetch(url, { ...options, headers });
 };
-
-// For development/demo purposes - simulate registration without backend
-export const simulateRegistration = (username, password) => {
-  // Simple validation
-  if (!username || !password) {
-    throw new Error('Username and password are required');
-  }
-  
-  // Check if username already exists in localStorage
-  const users = JSON.parse(localStorage.getItem('users') || '[]');
-  if (users.some(u => u.username === username)) {
-    throw new Error('Username already exists');
-  }
-  
-  // Create a new user
-  const newUser = {
-    id: Date.now().toString(),
-    username,
-    password, // In a real app, never store plain passwords
-    createdAt: new Date().toISOString()
-  };
-  
-  // Add to users array
-  users.push(newUser);
-  localStorage.setItem('users', JSON.stringify(users));
-  
-  // Return user without password
-  const { password: _, ...userWithoutPassword } = newUser;
-  return userWithoutPassword;
-};
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * backendService.js - Where the renderer reaches its backend
+ *
+ * In the desktop app the Electron main process tells the renderer the
+ * backend's URL, since the backend's port and bind address are configurable
+ * (preload.js exposes it as window.electron.backendUrl). In a browser the
+ * URL comes from REACT_APP_BACKEND_URL at build time, or defaults to port
+ * 8080 on the host the page was loaded from.
+ */
+
+const DEFAULT_BACKEND_PORT = 8080;
+
+/**
+ * Base URL of the backend's HTTP and WebSocket server
+ * @type {string}
+ */
+export const BACKEND_URL = ((window.electron && window.electron.backendUrl) ||
+  process.env.REACT_APP_BACKEND_URL ||
+  `http://${window.location.hostname || 'localhost'}:${DEFAULT_BACKEND_PORT}`).replace(/\/+$/, '');
+
+/**
+ * Base URL of the backend's HTTP API
+ * @type {string}
+ */
+export const API_BASE_URL = `${BACKEND_URL}/api`;
+
+/**
+ * WebSocket URL of the backend, or of a relay host on the backend's port
+ * @param {string|null} relayHost - Hostname or IP of a relay server, if one is set
+ * @returns {string} - e.g. ws://localhost:8080
+ */
+export const getWebSocketUrl = (relayHost = null) => {
+  if (relayHost) {
+    const { port } = new URL(BACKEND_URL);
+    return `ws://${relayHost}${port ? `:${port}` : ''}`;
+  }
+  return BACKEND_URL.replace(/^http/, 'ws');
+};
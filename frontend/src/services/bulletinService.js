@@ -5,10 +5,10 @@
  * announcements on the bulletin board, both general and group-specific.
  */
 
-import { getCurrentUser } from './authService';
+import { getCurrentUser, authFetch } from './authService';
+import { API_BASE_URL } from './backendService';
 import { sendMessage } from './websocketService';
-
-const API_BASE_URL = 'http://localhost:8080/api';
+import { MESSAGE_TYPES } from '../shared/protocol';
 
 /**
  * Create a general announcement
@@ -22,7 +22,7 @@ export const createGeneralAnnouncement = async (title, content, priority = 'medi
     const user = getCurrentUser();
     if (!user) throw new Error('User not authenticated');
     
-    const response = await fetch(`${API_BASE_URL}/bulletins/general`, {
+    const response = await authFetch(`${API_BASE_URL}/bulletins/general`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -30,7 +30,6 @@ export const createGeneralAnnouncement = async (title, content, priority = 'medi
       body: JSON.stringify({
         title,
         content,
-        authorId: user.id,
         priority
       })
     });
@@ -42,12 +41,10 @@ export const createGeneralAnnouncement = async (title, content, priority = 'medi
     }
     
     // Also send via WebSocket for real-time updates
+    // Push it out live to connected peers
     sendMessage({
-      type: 'general_announcement',
-      title,
-      content,
-      priority,
-      from: user.id
+      type: MESSAGE_TYPES.GENERAL_ANNOUNCEMENT,
+      announcementId: data.announcement.id
     });
     
     return data.announcement;
@@ -70,7 +67,7 @@ export const createGroupAnnouncement = async (groupId, title, content, priority
     const user = getCurrentUser();
     if (!user) throw new Error('User not authenticated');
     
-    const response = await fetch(`${API_BASE_URL}/bulletins/group`, {
+    const response = await authFetch(`${API_BASE_URL}/bulletins/group`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -78,7 +75,6 @@ export const createGroupAnnouncement = async (groupId, title, content, priority
       body: JSON.stringify({
         title,
         content,
-        authorId: user.id,
         groupId,
         priority
       })
@@ -91,13 +87,11 @@ export const createGroupAnnouncement = async (groupId, title, content, priority
     }
     
     // Also send via WebSocket for real-time updates
+    // Push it out live to the group's members
     sendMessage({
-      type: 'group_announcement',
+      type: MESSAGE_TYPES.GROUP_ANNOUNCEMENT,
       groupId,
-      title,
-      content,
-      priority,
-      from: user.id
+      announcementId: data.announcement.id
     });
     
     return data.announcement;
@@ -113,7 +107,7 @@ export const createGroupAnnouncement = async (groupId, title, content, priority
  */
 export const getGeneralAnnouncements = async () => {
   try {
-    const response = await fetch(`${API_BASE_URL}/bulletins/general`);
+    const response = await authFetch(`${API_BASE_URL}/bulletins/general`);
     const data = await response.json();
     
     if (!response.ok) {
@@ -134,7 +128,7 @@ export const getGeneralAnnouncements = async () => {
  */
 export const getGroupAnnouncements = async (groupId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/bulletins/group/${groupId}/announcements`);
+    const response = await authFetch(`${API_BASE_URL}/bulletins/group/${groupId}/announcements`);
     const data = await response.json();
     
     if (!response.ok) {
@@ -158,8 +152,8 @@ export const getUserVisibleAnnouncements = async (groupIds = []) => {
     const user = getCurrentUser();
     if (!user) throw new Error('User not authenticated');
     
-    const groupIdsParam = groupIds.length > 0 ? `&groupIds=${groupIds.join(',')}` : '';
-    const response = await fetch(`${API_BASE_URL}/bulletins/user?userId=${user.id}${groupIdsParam}`);
+    const groupIdsParam = groupIds.length > 0 ? `groupIds=${groupIds.join(',')}` : '';
+    const response = await authFetch(`${API_BASE_URL}/bulletins/user?${groupIdsParam}`);
     const data = await response.json();
     
     if (!response.ok) {
@@ -192,7 +186,7 @@ export const updateAnnouncement = async (announcementId, updates, groupId = null
       url = `${API_BASE_URL}/bulletins/general/${announcementId}`;
     }
     
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -231,7 +225,7 @@ export const deleteAnnouncement = async (announcementId, groupId = null) => {
       url = `${API_BASE_URL}/bulletins/general/${announcementId}`;
     }
     
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
       method: 'DELETE'
     });
     
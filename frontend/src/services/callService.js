@@ -6,6 +6,7 @@
  */
 
 import { sendMessage } from './websocketService';
+import { MESSAGE_TYPES } from '../shared/protocol';
 
 // Configuration for WebRTC
 const ICE_SERVERS = {
@@ -56,13 +57,13 @@ export function initializeCallService(handlers) {
  */
 export function handleCallMessage(message) {
   switch (message.type) {
-    case 'call_incoming':
+    case MESSAGE_TYPES.CALL_INCOMING:
       if (eventListeners.onCallIncoming) {
         eventListeners.onCallIncoming(message);
       }
       break;
       
-    case 'call_accepted':
+    case MESSAGE_TYPES.CALL_ACCEPTED:
       if (activeCall && activeCall.callId === message.callId) {
         activeCall.status = 'active';
         if (eventListeners.onCallAccepted) {
@@ -73,7 +74,7 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'call_rejected':
+    case MESSAGE_TYPES.CALL_REJECTED:
       if (activeCall && activeCall.callId === message.callId) {
         activeCall.status = 'rejected';
         activeCall.rejectionReason = message.reason;
@@ -84,7 +85,7 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'call_ended':
+    case MESSAGE_TYPES.CALL_ENDED:
       if (activeCall && activeCall.callId === message.callId) {
         if (eventListeners.onCallEnded) {
           eventListeners.onCallEnded(message);
@@ -93,7 +94,7 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'call_failed':
+    case MESSAGE_TYPES.CALL_FAILED:
       if (activeCall && activeCall.callId === message.callId) {
         if (eventListeners.onError) {
           eventListeners.onError(message.reason);
@@ -102,21 +103,21 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'sdp':
+    case MESSAGE_TYPES.SDP:
       handleSdpMessage(message);
       break;
       
-    case 'ice-candidate':
+    case MESSAGE_TYPES.ICE_CANDIDATE:
       handleIceCandidateMessage(message);
       break;
       
-    case 'group_call_incoming':
+    case MESSAGE_TYPES.GROUP_CALL_INCOMING:
       if (eventListeners.onGroupCallIncoming) {
         eventListeners.onGroupCallIncoming(message);
       }
       break;
       
-    case 'group_call_participant_joined':
+    case MESSAGE_TYPES.GROUP_CALL_PARTICIPANT_JOINED:
       if (activeGroupCall && activeGroupCall.groupCallId === message.groupCallId) {
         // Add the new participant to our list
         if (!activeGroupCall.participants.includes(message.participantId)) {
@@ -134,7 +135,7 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'group_call_participant_left':
+    case MESSAGE_TYPES.GROUP_CALL_PARTICIPANT_LEFT:
       if (activeGroupCall && activeGroupCall.groupCallId === message.groupCallId) {
         // Remove the participant from our list
         activeGroupCall.participants = activeGroupCall.participants.filter(
@@ -153,7 +154,7 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'group_call_ended':
+    case MESSAGE_TYPES.GROUP_CALL_ENDED:
       if (activeGroupCall && activeGroupCall.groupCallId === message.groupCallId) {
         if (eventListeners.onGroupCallEnded) {
           eventListeners.onGroupCallEnded(message);
@@ -162,11 +163,11 @@ export function handleCallMessage(message) {
       }
       break;
       
-    case 'group_sdp':
+    case MESSAGE_TYPES.GROUP_SDP:
       handleGroupSdpMessage(message);
       break;
       
-    case 'group_ice_candidate':
+    case MESSAGE_TYPES.GROUP_ICE_CANDIDATE:
       handleGroupIceCandidateMessage(message);
       break;
   }
@@ -204,7 +205,7 @@ export async function initiateCall(calleeId, withVideo = false) {
     
     // Send call initiation message
     sendMessage({
-      type: 'call_initiate',
+      type: MESSAGE_TYPES.CALL_INITIATE,
       calleeId,
       withVideo
     });
@@ -260,7 +261,7 @@ export async function acceptCall(callId, callerId, withVideo) {
     
     // Send call acceptance message
     sendMessage({
-      type: 'call_accept',
+      type: MESSAGE_TYPES.CALL_ACCEPT,
       callId
     });
     
@@ -290,7 +291,7 @@ export async function acceptCall(callId, callerId, withVideo) {
  */
 export function rejectCall(callId, reason = 'Call declined') {
   sendMessage({
-    type: 'call_reject',
+    type: MESSAGE_TYPES.CALL_REJECT,
     callId,
     reason
   });
@@ -305,7 +306,7 @@ export function endCall() {
   if (!activeCall) return false;
   
   sendMessage({
-    type: 'call_end',
+    type: MESSAGE_TYPES.CALL_END,
     callId: activeCall.callId
   });
   
@@ -338,7 +339,7 @@ export async function initiateGroupCall(groupId, withVideo = false) {
     
     // Send group call initiation message
     sendMessage({
-      type: 'group_call_initiate',
+      type: MESSAGE_TYPES.GROUP_CALL_INITIATE,
       groupId,
       withVideo
     });
@@ -388,7 +389,7 @@ export async function joinGroupCall(groupCallId, groupId, withVideo) {
     
     // Send group call join message
     sendMessage({
-      type: 'group_call_join',
+      type: MESSAGE_TYPES.GROUP_CALL_JOIN,
       groupCallId
     });
     
@@ -418,7 +419,7 @@ export function leaveGroupCall() {
   if (!activeGroupCall) return false;
   
   sendMessage({
-    type: 'group_call_leave',
+    type: MESSAGE_TYPES.GROUP_CALL_LEAVE,
     groupCallId: activeGroupCall.groupCallId
   });
   
@@ -433,7 +434,7 @@ export function endGroupCall() {
   if (!activeGroupCall || !activeGroupCall.isInitiator) return false;
   
   sendMessage({
-    type: 'group_call_end',
+    type: MESSAGE_TYPES.GROUP_CALL_END,
     groupCallId: activeGroupCall.groupCallId
   });
   
@@ -452,7 +453,7 @@ async function createAndSendOffer(callId, recipientId) {
     await activeCall.peerConnection.setLocalDescription(offer);
     
     sendMessage({
-      type: 'sdp_offer',
+      type: MESSAGE_TYPES.SDP_OFFER,
       callId,
       sdp: activeCall.peerConnection.localDescription
     });
@@ -490,7 +491,7 @@ async function createAndSendGroupOffer(groupCallId, recipientId) {
     await peerConnection.setLocalDescription(offer);
     
     sendMessage({
-      type: 'group_sdp_offer',
+      type: MESSAGE_TYPES.GROUP_SDP_OFFER,
       groupCallId,
       recipientId,
       sdp: peerConnection.localDescription
@@ -520,7 +521,7 @@ async function handleSdpMessage(message) {
       await peerConnection.setLocalDescription(answer);
       
       sendMessage({
-        type: 'sdp_answer',
+        type: MESSAGE_TYPES.SDP_ANSWER,
         callId: message.callId,
         sdp: peerConnection.localDescription
       });
@@ -572,7 +573,7 @@ async function handleGroupSdpMessage(message) {
       await peerConnection.setLocalDescription(answer);
       
       sendMessage({
-        type: 'group_sdp_answer',
+        type: MESSAGE_TYPES.GROUP_SDP_ANSWER,
         groupCallId: message.groupCallId,
         recipientId: senderId,
         sdp: peerConnection.localDescription
@@ -633,7 +634,7 @@ function setupPeerConnectionEvents(peerConnection, participantId = null) {
       if (participantId) {
         // Group call
         sendMessage({
-          type: 'group_ice_candidate',
+          type: MESSAGE_TYPES.GROUP_ICE_CANDIDATE,
           groupCallId: activeGroupCall.groupCallId,
           recipientId: participantId,
           candidate: event.candidate
@@ -641,7 +642,7 @@ function setupPeerConnectionEvents(peerConnection, participantId = null) {
       } else {
         // Individual call
         sendMessage({
-          type: 'ice_candidate',
+          type: MESSAGE_TYPES.ICE_CANDIDATE,
           callId: activeCall.callId,
           candidate: event.candidate
         });
@@ -14,6 +14,9 @@
  * while providing appropriate fallbacks when needed.
  */
 
+import { sendMessage } from './websocketService';
+import { MESSAGE_TYPES } from '../shared/protocol';
+
 /**
  * Get the current content from the system clipboard
  * 
@@ -96,10 +99,7 @@ const setClipboardContent = async (content) => {
  * This function combines clipboard reading and peer messaging to share clipboard content:
  * 1. Validates the peer ID is provided
  * 2. Gets the current clipboard content
- * 3. Sends the content to the specified peer through the appropriate channel
- * 
- * Currently, this functionality is primarily supported in the Electron environment
- * where the main process handles the WebSocket communication with peers.
+ * 3. Sends the content to the specified peer as a clipboard message over the WebSocket
  * 
  * @param {string} peerId - The ID of the peer to share clipboard content with
  * @returns {Promise<boolean>} True if successfully shared, false otherwise
@@ -113,23 +113,11 @@ const shareClipboardWithPeer = async (peerId) => {
   // Validate content exists
   if (!content) return false;
   
-  // Currently only supported in Electron environment
-  if (window.electron) {
-    try {
-      // Use Electron IPC to share clipboard with peer via main process
-      await window.electron.shareClipboard({
-        peerId,
-        content
-      });
-      return true;
-    } catch (error) {
-      console.error('Error sharing clipboard content:', error);
-      return false;
-    }
-  }
-  
-  // Return false for browser environment (not implemented)
-  return false;
+  return sendMessage({
+    type: MESSAGE_TYPES.CLIPBOARD,
+    to: peerId,
+    content
+  });
 };
 
 /**
@@ -1,40 +1,40 @@
 /**
  * discoveryService.js - Peer discovery service
  * 
- * This service handles peer discovery through UDP broadcasting and manages
- * connections to discovered peers on the local network.
+ * The backend finds peers on the local network (backend/discovery.js) and
+ * pushes peer_discovered, peer_updated and peer_lost messages over the
+ * WebSocket. This service keeps the list of discovered peers from those
+ * messages and tells its subscribers about each change.
  */
 
+import { MESSAGE_TYPES } from '../shared/protocol';
+
 // Store discovered peers
 let discoveredPeers = new Map();
 let discoveryCallbacks = [];
+let lostCallbacks = [];
 
 /**
- * Initialize peer discovery
+ * Handle a discovery message from the backend
  * 
- * This function sets up listeners for peer discovery events from the main process
- * and manages the discovered peers list.
+ * @param {Object} data - peer_discovered, peer_updated or peer_lost message
+ * @param {Object} data.peer - { id, ip, port, nodeId, hostname, displayName, version, capabilities, authorized, lastSeen }
  */
-function initializeDiscovery() {
-  if (window.electron) {
-    // Listen for peer discovery events from main process
-    window.electron.on('peer-discovered', (peerInfo) => {
-      handlePeerDiscovered(peerInfo);
-    });
+function handleDiscoveryMessage(data) {
+  if (data.type === MESSAGE_TYPES.PEER_LOST) {
+    handlePeerLost(data.peer);
+  } else {
+    handlePeerDiscovered(data.peer);
   }
 }
 
 /**
- * Handle a newly discovered peer
+ * Handle a newly discovered or changed peer
  * 
- * @param {Object} peerInfo - Information about the discovered peer
- * @param {string} peerInfo.ip - IP address of the peer
- * @param {number} peerInfo.port - WebSocket port of the peer
- * @param {string} peerInfo.hostname - Hostname of the peer
- * @param {number} peerInfo.discoveredAt - Timestamp when peer was discovered
+ * @param {Object} peerInfo - Information about the discovered peer, as sent by the backend
  */
 function handlePeerDiscovered(peerInfo) {
-  const peerId = `${peerInfo.ip}:${peerInfo.port}`;
+  const peerId = peerInfo.id;
   
   // Check if this is a new peer or an update to an existing one
   const existingPeer = discoveredPeers.get(peerId);
@@ -42,13 +42,10 @@ function handlePeerDiscovered(peerInfo) {
   
   // Update the peer information
   const peer = {
-    id: peerId,
-    ip: peerInfo.ip,
-    port: peerInfo.port,
-    hostname: peerInfo.hostname,
-    discoveredAt: peerInfo.discoveredAt,
-    lastSeen: Date.now(),
-    status: 'discovered'
+    ...peerInfo,
+    discoveredAt: existingPeer ? existingPeer.discoveredAt : Date.now(),
+    lastSeen: peerInfo.lastSeen || Date.now(),
+    status: existingPeer ? existingPeer.status : 'discovered'
   };
   
   discoveredPeers.set(peerId, peer);
@@ -65,6 +62,24 @@ function handlePeerDiscovered(peerInfo) {
   console.log(`${isNewPeer ? 'Discovered new peer' : 'Updated peer'}: ${peer.hostname} (${peerId})`);
 }
 
+/**
+ * Handle a peer the backend has not heard from for too long
+ * 
+ * @param {Object} peerInfo - The lost peer, as sent by the backend
+ */
+function handlePeerLost(peerInfo) {
+  const peer = discoveredPeers.get(peerInfo.id) || peerInfo;
+  removePeer(peerInfo.id);
+  
+  lostCallbacks.forEach(callback => {
+    try {
+      callback(peer);
+    } catch (error) {
+      console.error('Error in discovery callback:', error);
+    }
+  });
+}
+
 /**
  * Register a callback for peer discovery events
  * 
@@ -83,6 +98,20 @@ function onPeerDiscovered(callback) {
   };
 }
 
+/**
+ * Register a callback for peers that have left the network
+ * 
+ * @param {Function} callback - Function to call with the lost peer
+ * @returns {Function} - Unsubscribe function
+ */
+function onPeerLost(callback) {
+  lostCallbacks.push(callback);
+  
+  return () => {
+    lostCallbacks = lostCallbacks.filter(cb => cb !== callback);
+  };
+}
+
 /**
  * Get all discovered peers
  * 
@@ -162,16 +191,10 @@ function updatePeerStatus(peerId, status) {
   }
 }
 
-// Start cleanup interval for old peers
-setInterval(() => {
-  cleanupOldPeers();
-}, 10000); // Clean up every 10 seconds
-
-// Initialize discovery when module loads
-initializeDiscovery();
-
 export {
+  handleDiscoveryMessage,
   onPeerDiscovered,
+  onPeerLost,
   getDiscoveredPeers,
   getPeerById,
   removePeer,
@@ -120,7 +120,7 @@ const createFileTransfer = (file, peerId, peerName, direction = 'upload') => {
  * - In browser: Creates a temporary file input element
  * 
  * The function handles the differences between environments:
- * - Electron returns a file path that needs additional metadata
+ * - Electron returns { path, name, size, modifiedAt } for the picked file
  * - Browser returns a File object with built-in metadata
  * 
  * @returns {Promise<File|Object|null>} - The selected file object or null if cancelled
@@ -130,12 +130,7 @@ const selectFile = async () => {
   if (window.electron) {
     try {
       // Use Electron's native file dialog
-      const filePath = await window.electron.selectFile();
-      if (filePath) {
-        // The Electron API returns file path, we need to get file info
-        const fileInfo = await window.electron.getFileInfo(filePath);
-        return fileInfo;
-      }
+      return await window.electron.selectFile();
     } catch (error) {
       console.error('Error selecting file:', error);
     }
@@ -165,6 +160,35 @@ const selectFile = async () => {
   return null;
 };
 
+/**
+ * Open a file selection dialog that allows picking several files
+ * 
+ * Works like selectFile, but resolves to a list: file info objects in
+ * Electron, File objects in the browser. The list is empty if the
+ * dialog was cancelled.
+ * 
+ * @returns {Promise<Array<File|Object>>} - The selected files
+ */
+const selectFiles = async () => {
+  if (window.electron) {
+    try {
+      return await window.electron.selectFiles();
+    } catch (error) {
+      console.error('Error selecting files:', error);
+      return [];
+    }
+  }
+  
+  // Fallback for browser environment (for testing)
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.onchange = (e) => resolve(Array.from(e.target.files));
+    input.click();
+  });
+};
+
 /**
  * Open a file with the system's default application
  * 
@@ -207,5 +231,6 @@ export {
   isImageFile,           // Check if file is an image type
   createFileTransfer,    // Create file transfer tracking object
   selectFile,            // Open file selection dialog
+  selectFiles,           // Open file selection dialog for several files
   openFile               // Open file with system application
 };
\ No newline at end of file
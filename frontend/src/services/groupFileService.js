@@ -3,9 +3,24 @@
  * 
  * This service extends the file transfer functionality to work with groups,
  * allowing files to be shared with all members of a group.
+ * 
+ * Chunks are sent through a sliding window. The backend acknowledges each
+ * chunk with `file_chunk_ack` once it has been relayed to the group, the
+ * window adapts to how quickly acks come back, and sending pauses while the
+ * WebSocket still has too much data buffered.
+ * 
+ * Chunk data goes out as binary frames when the backend supports them
+ * (base64 in JSON otherwise), so received chunks may be either a Uint8Array
+ * or a base64 string.
+ * 
+ * Received files are never held in memory: each chunk is handed to the
+ * Electron main process, which writes it at its offset in a preallocated
+ * temporary file and renames the file into the download directory once
+ * every chunk has arrived.
  */
 
 import { sendGroupFileRequest, sendGroupFileChunk, sendGroupFileComplete } from './groupService';
+import { getBufferedAmount, sendFrame } from './websocketService';
 
 // Store ongoing group file transfers
 const activeGroupTransfers = new Map();
@@ -13,6 +28,130 @@ const activeGroupTransfers = new Map();
 // Default chunk size for file transfers (1MB)
 const DEFAULT_CHUNK_SIZE = 1024 * 1024;
 
+// Flow control window (chunks in flight without an ack)
+const INITIAL_WINDOW = 4;
+const MIN_WINDOW = 1;
+const MAX_WINDOW = 32;
+const ACK_TIMEOUT = 15000; // 15 seconds
+const ACK_CHECK_INTERVAL = 1000;
+
+// Backpressure: stop queueing chunks while this much is still buffered on the socket
+const MAX_BUFFERED_AMOUNT = 8 * 1024 * 1024; // 8MB
+const BACKPRESSURE_RETRY_MS = 20;
+const SEND_RETRY_MS = 1000;
+
+// Whether we listen for the main process reporting received files saved or failed
+let fileBridgeListening = false;
+
+/**
+ * Get the Electron bridge that streams received files to disk
+ * @returns {Object|null} - window.electron, or null outside Electron
+ */
+function getFileBridge() {
+  return window.electron && window.electron.writeGroupFileChunk ? window.electron : null;
+}
+
+/**
+ * Listen for the main process reporting a received file saved or failed
+ * @param {Object} bridge - Electron bridge
+ */
+function listenForSavedFiles(bridge) {
+  if (fileBridgeListening) return;
+  fileBridgeListening = true;
+  
+  bridge.on('group-file-saved', ({ transferId, filePath }) => {
+    finishReceivedFile(transferId, { status: 'completed', progress: 100, filePath });
+  });
+  bridge.on('group-file-error', ({ transferId, error }) => {
+    finishReceivedFile(transferId, { status: 'error', progress: 0, error });
+  });
+}
+
+/**
+ * Record the outcome of a received file and notify its completion callback
+ * @param {string} transferId - Transfer ID
+ * @param {Object} result - { status, progress, filePath | error }
+ */
+function finishReceivedFile(transferId, result) {
+  const transfer = activeGroupTransfers.get(transferId);
+  if (!transfer || !transfer.received || ['completed', 'error', 'cancelled'].includes(transfer.status)) {
+    return;
+  }
+  
+  transfer.status = result.status;
+  if (result.status === 'completed') {
+    console.log(`File saved: ${result.filePath}`);
+  } else {
+    console.error(`Error saving file ${transfer.fileName}:`, result.error);
+  }
+  
+  if (transfer.onComplete) {
+    transfer.onComplete({
+      transferId,
+      fileName: transfer.fileName,
+      fileSize: transfer.fileSize,
+      senderId: transfer.senderId,
+      groupId: transfer.groupId,
+      ...result
+    });
+  }
+  
+  // Clean up after a delay
+  setTimeout(() => {
+    activeGroupTransfers.delete(transferId);
+  }, 5000);
+}
+
+/**
+ * Update a transfer's throughput estimate and ETA
+ * @param {Object} transfer - Transfer object
+ * @param {number} bytes - Size of the chunk that just completed
+ * @param {number} since - Time the sample started
+ * @param {number} remainingBytes - Bytes still to transfer
+ */
+function updateThroughput(transfer, bytes, since, remainingBytes) {
+  const now = Date.now();
+  const sample = (bytes * 1000) / Math.max(now - since, 1);
+  
+  // Exponentially weighted moving average smooths out bursts
+  transfer.bytesPerSecond = transfer.bytesPerSecond
+    ? transfer.bytesPerSecond * 0.8 + sample * 0.2
+    : sample;
+  transfer.etaSeconds = Math.ceil(remainingBytes / transfer.bytesPerSecond);
+  transfer.lastChunkAt = now;
+}
+
+/**
+ * Read a slice of a file
+ * @param {Blob} blob - File slice
+ * @returns {Promise<Uint8Array>} - Chunk contents
+ */
+function readChunk(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Convert a received chunk to bytes
+ * @param {Uint8Array|string} chunk - Chunk from a binary frame, or base64 from JSON
+ * @returns {Uint8Array} - Chunk bytes
+ */
+function chunkToBytes(chunk) {
+  if (typeof chunk !== 'string') {
+    return chunk;
+  }
+  const binaryString = atob(chunk);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let j = 0; j < binaryString.length; j++) {
+    bytes[j] = binaryString.charCodeAt(j);
+  }
+  return bytes;
+}
+
 /**
  * Generate a unique file transfer ID
  * @returns {string} - Unique ID for the file transfer
@@ -39,8 +178,13 @@ export const sendFileToGroup = async (file, groupId, senderId, sendMessage) => {
       file,
       groupId,
       senderId,
+      fileName: file.name,
+      fileSize: file.size,
       totalChunks,
       sentChunks: 0,
+      pendingChunks: [],
+      inFlight: new Map(), // chunkIndex -> { sentAt, size } awaiting file_chunk_ack
+      window: INITIAL_WINDOW,
       startTime: Date.now(),
       status: 'initiating'
     });
@@ -84,11 +228,21 @@ export const handleGroupFileRequest = (data, onFileReceived) => {
     groupId,
     totalChunks: Math.ceil(fileSize / DEFAULT_CHUNK_SIZE),
     receivedChunks: 0,
-    chunks: new Map(),
+    received: new Set(), // Indexes of chunks already written to disk
     startTime: Date.now(),
     status: 'receiving'
   });
   
+  // Have the main process create the file the chunks are written into
+  const bridge = getFileBridge();
+  if (bridge) {
+    listenForSavedFiles(bridge);
+    bridge.startGroupFileDownload(transferId, fileName, fileSize);
+  } else {
+    console.error(`Cannot save ${fileName}: not running in the desktop app`);
+    activeGroupTransfers.get(transferId).status = 'error';
+  }
+  
   // Notify UI about the incoming file
   if (onFileReceived) {
     onFileReceived({
@@ -120,12 +274,18 @@ export const handleGroupFileChunk = (data, onProgress, onComplete) => {
     return;
   }
   
-  // Store the chunk
-  transfer.chunks.set(chunkIndex, chunkData);
+  // Write the chunk at its offset (duplicates after a resend are ignored)
+  if (transfer.received.has(chunkIndex)) {
+    return;
+  }
+  getFileBridge().writeGroupFileChunk(transferId, chunkIndex * DEFAULT_CHUNK_SIZE, chunkToBytes(chunkData));
+  transfer.received.add(chunkIndex);
   transfer.receivedChunks++;
   
-  // Calculate progress
+  // Calculate progress, throughput and ETA
   const progress = Math.floor((transfer.receivedChunks / transfer.totalChunks) * 100);
+  const remainingBytes = Math.max(transfer.fileSize - transfer.receivedChunks * DEFAULT_CHUNK_SIZE, 0);
+  updateThroughput(transfer, chunkSize || DEFAULT_CHUNK_SIZE, transfer.lastChunkAt || transfer.startTime, remainingBytes);
   
   // Update progress
   if (onProgress) {
@@ -133,6 +293,8 @@ export const handleGroupFileChunk = (data, onProgress, onComplete) => {
       transferId,
       fileName: transfer.fileName,
       progress,
+      bytesPerSecond: Math.round(transfer.bytesPerSecond),
+      etaSeconds: transfer.etaSeconds,
       senderId,
       groupId
     });
@@ -141,92 +303,25 @@ export const handleGroupFileChunk = (data, onProgress, onComplete) => {
   // Check if all chunks have been received
   if (transfer.receivedChunks === transfer.totalChunks) {
     console.log(`All chunks received for ${transfer.fileName}`);
-    // Reassemble the file
-    reassembleGroupFile(transferId, onComplete);
+    saveReceivedFile(transferId, onComplete);
   }
 };
 
 /**
- * Reassemble received file chunks
+ * Ask the main process to move a fully received file into the download directory
  * @param {string} transferId - Transfer ID
- * @param {Function} onComplete - Completion callback
+ * @param {Function} onComplete - Completion callback, called once the file is saved or fails
  */
-function reassembleGroupFile(transferId, onComplete) {
+function saveReceivedFile(transferId, onComplete) {
   const transfer = activeGroupTransfers.get(transferId);
   
   if (!transfer) {
     return;
   }
   
-  try {
-    // Create a blob from the chunks
-    const chunks = [];
-    for (let i = 0; i < transfer.totalChunks; i++) {
-      const chunk = transfer.chunks.get(i);
-      if (chunk) {
-        // Convert base64 to Uint8Array
-        const binaryString = atob(chunk);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let j = 0; j < binaryString.length; j++) {
-          bytes[j] = binaryString.charCodeAt(j);
-        }
-        chunks.push(bytes);
-      } else {
-        throw new Error(`Missing chunk ${i} for file ${transfer.fileName}`);
-      }
-    }
-    
-    // Combine chunks into a single blob
-    const blob = new Blob(chunks, { type: 'application/octet-stream' });
-    
-    // Create download link
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = transfer.fileName;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    // Update transfer status
-    transfer.status = 'completed';
-    transfer.progress = 100;
-    
-    // Notify completion
-    if (onComplete) {
-      onComplete({
-        transferId,
-        fileName: transfer.fileName,
-        fileSize: transfer.fileSize,
-        senderId: transfer.senderId,
-        groupId: transfer.groupId,
-        progress: 100,
-        status: 'completed'
-      });
-    }
-    
-    // Clean up after a delay
-    setTimeout(() => {
-      activeGroupTransfers.delete(transferId);
-    }, 5000);
-    
-  } catch (error) {
-    console.error(`Error reassembling file ${transfer.fileName}:`, error);
-    transfer.status = 'error';
-    
-    if (onComplete) {
-      onComplete({
-        transferId,
-        fileName: transfer.fileName,
-        senderId: transfer.senderId,
-        groupId: transfer.groupId,
-        progress: 0,
-        status: 'error',
-        error: error.message
-      });
-    }
-  }
+  transfer.status = 'saving';
+  transfer.onComplete = onComplete;
+  getFileBridge().finishGroupFileDownload(transferId);
 }
 
 /**
@@ -235,24 +330,19 @@ function reassembleGroupFile(transferId, onComplete) {
  * @param {Function} onComplete - Completion callback
  */
 export const handleGroupFileComplete = (data, onComplete) => {
-  const { groupId, transferId, senderId } = data;
+  const { transferId } = data;
   
+  // The file is saved once its last chunk arrives; a transfer still
+  // receiving when the sender finishes has lost chunks on the way
   const transfer = activeGroupTransfers.get(transferId);
-  if (transfer) {
-    transfer.status = 'completed';
-    transfer.progress = 100;
-    
-    if (onComplete) {
-      onComplete({
-        transferId,
-        fileName: transfer.fileName,
-        fileSize: transfer.fileSize,
-        senderId,
-        groupId,
-        progress: 100,
-        status: 'completed'
-      });
-    }
+  if (transfer && transfer.received && transfer.status === 'receiving') {
+    transfer.onComplete = onComplete;
+    getFileBridge().cancelGroupFileDownload(transferId);
+    finishReceivedFile(transferId, {
+      status: 'error',
+      progress: 0,
+      error: `Missing ${transfer.totalChunks - transfer.receivedChunks} chunks`
+    });
   }
 };
 
@@ -260,8 +350,9 @@ export const handleGroupFileComplete = (data, onComplete) => {
  * Start sending file chunks to group
  * @param {string} transferId - Transfer ID
  * @param {Function} sendMessage - WebSocket send function
+ * @param {Function} onProgress - Progress callback ({ transferId, progress, bytesPerSecond, etaSeconds, status })
  */
-export const startSendingGroupFile = (transferId, sendMessage) => {
+export const startSendingGroupFile = (transferId, sendMessage, onProgress) => {
   const transfer = activeGroupTransfers.get(transferId);
   
   if (!transfer || transfer.status !== 'awaiting_acceptance') {
@@ -269,11 +360,50 @@ export const startSendingGroupFile = (transferId, sendMessage) => {
   }
   
   transfer.status = 'sending';
+  transfer.onProgress = onProgress;
+  transfer.pendingChunks = Array.from({ length: transfer.totalChunks }, (_, i) => i);
+  transfer.lastChunkAt = Date.now();
+  
+  // Resend chunks that were never acknowledged, halving the window each time
+  transfer.ackTimer = setInterval(() => {
+    const now = Date.now();
+    const timedOut = [];
+    for (const [chunkIndex, sent] of transfer.inFlight) {
+      if (now - sent.sentAt > ACK_TIMEOUT) {
+        timedOut.push(chunkIndex);
+      }
+    }
+    if (timedOut.length === 0) {
+      return;
+    }
+    console.warn(`${timedOut.length} chunks of ${transfer.fileName} were not acknowledged, resending`);
+    timedOut.forEach(chunkIndex => transfer.inFlight.delete(chunkIndex));
+    transfer.pendingChunks = [...timedOut, ...transfer.pendingChunks];
+    transfer.window = Math.max(MIN_WINDOW, transfer.window / 2);
+    sendNextGroupChunk(transferId, sendMessage);
+  }, ACK_CHECK_INTERVAL);
+  
   sendNextGroupChunk(transferId, sendMessage);
 };
 
 /**
- * Send the next chunk of a group file transfer
+ * Stop a sending transfer's timers
+ * @param {Object} transfer - Transfer object
+ */
+function stopTransferTimers(transfer) {
+  clearInterval(transfer.ackTimer);
+  clearTimeout(transfer.sendTimer);
+  transfer.ackTimer = null;
+  transfer.sendTimer = null;
+}
+
+/**
+ * Send as many chunks of a group file transfer as the flow control window allows
+ * 
+ * Called again whenever a file_chunk_ack frees a slot in the window. While
+ * the WebSocket's bufferedAmount is above MAX_BUFFERED_AMOUNT no new chunks
+ * are queued, so slow links are not overrun.
+ * 
  * @param {string} transferId - Transfer ID
  * @param {Function} sendMessage - WebSocket send function
  */
@@ -284,10 +414,11 @@ function sendNextGroupChunk(transferId, sendMessage) {
     return;
   }
   
-  // Check if all chunks have been sent
-  if (transfer.sentChunks >= transfer.totalChunks) {
+  // Check if all chunks have been sent and acknowledged
+  if (transfer.pendingChunks.length === 0 && transfer.inFlight.size === 0) {
     console.log(`All chunks sent for ${transfer.fileName}`);
     transfer.status = 'completed';
+    stopTransferTimers(transfer);
     
     // Send completion message
     sendGroupFileComplete(
@@ -297,6 +428,10 @@ function sendNextGroupChunk(transferId, sendMessage) {
       sendMessage
     );
     
+    if (transfer.onProgress) {
+      transfer.onProgress({ transferId, progress: 100, bytesPerSecond: 0, etaSeconds: 0, status: 'completed' });
+    }
+    
     // Clean up after a delay
     setTimeout(() => {
       activeGroupTransfers.delete(transferId);
@@ -305,51 +440,99 @@ function sendNextGroupChunk(transferId, sendMessage) {
     return;
   }
   
-  // Calculate chunk position and size
-  const chunkIndex = transfer.sentChunks;
-  const position = chunkIndex * DEFAULT_CHUNK_SIZE;
-  const chunkSize = Math.min(DEFAULT_CHUNK_SIZE, transfer.file.size - position);
-  
-  // Read chunk from file
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    const chunkData = e.target.result;
+  while (transfer.pendingChunks.length > 0 && transfer.inFlight.size < Math.floor(transfer.window)) {
+    // Wait for the socket to drain before queueing more data on it
+    if (getBufferedAmount() > MAX_BUFFERED_AMOUNT) {
+      if (!transfer.sendTimer) {
+        transfer.sendTimer = setTimeout(() => {
+          transfer.sendTimer = null;
+          sendNextGroupChunk(transferId, sendMessage);
+        }, BACKPRESSURE_RETRY_MS);
+      }
+      return;
+    }
     
-    // Send chunk to group
-    const success = sendGroupFileChunk(
-      transfer.groupId,
-      transferId,
-      chunkIndex,
-      transfer.totalChunks,
-      chunkSize,
-      chunkData,
-      transfer.senderId,
-      sendMessage
-    );
+    // Calculate chunk position and size
+    const chunkIndex = transfer.pendingChunks.shift();
+    const position = chunkIndex * DEFAULT_CHUNK_SIZE;
+    const chunkSize = Math.min(DEFAULT_CHUNK_SIZE, transfer.file.size - position);
+    transfer.inFlight.set(chunkIndex, { sentAt: Date.now(), size: chunkSize });
     
-    if (success) {
-      transfer.sentChunks++;
-      
-      // Calculate progress
-      const progress = Math.floor((transfer.sentChunks / transfer.totalChunks) * 100);
-      console.log(`Sent chunk ${chunkIndex + 1}/${transfer.totalChunks} for ${transfer.fileName} (${progress}%)`);
-      
-      // Send next chunk after a small delay
-      setTimeout(() => {
-        sendNextGroupChunk(transferId, sendMessage);
-      }, 10);
-    } else {
-      console.error(`Failed to send chunk ${chunkIndex} for ${transfer.fileName}`);
-      // Retry after a delay
-      setTimeout(() => {
-        sendNextGroupChunk(transferId, sendMessage);
-      }, 1000);
-    }
-  };
-  
-  reader.readAsDataURL(transfer.file.slice(position, position + chunkSize));
+    // Read the chunk and send it to the group as a binary frame
+    readChunk(transfer.file.slice(position, position + chunkSize))
+      .then(chunkData => sendGroupFileChunk(
+        transfer.groupId,
+        transferId,
+        chunkIndex,
+        transfer.totalChunks,
+        chunkSize,
+        chunkData,
+        transfer.senderId,
+        sendFrame
+      ))
+      .catch(error => {
+        console.error(`Error reading chunk ${chunkIndex} of ${transfer.fileName}:`, error);
+        return false;
+      })
+      .then(success => {
+        if (success || transfer.status !== 'sending') {
+          return;
+        }
+        console.error(`Failed to send chunk ${chunkIndex} for ${transfer.fileName}`);
+        // Put the chunk back at the front of the queue and retry after a delay
+        transfer.inFlight.delete(chunkIndex);
+        transfer.pendingChunks.unshift(chunkIndex);
+        setTimeout(() => {
+          sendNextGroupChunk(transferId, sendMessage);
+        }, SEND_RETRY_MS);
+      });
+  }
 }
 
+/**
+ * Handle a file_chunk_ack for a group file this client is sending
+ * 
+ * Frees the chunk's slot in the window, grows the window by about one chunk
+ * per window of acks, updates throughput and ETA, and sends more chunks.
+ * 
+ * @param {Object} data - Ack data with transferId and chunkIndex
+ * @param {Function} sendMessage - WebSocket send function
+ * @returns {boolean} - True if the ack belonged to one of our transfers
+ */
+export const handleGroupFileChunkAck = (data, sendMessage) => {
+  const { transferId, chunkIndex } = data;
+  const transfer = activeGroupTransfers.get(transferId);
+  
+  if (!transfer || !transfer.inFlight) {
+    return false;
+  }
+  
+  const sent = transfer.inFlight.get(chunkIndex);
+  if (!sent) {
+    return true;
+  }
+  transfer.inFlight.delete(chunkIndex);
+  
+  transfer.window = Math.min(MAX_WINDOW, transfer.window + 1 / transfer.window);
+  transfer.sentChunks = transfer.totalChunks - transfer.pendingChunks.length - transfer.inFlight.size;
+  
+  const remainingBytes = Math.max(transfer.file.size - transfer.sentChunks * DEFAULT_CHUNK_SIZE, 0);
+  updateThroughput(transfer, sent.size, Math.max(transfer.lastChunkAt || 0, sent.sentAt), remainingBytes);
+  
+  if (transfer.onProgress) {
+    transfer.onProgress({
+      transferId,
+      progress: Math.floor((transfer.sentChunks / transfer.totalChunks) * 100),
+      bytesPerSecond: Math.round(transfer.bytesPerSecond),
+      etaSeconds: transfer.etaSeconds,
+      status: 'sending'
+    });
+  }
+  
+  sendNextGroupChunk(transferId, sendMessage);
+  return true;
+};
+
 /**
  * Get active group file transfers
  * @returns {Array} - Array of active transfers
@@ -366,6 +549,8 @@ export const getActiveGroupTransfers = () => {
       progress: transfer.sentChunks
         ? Math.floor((transfer.sentChunks / transfer.totalChunks) * 100)
         : Math.floor((transfer.receivedChunks / transfer.totalChunks) * 100),
+      bytesPerSecond: Math.round(transfer.bytesPerSecond || 0),
+      etaSeconds: transfer.etaSeconds || null,
       senderId: transfer.senderId,
       groupId: transfer.groupId,
       startTime: transfer.startTime
@@ -388,6 +573,12 @@ export const cancelGroupFileTransfer = (transferId) => {
   }
   
   transfer.status = 'cancelled';
+  stopTransferTimers(transfer);
+  
+  // Discard the partially received file
+  if (transfer.received && getFileBridge()) {
+    getFileBridge().cancelGroupFileDownload(transferId);
+  }
   
   // Clean up after a delay
   setTimeout(() => {
@@ -4,30 +4,30 @@
  * This service provides functions for creating, managing, and messaging in groups.
  * It handles the core group functionality of the application, including:
  * - Creating and managing groups
- * - Adding/removing group members
+ * - Adding/removing group members, leaving groups and changing member roles
  * - Sending group messages
  * - Managing group file transfers
  */
 
-const API_BASE_URL = 'http://localhost:8080/api';
+import { authFetch } from './authService';
+import { API_BASE_URL } from './backendService';
+import { MESSAGE_TYPES } from '../shared/protocol';
 
 /**
- * Create a new group
+ * Create a new group, owned by the local user
  * @param {string} groupName - Name of the group
- * @param {string} creatorId - ID of the user creating the group
  * @param {Array<string>} memberIds - Array of member IDs to add to the group
  * @returns {Promise<Object>} - Group object or error
  */
-export const createGroup = async (groupName, creatorId, memberIds = []) => {
+export const createGroup = async (groupName, memberIds = []) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups`, {
+    const response = await authFetch(`${API_BASE_URL}/groups`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
         groupName,
-        creatorId,
         memberIds
       })
     });
@@ -46,13 +46,12 @@ export const createGroup = async (groupName, creatorId, memberIds = []) => {
 };
 
 /**
- * Get all groups for a user
- * @param {string} userId - User ID
+ * Get all groups the local user is a member of
  * @returns {Promise<Array>} - Array of groups
  */
-export const getUserGroups = async (userId) => {
+export const getUserGroups = async () => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups?userId=${userId}`);
+    const response = await authFetch(`${API_BASE_URL}/groups`);
     const data = await response.json();
     
     if (!response.ok) {
@@ -73,7 +72,7 @@ export const getUserGroups = async (userId) => {
  */
 export const getGroup = async (groupId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups/${groupId}`);
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}`);
     const data = await response.json();
     
     if (!response.ok) {
@@ -88,22 +87,20 @@ export const getGroup = async (groupId) => {
 };
 
 /**
- * Add member to group
+ * Add member to group (group owner or admin only)
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID to add
- * @param {string} addedBy - User ID of who is adding the member
  * @returns {Promise<boolean>} - Success status
  */
-export const addMemberToGroup = async (groupId, userId, addedBy) => {
+export const addMemberToGroup = async (groupId, userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members`, {
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/members`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        userId,
-        addedBy
+        userId
       })
     });
     
@@ -121,22 +118,20 @@ export const addMemberToGroup = async (groupId, userId, addedBy) => {
 };
 
 /**
- * Remove member from group
+ * Remove member from group (group owner or admin only)
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID to remove
- * @param {string} removedBy - User ID of who is removing the member
  * @returns {Promise<boolean>} - Success status
  */
-export const removeMemberFromGroup = async (groupId, userId, removedBy) => {
+export const removeMemberFromGroup = async (groupId, userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members`, {
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/members`, {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        userId,
-        removedBy
+        userId
       })
     });
     
@@ -154,60 +149,71 @@ export const removeMemberFromGroup = async (groupId, userId, removedBy) => {
 };
 
 /**
- * Get group messages
+ * Leave a group. The owner has to transfer ownership first.
  * @param {string} groupId - Group ID
- * @param {string} userId - User ID requesting messages
- * @param {number} limit - Maximum number of messages to return
- * @returns {Promise<Array>} - Array of messages
+ * @returns {Promise<boolean>} - Success status
  */
-export const getGroupMessages = async (groupId, userId, limit = 100) => {
+export const leaveGroup = async (groupId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/messages?userId=${userId}&limit=${limit}`);
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/leave`, {
+      method: 'POST'
+    });
+    
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.message || 'Failed to get group messages');
+      throw new Error(data.message || 'Failed to leave group');
     }
     
-    return data.messages || [];
+    return data.success;
   } catch (error) {
-    console.error('Error getting group messages:', error);
+    console.error('Error leaving group:', error);
     throw error;
   }
 };
 
 /**
- * Get group file transfers
+ * Hand ownership of a group to another member (group owner only)
  * @param {string} groupId - Group ID
- * @param {string} userId - User ID requesting files
- * @returns {Promise<Array>} - Array of file transfers
+ * @param {string} userId - ID of the member to become owner
+ * @returns {Promise<boolean>} - Success status
  */
-export const getGroupFileTransfers = async (groupId, userId) => {
+export const transferGroupOwnership = async (groupId, userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/files?userId=${userId}`);
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/owner`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        userId
+      })
+    });
+    
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.message || 'Failed to get group file transfers');
+      throw new Error(data.message || 'Failed to transfer group ownership');
     }
     
-    return data.files || [];
+    return data.success;
   } catch (error) {
-    console.error('Error getting group file transfers:', error);
+    console.error('Error transferring group ownership:', error);
     throw error;
   }
 };
 
 /**
- * Delete group
+ * Promote a member to admin or demote an admin (group owner only)
  * @param {string} groupId - Group ID
- * @param {string} userId - User ID requesting deletion
+ * @param {string} userId - ID of the member whose role changes
+ * @param {boolean} isAdmin - True to promote, false to demote
  * @returns {Promise<boolean>} - Success status
  */
-export const deleteGroup = async (groupId, userId) => {
+export const setGroupAdmin = async (groupId, userId, isAdmin) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/groups/${groupId}`, {
-      method: 'DELETE',
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/admins`, {
+      method: isAdmin ? 'POST' : 'DELETE',
       headers: {
         'Content-Type': 'application/json',
       },
@@ -218,6 +224,95 @@ export const deleteGroup = async (groupId, userId) => {
     
     const data = await response.json();
     
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to change group admin');
+    }
+    
+    return data.success;
+  } catch (error) {
+    console.error('Error changing group admin:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the query string for a page of group history
+ * @param {Object} options - { before, limit }
+ * @returns {string} - Query string, including the leading '?'
+ */
+const pageQuery = ({ before = null, limit = 100 } = {}) => {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (before) {
+    params.set('before', before);
+  }
+  return `?${params.toString()}`;
+};
+
+/**
+ * Get a page of group messages, newest last
+ * @param {string} groupId - Group ID
+ * @param {Object} options - { before, limit }; pass the previous page's nextBefore to load older messages
+ * @returns {Promise<Object>} - { messages, hasMore, nextBefore }
+ */
+export const getGroupMessages = async (groupId, options = {}) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/messages${pageQuery(options)}`);
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get group messages');
+    }
+    
+    return {
+      messages: data.messages || [],
+      hasMore: !!data.hasMore,
+      nextBefore: data.nextBefore || null
+    };
+  } catch (error) {
+    console.error('Error getting group messages:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of group file transfers, newest last
+ * @param {string} groupId - Group ID
+ * @param {Object} options - { before, limit }; pass the previous page's nextBefore to load older transfers
+ * @returns {Promise<Object>} - { files, hasMore, nextBefore }
+ */
+export const getGroupFileTransfers = async (groupId, options = {}) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}/files${pageQuery(options)}`);
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get group file transfers');
+    }
+    
+    return {
+      files: data.files || [],
+      hasMore: !!data.hasMore,
+      nextBefore: data.nextBefore || null
+    };
+  } catch (error) {
+    console.error('Error getting group file transfers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete group (group owner only)
+ * @param {string} groupId - Group ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export const deleteGroup = async (groupId) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/groups/${groupId}`, {
+      method: 'DELETE'
+    });
+    
+    const data = await response.json();
+    
     if (!response.ok) {
       throw new Error(data.message || 'Failed to delete group');
     }
@@ -240,7 +335,7 @@ export const deleteGroup = async (groupId, userId) => {
 export const sendGroupMessage = (groupId, content, senderId, sendMessage) => {
   try {
     const message = {
-      type: 'group_chat',
+      type: MESSAGE_TYPES.GROUP_CHAT,
       groupId,
       content,
       senderId,
@@ -267,7 +362,7 @@ export const sendGroupMessage = (groupId, content, senderId, sendMessage) => {
 export const sendGroupFileRequest = (groupId, transferId, fileName, fileSize, senderId, sendMessage) => {
   try {
     const message = {
-      type: 'group_file_request',
+      type: MESSAGE_TYPES.GROUP_FILE_REQUEST,
       groupId,
       transferId,
       fileName,
@@ -290,7 +385,7 @@ export const sendGroupFileRequest = (groupId, transferId, fileName, fileSize, se
  * @param {number} chunkIndex - Chunk index
  * @param {number} totalChunks - Total chunks
  * @param {number} chunkSize - Chunk size
- * @param {string} data - Chunk data (base64)
+ * @param {Uint8Array|string} data - Chunk data (raw bytes for sendFrame, base64 for sendMessage)
  * @param {string} senderId - Sender ID
  * @param {Function} sendMessage - WebSocket send function
  * @returns {boolean} - Success status
@@ -298,7 +393,7 @@ export const sendGroupFileRequest = (groupId, transferId, fileName, fileSize, se
 export const sendGroupFileChunk = (groupId, transferId, chunkIndex, totalChunks, chunkSize, data, senderId, sendMessage) => {
   try {
     const message = {
-      type: 'group_file_chunk',
+      type: MESSAGE_TYPES.GROUP_FILE_CHUNK,
       groupId,
       transferId,
       chunkIndex,
@@ -327,7 +422,7 @@ export const sendGroupFileChunk = (groupId, transferId, chunkIndex, totalChunks,
 export const sendGroupFileComplete = (groupId, transferId, senderId, sendMessage) => {
   try {
     const message = {
-      type: 'group_file_complete',
+      type: MESSAGE_TYPES.GROUP_FILE_COMPLETE,
       groupId,
       transferId,
       senderId,
@@ -0,0 +1,107 @@
+/**
+ * historyService.js - Service for syncing direct message history
+ *
+ * Backends keep a log of every direct chat they send or receive. This service
+ * asks for the messages of a conversation logged since the last sync, both
+ * from our own backend and, when connected directly, from the conversation
+ * partner's backend (which also has the messages we sent it directly), and
+ * merges them into the renderer's message list without duplicates.
+ */
+
+import { sendMessage, sendMessageToPeer, isConnectedToPeer } from './websocketService';
+import { MESSAGE_TYPES } from '../shared/protocol';
+import { applyMessageRevision } from './messageService';
+
+// Last sequence number synced per conversation and source
+// `${peerId}|own` or `${peerId}|partner` -> seq
+const cursors = new Map();
+
+/**
+ * Build the cursor key for a conversation and source
+ * @param {string} peerId - Conversation partner
+ * @param {boolean} fromPartner - True for the partner's backend, false for ours
+ * @returns {string} - Cursor key
+ */
+const cursorKey = (peerId, fromPartner) => `${peerId}|${fromPartner ? 'partner' : 'own'}`;
+
+/**
+ * Ask one backend for the messages of a conversation since the last sync
+ * @param {string} peerId - Conversation partner
+ * @param {boolean} fromPartner - True to ask the partner's backend, false for ours
+ * @returns {Promise<boolean>} - True if the request was sent
+ */
+const requestPage = async (peerId, fromPartner) => {
+  const request = {
+    type: MESSAGE_TYPES.HISTORY_SYNC,
+    peerId,
+    since: cursors.get(cursorKey(peerId, fromPartner)) || 0
+  };
+  return fromPartner ? sendMessageToPeer(peerId, request) : sendMessage(request);
+};
+
+/**
+ * Sync a conversation from our backend and, if connected directly, the partner's
+ * @param {string} peerId - Conversation partner
+ */
+export const requestHistory = async (peerId) => {
+  await requestPage(peerId, false);
+  if (isConnectedToPeer(peerId)) {
+    await requestPage(peerId, true);
+  }
+};
+
+/**
+ * Note how far a sync got and fetch the next page if there is one
+ * @param {Object} result - history_sync_result message
+ */
+export const advanceHistoryCursor = (result) => {
+  cursors.set(cursorKey(result.peerId, result.fromPartner), result.cursor);
+  if (result.hasMore) {
+    requestPage(result.peerId, result.fromPartner);
+  }
+};
+
+/**
+ * Forget every sync cursor, e.g. when another user logs in
+ */
+export const resetHistoryCursors = () => {
+  cursors.clear();
+};
+
+/**
+ * Merge synced messages into a conversation's message list, then apply the
+ * edits and deletes logged with them
+ * @param {Array} peerMessages - Messages already shown for the conversation
+ * @param {Object} result - history_sync_result message
+ * @returns {Array} - Merged messages in timestamp order
+ */
+export const mergeHistory = (peerMessages, result) => {
+  const isKnown = (entry) => peerMessages.some(m => (
+    (entry.clientMessageId && m.clientMessageId === entry.clientMessageId) ||
+    (entry.messageId && m.messageId === entry.messageId)
+  ));
+
+  const synced = result.messages
+    .filter(entry => !entry.action && !isKnown(entry))
+    .map(entry => ({
+      type: 'chat',
+      senderId: entry.outgoing ? 'me' : result.peerId,
+      receiverId: entry.outgoing ? result.peerId : 'me',
+      content: entry.content,
+      timestamp: entry.timestamp,
+      messageId: entry.messageId,
+      clientMessageId: entry.clientMessageId,
+      replyTo: entry.replyTo || null,
+      status: entry.outgoing ? 'sent' : 'received'
+    }));
+  const revisions = result.messages.filter(entry => entry.action);
+
+  if (!synced.length && !revisions.length) {
+    return peerMessages;
+  }
+  return revisions.reduce((merged, entry) => applyMessageRevision(
+    merged,
+    m => m.clientMessageId === entry.clientMessageId && m.senderId === (entry.outgoing ? 'me' : result.peerId),
+    { deleted: entry.action === 'delete', content: entry.content, editedAt: entry.timestamp }
+  ), [...peerMessages, ...synced].sort((a, b) => a.timestamp - b.timestamp));
+};
@@ -7,8 +7,12 @@
  * - Sending messages to peers through the Electron IPC bridge
  * - Formatting message timestamps for display in the UI
  * - Organizing messages into chronological groups for display
+ * - Quoting messages in replies and applying edits and deletes to message lists
  */
 
+// Longest quote of the answered message carried by a reply (the backend trims to the same length)
+const MAX_REPLY_QUOTE_LENGTH = 200;
+
 /**
  * Creates a new standardized message object with all required metadata
  * 
@@ -143,6 +147,52 @@ const groupMessagesByDate = (messages) => {
   return groups;
 };
 
+/**
+ * Builds the quote a reply carries of the message it answers
+ * 
+ * The quote names the message by its IDs rather than its sender, because
+ * sender IDs are only meaningful on the side that stored the message.
+ * 
+ * @param {Object} message - The message being answered
+ * @returns {Object} Quote ({ messageId, clientMessageId, content }) to send as `replyTo`
+ */
+const createReplyQuote = (message) => ({
+  messageId: message.messageId || message.id || null,
+  clientMessageId: message.clientMessageId || null,
+  content: (message.content || '').slice(0, MAX_REPLY_QUOTE_LENGTH)
+});
+
+/**
+ * Finds the message a reply quotes in a message list
+ * 
+ * @param {Array<Object>} messages - Messages of one conversation or group
+ * @param {Object} replyTo - Quote carried by the reply
+ * @returns {Object|undefined} The quoted message, if it is in the list
+ */
+const findQuotedMessage = (messages, replyTo) => messages.find(message => (
+  (replyTo.clientMessageId && message.clientMessageId === replyTo.clientMessageId) ||
+  (replyTo.messageId && (message.messageId === replyTo.messageId || message.id === replyTo.messageId))
+));
+
+/**
+ * Applies an edit or delete to the matching message in a list
+ * 
+ * Edited messages get the new content and an `editedAt` time; deleted ones keep
+ * their place in the list as an empty placeholder marked `deleted`.
+ * 
+ * @param {Array<Object>} messages - Messages of one conversation or group
+ * @param {Function} isTarget - Returns true for the message the change applies to
+ * @param {Object} revision - { deleted, content, editedAt }
+ * @returns {Array<Object>} The updated messages
+ */
+const applyMessageRevision = (messages, isTarget, revision) => messages.map(message => {
+  if (!isTarget(message) || message.deleted) return message;
+  if (revision.deleted) {
+    return { ...message, content: '', deleted: true };
+  }
+  return { ...message, content: revision.content, editedAt: revision.editedAt || Date.now() };
+});
+
 /**
  * Export the message service API
  * 
@@ -151,10 +201,16 @@ const groupMessagesByDate = (messages) => {
  * - sendMessageToPeer: Send messages to specific peers
  * - formatMessageTime: Format timestamps for UI display
  * - groupMessagesByDate: Organize messages into date-based groups
+ * - createReplyQuote: Quote a message in a reply
+ * - findQuotedMessage: Find the message a reply quotes
+ * - applyMessageRevision: Apply an edit or delete to a message list
  */
 export {
   createMessage,
   sendMessageToPeer,
   formatMessageTime,
-  groupMessagesByDate
+  groupMessagesByDate,
+  createReplyQuote,
+  findQuotedMessage,
+  applyMessageRevision
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * searchService.js - Service for searching message history
+ *
+ * This service queries the backend search index, which covers direct
+ * messages, group messages and announcements, and tells the chat views
+ * which message a search result points at.
+ */
+
+import { authFetch } from './authService';
+import { API_BASE_URL } from './backendService';
+
+/**
+ * Search direct messages, group messages and announcements
+ * @param {string} query - Words to look for
+ * @param {Object} filters - { type, peerId, groupId, senderId, from, to, limit }; `from` and `to` are timestamps or dates
+ * @returns {Promise<Object>} - { results, total }; results are newest first
+ */
+export const searchMessages = async (query, filters = {}) => {
+  try {
+    const params = new URLSearchParams({ q: query });
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(name, String(value));
+      }
+    });
+
+    const response = await authFetch(`${API_BASE_URL}/search?${params.toString()}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to search messages');
+    }
+
+    return {
+      results: data.results || [],
+      total: data.total || 0
+    };
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find the message a search result points at in a conversation's message list.
+ * Messages match on their IDs; group messages the user sent themselves carry
+ * no ID, so those fall back to the message with the same text sent closest in time.
+ * @param {Array} messages - Messages shown for the conversation
+ * @param {Object|null} target - Search result to find
+ * @returns {number} - Index of the message, or -1 if it is not loaded
+ */
+export const findSearchTarget = (messages, target) => {
+  if (!target) return -1;
+
+  const byId = messages.findIndex(m => (
+    (target.clientMessageId && m.clientMessageId === target.clientMessageId) ||
+    (target.messageId && m.messageId === target.messageId) ||
+    (target.type === 'group' && m.id === target.id)
+  ));
+  if (byId !== -1) return byId;
+
+  let closest = -1;
+  messages.forEach((m, index) => {
+    if (m.content !== target.content) return;
+    if (closest === -1 ||
+        Math.abs(m.timestamp - target.timestamp) < Math.abs(messages[closest].timestamp - target.timestamp)) {
+      closest = index;
+    }
+  });
+  return closest;
+};
@@ -6,12 +6,16 @@
  * 
  * Features:
  * - Automatic connection to WebSocket server
+ * - Authentication of every connection before any other message
  * - Automatic reconnection with exponential backoff
  * - Message sending and receiving
  * - Event handling for connection state changes
  * - Error handling and recovery
  */
 
+import { getToken } from './authService';
+import { getWebSocketUrl } from './backendService';
+
 /**
  * WebSocket connection instance
  * Null when disconnected, WebSocket object when connected
@@ -29,32 +33,55 @@ let peerConnections = new Map();
 /**
  * Connection configuration constants
  */
-const WS_PORT = 8080; // WebSocket server port
 const RECONNECT_INTERVAL = 3000; // Initial reconnect delay (3 seconds)
 const MAX_RECONNECT_ATTEMPTS = 20; // Maximum number of reconnection attempts
 let RELAY_HOST = null; // Optional centralized relay host
 
 /**
- * Encryption configuration (must match backend)
- * Backend uses AES-256-CBC with a 32-byte ASCII key and iv prepended
- * Format over the wire: `${ivHex}:${base64Cipher}`
+ * Encryption configuration (must match backend keyExchange.js and encryption.js)
+ * Every connection runs an ECDH P-256 handshake: each side sends a hello with
+ * its long-term ECDSA identity key and an ephemeral key, then a confirmation
+ * signing a transcript of both sides' identity and ephemeral keys. The
+ * HKDF-derived session key is used with AES-256-GCM inside a versioned envelope.
+ * Format over the wire: base64([version:1][keyId:8][nonce:12][ciphertext][authTag:16])
+ * Nodes from before the key exchange send legacy `${ivHex}:${base64Cipher}`
+ * AES-CBC frames under the static key they all shared. Those are only
+ * accepted on a connection without a session key, and only when our backend
+ * allows them (auth_result `allowLegacyCbc`, passed to setLegacyCbcAllowed()).
+ * 
+ * File data is sent as binary frames to sockets that announced
+ * `binary_frames` in their handshake: the same envelope, sent raw, around
+ * [headerLength:4][header JSON][raw bytes of the message's `data` field].
+ * 
+ * Once signed in, our backend certifies this client's identity key for its
+ * node (auth_result `nodeCertificate`). The certificate goes into the
+ * handshake with other nodes, so they know this client by our node ID.
  */
-const ENCRYPTION_KEY_STRING = 'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6';
-let cryptoKey = null; // Cached CryptoKey
-
-// Utility: import key as raw bytes (ASCII) for AES-CBC
-async function getCryptoKey() {
-  if (cryptoKey) return cryptoKey;
-  const keyBytes = new TextEncoder().encode(ENCRYPTION_KEY_STRING);
-  cryptoKey = await window.crypto.subtle.importKey(
-    'raw',
-    keyBytes,
-    { name: 'AES-CBC' },
-    false,
-    ['encrypt', 'decrypt']
-  );
-  return cryptoKey;
-}
+const KEY_EXCHANGE_TYPE = 'key_exchange';
+const KEY_EXCHANGE_CONFIRM_TYPE = 'key_exchange_confirm';
+const HANDSHAKE_TRANSCRIPT_CONTEXT = 'offgrid-handshake-v2';
+const SESSION_KEY_INFO = 'offgrid-session-v1';
+const IDENTITY_STORAGE_KEY = 'offgrid_identity';
+const ENVELOPE_VERSION = 2;
+const KEY_ID_LENGTH = 8;
+const NONCE_LENGTH = 12;
+const HEADER_LENGTH = 1 + KEY_ID_LENGTH;
+const FRAME_HEADER_LENGTH_BYTES = 4;
+const BINARY_FRAMES_CAPABILITY = 'binary_frames';
+const LEGACY_ENCRYPTION_KEY = 'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6'; // Static key of older nodes
+let legacyKeyPromise = null; // Cached AES-CBC CryptoKey for legacy frames
+let identityPromise = null; // Cached identity keypair
+let legacyCbcAllowed = false; // Accept unauthenticated CBC frames from older nodes
+let nodeCertificate = null; // { nodeKey, signature } issued by our backend, sent to other nodes
+
+/**
+ * Per-connection handshake state
+ * Maps WebSocket to { started, ready, key, identity, ephemeral, ephemeralKey, peerHello, peerIdentityKey, peerCapabilities }
+ * where peerHello is a promise set when the peer's hello arrives and key is
+ * { key, keyId } once the peer's confirmation checks out
+ * @type {WeakMap<WebSocket, Object>}
+ */
+const sessions = new WeakMap();
 
 // Utility: ArrayBuffer -> base64
 function arrayBufferToBase64(buffer) {
@@ -76,46 +103,371 @@ function base64ToUint8Array(base64) {
   return bytes;
 }
 
-// Encrypt plaintext string to `${ivHex}:${base64Cipher}`
-async function encryptString(plaintext) {
-  const key = await getCryptoKey();
-  const iv = window.crypto.getRandomValues(new Uint8Array(16));
-  const data = new TextEncoder().encode(plaintext);
-  const cipherBuffer = await window.crypto.subtle.encrypt(
-    { name: 'AES-CBC', iv },
-    key,
-    data
+// Utility: load the ECDSA identity keypair, creating and persisting it on first use
+function getIdentity() {
+  if (identityPromise) return identityPromise;
+  identityPromise = (async () => {
+    const subtle = window.crypto.subtle;
+    const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(IDENTITY_STORAGE_KEY));
+    } catch {}
+
+    if (!stored || !stored.privateKey || !stored.publicKey) {
+      const keyPair = await subtle.generateKey(algorithm, true, ['sign', 'verify']);
+      stored = {
+        privateKey: await subtle.exportKey('jwk', keyPair.privateKey),
+        publicKey: await subtle.exportKey('jwk', keyPair.publicKey)
+      };
+      localStorage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify(stored));
+    }
+
+    const privateKey = await subtle.importKey('jwk', stored.privateKey, algorithm, false, ['sign']);
+    const publicKey = await subtle.importKey('jwk', stored.publicKey, algorithm, true, ['verify']);
+    return {
+      privateKey,
+      publicKey: arrayBufferToBase64(await subtle.exportKey('spki', publicKey))
+    };
+  })();
+  return identityPromise;
+}
+
+// Bytes each side signs to confirm a handshake (must match backend handshakeTranscript):
+// a fixed label, then the signer's identity and ephemeral keys and the peer's,
+// each prefixed with its length as a 2-byte big-endian integer
+function handshakeTranscript(signerIdentityKey, signerEphemeralKey, peerIdentityKey, peerEphemeralKey) {
+  const label = new TextEncoder().encode(HANDSHAKE_TRANSCRIPT_CONTEXT);
+  const keys = [signerIdentityKey, signerEphemeralKey, peerIdentityKey, peerEphemeralKey].map(base64ToUint8Array);
+  const transcript = new Uint8Array(label.length + keys.reduce((total, key) => total + 2 + key.length, 0));
+  transcript.set(label, 0);
+  let offset = label.length;
+  for (const key of keys) {
+    transcript[offset] = key.length >> 8;
+    transcript[offset + 1] = key.length & 0xff;
+    transcript.set(key, offset + 2);
+    offset += 2 + key.length;
+  }
+  return transcript;
+}
+
+// Start the handshake on a freshly opened socket by sending our key_exchange frame,
+// with the node certificate when the socket goes to another node
+function startKeyExchange(socket, certificate = null) {
+  const session = { key: null, peerHello: null, peerIdentityKey: null, peerCapabilities: [] };
+  session.ready = new Promise(resolve => { session.resolveReady = resolve; });
+  session.started = (async () => {
+    const subtle = window.crypto.subtle;
+    session.identity = await getIdentity();
+    session.ephemeral = await subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    session.ephemeralKey = arrayBufferToBase64(await subtle.exportKey('raw', session.ephemeral.publicKey));
+    socket.send(JSON.stringify({
+      type: KEY_EXCHANGE_TYPE,
+      identityKey: session.identity.publicKey,
+      ephemeralKey: session.ephemeralKey,
+      capabilities: [BINARY_FRAMES_CAPABILITY],
+      ...(certificate ? { node: certificate } : {})
+    }));
+  })();
+  sessions.set(socket, session);
+}
+
+// Derive the session key from the peer's hello and send our signed confirmation.
+// Resolves with what the peer's confirmation is checked against.
+async function acceptHello(socket, session, hello) {
+  await session.started;
+  const subtle = window.crypto.subtle;
+  const peerIdentity = await subtle.importKey(
+    'spki',
+    base64ToUint8Array(hello.identityKey),
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['verify']
+  );
+  const peerEphemeral = await subtle.importKey('raw', base64ToUint8Array(hello.ephemeralKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const sharedSecret = await subtle.deriveBits({ name: 'ECDH', public: peerEphemeral }, session.ephemeral.privateKey, 256);
+  const hkdfKey = await subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveBits']);
+  const saltParts = [session.ephemeralKey, hello.ephemeralKey].sort().map(base64ToUint8Array);
+  const salt = new Uint8Array(saltParts[0].length + saltParts[1].length);
+  salt.set(saltParts[0], 0);
+  salt.set(saltParts[1], saltParts[0].length);
+
+  const sessionBits = await subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(SESSION_KEY_INFO) },
+    hkdfKey,
+    256
+  );
+  session.ephemeral = null;
+
+  const signature = await subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    session.identity.privateKey,
+    handshakeTranscript(session.identity.publicKey, session.ephemeralKey, hello.identityKey, hello.ephemeralKey)
   );
-  const ivHex = Array.from(iv).map(b => b.toString(16).padStart(2, '0')).join('');
-  const cipherB64 = arrayBufferToBase64(cipherBuffer);
-  return `${ivHex}:${cipherB64}`;
+  socket.send(JSON.stringify({ type: KEY_EXCHANGE_CONFIRM_TYPE, signature: arrayBufferToBase64(signature) }));
+
+  return {
+    peerIdentity,
+    identityKey: hello.identityKey,
+    ephemeralKey: hello.ephemeralKey,
+    capabilities: Array.isArray(hello.capabilities) ? hello.capabilities : [],
+    key: {
+      key: await subtle.importKey('raw', sessionBits, 'AES-GCM', false, ['encrypt', 'decrypt']),
+      keyId: new Uint8Array(await subtle.digest('SHA-256', sessionBits)).slice(0, KEY_ID_LENGTH)
+    }
+  };
+}
+
+// Check the peer's signature over the transcript, which proves it holds its
+// identity key in this very handshake, then make the session key usable
+async function acceptConfirm(session, confirm) {
+  const peer = await session.peerHello;
+  const validSignature = await window.crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    peer.peerIdentity,
+    base64ToUint8Array(confirm.signature),
+    handshakeTranscript(peer.identityKey, peer.ephemeralKey, session.identity.publicKey, session.ephemeralKey)
+  );
+  if (!validSignature) {
+    throw new Error('Invalid key exchange signature');
+  }
+
+  session.key = peer.key;
+  session.peerIdentityKey = peer.identityKey;
+  session.peerCapabilities = peer.capabilities;
+  session.resolveReady(session.key);
+}
+
+// Consume the peer's key_exchange or key_exchange_confirm frame. The session
+// key is ready once the peer's confirmation checks out.
+// Returns true when the frame belonged to the handshake.
+async function handleKeyExchangeMessage(socket, rawMessage) {
+  const session = sessions.get(socket);
+  if (!session || session.key || typeof rawMessage !== 'string' || !rawMessage.startsWith('{')) {
+    return false;
+  }
+  let message;
+  try {
+    message = JSON.parse(rawMessage);
+  } catch {
+    return false;
+  }
+  if (!message || (message.type !== KEY_EXCHANGE_TYPE && message.type !== KEY_EXCHANGE_CONFIRM_TYPE)) {
+    return false;
+  }
+
+  try {
+    if (message.type === KEY_EXCHANGE_TYPE) {
+      if (session.peerHello) {
+        throw new Error('Duplicate key exchange hello');
+      }
+      // Set before any await so a confirmation right behind the hello waits for it
+      session.peerHello = acceptHello(socket, session, message);
+      await session.peerHello;
+    } else {
+      if (!session.peerHello) {
+        throw new Error('Key exchange confirmation before hello');
+      }
+      await acceptConfirm(session, message);
+    }
+  } catch (e) {
+    console.error('Key exchange failed:', e);
+    session.resolveReady(null);
+    socket.close(1000, 'Key exchange failed');
+  }
+  return true;
+}
+
+// Wait for a socket's session key (null if the handshake failed or the socket closed)
+function getSessionKey(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return session ? session.ready : Promise.resolve(null);
+}
+
+// Release anyone waiting on a socket whose handshake will never complete
+function endSession(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  if (session && !session.key) {
+    session.resolveReady(null);
+  }
+}
+
+// Auth message sent on each socket: socket -> Promise settled once it is on the wire
+const authSent = new WeakMap();
+
+// Send the `auth` message that has to come first on every connection. With a
+// token the backend binds the connection to that user; without one it is
+// accepted as a connection from another node.
+function sendAuth(socket, token) {
+  const sent = (async () => {
+    const message = token ? { type: 'auth', token } : { type: 'auth' };
+    socket.send(await encryptString(JSON.stringify(message), await getSessionKey(socket)));
+  })();
+  authSent.set(socket, sent.catch(error => console.error('Error sending auth message:', error)));
+  return sent;
+}
+
+// Wait until a socket's auth message has been sent so nothing overtakes it
+function afterAuth(socket) {
+  return authSent.get(socket) || Promise.resolve();
+}
+
+// Whether the remote side of a socket accepts binary frames
+function supportsBinaryFrames(socket) {
+  const session = socket ? sessions.get(socket) : null;
+  return !!(session && session.peerCapabilities.includes(BINARY_FRAMES_CAPABILITY));
 }
 
-// Decrypt `${ivHex}:${base64Cipher}` to plaintext string
-async function decryptString(encrypted) {
-  // If message is already JSON, return as-is
-  if (typeof encrypted !== 'string' || !encrypted.includes(':')) {
-    return encrypted;
+// Seal plaintext bytes into a versioned envelope
+async function sealBytes(data, sessionKey) {
+  if (!sessionKey) {
+    throw new Error('No session key for this connection');
+  }
+  const header = new Uint8Array(HEADER_LENGTH);
+  header[0] = ENVELOPE_VERSION;
+  header.set(sessionKey.keyId, 1);
+  const nonce = window.crypto.getRandomValues(new Uint8Array(NONCE_LENGTH));
+  // WebCrypto returns the ciphertext with the 16-byte tag appended
+  const sealed = new Uint8Array(await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: header, tagLength: 128 },
+    sessionKey.key,
+    data
+  ));
+  const envelope = new Uint8Array(HEADER_LENGTH + NONCE_LENGTH + sealed.length);
+  envelope.set(header, 0);
+  envelope.set(nonce, HEADER_LENGTH);
+  envelope.set(sealed, HEADER_LENGTH + NONCE_LENGTH);
+  return envelope;
+}
+
+// Open and verify a versioned envelope, returning the plaintext bytes.
+// Throws if the envelope is malformed or fails verification.
+async function openBytes(envelope, sessionKey) {
+  if (!sessionKey) {
+    throw new Error('No session key for this connection');
+  }
+  if (envelope.length < HEADER_LENGTH + NONCE_LENGTH + 16) {
+    throw new Error('Envelope too short');
+  }
+  if (envelope[0] !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version ${envelope[0]}`);
+  }
+  const header = envelope.subarray(0, HEADER_LENGTH);
+  if (!header.subarray(1).every((byte, i) => byte === sessionKey.keyId[i])) {
+    throw new Error('Envelope key id does not match the session key');
+  }
+  // Rejects with an OperationError if the authentication tag does not verify
+  return new Uint8Array(await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: envelope.subarray(HEADER_LENGTH, HEADER_LENGTH + NONCE_LENGTH), additionalData: header, tagLength: 128 },
+    sessionKey.key,
+    envelope.subarray(HEADER_LENGTH + NONCE_LENGTH)
+  ));
+}
+
+// Encrypt plaintext string into a base64 envelope
+async function encryptString(plaintext, sessionKey) {
+  return arrayBufferToBase64(await sealBytes(new TextEncoder().encode(plaintext), sessionKey));
+}
+
+// Encrypt a message into a binary frame carrying its `data` bytes raw
+async function encryptFrame(message, sessionKey) {
+  const { data, ...header } = message;
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const payload = new Uint8Array(data);
+  const plaintext = new Uint8Array(FRAME_HEADER_LENGTH_BYTES + headerBytes.length + payload.length);
+  new DataView(plaintext.buffer).setUint32(0, headerBytes.length);
+  plaintext.set(headerBytes, FRAME_HEADER_LENGTH_BYTES);
+  plaintext.set(payload, FRAME_HEADER_LENGTH_BYTES + headerBytes.length);
+  return sealBytes(plaintext, sessionKey);
+}
+
+// Decrypt and verify a binary frame into a message object with `data` as a Uint8Array
+async function decryptFrame(frame, sessionKey) {
+  const plaintext = await openBytes(new Uint8Array(frame), sessionKey);
+  const headerLength = new DataView(plaintext.buffer, plaintext.byteOffset).getUint32(0);
+  const payloadStart = FRAME_HEADER_LENGTH_BYTES + headerLength;
+  if (payloadStart > plaintext.length) {
+    throw new Error('Frame header length exceeds frame size');
+  }
+  const header = JSON.parse(new TextDecoder().decode(plaintext.subarray(FRAME_HEADER_LENGTH_BYTES, payloadStart)));
+  return { ...header, data: plaintext.subarray(payloadStart) };
+}
+
+// Decrypt and verify a base64 envelope.
+// Throws if the frame is malformed or fails verification.
+async function decryptString(encrypted, sessionKey) {
+  if (typeof encrypted !== 'string') {
+    throw new Error('Unexpected non-text frame');
+  }
+  if (!sessionKey) {
+    throw new Error('No session key for this connection');
+  }
+  if (isLegacyFrame(encrypted)) {
+    throw new Error('Legacy frames are not accepted on a connection with a session key');
+  }
+
+  return new TextDecoder().decode(await openBytes(base64ToUint8Array(encrypted), sessionKey));
+}
+
+// Whether a frame is in the legacy `${ivHex}:${base64Cipher}` format (base64 has no colon)
+function isLegacyFrame(data) {
+  return typeof data === 'string' && data.includes(':');
+}
+
+// Decrypt a legacy AES-CBC frame with the static key older nodes share
+async function decryptLegacyString(encrypted) {
+  if (!legacyCbcAllowed) {
+    throw new Error('Legacy CBC frames are not accepted');
   }
   const [ivHex, cipherB64] = encrypted.split(':');
   if (!ivHex || !cipherB64 || ivHex.length !== 32) {
-    // Not our encrypted format; return raw
-    return encrypted;
+    throw new Error('Invalid legacy frame format');
   }
-  const key = await getCryptoKey();
-  const iv = new Uint8Array(ivHex.match(/.{1,2}/g).map(h => parseInt(h, 16)));
-  const cipherBytes = base64ToUint8Array(cipherB64);
-  try {
-    const plainBuffer = await window.crypto.subtle.decrypt(
-      { name: 'AES-CBC', iv },
-      key,
-      cipherBytes
+  if (!legacyKeyPromise) {
+    legacyKeyPromise = window.crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(LEGACY_ENCRYPTION_KEY), 'AES-CBC', false, ['decrypt']
     );
-    return new TextDecoder().decode(plainBuffer);
-  } catch (e) {
-    console.error('Decryption failed; delivering raw message:', e);
-    return encrypted; // Fallback to raw if decryption fails
   }
+  const iv = new Uint8Array(ivHex.match(/.{1,2}/g).map(h => parseInt(h, 16)));
+  const plainBuffer = await window.crypto.subtle.decrypt(
+    { name: 'AES-CBC', iv },
+    await legacyKeyPromise,
+    base64ToUint8Array(cipherB64)
+  );
+  return new TextDecoder().decode(plainBuffer);
+}
+
+// Decrypt an incoming frame on a socket: text frames to a JSON string, binary
+// frames to a message object. Older nodes never run the key exchange, so a
+// legacy frame on a socket without a session key is opened with their static
+// key instead of waiting for a handshake that will not come.
+async function decryptIncoming(socket, data) {
+  const session = sessions.get(socket);
+  if (isLegacyFrame(data) && !(session && session.key)) {
+    return decryptLegacyString(data);
+  }
+  const sessionKey = await getSessionKey(socket);
+  if (data instanceof ArrayBuffer) {
+    return decryptFrame(data, sessionKey);
+  }
+  return decryptString(data, sessionKey);
+}
+
+/**
+ * Keep the node certificate our backend issued for this client's identity key
+ * @param {Object|null} certificate - { nodeKey, signature } from auth_result, or null when signed out
+ */
+function setNodeCertificate(certificate) {
+  nodeCertificate = certificate || null;
+}
+
+/**
+ * Enable or disable acceptance of legacy AES-CBC frames while older nodes
+ * migrate; follows `allowLegacyCbc` from our backend's auth_result
+ * @param {boolean} allowed - True to accept legacy frames
+ */
+function setLegacyCbcAllowed(allowed) {
+  legacyCbcAllowed = !!allowed;
 }
 
 /**
@@ -160,14 +512,15 @@ function initializeWebSocket(callbacks) {
     closeWebSocket();
   }
   
-  // Determine the WebSocket server host
+  // Determine the WebSocket server URL
   // Prefer explicitly set relay host when provided
-  const host = RELAY_HOST || (window.location.hostname === 'localhost' ? 'localhost' : window.location.hostname);
+  const wsUrl = getWebSocketUrl(RELAY_HOST);
   
   // Attempt to create a new WebSocket connection
   try {
     // Create the WebSocket instance
-    ws = new WebSocket(`ws://${host}:${WS_PORT}`);
+    ws = new WebSocket(wsUrl);
+    ws.binaryType = 'arraybuffer'; // Binary frames carry file data
     
     // Register internal event handlers that will call the application callbacks
     ws.onopen = handleOpen;
@@ -175,7 +528,7 @@ function initializeWebSocket(callbacks) {
     ws.onerror = handleError;
     ws.onmessage = handleMessage;
     
-    console.log(`Connecting to WebSocket server at ws://${host}:${WS_PORT}`);
+    console.log(`Connecting to WebSocket server at ${wsUrl}`);
   } catch (error) {
     // Handle any errors during WebSocket creation
     console.error('Error creating WebSocket connection:', error);
@@ -200,6 +553,8 @@ function setRelayHost(host) {
  */
 function handleOpen() {
   console.log('WebSocket connection established');
+  startKeyExchange(ws); // Negotiate this connection's session key
+  sendAuth(ws, getToken()); // Must be the first message on the connection
   reconnectAttempts = 0; // Reset reconnection attempts counter on successful connection
   handlers.onOpen(); // Notify the application that connection is established
 }
@@ -217,6 +572,7 @@ function handleOpen() {
  */
 function handleClose(event) {
   console.log(`WebSocket connection closed: ${event.code} ${event.reason}`);
+  endSession(event.target);
   handlers.onClose(event); // Notify the application that connection is closed
   
   // Attempt to reconnect if not closed intentionally by the application
@@ -244,17 +600,22 @@ function handleError(event) {
  * Handle WebSocket message event when data is received from the server
  * 
  * This function is called when a message is received from the WebSocket server.
- * It parses the message data (if JSON) and notifies the application.
+ * Text frames are passed to the application as a JSON string, binary frames
+ * as a message object whose `data` is a Uint8Array.
  * 
  * @param {MessageEvent} event - WebSocket message event
  * @param {string|ArrayBuffer|Blob|ArrayBufferView} event.data - The message data
  */
 async function handleMessage(event) {
   try {
-    const decrypted = await decryptString(event.data);
+    const socket = event.target;
+    if (await handleKeyExchangeMessage(socket, event.data)) {
+      return; // Handshake frame, nothing to deliver
+    }
+    const decrypted = await decryptIncoming(socket, event.data);
     handlers.onMessage(decrypted);
   } catch (error) {
-    console.error('Error handling message:', error);
+    console.error('Rejected message that failed verification:', error);
   }
 }
 
@@ -273,9 +634,11 @@ async function sendMessage(message) {
     return false;
   }
   try {
+    const socket = ws;
+    await afterAuth(socket);
     const plaintext = JSON.stringify(message);
-    const encrypted = await encryptString(plaintext);
-    ws.send(encrypted);
+    const encrypted = await encryptString(plaintext, await getSessionKey(socket));
+    socket.send(encrypted);
     return true;
   } catch (error) {
     console.error('Error sending message:', error);
@@ -283,6 +646,56 @@ async function sendMessage(message) {
   }
 }
 
+/**
+ * Send a message that carries binary data through the WebSocket connection
+ * 
+ * The message's `data` (Uint8Array or ArrayBuffer) is sent raw in a binary
+ * frame when the backend announced binary_frames in its handshake, and
+ * base64 encoded in a JSON message otherwise.
+ * 
+ * @param {Object} message - Message object with binary `data`
+ * @returns {Promise<boolean>} - True if message was sent successfully, false otherwise
+ */
+async function sendFrame(message) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    console.error('Cannot send message: WebSocket is not connected');
+    return false;
+  }
+  try {
+    const socket = ws;
+    await afterAuth(socket);
+    const sessionKey = await getSessionKey(socket);
+    if (!supportsBinaryFrames(socket)) {
+      return sendMessage({ ...message, data: arrayBufferToBase64(message.data) });
+    }
+    socket.send(await encryptFrame(message, sessionKey));
+    return true;
+  } catch (error) {
+    console.error('Error sending message:', error);
+    return false;
+  }
+}
+
+/**
+ * Authenticate the backend connection again, e.g. after logging in or out
+ * 
+ * Binds the connection to the user whose token is stored now, or back to an
+ * anonymous connection when nobody is logged in.
+ * 
+ * @returns {Promise<boolean>} - True if the auth message was sent
+ */
+async function authenticate() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    return false; // handleOpen authenticates the next connection
+  }
+  try {
+    await sendAuth(ws, getToken());
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Close the WebSocket connection cleanly
  * 
@@ -375,6 +788,18 @@ function isConnected() {
   return ws && ws.readyState === WebSocket.OPEN;
 }
 
+/**
+ * Get the number of bytes queued on the backend connection but not yet sent
+ * 
+ * File senders use this for backpressure: they stop queueing chunks while
+ * the socket still has a lot of data buffered.
+ * 
+ * @returns {number} - Buffered bytes, or 0 if not connected
+ */
+function getBufferedAmount() {
+  return ws ? ws.bufferedAmount : 0;
+}
+
 /**
  * Connect to a discovered peer
  * 
@@ -402,15 +827,19 @@ function connectToPeer(peer) {
       
       // Create WebSocket connection to peer
       const peerWs = new WebSocket(`ws://${peer.ip}:${peer.port}`);
+      peerWs.binaryType = 'arraybuffer';
       
       peerWs.onopen = () => {
         console.log(`Connected to peer ${peer.id}`);
+        startKeyExchange(peerWs, nodeCertificate); // Tells the peer which node we speak for
+        sendAuth(peerWs, null); // Our token is only valid on our own backend
         peerConnections.set(peer.id, peerWs);
         resolve(true);
       };
       
       peerWs.onclose = (event) => {
         console.log(`Connection to peer ${peer.id} closed: ${event.code} ${event.reason}`);
+        endSession(peerWs);
         peerConnections.delete(peer.id);
         resolve(false);
       };
@@ -425,10 +854,13 @@ function connectToPeer(peer) {
         // Decrypt and forward peer messages to the main handler
         if (handlers.onMessage) {
           try {
-            const decrypted = await decryptString(event.data);
+            if (await handleKeyExchangeMessage(peerWs, event.data)) {
+              return;
+            }
+            const decrypted = await decryptIncoming(peerWs, event.data);
             handlers.onMessage(decrypted);
           } catch (e) {
-            handlers.onMessage(event.data);
+            console.error(`Rejected message from peer ${peer.id} that failed verification:`, e);
           }
         }
       };
@@ -470,8 +902,9 @@ async function sendMessageToPeer(peerId, message) {
   }
   
   try {
+    await afterAuth(peerWs);
     const plaintext = JSON.stringify(message);
-    const encrypted = await encryptString(plaintext);
+    const encrypted = await encryptString(plaintext, await getSessionKey(peerWs));
     peerWs.send(encrypted);
     return true;
   } catch (error) {
@@ -516,25 +949,35 @@ function closeAllPeerConnections() {
  * These functions provide the public interface for the WebSocket service:
  * - initializeWebSocket: Establish connection with callback handlers
  * - sendMessage: Send data to the server
+ * - sendFrame: Send a message with binary data, as a binary frame when supported
+ * - authenticate: Rebind the connection after logging in or out
  * - closeWebSocket: Terminate the connection cleanly
  * - isConnected: Check connection status
+ * - getBufferedAmount: Bytes still buffered on the backend connection
  * - connectToPeer: Connect to a discovered peer
  * - disconnectFromPeer: Disconnect from a peer
  * - sendMessageToPeer: Send message to a specific peer
  * - getConnectedPeers: Get list of connected peers
  * - isConnectedToPeer: Check if connected to a specific peer
  * - closeAllPeerConnections: Close all peer connections
+ * - setRelayHost: Use a centralized relay host
+ * - setLegacyCbcAllowed: Accept legacy AES-CBC frames while migrating
  */
 export {
   initializeWebSocket,
   sendMessage,
+  sendFrame,
+  authenticate,
   closeWebSocket,
   isConnected,
+  getBufferedAmount,
   connectToPeer,
   disconnectFromPeer,
   sendMessageToPeer,
   getConnectedPeers,
   isConnectedToPeer,
   closeAllPeerConnections,
-  setRelayHost
+  setRelayHost,
+  setNodeCertificate,
+  setLegacyCbcAllowed
 };
\ No newline at end of file
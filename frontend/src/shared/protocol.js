@@ -0,0 +1,270 @@
+/**
+ * protocol.js - WebSocket message contract for IP Messenger Clone
+ *
+ * Every message type exchanged over the WebSocket, shared by the backend
+ * (require('../frontend/src/shared/protocol')) and the renderer (import). It
+ * lives under the renderer's src/ because the React build cannot import files
+ * from outside it, and is written as CommonJS so Node can load it unchanged.
+ *
+ * Messages the backend accepts have a schema in INBOUND_SCHEMAS. A schema maps
+ * field names to a rule: 'string', 'number', 'boolean', 'object', 'array' or
+ * 'any', with a trailing '?' for optional fields (which may also be null).
+ * Fields that are not listed are passed through untouched. validateMessage()
+ * checks a parsed message against its schema, and createErrorMessage() builds
+ * the structured `error` reply sent back when it does not match.
+ *
+ * Some fields are also accepted under another name, listed in FIELD_ALIASES:
+ * the quote a reply carries is `replyTo` or `reply_to`. validateMessage()
+ * renames an alias to its schema name in place, so the backend reads, relays
+ * and stores only `replyTo`.
+ */
+
+// Message types, in both directions
+const MESSAGE_TYPES = {
+  // Connection and authentication
+  AUTH: 'auth',
+  AUTH_RESULT: 'auth_result',
+  ERROR: 'error',
+  SELF_PEER: 'self_peer',
+
+  // Peers and authorization
+  PEER_LIST: 'peer_list',
+  PEER_JOINED: 'peer_joined',
+  PEER_LEFT: 'peer_left',
+  PEER_DISCOVERED: 'peer_discovered',
+  PEER_UPDATED: 'peer_updated',
+  PEER_LOST: 'peer_lost',
+  PRESENCE_UPDATE: 'presence_update',
+  VERIFY_ACCESS_CODE: 'verify_access_code',
+  ACCESS_CODE_VERIFICATION: 'access_code_verification',
+  PEER_AUTH_STATUS: 'peer_auth_status',
+
+  // Direct messages and delivery status
+  CHAT: 'chat',
+  CHAT_EDIT: 'chat_edit',
+  CHAT_DELETE: 'chat_delete',
+  CLIPBOARD: 'clipboard',
+  MESSAGE_READ: 'message_read',
+  MESSAGE_QUEUED: 'message_queued',
+  MESSAGE_DELIVERED: 'message_delivered',
+  HISTORY_SYNC: 'history_sync',
+  HISTORY_SYNC_RESULT: 'history_sync_result',
+
+  // Direct file transfers
+  FILE_REQUEST: 'file_request',
+  FILE_RESPONSE: 'file_response',
+  FILE_CHUNK: 'file_chunk',
+  FILE_CHUNK_ACK: 'file_chunk_ack',
+  FILE_RESUME: 'file_resume',
+  FILE_TRANSFER_COMPLETE: 'file_transfer_complete',
+  FILE_TRANSFER_VERIFIED: 'file_transfer_verified',
+  FILE_TRANSFER_CANCEL: 'file_transfer_cancel',
+  FILE_QUEUED: 'file_queued',
+  FILE_ERROR: 'file_error',
+
+  // Groups
+  GROUP_ADDED: 'group_added',
+  GROUP_UPDATED: 'group_updated',
+  GROUP_REMOVED: 'group_removed',
+  GROUP_DELETED: 'group_deleted',
+  GROUP_CHAT: 'group_chat',
+  GROUP_FILE_REQUEST: 'group_file_request',
+  GROUP_FILE_CHUNK: 'group_file_chunk',
+  GROUP_FILE_COMPLETE: 'group_file_complete',
+
+  // Bulletin board
+  GENERAL_ANNOUNCEMENT: 'general_announcement',
+  GROUP_ANNOUNCEMENT: 'group_announcement',
+
+  // Calls
+  CALL_INITIATE: 'call_initiate',
+  CALL_INCOMING: 'call_incoming',
+  CALL_ACCEPT: 'call_accept',
+  CALL_ACCEPTED: 'call_accepted',
+  CALL_REJECT: 'call_reject',
+  CALL_REJECTED: 'call_rejected',
+  CALL_END: 'call_end',
+  CALL_ENDED: 'call_ended',
+  CALL_FAILED: 'call_failed',
+  SDP_OFFER: 'sdp_offer',
+  SDP_ANSWER: 'sdp_answer',
+  SDP: 'sdp',
+  ICE_CANDIDATE: 'ice_candidate',
+
+  // Group calls
+  GROUP_CALL_INITIATE: 'group_call_initiate',
+  GROUP_CALL_INCOMING: 'group_call_incoming',
+  GROUP_CALL_JOIN: 'group_call_join',
+  GROUP_CALL_LEAVE: 'group_call_leave',
+  GROUP_CALL_END: 'group_call_end',
+  GROUP_CALL_ENDED: 'group_call_ended',
+  GROUP_CALL_PARTICIPANT_JOINED: 'group_call_participant_joined',
+  GROUP_CALL_PARTICIPANT_LEFT: 'group_call_participant_left',
+  GROUP_SDP_OFFER: 'group_sdp_offer',
+  GROUP_SDP_ANSWER: 'group_sdp_answer',
+  GROUP_SDP: 'group_sdp',
+  GROUP_ICE_CANDIDATE: 'group_ice_candidate'
+};
+
+// Codes carried by `error` replies
+const ERROR_CODES = {
+  MALFORMED_MESSAGE: 'malformed_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  INVALID_FIELDS: 'invalid_fields',
+  NOT_AUTHENTICATED: 'not_authenticated',
+  FORBIDDEN: 'forbidden',
+  // A direct message could not be queued for an offline peer
+  QUEUE_FULL: 'queue_full',
+  UNKNOWN_PEER: 'unknown_peer'
+};
+
+// Other names inbound fields are accepted under: alias -> schema field name
+const FIELD_ALIASES = {
+  reply_to: 'replyTo'
+};
+
+// Fields of a message relayed to another peer (omitted when it is for this node)
+const RELAY = { to: 'string?' };
+
+// Fields naming the message an edit or delete applies to: a group message by its
+// stored id (or the clientMessageId its sender gave it), a direct message by the
+// clientMessageId its sender gave it. Only the sender can change a message.
+const MESSAGE_REF = { groupId: 'string?', messageId: 'string?', clientMessageId: 'string?' };
+
+/**
+ * Schemas of the messages the backend accepts
+ */
+const INBOUND_SCHEMAS = {
+  [MESSAGE_TYPES.AUTH]: { token: 'string?' },
+  [MESSAGE_TYPES.VERIFY_ACCESS_CODE]: { peerId: 'string?', accessCode: 'string', acceptNewKey: 'boolean?' },
+
+  // replyTo (or reply_to) quotes the message being answered: { messageId, clientMessageId, content }
+  [MESSAGE_TYPES.CHAT]: Object.assign({ content: 'string', clientMessageId: 'string?', replyTo: 'object?' }, RELAY),
+  [MESSAGE_TYPES.CHAT_EDIT]: Object.assign({ content: 'string' }, MESSAGE_REF, RELAY),
+  [MESSAGE_TYPES.CHAT_DELETE]: Object.assign({}, MESSAGE_REF, RELAY),
+  [MESSAGE_TYPES.CLIPBOARD]: Object.assign({ content: 'string' }, RELAY),
+  [MESSAGE_TYPES.MESSAGE_READ]: { to: 'string', messageId: 'string?', clientMessageId: 'string?' },
+  // peerId names the conversation partner; another node can only read its own conversation, and the
+  // peerId it sends is just echoed back
+  [MESSAGE_TYPES.HISTORY_SYNC]: { peerId: 'string?', since: 'number?', limit: 'number?' },
+
+  // The receiver also checks that totalChunks === Math.ceil(fileSize / chunkSize) (chunkSize defaults to 1 MB)
+  [MESSAGE_TYPES.FILE_REQUEST]: Object.assign({ transferId: 'string', fileName: 'string', fileSize: 'number', fileHash: 'string', chunkSize: 'number?', totalChunks: 'number' }, RELAY),
+  [MESSAGE_TYPES.FILE_RESPONSE]: Object.assign({ transferId: 'string', accepted: 'boolean' }, RELAY),
+  // `data` is a Buffer when the chunk arrived in a binary frame, base64 otherwise
+  [MESSAGE_TYPES.FILE_CHUNK]: Object.assign({ transferId: 'string', chunkIndex: 'number', data: 'any' }, RELAY),
+  [MESSAGE_TYPES.FILE_CHUNK_ACK]: Object.assign({ transferId: 'string', chunkIndex: 'number' }, RELAY),
+  [MESSAGE_TYPES.FILE_RESUME]: Object.assign({ transferId: 'string', missingChunks: 'array?' }, RELAY),
+  [MESSAGE_TYPES.FILE_TRANSFER_COMPLETE]: Object.assign({ transferId: 'string' }, RELAY),
+  [MESSAGE_TYPES.FILE_TRANSFER_VERIFIED]: Object.assign({ transferId: 'string' }, RELAY),
+  [MESSAGE_TYPES.FILE_TRANSFER_CANCEL]: Object.assign({ transferId: 'string' }, RELAY),
+
+  [MESSAGE_TYPES.GROUP_CHAT]: { groupId: 'string', content: 'string', clientMessageId: 'string?', replyTo: 'object?' },
+  [MESSAGE_TYPES.GROUP_FILE_REQUEST]: { groupId: 'string', transferId: 'string', fileName: 'string', fileSize: 'number' },
+  [MESSAGE_TYPES.GROUP_FILE_CHUNK]: { groupId: 'string', transferId: 'string', chunkIndex: 'number', totalChunks: 'number', chunkSize: 'number', data: 'any' },
+  [MESSAGE_TYPES.GROUP_FILE_COMPLETE]: { groupId: 'string', transferId: 'string' },
+
+  // Announcements are created over REST; these ask the backend to push one out live
+  [MESSAGE_TYPES.GENERAL_ANNOUNCEMENT]: { announcementId: 'string' },
+  [MESSAGE_TYPES.GROUP_ANNOUNCEMENT]: { groupId: 'string', announcementId: 'string' },
+
+  [MESSAGE_TYPES.CALL_INITIATE]: { calleeId: 'string', withVideo: 'boolean?' },
+  [MESSAGE_TYPES.CALL_ACCEPT]: { callId: 'string' },
+  [MESSAGE_TYPES.CALL_REJECT]: { callId: 'string', reason: 'string?' },
+  [MESSAGE_TYPES.CALL_END]: { callId: 'string' },
+  [MESSAGE_TYPES.SDP_OFFER]: { callId: 'string', sdp: 'object' },
+  [MESSAGE_TYPES.SDP_ANSWER]: { callId: 'string', sdp: 'object' },
+  [MESSAGE_TYPES.ICE_CANDIDATE]: { callId: 'string', candidate: 'object' },
+
+  [MESSAGE_TYPES.GROUP_CALL_INITIATE]: { groupId: 'string', withVideo: 'boolean?' },
+  [MESSAGE_TYPES.GROUP_CALL_JOIN]: { groupCallId: 'string' },
+  [MESSAGE_TYPES.GROUP_CALL_LEAVE]: { groupCallId: 'string' },
+  [MESSAGE_TYPES.GROUP_CALL_END]: { groupCallId: 'string' },
+  [MESSAGE_TYPES.GROUP_SDP_OFFER]: { groupCallId: 'string', recipientId: 'string', sdp: 'object' },
+  [MESSAGE_TYPES.GROUP_SDP_ANSWER]: { groupCallId: 'string', recipientId: 'string', sdp: 'object' },
+  [MESSAGE_TYPES.GROUP_ICE_CANDIDATE]: { groupCallId: 'string', recipientId: 'string', candidate: 'object' }
+};
+
+/**
+ * Check a value against a field rule
+ * @param {*} value - Field value
+ * @param {string} rule - Field rule, e.g. 'string' or 'number?'
+ * @returns {boolean} - True if the value satisfies the rule
+ */
+function matchesRule(value, rule) {
+  const optional = rule.endsWith('?');
+  const kind = optional ? rule.slice(0, -1) : rule;
+
+  if (value === undefined || value === null) {
+    return optional;
+  }
+
+  switch (kind) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === kind;
+  }
+}
+
+/**
+ * Validate a parsed inbound message against its schema, first renaming any
+ * aliased fields (FIELD_ALIASES) it has to their schema names
+ * @param {*} message - Parsed message, changed in place
+ * @returns {Object} - { valid: true } or { valid: false, code, message, errors }
+ */
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+    return { valid: false, code: ERROR_CODES.MALFORMED_MESSAGE, message: 'Messages must be objects with a string type', errors: [] };
+  }
+
+  const schema = INBOUND_SCHEMAS[message.type];
+  if (!schema) {
+    return { valid: false, code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type: ${message.type}`, errors: [] };
+  }
+
+  // The schema name wins when a message has both
+  for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+    if (alias in message && field in schema) {
+      if (message[field] === undefined) {
+        message[field] = message[alias];
+      }
+      delete message[alias];
+    }
+  }
+
+  const errors = Object.keys(schema)
+    .filter(field => !matchesRule(message[field], schema[field]))
+    .map(field => `${field} must be ${schema[field].endsWith('?') ? `a ${schema[field].slice(0, -1)} if present` : `a ${schema[field]}`}`);
+
+  if (errors.length) {
+    return { valid: false, code: ERROR_CODES.INVALID_FIELDS, message: `Invalid ${message.type} message`, errors };
+  }
+  return { valid: true };
+}
+
+/**
+ * Build a structured `error` reply
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable description
+ * @param {Object} details - Extra fields, e.g. { rejectedType, errors }
+ * @returns {Object} - Error message
+ */
+function createErrorMessage(code, message, details = {}) {
+  return Object.assign({ type: MESSAGE_TYPES.ERROR, code, message, timestamp: Date.now() }, details);
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  INBOUND_SCHEMAS,
+  FIELD_ALIASES,
+  validateMessage,
+  createErrorMessage
+};